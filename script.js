@@ -36,1760 +36,10199 @@ function debounce(func, delay) {
     };
 }
 
+let objectIdCounter = 0;
+
+/**
+ * Creates an id used to find an object again after the canvas is restored from JSON.
+ * @returns {string} - The new id.
+ */
+function createObjectId() {
+    objectIdCounter += 1;
+    return `obj-${Date.now().toString(36)}-${objectIdCounter}`;
+}
+
+/**
+ * Custom object properties serialized with the canvas (history states and JSON files).
+ * drawingScale and layers are properties of the canvas itself, restored by loadFromJSON.
+ * Shapes keep the id of their labels (measurementTextId...), not copies of the labels.
+ */
+const SERIALIZED_PROPERTIES = [
+    'id', 'measurementTextId', 'lengthMeasurementTextId', 'fixedHeightRectangle', 'tileFill', 'tileEstimate', 'drawingScale',
+    'roomPolygon', 'roomLabelIds', 'wallElevation', 'wallOpening', 'fixtureSymbol', 'dxfBackground', 'annotation',
+    'locked', 'hidden', 'layer', 'layers', 'name'
+];
+
+/**
+ * Parses tile dimensions in cm from a catalog name or file name
+ * (e.g. "CALATRAVA_GRIS_PULI_60X120", "BERA_WHITE_119.8x119.8" or "CHALET_CERVINIA_HONEY_20_122cm").
+ * @param {string} text - The text to parse.
+ * @returns {{widthCm: number, heightCm: number}|null} - The dimensions, or null if none were found.
+ */
+function parseTileDimensions(text) {
+    if (!text) return null;
+    const match = text.match(/(\d+(?:[.,]\d+)?)\s*[xX]\s*(\d+(?:[.,]\d+)?)/) ||
+        text.match(/(\d+(?:[.,]\d+)?)_(\d+(?:[.,]\d+)?)\s*cm/i);
+    if (!match) return null;
+
+    const widthCm = parseFloat(match[1].replace(',', '.'));
+    const heightCm = parseFloat(match[2].replace(',', '.'));
+    if (!(widthCm > 0) || !(heightCm > 0)) return null;
+    return { widthCm, heightCm };
+}
+
+/**
+ * Drawing Scale and Units
+ */
+
+/**
+ * Screen pixels per cm at 96 DPI, i.e. canvas pixels per real cm at scale 1:1.
+ */
+const SCREEN_PIXELS_PER_CM = 96 / 2.54;
+
+/**
+ * Drawing scales offered in the scale select (denominators of 1:N).
+ */
+const DRAWING_SCALES = [1, 10, 20, 50, 100];
+
+/**
+ * Length units: how many of each unit make one cm, and how many decimals labels show.
+ */
+const LENGTH_UNITS = {
+    mm: { perCm: 10, decimals: 1 },
+    cm: { perCm: 1, decimals: 2 },
+    m: { perCm: 0.01, decimals: 3 }
+};
+
+/**
+ * Formats a length given in cm in the requested unit (e.g. "2.350 m").
+ * @param {number} cm - The length in cm.
+ * @param {string} [unit='cm'] - One of the LENGTH_UNITS keys.
+ * @returns {string} - The formatted length with its unit.
+ */
+function formatLength(cm, unit = 'cm') {
+    const { perCm, decimals } = LENGTH_UNITS[unit] || LENGTH_UNITS.cm;
+    return `${(cm * perCm).toFixed(decimals)} ${LENGTH_UNITS[unit] ? unit : 'cm'}`;
+}
+
+/**
+ * Parses a length typed by the user and returns it in cm.
+ * The text may carry its own unit ("2,35 m", "850mm"); otherwise the given default unit is used.
+ * @param {string} text - The text to parse.
+ * @param {string} [unit='cm'] - Unit of a bare number.
+ * @returns {number|null} - The length in cm, or null if the text is not a length.
+ */
+function parseLength(text, unit = 'cm') {
+    if (text === null || text === undefined) return null;
+    const match = String(text).trim().match(/^(-?\d+(?:[.,]\d+)?|-?[.,]\d+)\s*(mm|cm|m)?$/i);
+    if (!match) return null;
+
+    const value = parseFloat(match[1].replace(',', '.'));
+    const { perCm } = LENGTH_UNITS[(match[2] || unit).toLowerCase()] || LENGTH_UNITS.cm;
+    return value / perCm;
+}
+
+/**
+ * Returns the drawing scale denominator (1:N) matching a pixels-per-cm ratio.
+ * @param {number} pixelsPerCm - Canvas pixels per real cm.
+ * @returns {number} - The scale denominator.
+ */
+function getScaleDenominator(pixelsPerCm) {
+    return SCREEN_PIXELS_PER_CM / pixelsPerCm;
+}
+
+/**
+ * Tile Catalog
+ */
+
+/**
+ * Current version of the tile catalog format (merged.json).
+ */
+const CATALOG_SCHEMA_VERSION = 1;
+
+/**
+ * Allowed values for a tile's finish.
+ */
+const TILE_FINISHES = ['pulido', 'natural', 'mate'];
+
+/**
+ * A tile reference of the catalog. merged.json is `{ "schemaVersion": 1, "tiles": [CatalogTile, ...] }`.
+ * @typedef {Object} CatalogTile
+ * @property {string} sku - Unique reference of the tile.
+ * @property {string} name - Display name.
+ * @property {string} src - URL of the tile photo.
+ * @property {string|null} collection - Collection (series) name.
+ * @property {number|null} width_cm - Tile width in cm.
+ * @property {number|null} height_cm - Tile height in cm.
+ * @property {number|null} thickness_mm - Tile thickness in mm.
+ * @property {string|null} finish - One of TILE_FINISHES.
+ * @property {number|null} price_m2 - Price per m².
+ * @property {number|null} m2_per_box - Surface covered by one box, in m².
+ */
+
+/**
+ * Finish keywords found in legacy names, mapped to TILE_FINISHES.
+ */
+const LEGACY_FINISH_KEYWORDS = {
+    PULIDO: 'pulido', POLISHED: 'pulido', POL: 'pulido', POLI: 'pulido', BRILLO: 'pulido', SHINE: 'pulido',
+    NATURAL: 'natural', NATUREL: 'natural',
+    MATE: 'mate', MAT: 'mate', MATT: 'mate', HONED: 'mate'
+};
+
+/**
+ * Suffixes of legacy names that carry no information about the tile (units, rectification marks).
+ */
+const LEGACY_NAME_NOISE = ['CM', 'S.T', 'ST', 'PR', 'RT'];
+
+/**
+ * Converts a legacy `{src, alt}` entry into a CatalogTile by parsing its alt string, then its file name.
+ * @param {Object} entry - The legacy entry.
+ * @returns {CatalogTile} - The migrated tile (sku may still need de-duplication).
+ */
+function migrateLegacyCatalogEntry(entry) {
+    const src = typeof entry.src === 'string' ? entry.src.trim() : '';
+    const fileName = src.split('/').pop().replace(/\.[^.]+$/, '');
+    const alt = (typeof entry.alt === 'string' ? entry.alt : '').trim().replace(/\s*_\s*/g, '_').replace(/\s+/g, ' ');
+    const label = alt || fileName;
+
+    const dimensions = parseTileDimensions(label) || parseTileDimensions(fileName);
+    const tokenize = (text) => text.toUpperCase()
+        .replace(/(\d+(?:[.,]\d+)?)\s*[xX_]\s*(\d+(?:[.,]\d+)?)\s*(CM)?/, ' ')
+        .split(/[\s_]+/)
+        .filter(token => (token.length > 1 || /\d/.test(token)) && !LEGACY_NAME_NOISE.includes(token));
+    const tokens = tokenize(label);
+
+    // Like the dimensions, the finish may only be written in the file name
+    const finishToken = tokens.find(token => LEGACY_FINISH_KEYWORDS[token]) ||
+        tokenize(fileName).find(token => LEGACY_FINISH_KEYWORDS[token]);
+    const sizeSuffix = dimensions ? `${dimensions.widthCm}X${dimensions.heightCm}` : null;
+
+    return {
+        sku: [...tokens, sizeSuffix].filter(Boolean).join('-') || fileName.toUpperCase(),
+        name: [tokens.join(' '), sizeSuffix].filter(Boolean).join(' ') || label,
+        src: src,
+        collection: tokens.length ? tokens[0] : null,
+        width_cm: dimensions ? dimensions.widthCm : null,
+        height_cm: dimensions ? dimensions.heightCm : null,
+        thickness_mm: null,
+        finish: finishToken ? LEGACY_FINISH_KEYWORDS[finishToken] : null,
+        price_m2: null,
+        m2_per_box: null
+    };
+}
+
+/**
+ * Migrates a legacy catalog (flat array of `{src, alt}`) to the current catalog format.
+ * @param {Array<Object>} entries - The legacy entries.
+ * @returns {{schemaVersion: number, tiles: Array<CatalogTile>}} - The migrated catalog.
+ */
+function migrateLegacyCatalog(entries) {
+    const skuCounts = new Map();
+    const tiles = entries.map(entry => {
+        const tile = migrateLegacyCatalogEntry(entry || {});
+        const count = (skuCounts.get(tile.sku) || 0) + 1;
+        skuCounts.set(tile.sku, count);
+        if (count > 1) {
+            tile.sku = `${tile.sku}-${count}`;
+        }
+        return tile;
+    });
+    return { schemaVersion: CATALOG_SCHEMA_VERSION, tiles };
+}
+
+/**
+ * Validates a catalog tile.
+ * @param {Object} tile - The tile to validate.
+ * @returns {{errors: Array<string>, warnings: Array<string>}} - Errors make the tile unusable; warnings do not.
+ */
+function validateCatalogTile(tile) {
+    const errors = [];
+    const warnings = [];
+    const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+    const checkOptionalNumber = (field) => {
+        if (tile[field] !== null && tile[field] !== undefined && !isPositiveNumber(tile[field])) {
+            errors.push(`${field} doit être un nombre positif`);
+        }
+    };
+
+    if (!tile || typeof tile !== 'object') {
+        return { errors: ['entrée invalide'], warnings };
+    }
+    if (typeof tile.src !== 'string' || !tile.src.trim()) errors.push('src manquant');
+    if (typeof tile.sku !== 'string' || !tile.sku.trim()) errors.push('sku manquant');
+    if (typeof tile.name !== 'string' || !tile.name.trim()) errors.push('name manquant');
+
+    ['width_cm', 'height_cm', 'thickness_mm', 'price_m2', 'm2_per_box'].forEach(checkOptionalNumber);
+    if ((tile.width_cm == null) !== (tile.height_cm == null)) {
+        errors.push('width_cm et height_cm vont ensemble');
+    } else if (tile.width_cm == null) {
+        warnings.push('dimensions inconnues');
+    }
+    if (tile.finish != null && !TILE_FINISHES.includes(tile.finish)) {
+        errors.push(`finish inconnue « ${tile.finish} » (attendu : ${TILE_FINISHES.join(', ')})`);
+    }
+    if (tile.price_m2 == null) warnings.push('prix au m² manquant');
+
+    return { errors, warnings };
+}
+
+/**
+ * Reads catalog data (current or legacy format) and validates every tile.
+ * @param {Object|Array} data - The parsed content of merged.json.
+ * @returns {{tiles: Array<CatalogTile>, migrated: boolean, invalid: Array<Object>, incomplete: Array<Object>}}
+ *          - The valid tiles and a report of the rejected (invalid) and incomplete entries.
+ */
+function loadTileCatalog(data) {
+    let catalog = data;
+    const migrated = Array.isArray(data);
+    if (migrated) {
+        catalog = migrateLegacyCatalog(data);
+    }
+    if (!catalog || !Array.isArray(catalog.tiles)) {
+        throw new Error('format de catalogue inconnu (tableau "tiles" attendu)');
+    }
+    if (catalog.schemaVersion > CATALOG_SCHEMA_VERSION) {
+        throw new Error(`version de catalogue ${catalog.schemaVersion} non prise en charge`);
+    }
+
+    const tiles = [];
+    const invalid = [];
+    const incomplete = [];
+    const seenSkus = new Set();
+    catalog.tiles.forEach((tile, index) => {
+        const { errors, warnings } = validateCatalogTile(tile);
+        if (tile && seenSkus.has(tile.sku)) {
+            errors.push(`sku en double « ${tile.sku} »`);
+        }
+        const label = (tile && (tile.sku || tile.name || tile.src)) || `#${index}`;
+        if (errors.length) {
+            invalid.push({ index, label, problems: errors });
+            return;
+        }
+        seenSkus.add(tile.sku);
+        if (warnings.length) {
+            incomplete.push({ index, label, problems: warnings });
+        }
+        tiles.push(tile);
+    });
+
+    return { tiles, migrated, invalid, incomplete };
+}
+
+/**
+ * Tile Estimate
+ */
+
+/**
+ * Tolerance in cm below which a leftover strip is not counted as a cut tile.
+ */
+const TILE_CUT_TOLERANCE_CM = 0.01;
+
+/**
+ * Tile Laying Patterns
+ */
+
+/**
+ * Laying patterns offered for tiled surfaces, with their French labels.
+ */
+const TILE_PATTERNS = {
+    'straight': 'Pose droite',
+    'running-half': 'Décalée 1/2',
+    'running-third': 'Décalée 1/3',
+    'herringbone': 'Bâtons rompus',
+    'chevron': 'Point de Hongrie',
+    'diagonal': 'Diagonale 45°',
+    'basketweave': 'Vannerie'
+};
+
+/**
+ * Rotates a 2D vector.
+ * @param {Array<number>} point - The [x, y] vector.
+ * @param {number} degrees - The rotation angle in degrees.
+ * @returns {Array<number>} - The rotated vector.
+ */
+function rotatePoint([x, y], degrees) {
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    return [x * cos - y * sin, x * sin + y * cos];
+}
+
+/**
+ * Builds the rectangular repeat cell of a laying pattern.
+ * Each placement is a parallelogram in cm: corner p0, edge u along the photo's width and edge v along its height.
+ * @param {string} pattern - One of the TILE_PATTERNS keys.
+ * @param {number} widthCm - Tile width in cm.
+ * @param {number} heightCm - Tile height in cm.
+ * @param {number} jointCm - Grout joint width in cm.
+ * @returns {{angle: number, cellWidth: number, cellHeight: number, placements: Array<Object>}} - The repeat cell;
+ * basketweave also gives the planks per block, their laid length (plankLength) and the tile's own length (tileLength).
+ */
+function buildTilePattern(pattern, widthCm, heightCm, jointCm) {
+    const w = widthCm;
+    const h = heightCm;
+    const j = jointCm;
+    const long = Math.max(w, h);
+    const short = Math.min(w, h);
+    // Patterns defined on the long and short sides still map the photo on its own axes
+    const oriented = (p0, longEdge, shortEdge) => (w >= h
+        ? { p0, u: longEdge, v: shortEdge }
+        : { p0, u: shortEdge, v: longEdge });
+
+    switch (pattern) {
+        case 'running-half':
+        case 'running-third': {
+            const rows = pattern === 'running-half' ? 2 : 3;
+            const placements = [];
+            for (let row = 0; row < rows; row++) {
+                placements.push({ p0: [row * (w + j) / rows, row * (h + j)], u: [w, 0], v: [0, h] });
+            }
+            return { angle: 0, cellWidth: w + j, cellHeight: rows * (h + j), placements };
+        }
+        case 'herringbone': {
+            // Staircase of horizontal/vertical pairs, turned 45° so that the repeat cell is rectangular
+            const pitchLong = long + j;
+            const pitchShort = short + j;
+            const pair = [
+                oriented([0, 0], [long, 0], [0, short]),
+                oriented([pitchLong, pitchShort - pitchLong], [0, long], [short, 0])
+            ];
+            return {
+                angle: 0,
+                cellWidth: pitchShort * Math.SQRT2,
+                cellHeight: pitchLong * Math.SQRT2,
+                placements: pair.map(tile => ({
+                    p0: rotatePoint(tile.p0, -45),
+                    u: rotatePoint(tile.u, -45),
+                    v: rotatePoint(tile.v, -45)
+                }))
+            };
+        }
+        case 'chevron': {
+            // Planks with ends cut parallel to the axis, meeting point to point
+            const run = long / Math.SQRT2;
+            const end = short * Math.SQRT2;
+            return {
+                angle: 0,
+                cellWidth: 2 * (run + j),
+                cellHeight: (short + j) * Math.SQRT2,
+                placements: [
+                    oriented([0, 0], [run, run], [0, end]),
+                    oriented([run + j, run], [run, -run], [0, end])
+                ]
+            };
+        }
+        case 'basketweave': {
+            // Square blocks of parallel planks, alternately horizontal and vertical. The planks are cut
+            // (or stretched) to the width of their stack, so that the blocks close without gaps
+            const planks = Math.max(1, Math.round((long + j) / (short + j)));
+            const block = planks * (short + j);
+            const plankLength = block - j;
+            const placements = [];
+            [[0, 0], [1, 1]].forEach(([bx, by]) => {
+                for (let k = 0; k < planks; k++) {
+                    placements.push(oriented([bx * block, by * block + k * (short + j)], [plankLength, 0], [0, short]));
+                }
+            });
+            [[1, 0], [0, 1]].forEach(([bx, by]) => {
+                for (let k = 0; k < planks; k++) {
+                    placements.push(oriented([bx * block + k * (short + j), by * block], [0, plankLength], [short, 0]));
+                }
+            });
+            return { angle: 0, cellWidth: 2 * block, cellHeight: 2 * block, placements, planks, plankLength, tileLength: long };
+        }
+        case 'diagonal':
+        case 'straight':
+        default:
+            return {
+                angle: pattern === 'diagonal' ? 45 : 0,
+                cellWidth: w + j,
+                cellHeight: h + j,
+                placements: [{ p0: [0, 0], u: [w, 0], v: [0, h] }]
+            };
+    }
+}
+
+/**
+ * Tells when a layout does not lay the tiles at their own size: basketweave planks cut or stretched to close the blocks.
+ * @param {Object} layout - The layout returned by buildTilePattern or getTileLayout.
+ * @param {string} unit - The LENGTH_UNITS key the lengths are shown in.
+ * @returns {?string} - The notice, or null when the tiles keep their size.
+ */
+function describeTileLayoutFit(layout, unit) {
+    if (layout.plankLength === undefined || Math.abs(layout.plankLength - layout.tileLength) <= TILE_CUT_TOLERANCE_CM) {
+        return null;
+    }
+    const change = layout.plankLength < layout.tileLength ? 'recoupées' : 'étirées';
+    return `Vannerie : lames de ${formatLength(layout.tileLength, unit)} ${change} à ${formatLength(layout.plankLength, unit)} `
+        + `pour former des carrés de ${layout.planks} lames.`;
+}
+
+/**
+ * Returns the corners of a pattern placement.
+ * @param {Object} placement - The placement ({p0, u, v}).
+ * @param {number} [dx=0] - Horizontal shift in cm.
+ * @param {number} [dy=0] - Vertical shift in cm.
+ * @returns {Array<Array<number>>} - The four corners.
+ */
+function getPlacementCorners({ p0, u, v }, dx = 0, dy = 0) {
+    const x = p0[0] + dx;
+    const y = p0[1] + dy;
+    return [[x, y], [x + u[0], y + u[1]], [x + u[0] + v[0], y + u[1] + v[1]], [x + v[0], y + v[1]]];
+}
+
+/**
+ * Returns the bounding box of a list of points.
+ * @param {Array<Array<number>>} points - The points.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}} - The bounding box.
+ */
+function getPointsBoundingBox(points) {
+    const xs = points.map(point => point[0]);
+    const ys = points.map(point => point[1]);
+    return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * Checks whether two convex polygons overlap by more than a tolerance (separating axis test).
+ * @param {Array<Array<number>>} a - The first polygon.
+ * @param {Array<Array<number>>} b - The second polygon.
+ * @param {number} tolerance - Minimum penetration depth.
+ * @returns {boolean} - True if the polygons overlap.
+ */
+function convexPolygonsOverlap(a, b, tolerance) {
+    return [a, b].every(polygon => polygon.every((point, index) => {
+        const next = polygon[(index + 1) % polygon.length];
+        const length = Math.hypot(next[0] - point[0], next[1] - point[1]) || 1;
+        const axis = [(point[1] - next[1]) / length, (next[0] - point[0]) / length];
+        const project = (points) => points.map(p => p[0] * axis[0] + p[1] * axis[1]);
+        const projectedA = project(a);
+        const projectedB = project(b);
+        const overlap = Math.min(Math.max(...projectedA), Math.max(...projectedB)) -
+            Math.max(Math.min(...projectedA), Math.min(...projectedB));
+        return overlap > tolerance;
+    }));
+}
+
+/**
+ * Returns the full layout of a tile fill: pattern cell, total rotation and start point.
+ * @param {Object} tileFill - The tile description (widthCm, heightCm, jointMm, pattern, rotation, offsetXCm, offsetYCm).
+ * @returns {Object} - The pattern cell with rotation (degrees), offsetX and offsetY (cm).
+ */
+function getTileLayout(tileFill) {
+    const layout = buildTilePattern(tileFill.pattern || 'straight', tileFill.widthCm, tileFill.heightCm, (tileFill.jointMm || 0) / 10);
+    layout.rotation = layout.angle + (tileFill.rotation || 0);
+    layout.offsetX = tileFill.offsetXCm || 0;
+    layout.offsetY = tileFill.offsetYCm || 0;
+    return layout;
+}
+
+/**
+ * Counts the whole and cut tiles of a layout covering a rectangle.
+ * Tiles lying entirely in a hole (door, window...) are not laid; tiles crossing a hole's edge are cut.
+ * @param {number} widthCm - Surface width in cm.
+ * @param {number} heightCm - Surface height in cm.
+ * @param {Object} layout - The layout returned by getTileLayout.
+ * @param {Array<{left: number, top: number, width: number, height: number}>} [holes=[]] - Untiled areas in cm, relative to the surface.
+ * @returns {{whole: number, cut: number}} - The number of whole and cut tiles.
+ */
+function countLaidTiles(widthCm, heightCm, layout, holes = []) {
+    const tolerance = TILE_CUT_TOLERANCE_CM;
+    const rad = layout.rotation * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const toSurface = ([x, y]) => [layout.offsetX + x * cos - y * sin, layout.offsetY + x * sin + y * cos];
+    const toLayout = ([x, y]) => {
+        const dx = x - layout.offsetX;
+        const dy = y - layout.offsetY;
+        return [dx * cos + dy * sin, -dx * sin + dy * cos];
+    };
+
+    const surface = [[0, 0], [widthCm, 0], [widthCm, heightCm], [0, heightCm]];
+    const holeCorners = holes.map(({ left, top, width, height }) =>
+        [[left, top], [left + width, top], [left + width, top + height], [left, top + height]]);
+    const surfaceBox = getPointsBoundingBox(surface.map(toLayout));
+    const tileBox = getPointsBoundingBox([].concat(...layout.placements.map(placement => getPlacementCorners(placement))));
+    const { cellWidth, cellHeight } = layout;
+
+    let whole = 0;
+    let cut = 0;
+    const firstColumn = Math.floor((surfaceBox.minX - tileBox.maxX) / cellWidth);
+    const lastColumn = Math.floor((surfaceBox.maxX - tileBox.minX) / cellWidth);
+    const firstRow = Math.floor((surfaceBox.minY - tileBox.maxY) / cellHeight);
+    const lastRow = Math.floor((surfaceBox.maxY - tileBox.minY) / cellHeight);
+    for (let column = firstColumn; column <= lastColumn; column++) {
+        for (let row = firstRow; row <= lastRow; row++) {
+            layout.placements.forEach(placement => {
+                const corners = getPlacementCorners(placement, column * cellWidth, row * cellHeight).map(toSurface);
+                const inHole = holes.some(({ left, top, width, height }) => corners.every(([x, y]) =>
+                    x >= left - tolerance && x <= left + width + tolerance && y >= top - tolerance && y <= top + height + tolerance));
+                if (inHole) return;
+
+                const inside = corners.every(([x, y]) =>
+                    x >= -tolerance && x <= widthCm + tolerance && y >= -tolerance && y <= heightCm + tolerance);
+                const crossesHole = holeCorners.some(hole => convexPolygonsOverlap(corners, hole, tolerance));
+                if (inside && !crossesHole) {
+                    whole++;
+                } else if (convexPolygonsOverlap(corners, surface, tolerance)) {
+                    cut++;
+                }
+            });
+        }
+    }
+    return { whole, cut };
+}
+
+/**
+ * Returns the area covered by a set of rectangles, counting overlaps once.
+ * @param {Array<{left: number, top: number, width: number, height: number}>} rects - The rectangles.
+ * @returns {number} - The covered area.
+ */
+function getRectanglesUnionArea(rects) {
+    const xs = [...new Set(rects.flatMap(rect => [rect.left, rect.left + rect.width]))].sort((a, b) => a - b);
+    let area = 0;
+    for (let i = 0; i < xs.length - 1; i++) {
+        const middle = (xs[i] + xs[i + 1]) / 2;
+        // Vertical extents of the rectangles crossing this strip, merged
+        const spans = rects
+            .filter(rect => rect.left <= middle && rect.left + rect.width >= middle)
+            .map(rect => [rect.top, rect.top + rect.height])
+            .sort((a, b) => a[0] - b[0]);
+        let covered = 0;
+        let end = -Infinity;
+        spans.forEach(([top, bottom]) => {
+            if (bottom <= end) return;
+            covered += bottom - Math.max(top, end);
+            end = bottom;
+        });
+        area += covered * (xs[i + 1] - xs[i]);
+    }
+    return area;
+}
+
+/**
+ * Computes the tile quantities and cost for a rectangular surface, less its openings.
+ * @param {Object} options - The estimate inputs.
+ * @param {number} options.widthCm - Surface width in cm.
+ * @param {number} options.heightCm - Surface height in cm.
+ * @param {Object} options.layout - The tile layout (see getTileLayout).
+ * @param {Array<Object>} [options.holes=[]] - Untiled openings in cm, relative to the surface and inside it.
+ * @param {number} options.wastePercent - Extra quantity ordered for breakage and offcuts, in %.
+ * @param {number|null} options.m2PerBox - Surface covered by one box, in m².
+ * @param {number|null} options.priceM2 - Price per m².
+ * @returns {Object} - surfaceM2 (net of openings), openingsM2, wholeTiles, cutTiles, tilesToOrder, boxes, orderedM2
+ * and totalPrice (null when unknown).
+ */
+function computeTileEstimate({ widthCm, heightCm, layout, holes = [], wastePercent, m2PerBox, priceM2 }) {
+    const openingsM2 = getRectanglesUnionArea(holes) / 10000;
+    const surfaceM2 = (widthCm * heightCm) / 10000 - openingsM2;
+    const { whole, cut } = countLaidTiles(widthCm, heightCm, layout, holes);
+    const wasteFactor = 1 + (wastePercent || 0) / 100;
+    const tilesToOrder = Math.ceil((whole + cut) * wasteFactor);
+
+    const neededM2 = surfaceM2 * wasteFactor;
+    const boxes = m2PerBox > 0 ? Math.ceil(neededM2 / m2PerBox) : null;
+    const orderedM2 = boxes !== null ? boxes * m2PerBox : neededM2;
+
+    return {
+        surfaceM2,
+        openingsM2,
+        wholeTiles: whole,
+        cutTiles: cut,
+        tilesToOrder,
+        boxes,
+        orderedM2,
+        totalPrice: priceM2 > 0 ? orderedM2 * priceM2 : null
+    };
+}
+
+/**
+ * Room Polygons
+ */
+
+/**
+ * Snaps the end of a wall to the nearest multiple of an angle (90° and 45° for a 45° step),
+ * keeping the length projected on the snapped direction.
+ * @param {{x: number, y: number}} from - The previous corner.
+ * @param {{x: number, y: number}} to - The pointer position.
+ * @param {number} stepDegrees - The angle step in degrees.
+ * @returns {{x: number, y: number}} - The snapped corner.
+ */
+function snapPointToAngle(from, to, stepDegrees) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const step = stepDegrees * Math.PI / 180;
+    const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+    const length = dx * Math.cos(angle) + dy * Math.sin(angle);
+    return { x: from.x + length * Math.cos(angle), y: from.y + length * Math.sin(angle) };
+}
+
+/**
+ * Returns the signed area of a polygon (shoelace formula); positive when its corners run clockwise on screen.
+ * @param {Array<{x: number, y: number}>} points - The polygon corners.
+ * @returns {number} - The signed area, in squared units of the points.
+ */
+function getPolygonSignedArea(points) {
+    let sum = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        sum += point.x * next.y - next.x * point.y;
+    });
+    return sum / 2;
+}
+
+/**
+ * Returns the centroid of a polygon, which stays inside L-shaped rooms more often than the bounding box centre.
+ * @param {Array<{x: number, y: number}>} points - The polygon corners.
+ * @returns {{x: number, y: number}} - The centroid.
+ */
+function getPolygonCentroid(points) {
+    const area = getPolygonSignedArea(points);
+    if (Math.abs(area) < 1e-9) {
+        const box = getPointsBoundingBox(points.map(point => [point.x, point.y]));
+        return { x: (box.minX + box.maxX) / 2, y: (box.minY + box.maxY) / 2 };
+    }
+
+    let cx = 0;
+    let cy = 0;
+    points.forEach((point, i) => {
+        const next = points[(i + 1) % points.length];
+        const cross = point.x * next.y - next.x * point.y;
+        cx += (point.x + next.x) * cross;
+        cy += (point.y + next.y) * cross;
+    });
+    return { x: cx / (6 * area), y: cy / (6 * area) };
+}
+
+/**
+ * Wall Elevations
+ */
+
+/**
+ * Openings and fixture cut-outs that can be placed on a wall elevation, with default sizes and height from the floor.
+ */
+const WALL_OPENINGS = {
+    door: { label: 'Porte', widthCm: 83, heightCm: 204, fromFloorCm: 0, fill: '#ffffff' },
+    window: { label: 'Fenêtre', widthCm: 100, heightCm: 115, fromFloorCm: 100, fill: '#e3f2fd' },
+    niche: { label: 'Niche', widthCm: 30, heightCm: 60, fromFloorCm: 110, fill: '#f5f5f5' },
+    washbasin: { label: 'Vasque', widthCm: 60, heightCm: 50, fromFloorCm: 35, fill: '#ffffff' },
+    mirror: { label: 'Miroir', widthCm: 80, heightCm: 70, fromFloorCm: 120, fill: '#e0f7fa' }
+};
+
+/**
+ * Fixture Models
+ */
+
+/**
+ * Sanitary fixtures and furniture shipped as 3D models in images/.
+ * unit is the model's length unit, checked against the size of the object it shows. A model exported without a
+ * real unit is calibrated instead: one of its dimensions is set to the usual catalogue size and the others follow.
+ * turned marks a model whose front faces along X, so that X is its depth and Z its width.
+ * A model the browser cannot read is listed with the reason in unsupported.
+ * @type {Array<{name: string, src: string, kind: string, unit?: string, turned?: boolean,
+ *     calibration?: {dimension: string, cm: number}, unsupported?: string}>}
+ */
+const FIXTURE_MODELS = [
+    // Modelled at about half a cm per unit: calibrated on the 65 cm depth of a close-coupled WC
+    { name: 'WC', src: 'images/Toilet.glb', kind: 'toilet', turned: true, calibration: { dimension: 'depthCm', cm: 65 } },
+    // In mm; the model is a WC and a bidet side by side (101 cm wide together)
+    { name: 'WC et bidet', src: 'images/bidet.glb', kind: 'toilet-bidet', unit: 'mm' },
+    // Unitless: calibrated on the 60 cm width of a console washbasin
+    { name: 'Lavabo console', src: 'images/LAVABO.glb', kind: 'washbasin', calibration: { dimension: 'widthCm', cm: 60 } },
+    { name: 'Vasque', src: 'images/washbasin.obj', kind: 'washbasin', unit: 'm' },
+    { name: 'Canapé', src: 'images/sofacabochon.obj', kind: 'sofa', unit: 'cm' },
+    // In mm, cut flat: 75.5 cm wide, 58 cm high and 2 cm thick, like the file name says
+    { name: 'Panneau CNC', src: 'images/cncMR31-755x580x20.stl', kind: 'panel', unit: 'mm' },
+    { name: 'WC (FBX)', src: 'images/Toilet.FBX', kind: 'toilet', unsupported: 'format FBX non lisible dans le navigateur, utilisez le WC au format GLB' }
+];
+
+/**
+ * Length of one model unit in cm.
+ */
+const MODEL_UNITS_CM = { mm: 0.1, cm: 1, m: 100 };
+
+/**
+ * Multiplies two 4x4 matrices stored column-major, as in glTF.
+ * @param {Array<number>} a - The left matrix.
+ * @param {Array<number>} b - The right matrix.
+ * @returns {Array<number>} - The product a × b.
+ */
+function multiplyMatrices4(a, b) {
+    const result = new Array(16).fill(0);
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            for (let k = 0; k < 4; k++) {
+                result[column * 4 + row] += a[k * 4 + row] * b[column * 4 + k];
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns the local matrix of a glTF node, from its matrix or its translation, rotation and scale.
+ * @param {Object} node - The glTF node.
+ * @returns {Array<number>} - The column-major 4x4 matrix.
+ */
+function getGltfNodeMatrix(node) {
+    if (node.matrix) return node.matrix;
+
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+    return [
+        (1 - 2 * (y * y + z * z)) * sx, (2 * (x * y + z * w)) * sx, (2 * (x * z - y * w)) * sx, 0,
+        (2 * (x * y - z * w)) * sy, (1 - 2 * (x * x + z * z)) * sy, (2 * (y * z + x * w)) * sy, 0,
+        (2 * (x * z + y * w)) * sz, (2 * (y * z - x * w)) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+/**
+ * Creates an empty 3D bounding box.
+ * @returns {{min: Array<number>, max: Array<number>}} - The box, to be grown with extendBoundingBox.
+ */
+function createBoundingBox() {
+    return { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+}
+
+/**
+ * Grows a 3D bounding box to include a point.
+ * @param {{min: Array<number>, max: Array<number>}} box - The box.
+ * @param {Array<number>} point - The point [x, y, z].
+ */
+function extendBoundingBox(box, point) {
+    for (let i = 0; i < 3; i++) {
+        box.min[i] = Math.min(box.min[i], point[i]);
+        box.max[i] = Math.max(box.max[i], point[i]);
+    }
+}
+
+/**
+ * Reads the bounding box of a binary glTF (GLB) model from the POSITION accessors' min/max,
+ * transformed through the node hierarchy of its default scene. Vertex buffers are not decoded.
+ * @param {ArrayBuffer} buffer - The GLB file.
+ * @returns {{min: Array<number>, max: Array<number>}} - The box in model units, Y up.
+ * @throws {Error} - If the file is not a GLB 2.0 model or has no mesh.
+ */
+function parseGlbBoundingBox(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 20 || view.getUint32(0, true) !== 0x46546C67 || view.getUint32(4, true) !== 2) {
+        throw new Error("Fichier GLB 2.0 invalide.");
+    }
+    const jsonLength = view.getUint32(12, true);
+    if (view.getUint32(16, true) !== 0x4E4F534A) {
+        throw new Error("Bloc JSON manquant dans le fichier GLB.");
+    }
+    const gltf = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)));
+
+    const nodes = gltf.nodes || [];
+    const scene = (gltf.scenes || [])[gltf.scene || 0];
+    const childIndexes = new Set(nodes.flatMap(node => node.children || []));
+    const roots = scene ? scene.nodes : nodes.map((node, index) => index).filter(index => !childIndexes.has(index));
+
+    const box = createBoundingBox();
+    const visit = (index, parentMatrix) => {
+        const node = nodes[index];
+        const matrix = multiplyMatrices4(parentMatrix, getGltfNodeMatrix(node));
+        const mesh = node.mesh !== undefined ? gltf.meshes[node.mesh] : null;
+        (mesh ? mesh.primitives : []).forEach(primitive => {
+            const accessor = gltf.accessors[primitive.attributes.POSITION];
+            if (!accessor || !accessor.min || !accessor.max) return;
+            // The 8 corners of the accessor box, moved into the scene
+            for (let corner = 0; corner < 8; corner++) {
+                const [x, y, z] = [0, 1, 2].map(axis => (corner >> axis) & 1 ? accessor.max[axis] : accessor.min[axis]);
+                extendBoundingBox(box, [0, 1, 2].map(axis =>
+                    matrix[axis] * x + matrix[4 + axis] * y + matrix[8 + axis] * z + matrix[12 + axis]));
+            }
+        });
+        (node.children || []).forEach(child => visit(child, matrix));
+    };
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    roots.forEach(index => visit(index, identity));
+
+    if (box.min[0] === Infinity) {
+        throw new Error("Aucun maillage trouvé dans le fichier GLB.");
+    }
+    return box;
+}
+
+/**
+ * Reads the bounding box of a Wavefront OBJ model from its vertex lines.
+ * @param {string} text - The OBJ file content.
+ * @returns {{min: Array<number>, max: Array<number>}} - The box in model units, Y up.
+ * @throws {Error} - If the file has no vertex.
+ */
+function parseObjBoundingBox(text) {
+    const box = createBoundingBox();
+    const vertexPattern = /^v\s+(\S+)\s+(\S+)\s+(\S+)/gm;
+    let match;
+    while ((match = vertexPattern.exec(text)) !== null) {
+        const point = [parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3])];
+        if (point.every(value => !isNaN(value))) {
+            extendBoundingBox(box, point);
+        }
+    }
+    if (box.min[0] === Infinity) {
+        throw new Error("Aucun sommet trouvé dans le fichier OBJ.");
+    }
+    return box;
+}
+
+/**
+ * Reads the bounding box of an STL model, binary or ASCII.
+ * @param {ArrayBuffer} buffer - The STL file.
+ * @returns {{min: Array<number>, max: Array<number>}} - The box in model units, in the file's axes.
+ * @throws {Error} - If the file has no triangle.
+ */
+function parseStlBoundingBox(buffer) {
+    const view = new DataView(buffer);
+    const box = createBoundingBox();
+    const triangleCount = buffer.byteLength >= 84 ? view.getUint32(80, true) : 0;
+
+    // A binary file is exactly its header, its count and 50 bytes per triangle; an ASCII one may also start with "solid"
+    if (triangleCount > 0 && buffer.byteLength === 84 + triangleCount * 50) {
+        for (let i = 0; i < triangleCount; i++) {
+            for (let vertex = 0; vertex < 3; vertex++) {
+                const offset = 84 + i * 50 + 12 + vertex * 12;
+                extendBoundingBox(box, [0, 1, 2].map(axis => view.getFloat32(offset + axis * 4, true)));
+            }
+        }
+    } else {
+        const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+        const text = new TextDecoder().decode(new Uint8Array(buffer));
+        let match;
+        while ((match = vertexPattern.exec(text)) !== null) {
+            const point = [parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3])];
+            if (point.every(value => !isNaN(value))) {
+                extendBoundingBox(box, point);
+            }
+        }
+    }
+    if (box.min[0] === Infinity) {
+        throw new Error("Aucun triangle trouvé dans le fichier STL.");
+    }
+    return box;
+}
+
+/**
+ * Converts a model bounding box into real fixture dimensions, from the model's unit or its calibration.
+ * @param {{min: Array<number>, max: Array<number>}} box - The box in model units, Y up.
+ * @param {Object} model - The FIXTURE_MODELS entry.
+ * @returns {{widthCm: number, depthCm: number, heightCm: number}} - Width (X, or Z when turned), depth and height (Y) in cm.
+ */
+function getFixtureDimensions(box, model) {
+    const size = [0, 1, 2].map(axis => box.max[axis] - box.min[axis]);
+    const [width, depth] = model.turned ? [size[2], size[0]] : [size[0], size[2]];
+    const units = { widthCm: width, depthCm: depth, heightCm: size[1] };
+    const cmPerUnit = model.calibration
+        ? model.calibration.cm / units[model.calibration.dimension]
+        : (MODEL_UNITS_CM[model.unit] || 1);
+    return { widthCm: width * cmPerUnit, depthCm: depth * cmPerUnit, heightCm: size[1] * cmPerUnit };
+}
+
+/**
+ * A triangle mesh: vertex positions and triangles given as three vertex indexes.
+ * @typedef {Object} Mesh
+ * @property {Array<Array<number>>} positions - The vertices [x, y, z].
+ * @property {Array<Array<number>>} triangles - The triangles [a, b, c].
+ */
+
+/**
+ * Reads the triangles of a binary glTF (GLB) model, moved through the node hierarchy of its default scene.
+ * @param {ArrayBuffer} buffer - The GLB file.
+ * @returns {Mesh} - The mesh in model units, Y up.
+ * @throws {Error} - If the file is not a GLB 2.0 model with its binary chunk.
+ */
+function parseGlbMesh(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 20 || view.getUint32(0, true) !== 0x46546C67 || view.getUint32(4, true) !== 2) {
+        throw new Error("Fichier GLB 2.0 invalide.");
+    }
+    const jsonLength = view.getUint32(12, true);
+    const gltf = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)));
+    const binaryStart = 28 + jsonLength;
+    if (buffer.byteLength < binaryStart || view.getUint32(24 + jsonLength, true) !== 0x004E4942) {
+        throw new Error("Bloc binaire manquant dans le fichier GLB.");
+    }
+
+    const componentReaders = {
+        5121: [1, (offset) => view.getUint8(offset)],
+        5123: [2, (offset) => view.getUint16(offset, true)],
+        5125: [4, (offset) => view.getUint32(offset, true)],
+        5126: [4, (offset) => view.getFloat32(offset, true)]
+    };
+    const readAccessor = (index, size) => {
+        const accessor = gltf.accessors[index];
+        const bufferView = gltf.bufferViews[accessor.bufferView];
+        const [componentSize, read] = componentReaders[accessor.componentType];
+        const stride = bufferView.byteStride || componentSize * size;
+        const start = binaryStart + (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+        const values = [];
+        for (let i = 0; i < accessor.count; i++) {
+            const element = [];
+            for (let k = 0; k < size; k++) element.push(read(start + i * stride + k * componentSize));
+            values.push(element);
+        }
+        return values;
+    };
+
+    const nodes = gltf.nodes || [];
+    const scene = (gltf.scenes || [])[gltf.scene || 0];
+    const childIndexes = new Set(nodes.flatMap(node => node.children || []));
+    const roots = scene ? scene.nodes : nodes.map((node, index) => index).filter(index => !childIndexes.has(index));
+
+    const mesh = { positions: [], triangles: [] };
+    const visit = (index, parentMatrix) => {
+        const node = nodes[index];
+        const matrix = multiplyMatrices4(parentMatrix, getGltfNodeMatrix(node));
+        const primitives = node.mesh !== undefined ? gltf.meshes[node.mesh].primitives : [];
+        primitives.forEach(primitive => {
+            // Only triangle lists hold surfaces; points and lines are left out
+            if ((primitive.mode === undefined ? 4 : primitive.mode) !== 4 || primitive.attributes.POSITION === undefined) return;
+            const first = mesh.positions.length;
+            readAccessor(primitive.attributes.POSITION, 3).forEach(([x, y, z]) => {
+                mesh.positions.push([0, 1, 2].map(axis =>
+                    matrix[axis] * x + matrix[4 + axis] * y + matrix[8 + axis] * z + matrix[12 + axis]));
+            });
+            const indexes = primitive.indices !== undefined
+                ? readAccessor(primitive.indices, 1).map(([value]) => value)
+                : mesh.positions.slice(first).map((position, i) => i);
+            for (let i = 0; i + 2 < indexes.length; i += 3) {
+                mesh.triangles.push([first + indexes[i], first + indexes[i + 1], first + indexes[i + 2]]);
+            }
+        });
+        (node.children || []).forEach(child => visit(child, matrix));
+    };
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    roots.forEach(index => visit(index, identity));
+    return mesh;
+}
+
+/**
+ * Reads the triangles of a Wavefront OBJ model; polygons are cut into fans.
+ * @param {string} text - The OBJ file content.
+ * @returns {Mesh} - The mesh in model units, Y up.
+ */
+function parseObjMesh(text) {
+    const mesh = { positions: [], triangles: [] };
+    text.split('\n').forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        if (parts[0] === 'v') {
+            mesh.positions.push([parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])]);
+        } else if (parts[0] === 'f') {
+            // "v", "v/vt", "v//vn" or "v/vt/vn"; negative indexes count back from the last vertex
+            const indexes = parts.slice(1).map(part => {
+                const index = parseInt(part, 10);
+                return index < 0 ? mesh.positions.length + index : index - 1;
+            });
+            for (let i = 1; i + 1 < indexes.length; i++) {
+                mesh.triangles.push([indexes[0], indexes[i], indexes[i + 1]]);
+            }
+        }
+    });
+    return mesh;
+}
+
+/**
+ * Reads the triangles of an STL model, binary or ASCII.
+ * @param {ArrayBuffer} buffer - The STL file.
+ * @returns {Mesh} - The mesh in model units, in the file's axes.
+ */
+function parseStlMesh(buffer) {
+    const view = new DataView(buffer);
+    const mesh = { positions: [], triangles: [] };
+    const triangleCount = buffer.byteLength >= 84 ? view.getUint32(80, true) : 0;
+    if (triangleCount > 0 && buffer.byteLength === 84 + triangleCount * 50) {
+        for (let i = 0; i < triangleCount; i++) {
+            for (let vertex = 0; vertex < 3; vertex++) {
+                const offset = 84 + i * 50 + 12 + vertex * 12;
+                mesh.positions.push([0, 1, 2].map(axis => view.getFloat32(offset + axis * 4, true)));
+            }
+            mesh.triangles.push([3 * i, 3 * i + 1, 3 * i + 2]);
+        }
+    } else {
+        const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+        const text = new TextDecoder().decode(new Uint8Array(buffer));
+        let match;
+        while ((match = vertexPattern.exec(text)) !== null) {
+            mesh.positions.push([parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3])]);
+            if (mesh.positions.length % 3 === 0) {
+                const last = mesh.positions.length - 1;
+                mesh.triangles.push([last - 2, last - 1, last]);
+            }
+        }
+    }
+    return mesh;
+}
+
+/**
+ * Simplifies a mesh by vertex clustering: vertices in the same cell of a regular grid are merged into their average,
+ * and triangles collapsed by the merge are dropped. Good enough for small objects seen as a whole.
+ * @param {Mesh} mesh - The mesh.
+ * @param {number} cells - Number of cells along the longest side of the mesh.
+ * @returns {Mesh} - The simplified mesh.
+ */
+function simplifyMesh(mesh, cells) {
+    const box = createBoundingBox();
+    mesh.positions.forEach(position => extendBoundingBox(box, position));
+    const cellSize = Math.max(...[0, 1, 2].map(axis => box.max[axis] - box.min[axis])) / cells || 1;
+
+    const clusters = new Map(); // Cell key → { index, sum, count }
+    const vertexClusters = mesh.positions.map(position => {
+        const key = position.map((value, axis) => Math.floor((value - box.min[axis]) / cellSize)).join(',');
+        if (!clusters.has(key)) clusters.set(key, { index: clusters.size, sum: [0, 0, 0], count: 0 });
+        const cluster = clusters.get(key);
+        position.forEach((value, axis) => { cluster.sum[axis] += value; });
+        cluster.count++;
+        return cluster.index;
+    });
+
+    const positions = [];
+    clusters.forEach(cluster => {
+        positions[cluster.index] = cluster.sum.map(value => value / cluster.count);
+    });
+    const seen = new Set();
+    const triangles = [];
+    mesh.triangles.forEach(triangle => {
+        const merged = triangle.map(index => vertexClusters[index]);
+        if (merged.some(index => index === undefined) || new Set(merged).size < 3) return;
+        const key = merged.slice().sort((a, b) => a - b).join(',');
+        if (seen.has(key)) return;
+        seen.add(key);
+        triangles.push(merged);
+    });
+    return { positions, triangles };
+}
+
+/**
+ * Moves a model mesh into fixture space: cm, X along the width, Y up from the floor and Z from the back to the front,
+ * all starting at 0, as the top-view symbol lays the fixture out.
+ * @param {Mesh} mesh - The mesh in model units.
+ * @param {Object} model - The FIXTURE_MODELS entry.
+ * @returns {Mesh} - The mesh in cm.
+ */
+function getFixtureMesh(mesh, model) {
+    const box = createBoundingBox();
+    mesh.positions.forEach(position => extendBoundingBox(box, position));
+    const { widthCm } = getFixtureDimensions(box, model);
+    const cmPerUnit = widthCm / ((model.turned ? box.max[2] - box.min[2] : box.max[0] - box.min[0]) || 1);
+
+    // A turned model is rotated a quarter turn about Y, which keeps it from being mirrored
+    const positions = mesh.positions.map(([x, y, z]) => (model.turned
+        ? [box.max[2] - z, y - box.min[1], x - box.min[0]]
+        : [x - box.min[0], y - box.min[1], z - box.min[2]]).map(value => value * cmPerUnit));
+    return { positions, triangles: mesh.triangles };
+}
+
+/**
+ * 3D Preview
+ */
+
+/**
+ * Returns the affine transform mapping three texture points onto three screen points,
+ * as the (a, b, c, d, e, f) arguments of CanvasRenderingContext2D.transform.
+ * @param {Array<Array<number>>} from - The texture points [[u, v] x 3].
+ * @param {Array<Array<number>>} to - The screen points [[x, y] x 3].
+ * @returns {Array<number>|null} - The transform, or null for a degenerate triangle.
+ */
+function getTriangleAffineTransform(from, to) {
+    const [[u0, v0], [u1, v1], [u2, v2]] = from;
+    const [[x0, y0], [x1, y1], [x2, y2]] = to;
+    const denominator = (u1 - u0) * (v2 - v0) - (u2 - u0) * (v1 - v0);
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    const a = ((x1 - x0) * (v2 - v0) - (x2 - x0) * (v1 - v0)) / denominator;
+    const b = ((y1 - y0) * (v2 - v0) - (y2 - y0) * (v1 - v0)) / denominator;
+    const c = ((x2 - x0) * (u1 - u0) - (x1 - x0) * (u2 - u0)) / denominator;
+    const d = ((y2 - y0) * (u1 - u0) - (y1 - y0) * (u2 - u0)) / denominator;
+    return [a, b, c, d, x0 - a * u0 - c * v0, y0 - b * u0 - d * v0];
+}
+
+/**
+ * Returns the dot product of two 3D vectors.
+ * @param {Array<number>} a - The first vector.
+ * @param {Array<number>} b - The second vector.
+ * @returns {number} - The dot product.
+ */
+function dotVectors3(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+/**
+ * Returns the cross product of two 3D vectors.
+ * @param {Array<number>} a - The first vector.
+ * @param {Array<number>} b - The second vector.
+ * @returns {Array<number>} - The cross product a × b.
+ */
+function crossVectors3(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+/**
+ * Returns a 3D vector scaled to length 1.
+ * @param {Array<number>} v - The vector.
+ * @returns {Array<number>} - The unit vector (or the vector itself if it is null).
+ */
+function normalizeVector3(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return length ? v.map(value => value / length) : v;
+}
+
+/**
+ * DXF Exchange
+ */
+
+/**
+ * Size of a DXF drawing unit in mm, by $INSUNITS code (0 = unitless, read as mm).
+ */
+const DXF_UNITS_MM = { 0: 1, 1: 25.4, 2: 304.8, 4: 1, 5: 10, 6: 1000 };
+
+/**
+ * Escapes text for a DXF TEXT entity: characters outside ASCII are written as \U+XXXX.
+ * @param {string} text - The text.
+ * @returns {string} - The escaped text.
+ */
+function escapeDxfText(text) {
+    return String(text).replace(/[\r\n]+/g, ' ').replace(/[^\x20-\x7e]/g,
+        c => `\\U+${c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+}
+
+/**
+ * Reads the special sequences of DXF text (\U+XXXX, %%d, %%c, %%p).
+ * @param {string} text - The DXF text.
+ * @returns {string} - The readable text.
+ */
+function unescapeDxfText(text) {
+    return String(text)
+        .replace(/\\U\+([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/%%[dD]/g, '°')
+        .replace(/%%[cC]/g, 'Ø')
+        .replace(/%%[pP]/g, '±');
+}
+
+/**
+ * Writes an R12 DXF file in mm. Polylines are written as POLYLINE/VERTEX so every CAD tool can read them.
+ * @param {Array<{name: string, color: number}>} layers - The layers, with their ACI colour.
+ * @param {Array<Object>} entities - {type: 'LINE', layer, x1, y1, x2, y2}, {type: 'POLYLINE', layer, points, closed},
+ *   {type: 'CIRCLE', layer, x, y, r} or {type: 'TEXT', layer, x, y, height, text, rotation}; coordinates in mm, y up.
+ * @returns {string} - The DXF content.
+ */
+function writeDxf(layers, entities) {
+    const out = [];
+    const pair = (code, value) => out.push(String(code), typeof value === 'number' ? String(Number(value.toFixed(4))) : String(value));
+
+    pair(0, 'SECTION'); pair(2, 'HEADER');
+    pair(9, '$ACADVER'); pair(1, 'AC1009');
+    pair(9, '$INSUNITS'); pair(70, 4);
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION'); pair(2, 'TABLES');
+    pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, 1);
+    pair(0, 'LTYPE'); pair(2, 'CONTINUOUS'); pair(70, 0); pair(3, 'Solid line'); pair(72, 65); pair(73, 0); pair(40, 0);
+    pair(0, 'ENDTAB');
+    pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, layers.length);
+    layers.forEach(layer => {
+        pair(0, 'LAYER'); pair(2, layer.name); pair(70, 0); pair(62, layer.color); pair(6, 'CONTINUOUS');
+    });
+    pair(0, 'ENDTAB');
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION'); pair(2, 'ENTITIES');
+    entities.forEach(entity => {
+        switch (entity.type) {
+            case 'LINE':
+                pair(0, 'LINE'); pair(8, entity.layer);
+                pair(10, entity.x1); pair(20, entity.y1); pair(30, 0);
+                pair(11, entity.x2); pair(21, entity.y2); pair(31, 0);
+                break;
+            case 'POLYLINE':
+                pair(0, 'POLYLINE'); pair(8, entity.layer); pair(66, 1); pair(70, entity.closed ? 1 : 0);
+                pair(10, 0); pair(20, 0); pair(30, 0);
+                entity.points.forEach(p => {
+                    pair(0, 'VERTEX'); pair(8, entity.layer); pair(10, p.x); pair(20, p.y); pair(30, 0);
+                });
+                pair(0, 'SEQEND'); pair(8, entity.layer);
+                break;
+            case 'CIRCLE':
+                pair(0, 'CIRCLE'); pair(8, entity.layer);
+                pair(10, entity.x); pair(20, entity.y); pair(30, 0); pair(40, entity.r);
+                break;
+            case 'TEXT':
+                pair(0, 'TEXT'); pair(8, entity.layer);
+                pair(10, entity.x); pair(20, entity.y); pair(30, 0);
+                pair(40, entity.height); pair(1, escapeDxfText(entity.text));
+                if (entity.rotation) pair(50, entity.rotation);
+                break;
+        }
+    });
+    pair(0, 'ENDSEC');
+    pair(0, 'EOF');
+    return out.join('\r\n') + '\r\n';
+}
+
+/**
+ * Returns a point of a Bézier curve (de Casteljau), used to write path curves as polylines.
+ * @param {Array<{x: number, y: number}>} controls - The start, control and end points.
+ * @param {number} t - The position on the curve, from 0 to 1.
+ * @returns {{x: number, y: number}} - The point.
+ */
+function getBezierPoint(controls, t) {
+    let points = controls;
+    while (points.length > 1) {
+        points = points.slice(1).map((point, i) => ({
+            x: points[i].x + (point.x - points[i].x) * t,
+            y: points[i].y + (point.y - points[i].y) * t
+        }));
+    }
+    return points[0];
+}
+
+/**
+ * Reads the LINE, LWPOLYLINE, POLYLINE, CIRCLE, ARC and TEXT entities of a DXF file, in mm (y up).
+ * @param {string} text - The DXF content.
+ * @returns {{entities: Array<Object>, skipped: Object<string, number>}} - The entities, in the format of writeDxf
+ *   plus {type: 'ARC', layer, x, y, r, startAngle, endAngle} (degrees, counter-clockwise); and the count of ignored entity types.
+ * @throws {Error} - If the file has no ENTITIES section.
+ */
+function parseDxf(text) {
+    const lines = text.split(/\r\n|\r|\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        pairs.push({ code: parseInt(lines[i].trim(), 10), value: lines[i + 1].trim() });
+    }
+
+    // Drawing units from the header
+    let unitMm = 1;
+    const unitsIndex = pairs.findIndex(p => p.code === 9 && p.value === '$INSUNITS');
+    if (unitsIndex >= 0 && pairs[unitsIndex + 1]) {
+        unitMm = DXF_UNITS_MM[parseInt(pairs[unitsIndex + 1].value, 10)] || 1;
+    }
+
+    const start = pairs.findIndex((p, i) => p.code === 2 && p.value === 'ENTITIES' && pairs[i - 1] && pairs[i - 1].value === 'SECTION');
+    if (start < 0) {
+        throw new Error("Section ENTITIES introuvable.");
+    }
+
+    // Split the section into entities: each starts with a 0 group code
+    const records = [];
+    for (let i = start + 1; i < pairs.length; i++) {
+        const { code, value } = pairs[i];
+        if (code === 0) {
+            if (value === 'ENDSEC') break;
+            records.push({ type: value, codes: [] });
+        } else if (records.length > 0) {
+            records[records.length - 1].codes.push({ code, value });
+        }
+    }
+
+    const entities = [];
+    const skipped = {};
+    const number = (codes, code, fallback = 0) => {
+        const found = codes.find(c => c.code === code);
+        return found ? parseFloat(found.value) * unitMm : fallback;
+    };
+    const raw = (codes, code, fallback = 0) => {
+        const found = codes.find(c => c.code === code);
+        return found ? parseFloat(found.value) : fallback;
+    };
+    const layerOf = (codes) => (codes.find(c => c.code === 8) || { value: '0' }).value;
+
+    let polyline = null;
+    records.forEach(({ type, codes }) => {
+        const layer = layerOf(codes);
+        switch (type) {
+            case 'LINE':
+                entities.push({ type: 'LINE', layer, x1: number(codes, 10), y1: number(codes, 20), x2: number(codes, 11), y2: number(codes, 21) });
+                break;
+            case 'LWPOLYLINE': {
+                const points = [];
+                codes.forEach(c => {
+                    if (c.code === 10) points.push({ x: parseFloat(c.value) * unitMm, y: 0 });
+                    if (c.code === 20 && points.length > 0) points[points.length - 1].y = parseFloat(c.value) * unitMm;
+                });
+                entities.push({ type: 'POLYLINE', layer, points, closed: (raw(codes, 70) & 1) === 1 });
+                break;
+            }
+            case 'POLYLINE':
+                polyline = { type: 'POLYLINE', layer, points: [], closed: (raw(codes, 70) & 1) === 1 };
+                break;
+            case 'VERTEX':
+                if (polyline) polyline.points.push({ x: number(codes, 10), y: number(codes, 20) });
+                break;
+            case 'SEQEND':
+                if (polyline) entities.push(polyline);
+                polyline = null;
+                break;
+            case 'CIRCLE':
+                entities.push({ type: 'CIRCLE', layer, x: number(codes, 10), y: number(codes, 20), r: number(codes, 40) });
+                break;
+            case 'ARC':
+                entities.push({
+                    type: 'ARC', layer, x: number(codes, 10), y: number(codes, 20), r: number(codes, 40),
+                    startAngle: raw(codes, 50), endAngle: raw(codes, 51)
+                });
+                break;
+            case 'TEXT':
+                entities.push({
+                    type: 'TEXT', layer, x: number(codes, 10), y: number(codes, 20), height: number(codes, 40, 2.5 * unitMm),
+                    text: unescapeDxfText((codes.find(c => c.code === 1) || { value: '' }).value), rotation: raw(codes, 50)
+                });
+                break;
+            default:
+                skipped[type] = (skipped[type] || 0) + 1;
+        }
+    });
+
+    return { entities: entities.filter(e => e.type !== 'POLYLINE' || e.points.length > 1), skipped };
+}
+
+/**
+ * Project Sheets
+ */
+
+/**
+ * Paper sizes available for sheets, in mm (portrait).
+ */
+const PAPER_SIZES = {
+    A4: { widthMm: 210, heightMm: 297 },
+    A3: { widthMm: 297, heightMm: 420 },
+    A2: { widthMm: 420, heightMm: 594 }
+};
+
+/**
+ * Returns the size of a sheet's paper in mm, turned for its orientation.
+ * @param {string} paperSize - One of the PAPER_SIZES keys.
+ * @param {string} orientation - 'portrait' or 'landscape'.
+ * @returns {{widthMm: number, heightMm: number}} - The paper size.
+ */
+function getPaperSizeMm(paperSize, orientation) {
+    const { widthMm, heightMm } = PAPER_SIZES[paperSize] || PAPER_SIZES.A4;
+    return orientation === 'landscape' ? { widthMm: heightMm, heightMm: widthMm } : { widthMm, heightMm };
+}
+
+/**
+ * Project File
+ */
+
+/**
+ * Format marker and current version of the project file (saved by ImportExportModule.saveAsJSON).
+ * Version history: 0 = a single Fabric canvas; 1 = sheets without metadata, labels linked by nested copies;
+ * 2 = metadata and labels linked by id.
+ */
+const PROJECT_FILE_FORMAT = 'canevas-project';
+const PROJECT_SCHEMA_VERSION = 2;
+
+/**
+ * A project file: `{ "format": "canevas-project", "schemaVersion": 2, "metadata": {...}, "activeSheetIndex": 0, "sheets": [...] }`.
+ * @typedef {Object} ProjectFile
+ * @property {string} format - Always PROJECT_FILE_FORMAT.
+ * @property {number} schemaVersion - PROJECT_SCHEMA_VERSION.
+ * @property {{id: string, name: string, client: string, address: string, date: string, savedAt: string}} metadata
+ *           - Project id (kept across saves), name, client, site address, project date (YYYY-MM-DD) and save time (ISO).
+ * @property {number} activeSheetIndex - The sheet shown when the file is opened.
+ * @property {Array<{name: string, paperSize: string, orientation: string, canvas: Object|null}>} sheets
+ *           - The sheets; canvas is Fabric JSON with SERIALIZED_PROPERTIES. A shape links its labels through
+ *           measurementTextId, lengthMeasurementTextId or roomLabelIds, which hold the labels' id.
+ */
+
+/**
+ * Links shapes to their labels by id in a canvas saved before version 2, where each shape held a copy of its label.
+ * The label is found by id, or else by text and position; labels without id get one.
+ * @param {Object} canvasJSON - The Fabric canvas JSON (modified in place).
+ * @param {string} sheetName - The sheet name, for the report.
+ * @param {Array<string>} problems - Receives the links that could not be restored.
+ */
+function migrateCanvasLabelLinks(canvasJSON, sheetName, problems) {
+    const objects = canvasJSON.objects.filter(obj => obj && typeof obj === 'object');
+    const texts = objects.filter(obj => obj.type === 'text' || obj.type === 'i-text' || obj.type === 'textbox');
+    const links = [['measurementText', 'measurementTextId'], ['lengthMeasurementText', 'lengthMeasurementTextId']];
+
+    objects.forEach((obj, index) => {
+        links.forEach(([key, idKey]) => {
+            const copy = obj[key];
+            delete obj[key];
+            if (!copy || typeof copy !== 'object' || obj[idKey] || obj.roomPolygon) return;
+
+            const label = (copy.id && texts.find(text => text.id === copy.id))
+                || texts.find(text => text.text === copy.text && Math.abs(text.left - copy.left) < 0.5 && Math.abs(text.top - copy.top) < 0.5);
+            if (label) {
+                if (!label.id) label.id = createObjectId();
+                obj[idKey] = label.id;
+            } else {
+                problems.push(`Feuille « ${sheetName} » : cote « ${copy.text || ''} » de l'objet ${index + 1} (${obj.type}) introuvable, elle ne suivra plus la forme.`);
+            }
+        });
+    });
+}
+
+/**
+ * Brings a project file of any version to the current version.
+ * @param {Object} data - The parsed file content.
+ * @param {string} fileName - The file name, used to name single-canvas projects.
+ * @param {Array<string>} problems - Receives what the migration could not keep.
+ * @returns {{file: ProjectFile, migratedFrom: number}} - The file in the current version and its original version.
+ * @throws {Error} - If the content is not a project, or comes from a newer version.
+ */
+function migrateProjectFile(data, fileName, problems) {
+    if (!data || typeof data !== 'object') {
+        throw new Error("fichier vide ou illisible");
+    }
+    const baseName = fileName.replace(/\.json$/i, '');
+    let version;
+    let file = data;
+
+    if (data.format === PROJECT_FILE_FORMAT) {
+        version = data.schemaVersion;
+        if (typeof version !== 'number') throw new Error("version du projet manquante");
+        if (version > PROJECT_SCHEMA_VERSION) throw new Error(`version de projet ${version} non prise en charge`);
+    } else if (Array.isArray(data.sheets)) {
+        version = 1;
+    } else if (Array.isArray(data.objects)) {
+        version = 0;
+        file = { name: baseName, activeSheetIndex: 0, sheets: [{ name: baseName, paperSize: 'A4', orientation: 'portrait', canvas: data }] };
+    } else {
+        throw new Error("ce fichier ne contient ni projet ni canevas");
+    }
+
+    if (version < 2) {
+        file = {
+            format: PROJECT_FILE_FORMAT,
+            schemaVersion: 2,
+            metadata: { id: createObjectId(), name: file.name || baseName, client: '', address: '', date: '', savedAt: '' },
+            activeSheetIndex: file.activeSheetIndex,
+            sheets: file.sheets
+        };
+        file.sheets.forEach((sheet, index) => {
+            if (sheet && sheet.canvas && Array.isArray(sheet.canvas.objects)) {
+                migrateCanvasLabelLinks(sheet.canvas, sheet.name || `Feuille ${index + 1}`, problems);
+            }
+        });
+    }
+
+    return { file, migratedFrom: version };
+}
+
+/**
+ * Validates a project file and returns what can be restored. Unreadable sheets are emptied, objects of unknown
+ * type are dropped and links to missing labels are removed; each is reported.
+ * @param {ProjectFile} file - The project file in the current version.
+ * @param {function(string): boolean} isKnownType - Tells whether an object type can be restored.
+ * @param {Array<string>} problems - Receives what could not be restored.
+ * @returns {{id: string, name: string, client: string, address: string, date: string, activeSheetIndex: number,
+ *           sheets: Array<{name: string, paperSize: string, orientation: string, canvasJSON: Object|null}>}} - The project.
+ * @throws {Error} - If the file has no sheet.
+ */
+function validateProjectFile(file, isKnownType, problems) {
+    if (!Array.isArray(file.sheets) || file.sheets.length === 0) {
+        throw new Error("le projet ne contient aucune feuille");
+    }
+    const metadata = file.metadata && typeof file.metadata === 'object' ? file.metadata : {};
+    const text = (value) => (typeof value === 'string' ? value : '');
+
+    const sheets = file.sheets.map((sheet, index) => {
+        const source = sheet && typeof sheet === 'object' ? sheet : {};
+        const name = text(source.name).trim() || `Feuille ${index + 1}`;
+        const where = `Feuille « ${name} »`;
+
+        let paperSize = source.paperSize || 'A4';
+        if (!PAPER_SIZES[paperSize]) {
+            problems.push(`${where} : format « ${paperSize} » inconnu, remplacé par A4.`);
+            paperSize = 'A4';
+        }
+        const orientation = source.orientation === 'landscape' ? 'landscape' : 'portrait';
+
+        let canvasJSON = source.canvas || null;
+        if (canvasJSON && (typeof canvasJSON !== 'object' || !Array.isArray(canvasJSON.objects))) {
+            problems.push(`${where} : contenu illisible, la feuille est vide.`);
+            canvasJSON = null;
+        }
+        if (canvasJSON) {
+            canvasJSON.objects = canvasJSON.objects.filter((obj, objIndex) => {
+                const known = obj && typeof obj === 'object' && typeof obj.type === 'string' && isKnownType(obj.type);
+                if (!known) {
+                    problems.push(`${where} : objet ${objIndex + 1} de type « ${obj && obj.type} » inconnu, ignoré.`);
+                }
+                return known;
+            });
+            validateCanvasLabelLinks(canvasJSON, where, problems);
+        }
+
+        return { name, paperSize, orientation, canvasJSON };
+    });
+
+    const activeSheetIndex = Number.isInteger(file.activeSheetIndex) ? file.activeSheetIndex : 0;
+    return {
+        id: text(metadata.id) || createObjectId(),
+        name: text(metadata.name) || 'Projet',
+        client: text(metadata.client),
+        address: text(metadata.address),
+        date: text(metadata.date),
+        activeSheetIndex: Math.min(Math.max(0, activeSheetIndex), sheets.length - 1),
+        sheets
+    };
+}
+
+/**
+ * Removes the links of shapes to labels that are not in the canvas, and reports them.
+ * @param {Object} canvasJSON - The Fabric canvas JSON (modified in place).
+ * @param {string} where - The sheet, for the report.
+ * @param {Array<string>} problems - Receives the broken links.
+ */
+function validateCanvasLabelLinks(canvasJSON, where, problems) {
+    const ids = new Set(canvasJSON.objects.map(obj => obj.id).filter(Boolean));
+    canvasJSON.objects.forEach((obj, index) => {
+        const describe = `${where} : objet ${index + 1} (${obj.type})`;
+        ['measurementTextId', 'lengthMeasurementTextId'].forEach(key => {
+            if (obj[key] && !ids.has(obj[key])) {
+                problems.push(`${describe} : cote ${obj[key]} introuvable, lien supprimé.`);
+                delete obj[key];
+            }
+        });
+        if (obj.roomLabelIds) {
+            const missing = [obj.roomLabelIds.area, ...(obj.roomLabelIds.walls || [])].filter(id => !ids.has(id));
+            if (missing.length > 0) {
+                problems.push(`${describe} : ${missing.length} cote(s) de pièce introuvable(s).`);
+            }
+        }
+    });
+}
+
+/**
+ * Reads a project file of any version: migrates it, then validates it.
+ * @param {Object} data - The parsed file content.
+ * @param {string} fileName - The file name.
+ * @param {function(string): boolean} isKnownType - Tells whether an object type can be restored.
+ * @returns {{project: Object, migratedFrom: number, problems: Array<string>}} - The project (see validateProjectFile),
+ *          the version it was saved with and what could not be restored.
+ * @throws {Error} - If the file cannot be read as a project.
+ */
+function loadProjectFile(data, fileName, isKnownType) {
+    const problems = [];
+    const { file, migratedFrom } = migrateProjectFile(data, fileName, problems);
+    const project = validateProjectFile(file, isKnownType, problems);
+    return { project, migratedFrom, problems };
+}
+
+/**
+ * Splits a drawing into print pages. Neighbouring pages share an overlap band so they can be taped together.
+ * @param {number} contentWidthMm - The drawing width on paper, in mm.
+ * @param {number} contentHeightMm - The drawing height on paper, in mm.
+ * @param {number} printableWidthMm - The printable width of a page, in mm.
+ * @param {number} printableHeightMm - The printable height of a page, in mm.
+ * @param {number} overlapMm - The width of the band repeated on neighbouring pages, in mm.
+ * @returns {Array<Object>} - The pages, row by row: {row, col, rows, cols, xMm, yMm, widthMm, heightMm} in drawing mm.
+ */
+function getPrintPages(contentWidthMm, contentHeightMm, printableWidthMm, printableHeightMm, overlapMm) {
+    const split = (contentMm, printableMm) => {
+        const step = printableMm - overlapMm;
+        const count = contentMm <= printableMm ? 1 : Math.ceil((contentMm - overlapMm) / step);
+        return Array.from({ length: count }, (_, i) => ({ start: i * step, size: Math.min(printableMm, contentMm - i * step) }));
+    };
+
+    const columns = split(contentWidthMm, printableWidthMm);
+    const rows = split(contentHeightMm, printableHeightMm);
+    const pages = [];
+    rows.forEach((row, rowIndex) => {
+        columns.forEach((column, colIndex) => {
+            pages.push({
+                row: rowIndex, col: colIndex, rows: rows.length, cols: columns.length,
+                xMm: column.start, yMm: row.start, widthMm: column.size, heightMm: row.size
+            });
+        });
+    });
+    return pages;
+}
+
+/**
+ * Returns the canvas area holding the drawing, in canvas pixels; the whole canvas when it is empty.
+ * The zoom and pan of the canvas are ignored.
+ * @param {fabric.StaticCanvas} canvas - The canvas.
+ * @param {number} [padding=10] - Space kept around the drawing, in pixels.
+ * @returns {{left: number, top: number, width: number, height: number}} - The area to print.
+ */
+function getCanvasContentBounds(canvas, padding = 10) {
+    const canvasWidth = canvas.getWidth();
+    const canvasHeight = canvas.getHeight();
+    const objects = canvas.getObjects().filter(obj => obj.visible);
+    if (objects.length === 0) {
+        return { left: 0, top: 0, width: canvasWidth, height: canvasHeight };
+    }
+
+    const rects = objects.map(obj => obj.getBoundingRect(true, true));
+    const left = Math.max(0, Math.min(...rects.map(r => r.left)) - padding);
+    const top = Math.max(0, Math.min(...rects.map(r => r.top)) - padding);
+    const right = Math.min(canvasWidth, Math.max(...rects.map(r => r.left + r.width)) + padding);
+    const bottom = Math.min(canvasHeight, Math.max(...rects.map(r => r.top + r.height)) + padding);
+    return { left, top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+}
+
+/**
+ * SVG Export
+ */
+
+/**
+ * Attribute holding the canevas metadata of an object in exported SVG (type, links to its labels, tile fill...).
+ */
+const SVG_METADATA_ATTRIBUTE = 'data-canevas-object';
+
+/**
+ * Returns the scale factor of an SVG transform attribute (matrix, scale or translate).
+ * @param {string|null} transform - The transform attribute.
+ * @returns {number} - The horizontal scale factor.
+ */
+function getSvgTransformScale(transform) {
+    if (!transform) return 1;
+    let scale = 1;
+    const pattern = /(matrix|scale)\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(transform)) !== null) {
+        const values = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+        scale *= match[1] === 'matrix' ? Math.hypot(values[0], values[1]) : values[0];
+    }
+    return scale;
+}
+
+/**
+ * Fabric writes patterns to SVG at their source size and ignores patternTransform,
+ * which would draw tile fills at the wrong size. Rewrites them in the filled object's space.
+ * @param {SVGSVGElement} svg - The canvas SVG.
+ * @param {Array<fabric.Object>} objects - The canvas objects.
+ */
+function applySvgPatternTransforms(svg, objects) {
+    objects.forEach(obj => {
+        if (obj.type === 'group') {
+            applySvgPatternTransforms(svg, obj.getObjects());
+        }
+        const fill = obj.fill;
+        if (!(fill instanceof fabric.Pattern)) return;
+
+        const pattern = svg.querySelector(`pattern[id="SVGID_${fill.id}"]`);
+        const source = typeof fill.source === 'function' ? fill.source() : fill.source;
+        if (!pattern || !source) return;
+
+        const [a, b, c, d, e, f] = fill.patternTransform || [1, 0, 0, 1, 0, 0];
+        const offsetX = -obj.width / 2 + (fill.offsetX || 0);
+        const offsetY = -obj.height / 2 + (fill.offsetY || 0);
+        pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+        pattern.setAttribute('x', 0);
+        pattern.setAttribute('y', 0);
+        pattern.setAttribute('width', source.width);
+        pattern.setAttribute('height', source.height);
+        pattern.setAttribute('patternTransform', `matrix(${a} ${b} ${c} ${d} ${e + offsetX} ${f + offsetY})`);
+    });
+}
+
+/**
+ * SVG has no inverted clip paths: Fabric would write an eraser as a clip path that keeps only the erased parts.
+ * Rewrites each eraser as a mask that hides the erased strokes.
+ * @param {SVGSVGElement} svg - The canvas SVG.
+ * @param {Array<fabric.Object>} objects - The canvas objects.
+ */
+function applySvgEraserMasks(svg, objects) {
+    objects.forEach(obj => {
+        const eraser = obj.clipPath;
+        if (!eraser || !eraser.inverted || !eraser.clipPathId) return;
+        const clipPath = svg.querySelector(`clipPath[id="${eraser.clipPathId}"]`);
+        if (!clipPath) return;
+
+        const markup = `<svg xmlns="http://www.w3.org/2000/svg"><rect x="-100000" y="-100000" width="200000" height="200000" fill="white" />${eraser.toSVG()}</svg>`;
+        const content = new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+        const mask = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'mask');
+        mask.setAttribute('id', eraser.clipPathId);
+        Array.from(content.childNodes).forEach(node => mask.appendChild(svg.ownerDocument.importNode(node, true)));
+        clipPath.parentNode.replaceChild(mask, clipPath);
+
+        svg.querySelectorAll(`[clip-path="url(#${eraser.clipPathId})"]`).forEach(element => {
+            element.removeAttribute('clip-path');
+            element.setAttribute('mask', `url(#${eraser.clipPathId})`);
+        });
+    });
+}
+
+/**
+ * Returns the ids of the labels linked to a shape.
+ * @param {fabric.Object} obj - The shape.
+ * @returns {Array<string>} - The label ids.
+ */
+function getLinkedLabelIds(obj) {
+    const ids = [obj.measurementTextId, obj.lengthMeasurementTextId];
+    if (obj.roomLabelIds) {
+        ids.push(obj.roomLabelIds.area, ...(obj.roomLabelIds.walls || []));
+    }
+    return ids.filter(Boolean);
+}
+
+/**
+ * Rewrites the label links of an object's properties with new ids.
+ * @param {Object} props - The object properties (measurementTextId, lengthMeasurementTextId, roomLabelIds).
+ * @param {Map<string, string>} idMap - Old id to new id.
+ */
+function remapLinkedLabelIds(props, idMap) {
+    const remap = (id) => (id && idMap.has(id) ? idMap.get(id) : id);
+    if (props.measurementTextId) props.measurementTextId = remap(props.measurementTextId);
+    if (props.lengthMeasurementTextId) props.lengthMeasurementTextId = remap(props.lengthMeasurementTextId);
+    if (props.roomLabelIds) {
+        props.roomLabelIds = {
+            area: remap(props.roomLabelIds.area),
+            walls: (props.roomLabelIds.walls || []).map(remap)
+        };
+    }
+}
+
+/**
+ * Snapping
+ */
+
+/**
+ * Grid steps in real cm; the grid uses the finest one that stays readable at the current zoom.
+ */
+const GRID_STEPS_CM = [1, 5, 10, 50, 100, 500, 1000];
+
+/**
+ * Returns the finest grid step whose lines are at least a given distance apart on screen.
+ * @param {number} screenPixelsPerCm - Screen pixels per real cm (scale times zoom).
+ * @param {number} minSpacing - The smallest distance between two lines, in screen pixels.
+ * @returns {number} - The grid step in real cm.
+ */
+function getGridStepCm(screenPixelsPerCm, minSpacing) {
+    const step = GRID_STEPS_CM.find(cm => cm * screenPixelsPerCm >= minSpacing);
+    return step || GRID_STEPS_CM[GRID_STEPS_CM.length - 1];
+}
+
+/**
+ * Returns the edges and the centre of a box along one axis.
+ * @param {{left: number, top: number, width: number, height: number}} box - The box.
+ * @param {string} axis - 'x' or 'y'.
+ * @returns {Array<number>} - The start edge, the centre and the end edge.
+ */
+function getBoxSnapLines(box, axis) {
+    const start = axis === 'x' ? box.left : box.top;
+    const size = axis === 'x' ? box.width : box.height;
+    return [start, start + size / 2, start + size];
+}
+
+/**
+ * Finds the closest alignment between some coordinates and the edges or centres of boxes.
+ * @param {Array<number>} values - The coordinates to align (the moving edges and centre, or a point).
+ * @param {Array<Object>} boxes - The boxes to align on.
+ * @param {string} axis - 'x' or 'y'.
+ * @param {number} tolerance - The largest distance that still snaps.
+ * @returns {?{delta: number, value: number, box: Object}} - The shift to apply, the line aligned on and its box.
+ */
+function findSnapMatch(values, boxes, axis, tolerance) {
+    let best = null;
+    boxes.forEach(box => {
+        getBoxSnapLines(box, axis).forEach(line => {
+            values.forEach(value => {
+                const delta = line - value;
+                if (Math.abs(delta) <= tolerance && (!best || Math.abs(delta) < Math.abs(best.delta))) {
+                    best = { delta, value: line, box };
+                }
+            });
+        });
+    });
+    return best;
+}
+
+/**
+ * Layers
+ */
+
+/**
+ * Layers of a new sheet. Objects not put on a layer by hand go on the layer of their kind (getDefaultLayerId).
+ */
+const DEFAULT_LAYERS = [
+    { id: 'plan', name: 'Plan' },
+    { id: 'carrelage', name: 'Carrelage' },
+    { id: 'cotes', name: 'Cotes' },
+    { id: 'annotations', name: 'Annotations' }
+];
+
+/**
+ * Returns the layers of a canvas, or the default ones when it has none yet.
+ * @param {fabric.StaticCanvas} canvas - The canvas.
+ * @returns {Array<{id: string, name: string, visible: boolean, locked: boolean, printed: boolean}>} - The layers.
+ */
+function getCanvasLayers(canvas) {
+    if (Array.isArray(canvas.layers) && canvas.layers.length > 0) return canvas.layers;
+    return DEFAULT_LAYERS.map(layer => ({ ...layer, visible: true, locked: false, printed: true }));
+}
+
+/**
+ * Returns the layer an object goes on by its kind: photos, rooms and fixtures on the plan,
+ * tiled shapes on the tiling, labels and dimension lines on the dimensions, texts and other marks on the annotations.
+ * @param {fabric.Object|Object} obj - The object or its serialized properties.
+ * @returns {string} - The layer id.
+ */
+function getDefaultLayerId(obj) {
+    if (obj.tileFill) return 'carrelage';
+    if (obj.type === 'text' || obj.annotation === 'dimension' || obj.annotation === 'angle') return 'cotes';
+    if (obj.annotation || obj.type === 'i-text' || obj.type === 'textbox' || obj.type === 'path') return 'annotations';
+    return 'plan';
+}
+
+/**
+ * Returns the layer of an object: the one it was put on, if it still exists, otherwise the one of its kind.
+ * @param {fabric.Object} obj - The object.
+ * @param {Array<Object>} layers - The layers of its canvas.
+ * @returns {string} - The layer id.
+ */
+function getObjectLayerId(obj, layers) {
+    if (obj.layer && layers.some(layer => layer.id === obj.layer)) return obj.layer;
+    return getDefaultLayerId(obj);
+}
+
+/**
+ * Returns the shape each measurement label belongs to.
+ * @param {Array<fabric.Object>} objects - The objects of a canvas.
+ * @returns {Map<string, fabric.Object>} - Label id to shape.
+ */
+function getLabelOwners(objects) {
+    const owners = new Map();
+    objects.forEach(obj => getLinkedLabelIds(obj).forEach(id => owners.set(id, obj)));
+    return owners;
+}
+
+/**
+ * Returns the objects left out of print: those of the layers not printed, and the labels of their shapes.
+ * @param {fabric.StaticCanvas} canvas - The canvas.
+ * @returns {Array<fabric.Object>} - The objects.
+ */
+function getUnprintedObjects(canvas) {
+    const layers = getCanvasLayers(canvas);
+    const unprinted = new Set(layers.filter(layer => layer.printed === false).map(layer => layer.id));
+    if (unprinted.size === 0) return [];
+
+    const objects = canvas.getObjects();
+    const owners = getLabelOwners(objects);
+    const isUnprinted = (obj) => unprinted.has(getObjectLayerId(obj, layers))
+        || (owners.has(obj.id) && isUnprinted(owners.get(obj.id)));
+    return objects.filter(isUnprinted);
+}
+
+/**
+ * Hides the objects left out of print until the returned function is called.
+ * @param {fabric.StaticCanvas} canvas - The canvas.
+ * @returns {Function} - Shows the objects again.
+ */
+function hideUnprintedObjects(canvas) {
+    const hidden = getUnprintedObjects(canvas).filter(obj => obj.visible);
+    hidden.forEach(obj => { obj.visible = false; });
+    return () => hidden.forEach(obj => { obj.visible = true; });
+}
+
+/**
+ * Selection and Clipboard
+ */
+
+/**
+ * Marks the objects copied to the clipboard, so that a paste in another tab recognizes them.
+ */
+const CLIPBOARD_FORMAT = 'canevas-objects';
+
+/**
+ * Returns the selected objects: the members of a multi-selection, or the selected object (a group stays whole).
+ * @param {fabric.Canvas} canvas - The canvas.
+ * @returns {Array<fabric.Object>} - The objects, in drawing order.
+ */
+function getSelectedObjects(canvas) {
+    const active = canvas.getActiveObject();
+    if (!active) return [];
+    return active.type === 'activeSelection' ? active.getObjects().slice() : [active];
+}
+
+/**
+ * Returns the labels on the canvas linked to some objects, or to the objects inside them.
+ * @param {fabric.Canvas} canvas - The canvas.
+ * @param {Array<fabric.Object>} objects - The objects.
+ * @returns {Array<fabric.Object>} - The labels that are not among the objects.
+ */
+function getLinkedLabels(canvas, objects) {
+    const ids = new Set();
+    const collect = (obj) => {
+        getLinkedLabelIds(obj).forEach(id => ids.add(id));
+        if (obj.type === 'group') obj.getObjects().forEach(collect);
+    };
+    objects.forEach(collect);
+    return canvas.getObjects().filter(obj => ids.has(obj.id) && !objects.includes(obj));
+}
+
+/**
+ * Returns whether a key press is meant for a text being typed (a form field or a text edited on the canvas),
+ * in which case canvas shortcuts must leave it alone.
+ * @param {KeyboardEvent|ClipboardEvent} event - The event.
+ * @param {fabric.Canvas} canvas - The canvas.
+ * @returns {boolean} - True while typing.
+ */
+function isTypingText(event, canvas) {
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return true;
+    const active = canvas.getActiveObject();
+    return Boolean(active && active.isEditing);
+}
+
+/**
+ * Removes the selected objects from the canvas with their labels.
+ * @param {fabric.Canvas} canvas - The canvas.
+ * @returns {number} - The number of objects removed, labels left out.
+ */
+function removeSelectedObjects(canvas) {
+    const objects = getSelectedObjects(canvas);
+    if (objects.length === 0) return 0;
+    const labels = getLinkedLabels(canvas, objects);
+    canvas.discardActiveObject();
+    canvas.remove(...objects, ...labels);
+    canvas.requestRenderAll();
+    return objects.length;
+}
+
+/**
+ * Copies serialized objects with new ids, their label links following the new ids, moved and rescaled.
+ * @param {Array<Object>} objects - The serialized objects and their labels, in canvas coordinates.
+ * @param {number} dx - The horizontal shift in canvas pixels.
+ * @param {number} dy - The vertical shift in canvas pixels.
+ * @param {number} [scale=1] - The ratio of the target drawing scale to the source one, which keeps the real size.
+ * @returns {Array<Object>} - The copies.
+ */
+function copyObjectsJSON(objects, dx, dy, scale = 1) {
+    const copies = JSON.parse(JSON.stringify(objects));
+    const idMap = new Map();
+    const renew = (json) => {
+        if (json.id) idMap.set(json.id, createObjectId());
+        json.id = idMap.get(json.id) || createObjectId();
+        (json.objects || []).forEach(renew);
+    };
+    const relink = (json) => {
+        remapLinkedLabelIds(json, idMap);
+        (json.objects || []).forEach(relink);
+    };
+    copies.forEach(renew);
+    copies.forEach(json => {
+        relink(json);
+        json.left = json.left * scale + dx;
+        json.top = json.top * scale + dy;
+        if (scale !== 1) {
+            json.scaleX = (json.scaleX || 1) * scale;
+            json.scaleY = (json.scaleY || 1) * scale;
+        }
+    });
+    return copies;
+}
+
+/**
+ * Keyboard Shortcuts
+ */
+
+/**
+ * Key of the remapped shortcuts in the browser's local storage.
+ */
+const SHORTCUTS_STORAGE_KEY = 'canevas-shortcuts';
+
+/**
+ * Shortcuts left to the browser, whose copy, cut and paste events can reach the system clipboard.
+ */
+const BROWSER_CLIPBOARD_SHORTCUTS = { 'Ctrl+c': 'copy', 'Ctrl+x': 'cut', 'Ctrl+v': 'paste' };
+
+/**
+ * Names shown in the cheat sheet for the keys that are not printed characters.
+ */
+const SHORTCUT_KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Delete: 'Suppr',
+    Backspace: 'Retour arrière',
+    Escape: 'Échap',
+    Enter: 'Entrée',
+    ' ': 'Espace'
+};
+
+/**
+ * Returns the shortcut typed by a key press, such as 'Ctrl+Shift+z', 'Shift+ArrowLeft' or '?'.
+ * Cmd counts as Ctrl. Shift is left out for symbols, which need it on some keyboards and not on others.
+ * @param {KeyboardEvent} event - The key press.
+ * @returns {?string} - The shortcut, or null for a modifier key pressed alone.
+ */
+function getShortcutCombo(event) {
+    const key = event.key;
+    if (!key || ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'Dead'].includes(key)) return null;
+
+    const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+    const modifiers = [];
+    if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey && !isSymbol) modifiers.push('Shift');
+    return [...modifiers, key.length === 1 ? key.toLowerCase() : key].join('+');
+}
+
+/**
+ * Returns a shortcut as shown to the user, e.g. 'Ctrl + Maj + Z'.
+ * @param {string} combo - The shortcut returned by getShortcutCombo.
+ * @returns {string} - The readable shortcut.
+ */
+function formatShortcut(combo) {
+    const names = { Ctrl: 'Ctrl', Alt: 'Alt', Shift: 'Maj' };
+    const parts = [];
+    let key = combo;
+    let match;
+    // The key itself may be '+', so modifiers are taken off the front one by one
+    while ((match = key.match(/^(Ctrl|Alt|Shift)\+(.+)$/))) {
+        parts.push(names[match[1]]);
+        key = match[2];
+    }
+    parts.push(SHORTCUT_KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key));
+    return parts.join(' + ');
+}
+
+/**
+ * Annotations
+ */
+
+/**
+ * Annotation tools: the name used in labels and history, and how many clicks draw one (0: until finished).
+ */
+const ANNOTATION_TYPES = {
+    line: { label: 'ligne', points: 2 },
+    arrow: { label: 'flèche', points: 2 },
+    dimension: { label: 'cote', points: 2 },
+    angle: { label: 'angle', points: 3 },
+    polyline: { label: 'polyligne', points: 0 }
+};
+
+/**
+ * Returns the path of an arrow: the shaft, then a closed head at the end point.
+ * @param {{x: number, y: number}} start - The tail.
+ * @param {{x: number, y: number}} end - The tip.
+ * @param {number} headLength - The head length in pixels.
+ * @returns {string} - The SVG path data.
+ */
+function getArrowPathData(start, end, headLength) {
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const spread = Math.PI / 7;
+    const left = { x: end.x - headLength * Math.cos(angle - spread), y: end.y - headLength * Math.sin(angle - spread) };
+    const right = { x: end.x - headLength * Math.cos(angle + spread), y: end.y - headLength * Math.sin(angle + spread) };
+    return `M ${start.x} ${start.y} L ${end.x} ${end.y} M ${left.x} ${left.y} L ${end.x} ${end.y} L ${right.x} ${right.y} Z`;
+}
+
+/**
+ * Returns the path of a dimension line: the line, then a 45° tick across each end.
+ * @param {{x: number, y: number}} start - The first end.
+ * @param {{x: number, y: number}} end - The second end.
+ * @param {number} tickLength - The tick length in pixels.
+ * @returns {string} - The SVG path data.
+ */
+function getDimensionPathData(start, end, tickLength) {
+    const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+    const dx = (end.x - start.x) / length;
+    const dy = (end.y - start.y) / length;
+    // Half a tick along the line plus its normal, i.e. at 45°
+    const tx = ((dx - dy) / Math.SQRT2) * tickLength / 2;
+    const ty = ((dy + dx) / Math.SQRT2) * tickLength / 2;
+    const tick = (p) => `M ${p.x - tx} ${p.y - ty} L ${p.x + tx} ${p.y + ty}`;
+    return `M ${start.x} ${start.y} L ${end.x} ${end.y} ${tick(start)} ${tick(end)}`;
+}
+
+/**
+ * Returns the angle between two sides meeting at a vertex.
+ * @param {{x: number, y: number}} a - A point on the first side.
+ * @param {{x: number, y: number}} vertex - The vertex.
+ * @param {{x: number, y: number}} b - A point on the second side.
+ * @returns {number} - The angle in degrees, between 0 and 180.
+ */
+function getAngleDegrees(a, vertex, b) {
+    let delta = Math.atan2(b.y - vertex.y, b.x - vertex.x) - Math.atan2(a.y - vertex.y, a.x - vertex.x);
+    while (delta > Math.PI) delta -= 2 * Math.PI;
+    while (delta < -Math.PI) delta += 2 * Math.PI;
+    return Math.abs(delta) * 180 / Math.PI;
+}
+
+/**
+ * Returns the radius of the arc of an angle mark, short enough to stay within both sides.
+ * @param {{x: number, y: number}} a - A point on the first side.
+ * @param {{x: number, y: number}} vertex - The vertex.
+ * @param {{x: number, y: number}} b - A point on the second side.
+ * @returns {number} - The radius in pixels.
+ */
+function getAngleMarkRadius(a, vertex, b) {
+    const shortest = Math.min(Math.hypot(a.x - vertex.x, a.y - vertex.y), Math.hypot(b.x - vertex.x, b.y - vertex.y));
+    return Math.min(30, shortest * 0.4);
+}
+
+/**
+ * Returns the path of an angle mark: both sides, then the arc of the smaller angle between them.
+ * @param {{x: number, y: number}} a - A point on the first side.
+ * @param {{x: number, y: number}} vertex - The vertex.
+ * @param {{x: number, y: number}} b - A point on the second side.
+ * @returns {string} - The SVG path data.
+ */
+function getAngleMarkPathData(a, vertex, b) {
+    const radius = getAngleMarkRadius(a, vertex, b);
+    const angleA = Math.atan2(a.y - vertex.y, a.x - vertex.x);
+    let delta = Math.atan2(b.y - vertex.y, b.x - vertex.x) - angleA;
+    while (delta > Math.PI) delta -= 2 * Math.PI;
+    while (delta < -Math.PI) delta += 2 * Math.PI;
+    const from = { x: vertex.x + radius * Math.cos(angleA), y: vertex.y + radius * Math.sin(angleA) };
+    const to = { x: vertex.x + radius * Math.cos(angleA + delta), y: vertex.y + radius * Math.sin(angleA + delta) };
+    return `M ${a.x} ${a.y} L ${vertex.x} ${vertex.y} L ${b.x} ${b.y} ` +
+        `M ${from.x} ${from.y} A ${radius} ${radius} 0 0 ${delta > 0 ? 1 : 0} ${to.x} ${to.y}`;
+}
+
+/**
+ * Returns the points an annotation path was drawn from (ends of a dimension line, sides and vertex
+ * of an angle mark), in canvas coordinates after its move, scale and rotation.
+ * @param {fabric.Path} obj - The annotation.
+ * @returns {Array<fabric.Point>} - The points.
+ */
+function getAnnotationPoints(obj) {
+    const count = ANNOTATION_TYPES[obj.annotation] ? ANNOTATION_TYPES[obj.annotation].points : 0;
+    const matrix = obj.calcTransformMatrix();
+    return obj.path.slice(0, count).map(command => fabric.util.transformPoint(
+        new fabric.Point(command[command.length - 2] - obj.pathOffset.x, command[command.length - 1] - obj.pathOffset.y),
+        matrix
+    ));
+}
+
+/**
+ * History Patches
+ */
+
+/**
+ * Names of the object types in history labels.
+ */
+const HISTORY_TYPE_NAMES = {
+    rect: 'rectangle',
+    circle: 'cercle',
+    ellipse: 'ellipse',
+    triangle: 'triangle',
+    polygon: 'polygone',
+    polyline: 'polyligne',
+    line: 'ligne',
+    path: 'trait',
+    text: 'texte',
+    'i-text': 'texte',
+    textbox: 'texte',
+    image: 'image',
+    group: 'groupe'
+};
+
+/**
+ * Verbs naming a change in history labels, by the properties it touched; the first match wins,
+ * so a rotation (angle, left, top) is not named a move.
+ */
+const HISTORY_CHANGE_VERBS = [
+    { verb: 'Gommer', keys: ['clipPath'] },
+    { verb: 'Modifier texte', keys: ['text'] },
+    { verb: 'Changer police', keys: ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'underline', 'textAlign'] },
+    { verb: 'Renommer', keys: ['name'] },
+    { verb: 'Changer de calque', keys: ['layer'] },
+    { verb: 'Masquer', keys: ['hidden'] },
+    { verb: 'Verrouiller', keys: ['locked'] },
+    { verb: 'Carreler', keys: ['tileFill'] },
+    { verb: 'Changer couleur', keys: ['fill', 'stroke', 'backgroundColor'] },
+    { verb: 'Changer trait', keys: ['strokeWidth', 'strokeDashArray'] },
+    { verb: 'Changer opacité', keys: ['opacity'] },
+    { verb: 'Pivoter', keys: ['angle'] },
+    { verb: 'Redimensionner', keys: ['width', 'height', 'scaleX', 'scaleY', 'radius', 'rx', 'ry', 'points'] },
+    { verb: 'Retourner', keys: ['flipX', 'flipY'] },
+    { verb: 'Déplacer', keys: ['left', 'top'] }
+];
+
+/**
+ * Returns the name of a serialized object in history labels and in the layers panel: the name given
+ * in the layers panel, or else its kind.
+ * @param {Object} json - The serialized object (or the object itself).
+ * @returns {string} - e.g. "rectangle", "pièce", "Cuisine".
+ */
+function getHistoryObjectName(json) {
+    if (json.name) return json.name;
+    if (json.roomPolygon) return 'pièce';
+    if (json.wallOpening) return 'ouverture';
+    if (json.wallElevation) return 'mur';
+    if (json.fixtureSymbol) return 'équipement';
+    if (json.dxfBackground) return 'fond DXF';
+    if (ANNOTATION_TYPES[json.annotation]) return ANNOTATION_TYPES[json.annotation].label;
+    return HISTORY_TYPE_NAMES[json.type] || 'objet';
+}
+
+/**
+ * Compares two canvas snapshots and keeps only what changed.
+ * @param {{order: Array<string>, objects: Map<string, string>, canvas: string}} previous - The previous snapshot.
+ * @param {{order: Array<string>, objects: Map<string, string>, canvas: string}} next - The new snapshot.
+ * @returns {Object|null} - The patch {added, removed, changed, order, canvas}, or null when nothing changed.
+ *   changed holds {id, name, before, after} with the differing properties only; a missing property is null.
+ */
+function createCanvasPatch(previous, next) {
+    const previousIds = new Set(previous.order);
+    const nextIds = new Set(next.order);
+
+    const added = next.order
+        .filter(id => !previousIds.has(id))
+        .map(id => ({ id, json: JSON.parse(next.objects.get(id)) }));
+    const removed = previous.order
+        .filter(id => !nextIds.has(id))
+        .map(id => ({ id, json: JSON.parse(previous.objects.get(id)) }));
+
+    const changed = [];
+    next.order.forEach(id => {
+        if (!previousIds.has(id) || previous.objects.get(id) === next.objects.get(id)) return;
+        const beforeJSON = JSON.parse(previous.objects.get(id));
+        const afterJSON = JSON.parse(next.objects.get(id));
+        const before = {};
+        const after = {};
+        new Set([...Object.keys(beforeJSON), ...Object.keys(afterJSON)]).forEach(key => {
+            if (JSON.stringify(beforeJSON[key]) === JSON.stringify(afterJSON[key])) return;
+            before[key] = key in beforeJSON ? beforeJSON[key] : null;
+            after[key] = key in afterJSON ? afterJSON[key] : null;
+        });
+        if (Object.keys(after).length > 0) {
+            changed.push({ id, name: getHistoryObjectName(afterJSON), before, after });
+        }
+    });
+
+    const order = previous.order.join('\n') === next.order.join('\n')
+        ? null
+        : { before: previous.order, after: next.order };
+    const canvas = previous.canvas === next.canvas
+        ? null
+        : { before: JSON.parse(previous.canvas), after: JSON.parse(next.canvas) };
+
+    if (!added.length && !removed.length && !changed.length && !order && !canvas) return null;
+    return { added, removed, changed, order, canvas };
+}
+
+/**
+ * Names a patch for the history panel. Measurement labels that only followed their shape are left out.
+ * @param {Object} patch - The patch from createCanvasPatch.
+ * @param {Set<string>} labelIds - The ids of the measurement labels linked to shapes.
+ * @returns {string} - e.g. "Déplacer rectangle", "Supprimer 3 objets".
+ */
+function describeCanvasPatch(patch, labelIds = new Set()) {
+    const primary = (entries) => {
+        const shapes = entries.filter(entry => !labelIds.has(entry.id));
+        return shapes.length > 0 ? shapes : entries;
+    };
+    const nameOf = (names) => (names.length === 1 ? names[0] : `${names.length} objets`);
+
+    const added = primary(patch.added);
+    const removed = primary(patch.removed);
+    if (added.length > 0 && removed.length > 0) return 'Modifier le dessin';
+    if (added.length > 0) return `Ajouter ${nameOf(added.map(entry => getHistoryObjectName(entry.json)))}`;
+    if (removed.length > 0) return `Supprimer ${nameOf(removed.map(entry => getHistoryObjectName(entry.json)))}`;
+
+    if (patch.changed.length > 0) {
+        const changed = primary(patch.changed);
+        const keys = new Set(changed.flatMap(entry => Object.keys(entry.after)));
+        const match = HISTORY_CHANGE_VERBS.find(({ keys: verbKeys }) => verbKeys.some(key => keys.has(key)));
+        return `${match ? match.verb : 'Modifier'} ${nameOf(changed.map(entry => entry.name))}`;
+    }
+    if (patch.order) return "Changer l'ordre";
+    if (patch.canvas && 'drawingScale' in patch.canvas.after
+        && JSON.stringify(patch.canvas.before.drawingScale) !== JSON.stringify(patch.canvas.after.drawingScale)) {
+        return "Changer l'échelle";
+    }
+    if (patch.canvas && JSON.stringify(patch.canvas.before.layers) !== JSON.stringify(patch.canvas.after.layers)) {
+        return 'Changer les calques';
+    }
+    return 'Changer le fond';
+}
+
+/**
+ * HistoryModule Class
+ * Manages the undo and redo functionality for the canvas. Each step keeps only what changed
+ * (a patch between two snapshots), named for the history panel.
+ */
+class HistoryModule {
+    /**
+     * Creates an instance of HistoryModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {number} limit - The maximum number of history steps to keep.
+     */
+    constructor(canvas, limit = 200) {
+        this.canvas = canvas;
+        this.entries = []; // {label, patch}; the first entry is the starting state and has no patch
+        this.currentIndex = -1;
+        this.limit = limit;
+        this.snapshot = null; // The canvas as last recorded, compared with the next state
+        this.serializedObjects = new WeakMap(); // Image or group → { key, parts, json } from the last snapshot
+        this.busy = false; // True while steps are undone or redone
+
+        // Reference to undo and redo buttons
+        this.undoBtn = document.getElementById('annuler-btn');
+        this.redoBtn = document.getElementById('rétablir-btn');
+
+        // History panel elements
+        this.panelBtn = document.getElementById('history-panel-btn');
+        this.panel = document.getElementById('history-panel');
+        this.list = document.getElementById('history-list');
+
+        this.updateButtons();
+    }
+
+    /**
+     * Initializes the history module by setting up the history panel.
+     */
+    init() {
+        if (!this.panelBtn || !this.panel || !this.list) {
+            console.warn("History panel elements with IDs 'history-panel-btn', 'history-panel' and 'history-list' not found.");
+            return;
+        }
+        this.panelBtn.addEventListener('click', () => {
+            this.panel.hidden = !this.panel.hidden;
+            this.renderPanel();
+        });
+    }
+
+    /**
+     * Serializes an object for the history. Tile fills are left out: they are rebuilt from tileFill.
+     * @param {fabric.Object} obj - The object.
+     * @returns {Object} - The serialized object.
+     */
+    serializeObject(obj) {
+        const json = obj.toObject(SERIALIZED_PROPERTIES);
+        if (obj.tileFill && obj.fill instanceof fabric.Pattern) {
+            delete json.fill;
+        }
+        return json;
+    }
+
+    /**
+     * Returns the serialized object as a string. A photo's data URL or the members of a group (a whole DXF plan)
+     * make up most of a snapshot, so images and groups reuse their previous string until their own properties,
+     * their picture or their members change.
+     * @param {fabric.Object} obj - The object.
+     * @returns {string} - The JSON of the object.
+     */
+    stringifyObject(obj) {
+        if (obj.type !== 'image' && obj.type !== 'group') return JSON.stringify(this.serializeObject(obj));
+
+        const key = JSON.stringify(fabric.Object.prototype.toObject.call(obj, SERIALIZED_PROPERTIES));
+        const parts = obj.type === 'image' ? [obj.getElement()] : obj.getObjects().slice();
+        const cached = this.serializedObjects.get(obj);
+        if (cached && cached.key === key && cached.parts.length === parts.length
+            && cached.parts.every((part, index) => part === parts[index])) {
+            return cached.json;
+        }
+
+        const json = JSON.stringify(this.serializeObject(obj));
+        this.serializedObjects.set(obj, { key, parts, json });
+        return json;
+    }
+
+    /**
+     * Serializes every object of the canvas by id; objects without a unique id are given one.
+     * @returns {{order: Array<string>, objects: Map<string, string>, canvas: string, labelIds: Set<string>}} - The snapshot.
+     */
+    takeSnapshot() {
+        const order = [];
+        const objects = new Map();
+        const labelIds = new Set();
+        this.canvas.getObjects().forEach(obj => {
+            if (obj.excludeFromExport) return;
+            if (!obj.id || objects.has(obj.id)) {
+                obj.id = createObjectId();
+            }
+            order.push(obj.id);
+            objects.set(obj.id, this.stringifyObject(obj));
+            getLinkedLabelIds(obj).forEach(id => labelIds.add(id));
+        });
+        const canvas = JSON.stringify({
+            background: this.canvas.backgroundColor || null,
+            drawingScale: this.canvas.drawingScale || null,
+            layers: this.canvas.layers || null
+        });
+        return { order, objects, canvas, labelIds };
+    }
+
+    /**
+     * Records what changed on the canvas since the last recorded state.
+     * @param {string} [label] - The name of the step; by default it is deduced from the change.
+     */
+    enregistrerEtat(label) {
+        // Changes made while a step is undone or redone belong to that step
+        if (this.busy) return;
+
+        const snapshot = this.takeSnapshot();
+        if (this.currentIndex < 0) {
+            this.entries = [{ label: label || 'Début', patch: null }];
+            this.currentIndex = 0;
+        } else {
+            const patch = createCanvasPatch(this.snapshot, snapshot);
+            if (!patch) {
+                this.snapshot = snapshot;
+                return;
+            }
+
+            // Truncate history if we're not at the end
+            this.entries = this.entries.slice(0, this.currentIndex + 1);
+            const labelIds = new Set([...this.snapshot.labelIds, ...snapshot.labelIds]);
+            this.entries.push({ label: label || describeCanvasPatch(patch, labelIds), patch });
+
+            // Enforce history limit: the oldest step becomes part of the starting state
+            if (this.entries.length > this.limit) {
+                this.entries.splice(1, 1);
+            }
+            this.currentIndex = this.entries.length - 1;
+        }
+        this.snapshot = snapshot;
+
+        this.updateButtons();
+        this.canvas.fire('history:changed');
+    }
+
+    /**
+     * Clears the history and records the current canvas as its first state (e.g. after switching sheets).
+     */
+    reset() {
+        this.entries = [];
+        this.currentIndex = -1;
+        this.enregistrerEtat();
+    }
+
+    /**
+     * Undoes the last action.
+     */
+    annuler() {
+        this.goTo(this.currentIndex - 1);
+    }
+
+    /**
+     * Redoes the previously undone action.
+     */
+    retablir() {
+        this.goTo(this.currentIndex + 1);
+    }
+
+    /**
+     * Undoes or redoes steps one after the other until the given step is reached.
+     * @param {number} index - The index of the history entry.
+     * @returns {Promise<void>}
+     */
+    goTo(index) {
+        if (this.busy || index < 0 || index >= this.entries.length || index === this.currentIndex) {
+            return Promise.resolve();
+        }
+        this.busy = true;
+        this.canvas.discardActiveObject();
+
+        const direction = index > this.currentIndex ? 1 : -1;
+        let steps = Promise.resolve();
+        for (let i = this.currentIndex; i !== index; i += direction) {
+            steps = steps.then(() => {
+                const entry = direction > 0 ? this.entries[i + 1] : this.entries[i];
+                return this.applyPatch(entry.patch, direction > 0 ? 'after' : 'before');
+            }).then(() => {
+                this.currentIndex = i + direction;
+            });
+        }
+
+        return steps
+            .catch(error => console.error('Error:', error))
+            .then(() => {
+                this.canvas.renderAll();
+                // Let modules rebuild what JSON cannot carry (label links, tile patterns, listeners)
+                this.canvas.fire('canvas:restored');
+                this.snapshot = this.takeSnapshot();
+                this.busy = false;
+                this.updateButtons();
+                this.canvas.fire('history:changed');
+            });
+    }
+
+    /**
+     * Applies one side of a patch to the canvas: 'before' undoes it, 'after' redoes it.
+     * @param {Object} patch - The patch from createCanvasPatch.
+     * @param {string} side - 'before' or 'after'.
+     * @returns {Promise<void>} - Resolved once the objects to create are loaded.
+     */
+    applyPatch(patch, side) {
+        const objectsById = new Map(this.canvas.getObjects().map(obj => [obj.id, obj]));
+        const order = patch.order ? patch.order[side] : this.canvas.getObjects().map(obj => obj.id);
+        const created = (side === 'before' ? patch.removed : patch.added).map(entry => entry.json);
+
+        (side === 'before' ? patch.added : patch.removed).forEach(({ id }) => this.removeObject(objectsById.get(id)));
+
+        patch.changed.forEach(change => {
+            const obj = objectsById.get(change.id);
+            if (!obj) return;
+            const props = change[side];
+            if (Object.values(props).every(value => value === null || typeof value !== 'object')) {
+                obj.set(props);
+                obj.setCoords();
+            } else {
+                // Points, paths and other nested values are rebuilt with the object
+                created.push({ ...this.serializeObject(obj), ...props });
+                this.removeObject(obj);
+            }
+        });
+
+        if (patch.canvas) {
+            const { background, drawingScale, layers } = patch.canvas[side];
+            this.canvas.backgroundColor = background || '';
+            this.canvas.drawingScale = drawingScale || undefined;
+            this.canvas.layers = layers || undefined;
+        }
+
+        return new Promise(resolve => {
+            fabric.util.enlivenObjects(created, (objects) => {
+                objects.filter(Boolean).forEach(obj => this.canvas.add(obj));
+                this.arrangeObjects(order);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Removes an object without removing its measurement labels: the patch says what happens to them.
+     * @param {fabric.Object} obj - The object.
+     */
+    removeObject(obj) {
+        if (!obj) return;
+        obj.off('removed');
+        this.canvas.remove(obj);
+    }
+
+    /**
+     * Stacks the objects in the given order of ids; unknown objects go on top.
+     * @param {Array<string>} order - The object ids, bottom first.
+     */
+    arrangeObjects(order) {
+        const position = new Map(order.map((id, index) => [id, index]));
+        const rank = (obj) => (position.has(obj.id) ? position.get(obj.id) : order.length);
+        this.canvas._objects.sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * Returns the history so it can be saved with the project.
+     * @returns {{entries: Array<{label: string, patch: Object}>, currentIndex: number}} - The history.
+     */
+    toJSON() {
+        return { entries: this.entries, currentIndex: this.currentIndex };
+    }
+
+    /**
+     * Restores a saved history; the canvas must show the state of its current step.
+     * @param {{entries: Array<{label: string, patch: Object}>, currentIndex: number}} data - The saved history.
+     */
+    restore(data) {
+        if (!data || !Array.isArray(data.entries) || !Number.isInteger(data.currentIndex)
+            || data.currentIndex < 0 || data.currentIndex >= data.entries.length) {
+            return;
+        }
+        this.entries = data.entries;
+        this.currentIndex = data.currentIndex;
+        this.snapshot = this.takeSnapshot();
+        this.updateButtons();
+    }
+
+    /**
+     * Updates the state of the undo and redo buttons.
+     */
+    updateButtons() {
+        if (this.undoBtn) {
+            this.undoBtn.disabled = this.currentIndex <= 0;
+        }
+        if (this.redoBtn) {
+            this.redoBtn.disabled = this.currentIndex >= this.entries.length - 1;
+        }
+        this.renderPanel();
+    }
+
+    /**
+     * Lists the history steps in the panel; clicking a step goes back or forward to it.
+     */
+    renderPanel() {
+        if (!this.panel || !this.list || this.panel.hidden) return;
+        this.list.innerHTML = '';
+        this.entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.textContent = entry.label;
+            item.classList.toggle('current', index === this.currentIndex);
+            item.classList.toggle('undone', index > this.currentIndex);
+            item.addEventListener('click', () => this.goTo(index));
+            this.list.appendChild(item);
+        });
+        const current = this.list.querySelector('.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * ColorModule Class
+ * Manages color selection and application for brushes and shapes.
+ */
+class ColorModule {
+    /**
+     * Creates an instance of ColorModule.
+     */
+    constructor() {
+        this.selectedColorBtn = null;
+        this.selectedShapeColor = "#000000"; // Default color
+        this.colorPicker = document.getElementById('color-picker');
+        this.shapeColorPicker = document.getElementById('shape-color-picker');
+        this.colorOptions = document.querySelectorAll('.colors .option:not(:last-child)');
+    }
+
+    /**
+     * Initializes the color module by setting up event listeners.
+     */
+    init() {
+        this.setupCustomColorPicker();
+        this.setupShapeColorPicker();
+        this.setupColorSelection();
+    }
+
+    /**
+     * Sets up the custom color picker for brushes.
+     */
+    setupCustomColorPicker() {
+        if (this.colorPicker) {
+            this.colorPicker.addEventListener('change', (e) => {
+                if (this.selectedColorBtn) {
+                    this.selectedColorBtn.classList.remove("selected");
+                }
+                this.colorPicker.parentElement.style.backgroundColor = e.target.value;
+                this.colorPicker.parentElement.classList.add("selected");
+                this.selectedColorBtn = this.colorPicker.parentElement;
+            });
+        } else {
+            console.warn("Custom color picker with ID 'color-picker' not found.");
+        }
+    }
+
+    /**
+     * Sets up the shape color picker.
+     */
+    setupShapeColorPicker() {
+        if (this.shapeColorPicker) {
+            this.shapeColorPicker.addEventListener('change', (e) => {
+                this.selectedShapeColor = e.target.value;
+            });
+        } else {
+            console.warn("Shape color picker with ID 'shape-color-picker' not found.");
+        }
+    }
+
+    /**
+     * Sets up event listeners for color option selection.
+     */
+    setupColorSelection() {
+        this.colorOptions.forEach(option => {
+            option.addEventListener('click', () => {
+                if (this.selectedColorBtn) {
+                    this.selectedColorBtn.classList.remove("selected");
+                }
+                option.classList.add("selected");
+                this.selectedColorBtn = option;
+            });
+        });
+    }
+
+    /**
+     * Retrieves the current brush color.
+     * @returns {string} - The current brush color in RGB or HEX.
+     */
+    getBrushColor() {
+        if (this.selectedColorBtn && !this.selectedColorBtn.contains(this.colorPicker)) {
+            return window.getComputedStyle(this.selectedColorBtn).getPropertyValue("background-color");
+        } else if (this.colorPicker) {
+            return this.colorPicker.value || "#000000";
+        }
+        return "#000000"; // Fallback color
+    }
+
+    /**
+     * Retrieves the current shape color.
+     * @returns {string} - The current shape color in HEX.
+     */
+    getShapeColor() {
+        return this.selectedShapeColor;
+    }
+}
+
+/**
+ * BrushModule Class
+ * Manages brush and eraser tools on the canvas.
+ */
+class BrushModule {
+    /**
+     * Creates an instance of BrushModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ColorModule} colorModule - The ColorModule instance.
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     */
+    constructor(canvas, colorModule, historyModule) {
+        this.canvas = canvas;
+        this.colorModule = colorModule;
+        this.historyModule = historyModule;
+        this.sizeSlider = document.querySelector("#size-slider");
+        this.brushBtn = document.getElementById('brush');
+        this.eraserBtn = document.getElementById('eraser');
+        this.objectEraserBtn = document.getElementById('object-eraser');
+        this.brushTypeSelect = document.getElementById('brush-type-select');
+
+        this.mode = null; // 'brush', 'eraser' or 'object-eraser' until another tool is chosen
+        this.brushType = 'pencil'; // 'pencil', 'marker' or 'dashed'
+        this.eraserPreviewColor = 'rgba(120, 120, 120, 0.5)'; // The eraser stroke is only shown while drawing
+        this.erasedStrokes = []; // {stroke, opacity} hit by the object eraser during the current drag
+    }
+
+    /**
+     * Initializes the brush module by setting up event listeners.
+     */
+    init() {
+        this.setupBrush();
+        this.setupBrushType();
+        this.setupEraser();
+        this.setupObjectEraser();
+        this.setupSizeSlider();
+        this.setupPathCreated();
+        this.setupMouseUp();
+
+        // Another tool turns the brush off; so does Escape, through the shortcuts
+        this.canvas.on('tool:changed', () => this.deactivate());
+        // The colour may have changed since the brush was chosen
+        this.canvas.on('mouse:down:before', () => {
+            if (this.mode === 'brush') this.configureBrush();
+        });
+    }
+
+    /**
+     * Returns the brush and eraser size chosen with the slider.
+     * @returns {number} - The size in pixels.
+     */
+    getSize() {
+        return parseInt(this.sizeSlider.value, 10) || 5;
+    }
+
+    /**
+     * Turns a tool of this module on, or off when it is already on.
+     * @param {string} mode - 'brush', 'eraser' or 'object-eraser'.
+     */
+    activate(mode) {
+        if (this.mode === mode) {
+            this.deactivate();
+            return;
+        }
+        this.canvas.fire('tool:changed', { tool: mode });
+        this.mode = mode;
+        this.canvas.discardActiveObject();
+        this.canvas.selection = false;
+        this.canvas.isDrawingMode = mode !== 'object-eraser';
+        this.canvas.skipTargetFind = mode === 'object-eraser'; // Drag over the strokes without moving them
+        this.configureBrush();
+
+        const buttons = { brush: this.brushBtn, eraser: this.eraserBtn, 'object-eraser': this.objectEraserBtn };
+        Object.entries(buttons).forEach(([key, button]) => {
+            if (button) button.classList.toggle('active', key === mode);
+        });
+        this.canvas.requestRenderAll();
+    }
+
+    /**
+     * Turns the brush and erasers off.
+     */
+    deactivate() {
+        if (!this.mode) return;
+        this.mode = null;
+        this.erasedStrokes.forEach(({ stroke, opacity }) => stroke.set('opacity', opacity));
+        this.erasedStrokes = [];
+        this.canvas.isDrawingMode = false;
+        this.canvas.selection = true;
+        this.canvas.skipTargetFind = false;
+        [this.brushBtn, this.eraserBtn, this.objectEraserBtn].forEach(button => {
+            if (button) button.classList.remove('active');
+        });
+        this.canvas.requestRenderAll();
+    }
+
+    /**
+     * Sets the free drawing brush for the current tool: colour, size and brush type, or the eraser preview.
+     */
+    configureBrush() {
+        const brush = this.canvas.freeDrawingBrush;
+        const size = this.getSize();
+        const color = this.colorModule.getBrushColor();
+        brush.strokeDashArray = null;
+        brush.strokeLineCap = 'round';
+
+        if (this.mode === 'eraser') {
+            brush.color = this.eraserPreviewColor;
+            brush.width = size;
+        } else if (this.brushType === 'marker') {
+            // A wide, translucent stroke that lets the plan show through
+            brush.color = new fabric.Color(color).setAlpha(0.4).toRgba();
+            brush.width = size * 3;
+            brush.strokeLineCap = 'square';
+        } else if (this.brushType === 'dashed') {
+            brush.color = color;
+            brush.width = size;
+            brush.strokeDashArray = [size * 3, size * 2];
+            brush.strokeLineCap = 'butt';
+        } else {
+            brush.color = color;
+            brush.width = size;
+        }
+    }
+
+    /**
+     * Sets up the brush tool.
+     */
+    setupBrush() {
+        if (this.brushBtn) {
+            this.brushBtn.addEventListener('click', () => this.activate('brush'));
+        } else {
+            console.warn("Brush button with ID 'brush' not found.");
+        }
+    }
+
+    /**
+     * Sets up the brush type select (pencil, marker, dashed).
+     */
+    setupBrushType() {
+        if (!this.brushTypeSelect) {
+            console.warn("Brush type select with ID 'brush-type-select' not found.");
+            return;
+        }
+        this.brushTypeSelect.value = this.brushType;
+        this.brushTypeSelect.addEventListener('change', () => {
+            this.brushType = this.brushTypeSelect.value;
+            if (this.mode === 'brush') {
+                this.configureBrush();
+            } else {
+                this.activate('brush');
+            }
+        });
+    }
+
+    /**
+     * Sets up the eraser tool: the stroke cuts out the parts of the objects it covers.
+     */
+    setupEraser() {
+        if (this.eraserBtn) {
+            this.eraserBtn.addEventListener('click', () => this.activate('eraser'));
+        } else {
+            console.warn("Eraser button with ID 'eraser' not found.");
+        }
+    }
+
+    /**
+     * Sets up the object eraser tool: dragging over brush strokes deletes them whole.
+     */
+    setupObjectEraser() {
+        if (!this.objectEraserBtn) {
+            console.warn("Object eraser button with ID 'object-eraser' not found.");
+            return;
+        }
+        this.objectEraserBtn.addEventListener('click', () => this.activate('object-eraser'));
+
+        const eraseStrokes = (opt) => {
+            if (this.mode === 'object-eraser') this.eraseStrokesAt(opt.e);
+        };
+        this.canvas.on('mouse:down', eraseStrokes);
+        this.canvas.on('mouse:move', (opt) => {
+            if (opt.e.buttons === 1 || opt.e.type === 'touchmove') eraseStrokes(opt);
+        });
+    }
+
+    /**
+     * Marks the brush strokes under the pointer, within half the eraser size; they are deleted on mouse up.
+     * @param {Event} e - The pointer event.
+     */
+    eraseStrokesAt(e) {
+        const pointer = this.canvas.getPointer(e, true);
+        const radius = Math.ceil(this.getSize() / 2);
+        const tolerance = this.canvas.targetFindTolerance;
+        this.canvas.targetFindTolerance = radius;
+
+        this.canvas.getObjects().forEach(obj => {
+            if (!this.isStroke(obj) || this.erasedStrokes.some(entry => entry.stroke === obj)) return;
+            const bounds = obj.getBoundingRect();
+            if (pointer.x < bounds.left - radius || pointer.x > bounds.left + bounds.width + radius
+                || pointer.y < bounds.top - radius || pointer.y > bounds.top + bounds.height + radius) {
+                return;
+            }
+            if (this.canvas.isTargetTransparent(obj, pointer.x, pointer.y)) return;
+            this.erasedStrokes.push({ stroke: obj, opacity: obj.opacity });
+            obj.set('opacity', 0.3);
+        });
+
+        this.canvas.targetFindTolerance = tolerance;
+        this.canvas.requestRenderAll();
+    }
+
+    /**
+     * Tells whether an object is a brush stroke the object eraser may delete.
+     * @param {fabric.Object} obj - The object.
+     * @returns {boolean}
+     */
+    isStroke(obj) {
+        return obj.type === 'path' && obj.selectable !== false && !obj.fixtureSymbol && !obj.annotation;
+    }
+
+    /**
+     * Deletes the strokes marked by the object eraser.
+     */
+    finishObjectEraser() {
+        if (this.erasedStrokes.length === 0) return;
+        this.erasedStrokes.forEach(({ stroke, opacity }) => {
+            stroke.set('opacity', opacity);
+            this.canvas.remove(stroke);
+        });
+        this.erasedStrokes = [];
+        this.canvas.requestRenderAll();
+        this.historyModule.enregistrerEtat();
+    }
+
+    /**
+     * Records brush strokes in the history; an eraser stroke is removed and cut out of the objects below it.
+     */
+    setupPathCreated() {
+        this.canvas.on('path:created', ({ path }) => {
+            if (this.mode === 'eraser') {
+                this.canvas.remove(path);
+                this.erase(path);
+            }
+            this.historyModule.enregistrerEtat();
+        });
+    }
+
+    /**
+     * Cuts an eraser stroke out of every object it crosses.
+     * @param {fabric.Path} path - The eraser stroke.
+     */
+    erase(path) {
+        path.setCoords();
+        this.canvas.getObjects().forEach(obj => {
+            if (!this.isErasable(obj)) return;
+            if (path.intersectsWithObject(obj) || path.isContainedWithinObject(obj) || obj.isContainedWithinObject(path)) {
+                this.addToEraser(obj, path);
+            }
+        });
+        this.canvas.requestRenderAll();
+    }
+
+    /**
+     * Tells whether an object can be erased. Locked objects and measurement labels are not selectable;
+     * objects clipped by something other than an eraser are left alone.
+     * @param {fabric.Object} obj - The object.
+     * @returns {boolean}
+     */
+    isErasable(obj) {
+        return obj.selectable !== false && obj.visible && (!obj.clipPath || obj.clipPath.inverted);
+    }
+
+    /**
+     * Adds an eraser stroke to an object's eraser, an inverted clip path. The stroke is kept in the
+     * object's own space, so the erased part follows the object when it is moved or resized.
+     * @param {fabric.Object} obj - The erased object.
+     * @param {fabric.Path} path - The eraser stroke.
+     */
+    addToEraser(obj, path) {
+        const stroke = new fabric.Path(path.path, {
+            left: path.left,
+            top: path.top,
+            originX: path.originX,
+            originY: path.originY,
+            fill: null,
+            stroke: '#000000',
+            strokeWidth: path.strokeWidth,
+            strokeLineCap: 'round',
+            strokeLineJoin: 'round'
+        });
+        const transform = fabric.util.multiplyTransformMatrices(
+            fabric.util.invertTransform(obj.calcTransformMatrix()),
+            stroke.calcTransformMatrix()
+        );
+        fabric.util.applyTransformToObject(stroke, transform);
+
+        if (obj.clipPath) {
+            obj.clipPath.addWithUpdate(stroke);
+        } else {
+            obj.clipPath = new fabric.Group([stroke], { inverted: true });
+        }
+        obj.set('dirty', true);
+    }
+
+    /**
+     * Sets up the size slider for brush and eraser tools.
+     */
+    setupSizeSlider() {
+        if (this.sizeSlider) {
+            this.sizeSlider.addEventListener('input', (e) => {
+                const size = parseInt(e.target.value, 10);
+                if (!isNaN(size) && this.mode) {
+                    this.configureBrush();
+                }
+            });
+        } else {
+            console.warn("Size slider with ID 'size-slider' not found.");
+        }
+    }
+
+    /**
+     * Deletes the strokes marked by the object eraser when the mouse is released. The tools stay on
+     * until another tool is chosen.
+     */
+    setupMouseUp() {
+        this.canvas.on('mouse:up', () => {
+            if (this.mode === 'object-eraser') {
+                this.finishObjectEraser();
+            }
+        });
+    }
+}
+
+/**
+ * SnapModule Class
+ * Draws the cm grid and the rulers, and snaps objects and drawn points to the grid and to each other.
+ */
+class SnapModule {
+    /**
+     * Creates an instance of SnapModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+
+        this.gridVisible = true;
+        this.enabled = true; // Snapping to the grid, to other objects and to angles; Shift skips it for one gesture
+        this.minGridSpacing = 8; // Smallest distance between two grid lines, in screen px
+        this.tolerance = 6; // Distance in screen px at which an edge or a centre catches
+        this.angleStep = 15; // Rotations snap to multiples of this angle
+        this.angleTolerance = 4; // Distance in degrees at which a rotation snaps
+        this.rulerSize = 20; // Ruler thickness in css px
+        this.guides = []; // Smart guides shown while an edge or a centre is aligned
+
+        this.gridToggle = document.getElementById('grid-toggle');
+        this.snapToggle = document.getElementById('snap-toggle');
+        this.gridStepLabel = document.getElementById('grid-step-label');
+        this.rulerTop = document.getElementById('ruler-top');
+        this.rulerLeft = document.getElementById('ruler-left');
+        this.navigator = document.getElementById('sheet-navigator');
+        this.frame = document.querySelector('.canvas-frame');
+    }
+
+    /**
+     * Initializes the snap module by setting up the grid, the rulers and the snapping events.
+     */
+    init() {
+        this.setupToggles();
+        this.setupGrid();
+        this.setupRulers();
+        this.setupObjectSnapping();
+    }
+
+    /**
+     * Sets up the grid and snapping checkboxes.
+     */
+    setupToggles() {
+        if (this.gridToggle) {
+            this.gridVisible = this.gridToggle.checked;
+            this.gridToggle.addEventListener('change', () => {
+                this.gridVisible = this.gridToggle.checked;
+                this.canvas.requestRenderAll();
+            });
+        } else {
+            console.warn("Grid toggle with ID 'grid-toggle' not found.");
+        }
+
+        if (this.snapToggle) {
+            this.enabled = this.snapToggle.checked;
+            this.snapToggle.addEventListener('change', () => {
+                this.enabled = this.snapToggle.checked;
+            });
+        } else {
+            console.warn("Snap toggle with ID 'snap-toggle' not found.");
+        }
+    }
+
+    /**
+     * Draws the grid over the background of the canvas on screen; exports and prints leave it out.
+     */
+    setupGrid() {
+        const renderBackground = this.canvas._renderBackground;
+        this.canvas._renderBackground = (ctx) => {
+            renderBackground.call(this.canvas, ctx);
+            if (this.gridVisible && ctx === this.canvas.getContext()) {
+                this.drawGrid(ctx);
+            }
+        };
+    }
+
+    /**
+     * Sets up the rulers, redrawn with the canvas so that they follow the zoom and the pan.
+     */
+    setupRulers() {
+        if (!this.rulerTop || !this.rulerLeft) {
+            console.warn("Rulers with IDs 'ruler-top' and 'ruler-left' not found.");
+        }
+
+        this.updateRulerOffset();
+        window.addEventListener('resize', () => this.updateRulerOffset());
+
+        this.canvas.on('after:render', (opt) => {
+            if (opt.ctx !== this.canvas.getContext()) return;
+            this.drawRuler(this.rulerTop, true);
+            this.drawRuler(this.rulerLeft, false);
+            this.drawGuides(opt.ctx);
+            this.updateGridStepLabel();
+        });
+    }
+
+    /**
+     * Keeps the top ruler under the sheet navigator when the board scrolls.
+     */
+    updateRulerOffset() {
+        if (!this.frame || !this.navigator) return;
+        this.frame.style.setProperty('--ruler-top', `${this.navigator.offsetHeight}px`);
+    }
+
+    /**
+     * Sets up snapping while objects are moved or rotated.
+     */
+    setupObjectSnapping() {
+        this.canvas.on('object:moving', (opt) => this.snapMovingObject(opt));
+
+        this.canvas.on('object:rotating', (opt) => {
+            if (!this.enabled || opt.e.shiftKey) return;
+            const target = opt.target;
+            const snapped = Math.round(target.angle / this.angleStep) * this.angleStep;
+            if (Math.abs(snapped - target.angle) <= this.angleTolerance) {
+                target.rotate(snapped % 360);
+                target.setCoords();
+            }
+        });
+
+        this.canvas.on('mouse:up', () => this.clearGuides());
+    }
+
+    /**
+     * Returns the canvas pixels per real cm of the current sheet.
+     * @returns {number} - The scale.
+     */
+    getPixelsPerCm() {
+        return (this.canvas.drawingScale && this.canvas.drawingScale.pixelsPerCm) || SCREEN_PIXELS_PER_CM;
+    }
+
+    /**
+     * Returns the grid step at the current scale and zoom.
+     * @returns {number} - The step in real cm.
+     */
+    getGridStepCm() {
+        return getGridStepCm(this.getPixelsPerCm() * this.canvas.getZoom(), this.minGridSpacing);
+    }
+
+    /**
+     * Returns the grid step in canvas pixels.
+     * @returns {number} - The step.
+     */
+    getGridStep() {
+        return this.getGridStepCm() * this.getPixelsPerCm();
+    }
+
+    /**
+     * Shows the grid step next to the checkboxes.
+     */
+    updateGridStepLabel() {
+        if (!this.gridStepLabel) return;
+        const text = `${this.getGridStepCm()} cm`;
+        if (this.gridStepLabel.textContent !== text) {
+            this.gridStepLabel.textContent = text;
+        }
+    }
+
+    /**
+     * Draws the grid lines covering the visible part of the canvas, every tenth line stronger.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context.
+     */
+    drawGrid(ctx) {
+        const vpt = this.canvas.viewportTransform;
+        const zoom = vpt[0];
+        const step = this.getGridStep();
+        const left = -vpt[4] / zoom;
+        const top = -vpt[5] / zoom;
+        const right = left + this.canvas.getWidth() / zoom;
+        const bottom = top + this.canvas.getHeight() / zoom;
+
+        ctx.save();
+        ctx.transform(vpt[0], vpt[1], vpt[2], vpt[3], vpt[4], vpt[5]);
+        ctx.lineWidth = 1 / zoom;
+        [false, true].forEach(major => {
+            ctx.beginPath();
+            for (let i = Math.ceil(left / step); i * step <= right; i++) {
+                if ((i % 10 === 0) !== major) continue;
+                ctx.moveTo(i * step, top);
+                ctx.lineTo(i * step, bottom);
+            }
+            for (let i = Math.ceil(top / step); i * step <= bottom; i++) {
+                if ((i % 10 === 0) !== major) continue;
+                ctx.moveTo(left, i * step);
+                ctx.lineTo(right, i * step);
+            }
+            ctx.strokeStyle = major ? 'rgba(0, 0, 0, 0.18)' : 'rgba(0, 0, 0, 0.06)';
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Draws a ruler graduated in real cm, with a tick on every grid line and a label on every tenth.
+     * @param {?HTMLCanvasElement} ruler - The ruler canvas.
+     * @param {boolean} horizontal - Whether it is the top ruler.
+     */
+    drawRuler(ruler, horizontal) {
+        if (!ruler) return;
+
+        const length = horizontal ? this.canvas.getWidth() : this.canvas.getHeight();
+        const size = this.rulerSize;
+        const width = horizontal ? length : size;
+        const height = horizontal ? size : length;
+        const ratio = window.devicePixelRatio || 1;
+        if (ruler.width !== Math.round(width * ratio) || ruler.height !== Math.round(height * ratio)) {
+            ruler.width = Math.round(width * ratio);
+            ruler.height = Math.round(height * ratio);
+            ruler.style.width = `${width}px`;
+            ruler.style.height = `${height}px`;
+        }
+
+        const ctx = ruler.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = '#f4f4f4';
+        ctx.fillRect(0, 0, width, height);
+
+        const vpt = this.canvas.viewportTransform;
+        const offset = horizontal ? vpt[4] : vpt[5];
+        const stepCm = this.getGridStepCm();
+        const step = stepCm * this.getPixelsPerCm() * vpt[0]; // Screen px between two ticks
+
+        ctx.strokeStyle = '#888';
+        ctx.fillStyle = '#555';
+        ctx.font = '9px sans-serif';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = Math.ceil(-offset / step); offset + i * step <= length; i++) {
+            const position = Math.round(offset + i * step) + 0.5;
+            const major = i % 10 === 0;
+            const tick = major ? size : (i % 5 === 0 ? size / 2 : size / 4);
+            if (horizontal) {
+                ctx.moveTo(position, size);
+                ctx.lineTo(position, size - tick);
+            } else {
+                ctx.moveTo(size, position);
+                ctx.lineTo(size - tick, position);
+            }
+            if (!major) continue;
+
+            const label = String(Math.round(i * stepCm));
+            if (horizontal) {
+                ctx.fillText(label, position + 2, 9);
+            } else {
+                ctx.save();
+                ctx.translate(9, position - 2);
+                ctx.rotate(-Math.PI / 2);
+                ctx.fillText(label, 0, 0);
+                ctx.restore();
+            }
+        }
+        ctx.stroke();
+        ctx.strokeStyle = '#ccc';
+        ctx.strokeRect(0, 0, width, height);
+    }
+
+    /**
+     * Returns the boxes objects and drawn points align on: the other selectable objects and the sheet.
+     * @param {Set<fabric.Object>} exclude - The objects being moved.
+     * @returns {Array<Object>} - The bounding boxes in canvas coordinates.
+     */
+    getSnapBoxes(exclude) {
+        const boxes = this.canvas.getObjects()
+            .filter(obj => obj.visible && obj.selectable !== false && !obj.excludeFromExport && !exclude.has(obj))
+            .map(obj => obj.getBoundingRect(true, true));
+        boxes.push({ left: 0, top: 0, width: this.canvas.getWidth(), height: this.canvas.getHeight() });
+        return boxes;
+    }
+
+    /**
+     * Returns the shift bringing a coordinate onto the nearest grid line.
+     * @param {number} value - The coordinate in canvas pixels.
+     * @returns {number} - The shift.
+     */
+    getGridDelta(value) {
+        const step = this.getGridStep();
+        return Math.round(value / step) * step - value;
+    }
+
+    /**
+     * Snaps the object being moved: its edges or its centre on those of another object when one is close,
+     * otherwise its top left corner on the grid.
+     * @param {Object} opt - The event object.
+     */
+    snapMovingObject(opt) {
+        const target = opt.target;
+        this.guides = [];
+        if (!this.enabled || opt.e.shiftKey) return;
+
+        const box = target.getBoundingRect(true, true);
+        const exclude = new Set(target.type === 'activeSelection' ? target.getObjects() : [target]);
+        const boxes = this.getSnapBoxes(exclude);
+        const tolerance = this.tolerance / this.canvas.getZoom();
+        const matchX = findSnapMatch(getBoxSnapLines(box, 'x'), boxes, 'x', tolerance);
+        const matchY = findSnapMatch(getBoxSnapLines(box, 'y'), boxes, 'y', tolerance);
+        const dx = matchX ? matchX.delta : this.getGridDelta(box.left);
+        const dy = matchY ? matchY.delta : this.getGridDelta(box.top);
+
+        if (dx || dy) {
+            target.set({ left: target.left + dx, top: target.top + dy });
+            target.setCoords();
+        }
+
+        const moved = { left: box.left + dx, top: box.top + dy, width: box.width, height: box.height };
+        if (matchX) this.guides.push(this.createGuide('x', matchX, moved));
+        if (matchY) this.guides.push(this.createGuide('y', matchY, moved));
+    }
+
+    /**
+     * Snaps a point being drawn to the edges and centres of the objects, then to the grid.
+     * @param {{x: number, y: number}} point - The pointer position in canvas coordinates.
+     * @param {boolean} [useGrid=true] - Whether axes that catch no object snap to the grid.
+     * @param {Set<fabric.Object>} [exclude] - The objects being drawn, which the point must not catch.
+     * @returns {{x: number, y: number, snapped: boolean}} - The point, and whether it caught an object.
+     */
+    snapPoint(point, useGrid = true, exclude = new Set()) {
+        this.guides = [];
+        if (!this.enabled) return { x: point.x, y: point.y, snapped: false };
+
+        const boxes = this.getSnapBoxes(exclude);
+        const tolerance = this.tolerance / this.canvas.getZoom();
+        const matchX = findSnapMatch([point.x], boxes, 'x', tolerance);
+        const matchY = findSnapMatch([point.y], boxes, 'y', tolerance);
+        const x = matchX ? matchX.value : point.x + (useGrid ? this.getGridDelta(point.x) : 0);
+        const y = matchY ? matchY.value : point.y + (useGrid ? this.getGridDelta(point.y) : 0);
+
+        const snappedPoint = { left: x, top: y, width: 0, height: 0 };
+        if (matchX) this.guides.push(this.createGuide('x', matchX, snappedPoint));
+        if (matchY) this.guides.push(this.createGuide('y', matchY, snappedPoint));
+        return { x, y, snapped: Boolean(matchX || matchY) };
+    }
+
+    /**
+     * Returns a guide line along an aligned edge or centre, spanning both boxes.
+     * @param {string} axis - 'x' for a vertical guide, 'y' for a horizontal one.
+     * @param {{value: number, box: Object}} match - The alignment found.
+     * @param {Object} box - The box of the moved object or point.
+     * @returns {{x1: number, y1: number, x2: number, y2: number}} - The guide in canvas coordinates.
+     */
+    createGuide(axis, match, box) {
+        const cross = axis === 'x' ? 'y' : 'x';
+        const lines = getBoxSnapLines(box, cross).concat(getBoxSnapLines(match.box, cross));
+        const start = Math.min(...lines);
+        const end = Math.max(...lines);
+        return axis === 'x'
+            ? { x1: match.value, y1: start, x2: match.value, y2: end }
+            : { x1: start, y1: match.value, x2: end, y2: match.value };
+    }
+
+    /**
+     * Draws the smart guides over the objects.
+     * @param {CanvasRenderingContext2D} ctx - The main canvas context.
+     */
+    drawGuides(ctx) {
+        if (!this.guides.length) return;
+
+        const vpt = this.canvas.viewportTransform;
+        ctx.save();
+        ctx.strokeStyle = '#e91e63';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        this.guides.forEach(guide => {
+            const start = fabric.util.transformPoint(new fabric.Point(guide.x1, guide.y1), vpt);
+            const end = fabric.util.transformPoint(new fabric.Point(guide.x2, guide.y2), vpt);
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Hides the smart guides once the gesture ends.
+     */
+    clearGuides() {
+        if (!this.guides.length) return;
+        this.guides = [];
+        this.canvas.requestRenderAll();
+    }
+}
+
+/**
+ * ShapesModule Class
+ * Manages the drawing and manipulation of shapes on the canvas.
+ */
+class ShapesModule {
+    /**
+     * Creates an instance of ShapesModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ColorModule} colorModule - The ColorModule instance.
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     * @param {SnapModule} snapModule - The SnapModule instance.
+     */
+    constructor(canvas, colorModule, historyModule, snapModule) {
+        this.canvas = canvas;
+        this.colorModule = colorModule;
+        this.historyModule = historyModule;
+        this.snapModule = snapModule;
+
+        this.pixelsPerCm = SCREEN_PIXELS_PER_CM; // Canvas pixels per real cm, changed by ScaleModule
+        this.unit = 'cm'; // Unit of the measurement labels
+        this.jointWidthMm = 3; // Width of the joint lines drawn with the fixed-height tool
+        this.drawingMode = null;
+        this.currentlyDrawing = false;
+        this.tempShape = null;
+        this.startX = 0;
+        this.startY = 0;
+
+        // Room polygon being drawn
+        this.roomPoints = [];
+        this.roomPreviewLines = [];
+        this.roomRubberLine = null;
+        this.roomRubberText = null;
+        this.roomSnapAngle = 45; // Walls snap to multiples of this angle unless Shift is held
+        this.roomCloseTolerance = 10; // Distance in screen px at which a click closes the room on its first corner
+        this.roomLabelOffset = 12; // Distance between a wall and its length label
+
+        this.shapeButtons = {
+            rectangle: document.getElementById('rectangle'),
+            rectangleFixedHeight: document.getElementById('rectangle-fixed-height'),
+            circle: document.getElementById('circle'),
+            triangle: document.getElementById('triangle'),
+            room: document.getElementById('room-polygon')
+        };
+
+        this.addTableBtn = document.getElementById('add-table-btn');
+    }
+
+    /**
+     * Initializes the shapes module by setting up event listeners.
+     */
+    init() {
+        this.setupShapeButtons();
+        this.setupAddTable();
+        this.setupCanvasEvents();
+        this.canvas.on('canvas:restored', () => {
+            this.restoreShapeMeasurements();
+            this.restoreRoomPolygons();
+        });
+        // Another tool leaves the shape being drawn
+        this.canvas.on('tool:changed', () => {
+            if (this.drawingMode === 'room') {
+                this.cancelRoom();
+            } else {
+                this.drawingMode = null;
+            }
+        });
+    }
+
+    /**
+     * Sets up event listeners for shape buttons.
+     */
+    setupShapeButtons() {
+        if (this.shapeButtons.rectangle) {
+            this.shapeButtons.rectangle.addEventListener('click', () => this.setDrawingMode('rectangle'));
+        } else {
+            console.warn("Rectangle button with ID 'rectangle' not found.");
+        }
+
+        if (this.shapeButtons.rectangleFixedHeight) {
+            this.shapeButtons.rectangleFixedHeight.addEventListener('click', () => this.setDrawingMode('rectangle-fixed-height'));
+        } else {
+            console.warn("Rectangle Fixed Height button with ID 'rectangle-fixed-height' not found.");
+        }
+
+        if (this.shapeButtons.circle) {
+            this.shapeButtons.circle.addEventListener('click', () => this.addCircle());
+        } else {
+            console.warn("Circle button with ID 'circle' not found.");
+        }
+
+        if (this.shapeButtons.triangle) {
+            this.shapeButtons.triangle.addEventListener('click', () => this.addTriangle());
+        } else {
+            console.warn("Triangle button with ID 'triangle' not found.");
+        }
+
+        if (this.shapeButtons.room) {
+            this.shapeButtons.room.addEventListener('click', () => this.startRoom());
+        } else {
+            console.warn("Room polygon button with ID 'room-polygon' not found.");
+        }
+    }
+
+    /**
+     * Sets the current drawing mode.
+     * @param {string} mode - The drawing mode ('rectangle', 'rectangle-fixed-height', etc.).
+     */
+    setDrawingMode(mode) {
+        if (mode) this.canvas.fire('tool:changed', { tool: mode });
+        this.drawingMode = mode;
+        console.log(`Drawing mode set to: ${mode}`);
+    }
+
+    /**
+     * Sets up canvas event listeners for drawing shapes.
+     */
+    setupCanvasEvents() {
+        this.canvas.on('mouse:down', (opt) => this.onMouseDown(opt));
+        this.canvas.on('mouse:move', (opt) => this.onMouseMove(opt));
+        this.canvas.on('mouse:up', (opt) => this.onMouseUp(opt));
+        this.canvas.on('mouse:dblclick', () => {
+            if (this.drawingMode === 'room') this.finishRoom();
+        });
+    }
+
+    /**
+     * Handles the mouse down event on the canvas.
+     * @param {Object} opt - The event object.
+     */
+    onMouseDown(opt) {
+        if (!this.drawingMode) return;
+        if (this.drawingMode === 'room') {
+            this.addRoomPoint(opt);
+            return;
+        }
+
+        const pointer = this.getSnappedPointer(opt);
+        this.startX = pointer.x;
+        this.startY = pointer.y;
+        this.currentlyDrawing = true;
+
+        const color = this.colorModule.getShapeColor();
+        const fillOption = this.getFillOption();
+
+        if (this.drawingMode === 'rectangle') {
+            this.tempShape = new fabric.Rect({
+                left: this.startX,
+                top: this.startY,
+                fill: fillOption === 'filled' ? color : 'transparent',
+                stroke: color,
+                strokeWidth: 2,
+                width: 0,
+                height: 0,
+                hasControls: true,
+                hasBorders: true,
+                selectable: true
+            });
+            this.canvas.add(this.tempShape);
+
+            // Create measurement text
+            const measurementText = this.createMeasurementText();
+            this.canvas.add(measurementText);
+            this.tempShape.set({ measurementText, measurementTextId: measurementText.id });
+        } else if (this.drawingMode === 'rectangle-fixed-height') {
+            const fixedHeight = (this.jointWidthMm / 10) * this.pixelsPerCm; // Joint width in pixels
+            this.tempShape = new fabric.Rect({
+                left: this.startX,
+                top: this.startY,
+                fill: 'transparent',
+                stroke: color,
+                strokeWidth: 2,
+                width: 0,
+                height: fixedHeight,
+                hasControls: true,
+                hasBorders: true,
+                selectable: true,
+                fixedHeightRectangle: true
+            });
+            this.canvas.add(this.tempShape);
+
+            // Create length measurement text
+            const lengthMeasurementText = this.createMeasurementText();
+            this.canvas.add(lengthMeasurementText);
+            this.tempShape.set({ lengthMeasurementText, lengthMeasurementTextId: lengthMeasurementText.id });
+        }
+    }
+
+    /**
+     * Handles the mouse move event on the canvas.
+     * @param {Object} opt - The event object.
+     */
+    onMouseMove(opt) {
+        if (this.drawingMode === 'room') {
+            this.updateRoomRubberLine(opt);
+            return;
+        }
+        if (!this.currentlyDrawing || !this.tempShape) return;
+
+        // The rectangle being dragged out must not catch its own edges or label
+        const label = this.tempShape.measurementText || this.tempShape.lengthMeasurementText;
+        const pointer = this.getSnappedPointer(opt, new Set([this.tempShape, label]));
+        const width = pointer.x - this.startX;
+        const height = pointer.y - this.startY;
+
+        if (this.drawingMode === 'rectangle') {
+            this.tempShape.set({ width: width, height: height });
+            this.canvas.renderAll();
+            this.updateShapeMeasurements(this.tempShape, this.tempShape.measurementText);
+        } else if (this.drawingMode === 'rectangle-fixed-height') {
+            this.tempShape.set({ width: width });
+            this.canvas.renderAll();
+            this.updateFixedRectangleMeasurement(this.tempShape, this.tempShape.lengthMeasurementText);
+        }
+    }
+
+    /**
+     * Handles the mouse up event on the canvas.
+     * @param {Object} opt - The event object.
+     */
+    onMouseUp(opt) {
+        if (!this.currentlyDrawing) return;
+        this.currentlyDrawing = false;
+        this.drawingMode = null; // Reset drawing mode
+
+        if (this.tempShape) {
+            if (this.tempShape.fixedHeightRectangle) {
+                this.addFixedRectangleMeasurementListeners(this.tempShape);
+            } else {
+                this.addShapeMeasurementListeners(this.tempShape);
+            }
+            this.historyModule.enregistrerEtat();
+            this.tempShape = null;
+        }
+    }
+
+    /**
+     * Retrieves the current fill option for shapes.
+     * @returns {string} - 'filled' or 'empty'.
+     */
+    getFillOption() {
+        const filledRadio = document.querySelector('input[name="shape-fill"]:checked');
+        if (filledRadio) {
+            return filledRadio.value === 'filled' ? 'filled' : 'empty';
+        }
+        return 'filled'; // Default value
+    }
+
+    /**
+     * Adds a circle to the canvas.
+     */
+    addCircle() {
+        const color = this.colorModule.getShapeColor();
+        const fillOption = this.getFillOption();
+        const circle = new fabric.Circle({
+            radius: 50,
+            left: 150,
+            top: 100,
+            fill: fillOption === 'filled' ? color : 'transparent',
+            stroke: color,
+            strokeWidth: 2,
+            hasControls: true,
+            hasBorders: true,
+            selectable: true
+        });
+        this.canvas.add(circle);
+        this.historyModule.enregistrerEtat();
+        this.addShapeMeasurements(circle);
+    }
+
+    /**
+     * Adds a triangle to the canvas.
+     */
+    addTriangle() {
+        const color = this.colorModule.getShapeColor();
+        const fillOption = this.getFillOption();
+        const triangle = new fabric.Triangle({
+            width: 100,
+            height: 100,
+            left: 150,
+            top: 100,
+            fill: fillOption === 'filled' ? color : 'transparent',
+            stroke: color,
+            strokeWidth: 2,
+            hasControls: true,
+            hasBorders: true,
+            selectable: true
+        });
+        this.canvas.add(triangle);
+        this.historyModule.enregistrerEtat();
+        this.addShapeMeasurements(triangle);
+    }
+
+    /**
+     * Adds measurement texts to a shape.
+     * @param {fabric.Object} shape - The shape object.
+     */
+    addShapeMeasurements(shape) {
+        // Do not add measurements for fixed height rectangles
+        if (shape.fixedHeightRectangle) return;
+
+        const measurementText = this.createMeasurementText();
+        this.canvas.add(measurementText);
+        this.historyModule.enregistrerEtat();
+        this.updateShapeMeasurements(shape, measurementText);
+
+        shape.set({ measurementText, measurementTextId: measurementText.id });
+
+        this.addShapeMeasurementListeners(shape);
+    }
+
+    /**
+     * Formats a length in cm in the current label unit.
+     * @param {number} cm - The length in cm.
+     * @returns {string} - The formatted length with its unit.
+     */
+    formatLength(cm) {
+        return formatLength(cm, this.unit);
+    }
+
+    /**
+     * Changes the drawing scale and label unit, then rewrites every measurement label.
+     * @param {number} pixelsPerCm - Canvas pixels per real cm.
+     * @param {string} unit - One of the LENGTH_UNITS keys.
+     */
+    setScale(pixelsPerCm, unit) {
+        this.pixelsPerCm = pixelsPerCm;
+        this.unit = unit;
+        this.canvas.getObjects().forEach(obj => this.refreshShapeMeasurements(obj));
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Returns the scaled size of a shape in cm.
+     * @param {fabric.Object} shape - The shape object.
+     * @returns {{widthCm: number, heightCm: number}} - The width and height in cm.
+     */
+    getShapeSizeCm(shape) {
+        return {
+            widthCm: Math.abs(shape.getScaledWidth()) / this.pixelsPerCm,
+            heightCm: Math.abs(shape.getScaledHeight()) / this.pixelsPerCm
+        };
+    }
+
+    /**
+     * Returns the openings placed on a wall elevation, clipped to the wall, in cm from its top-left corner.
+     * @param {fabric.Rect} wall - The wall elevation.
+     * @returns {Array<{left: number, top: number, width: number, height: number, fill: *}>} - The untiled areas,
+     * with the fill of the opening.
+     */
+    getWallHolesCm(wall) {
+        const wallBox = wall.getBoundingRect(true, true);
+        return this.canvas.getObjects()
+            .filter(obj => obj.wallOpening && obj !== wall)
+            .map(obj => {
+                const box = obj.getBoundingRect(true, true);
+                const left = Math.max(box.left, wallBox.left);
+                const top = Math.max(box.top, wallBox.top);
+                const right = Math.min(box.left + box.width, wallBox.left + wallBox.width);
+                const bottom = Math.min(box.top + box.height, wallBox.top + wallBox.height);
+                if (right <= left || bottom <= top) return null;
+                return {
+                    left: (left - wallBox.left) / this.pixelsPerCm,
+                    top: (top - wallBox.top) / this.pixelsPerCm,
+                    width: (right - left) / this.pixelsPerCm,
+                    height: (bottom - top) / this.pixelsPerCm,
+                    fill: obj.fill
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Updates the measurement text for a shape.
+     * @param {fabric.Object} shape - The shape object.
+     * @param {fabric.Text} measurementText - The measurement text object.
+     */
+    updateShapeMeasurements(shape, measurementText) {
+        if (!measurementText) return;
+        if (shape.annotation) {
+            this.updateAnnotationMeasurement(shape, measurementText);
+            return;
+        }
+
+        let measurements = '';
+        if (shape.type === 'rect') {
+            const { widthCm, heightCm } = this.getShapeSizeCm(shape);
+            const holes = shape.wallElevation ? this.getWallHolesCm(shape) : [];
+            measurements = `L: ${this.formatLength(widthCm)}, H: ${this.formatLength(heightCm)}`;
+            if (shape.wallOpening && WALL_OPENINGS[shape.wallOpening]) {
+                measurements = `${WALL_OPENINGS[shape.wallOpening].label} - ${measurements}`;
+            }
+            if (shape.wallElevation) {
+                const openingsM2 = getRectanglesUnionArea(holes) / 10000;
+                measurements += `\nNet : ${((widthCm * heightCm) / 10000 - openingsM2).toFixed(2)} m² (ouvertures : ${openingsM2.toFixed(2)} m²)`;
+            }
+            if (shape.tileFill) {
+                const tile = shape.tileFill;
+                const { whole, cut } = countLaidTiles(widthCm, heightCm, getTileLayout(tile), holes);
+                const pattern = TILE_PATTERNS[tile.pattern] || TILE_PATTERNS.straight;
+                measurements += `\nCarreaux ${tile.widthCm}x${tile.heightCm} cm, ${pattern}, joint ${tile.jointMm || 0} mm : ` +
+                    `${whole} entiers, ${cut} coupés`;
+            }
+        } else if (shape.type === 'circle') {
+            const radius = shape.radius * shape.scaleX / this.pixelsPerCm;
+            measurements = `R: ${this.formatLength(radius)}, D: ${this.formatLength(2 * radius)}`;
+        } else if (shape.type === 'triangle') {
+            const a = shape.width * shape.scaleX / this.pixelsPerCm;
+            const b = shape.height * shape.scaleY / this.pixelsPerCm;
+            const c = Math.sqrt(Math.pow(shape.width, 2) + Math.pow(shape.height, 2)) * shape.scaleX / this.pixelsPerCm;
+            measurements = `Côtés: A: ${this.formatLength(a)}, B: ${this.formatLength(b)}, C: ${this.formatLength(c)}`;
+        }
+        measurementText.set({
+            text: measurements,
+            left: shape.left + shape.getScaledWidth() / 2,
+            top: shape.top - 20,
+            angle: 0 // Keep text horizontal
+        });
+        this.canvas.bringToFront(measurementText);
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Updates the label of a dimension line (its length, above the line and along it)
+     * or of an angle mark (its angle in degrees, on the bisector).
+     * @param {fabric.Path} shape - The dimension line or angle mark.
+     * @param {fabric.Text} measurementText - The label.
+     */
+    updateAnnotationMeasurement(shape, measurementText) {
+        const points = getAnnotationPoints(shape);
+        if (shape.annotation === 'angle' && points.length === 3) {
+            const [a, vertex, b] = points;
+            const toA = Math.atan2(a.y - vertex.y, a.x - vertex.x);
+            const toB = Math.atan2(b.y - vertex.y, b.x - vertex.x);
+            let bisectorX = Math.cos(toA) + Math.cos(toB);
+            let bisectorY = Math.sin(toA) + Math.sin(toB);
+            const length = Math.hypot(bisectorX, bisectorY);
+            // A flat angle has no bisector: the label goes on the normal of the first side
+            [bisectorX, bisectorY] = length > 1e-6 ? [bisectorX / length, bisectorY / length] : [-Math.sin(toA), Math.cos(toA)];
+            const distance = getAngleMarkRadius(a, vertex, b) + this.roomLabelOffset;
+            measurementText.set({
+                text: `${parseFloat(getAngleDegrees(a, vertex, b).toFixed(1))}°`,
+                left: vertex.x + bisectorX * distance,
+                top: vertex.y + bisectorY * distance,
+                angle: 0
+            });
+        } else if (points.length === 2) {
+            const [start, end] = points;
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+            // Along the line, never upside down
+            let angle = Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI;
+            if (angle > 90) angle -= 180;
+            if (angle <= -90) angle += 180;
+            const radians = angle * Math.PI / 180;
+            measurementText.set({
+                text: this.formatLength(length / this.pixelsPerCm),
+                left: (start.x + end.x) / 2 + Math.sin(radians) * this.roomLabelOffset,
+                top: (start.y + end.y) / 2 - Math.cos(radians) * this.roomLabelOffset,
+                angle
+            });
+        }
+        this.canvas.bringToFront(measurementText);
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Updates a shape's measurement texts if they are linked to live text objects.
+     * @param {fabric.Object} shape - The shape object.
+     */
+    refreshShapeMeasurements(shape) {
+        if (shape.roomPolygon) {
+            this.updateRoomMeasurements(shape);
+            return;
+        }
+        if (shape.measurementText instanceof fabric.Text) {
+            this.updateShapeMeasurements(shape, shape.measurementText);
+        }
+        if (shape.lengthMeasurementText instanceof fabric.Text) {
+            this.updateFixedRectangleMeasurement(shape, shape.lengthMeasurementText);
+        }
+    }
+
+    /**
+     * Adds listeners to a fixed height rectangle for updating measurements.
+     * @param {fabric.Rect} shape - The fixed height rectangle.
+     */
+    addFixedRectangleMeasurementListeners(shape) {
+        if (shape.measurementListeners) return;
+        shape.measurementListeners = true;
+        // The label is read on each event: undo may link the shape to a new label object
+        shape.on('modified', () => {
+            this.updateFixedRectangleMeasurement(shape, shape.lengthMeasurementText);
+        });
+        shape.on('scaling', () => {
+            this.updateFixedRectangleMeasurement(shape, shape.lengthMeasurementText);
+        });
+        shape.on('moving', () => {
+            this.updateFixedRectangleMeasurement(shape, shape.lengthMeasurementText);
+        });
+        shape.on('removed', () => {
+            this.canvas.remove(shape.lengthMeasurementText);
+        });
+    }
+
+    /**
+     * Updates the measurement text for a fixed height rectangle.
+     * @param {fabric.Rect} shape - The fixed height rectangle.
+     * @param {fabric.Text} measurementText - The length measurement text object.
+     */
+    updateFixedRectangleMeasurement(shape, measurementText) {
+        if (!measurementText) return;
+
+        const width = shape.getScaledWidth() / this.pixelsPerCm;
+        measurementText.set({
+            text: `L: ${this.formatLength(width)}`,
+            left: shape.left + shape.getScaledWidth() / 2,
+            top: shape.top - 20,
+            angle: 0 // Keep text horizontal
+        });
+        this.canvas.bringToFront(measurementText);
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Adds event listeners to a shape for updating measurements on modifications.
+     * @param {fabric.Object} shape - The shape object.
+     */
+    addShapeMeasurementListeners(shape) {
+        if (shape.measurementListeners) return;
+        shape.measurementListeners = true;
+        // The label is read on each event: undo may link the shape to a new label object
+        shape.on('modified', () => {
+            this.updateShapeMeasurements(shape, shape.measurementText);
+        });
+        shape.on('scaling', () => {
+            this.updateShapeMeasurements(shape, shape.measurementText);
+        });
+        shape.on('moving', () => {
+            this.updateShapeMeasurements(shape, shape.measurementText);
+        });
+        shape.on('removed', () => {
+            this.canvas.remove(shape.measurementText);
+        });
+    }
+
+    /**
+     * Creates an empty measurement label with the style used by every shape.
+     * @returns {fabric.Text} - The label, with an id so it can be linked again after a restore.
+     */
+    createMeasurementText() {
+        return new fabric.Text('', {
+            id: createObjectId(),
+            fontSize: 14,
+            fill: 'black',
+            selectable: false,
+            originX: 'center',
+            originY: 'center',
+            backgroundColor: 'rgba(255, 255, 255, 0.7)',
+            stroke: 'black',
+            strokeWidth: 0.5
+        });
+    }
+
+    /**
+     * Starts drawing a room polygon: each click adds a corner until the shape is closed.
+     */
+    startRoom() {
+        this.cancelRoom();
+        this.setDrawingMode('room');
+        this.canvas.isDrawingMode = false;
+        this.canvas.discardActiveObject();
+        this.canvas.selection = false;
+        this.canvas.skipTargetFind = true; // Click over existing objects without selecting them
+        this.canvas.defaultCursor = 'crosshair';
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Returns the pointer position snapped to the objects and to the grid, unless Shift is held.
+     * @param {Object} opt - The event object.
+     * @param {Set<fabric.Object>} [exclude] - The objects being drawn, which the pointer must not snap to.
+     * @returns {{x: number, y: number}} - The position.
+     */
+    getSnappedPointer(opt, exclude) {
+        const pointer = this.canvas.getPointer(opt.e);
+        if (opt.e.shiftKey) {
+            return { x: pointer.x, y: pointer.y };
+        }
+        return this.snapModule.snapPoint(pointer, true, exclude);
+    }
+
+    /**
+     * Returns the corner under the pointer, snapped to the first corner, to the other objects,
+     * then to the grid for the first corner and to the wall angles for the next ones.
+     * @param {Object} opt - The event object.
+     * @returns {{x: number, y: number}} - The corner position.
+     */
+    getRoomPointer(opt) {
+        const pointer = this.canvas.getPointer(opt.e);
+        const first = this.roomPoints[0];
+        if (this.roomPoints.length >= 3) {
+            const tolerance = this.roomCloseTolerance / this.canvas.getZoom();
+            if (Math.hypot(pointer.x - first.x, pointer.y - first.y) <= tolerance) {
+                return { x: first.x, y: first.y };
+            }
+        }
+
+        const last = this.roomPoints[this.roomPoints.length - 1];
+        if (!last || opt.e.shiftKey) {
+            return this.getSnappedPointer(opt);
+        }
+        const snapped = this.snapModule.snapPoint(pointer, false);
+        return snapped.snapped ? snapped : snapPointToAngle(last, pointer, this.roomSnapAngle);
+    }
+
+    /**
+     * Adds a corner to the room being drawn, or closes it when the first corner is clicked again.
+     * @param {Object} opt - The event object.
+     */
+    addRoomPoint(opt) {
+        const point = this.getRoomPointer(opt);
+        const first = this.roomPoints[0];
+        const last = this.roomPoints[this.roomPoints.length - 1];
+
+        if (this.roomPoints.length >= 3 && point.x === first.x && point.y === first.y) {
+            this.finishRoom();
+            return;
+        }
+        // The second click of a double click lands on the last corner
+        if (last && Math.hypot(point.x - last.x, point.y - last.y) < 1) return;
+
+        const color = this.colorModule.getShapeColor();
+        if (last) {
+            const wall = new fabric.Line([last.x, last.y, point.x, point.y], {
+                stroke: color,
+                strokeWidth: 2,
+                selectable: false,
+                evented: false,
+                excludeFromExport: true
+            });
+            this.roomPreviewLines.push(wall);
+            this.canvas.add(wall);
+        }
+        this.roomPoints.push(point);
+
+        if (!this.roomRubberLine) {
+            this.roomRubberLine = new fabric.Line([point.x, point.y, point.x, point.y], {
+                stroke: color,
+                strokeWidth: 1,
+                strokeDashArray: [6, 4],
+                selectable: false,
+                evented: false,
+                excludeFromExport: true
+            });
+            this.roomRubberText = this.createMeasurementText();
+            this.roomRubberText.set({ evented: false, excludeFromExport: true });
+            this.canvas.add(this.roomRubberLine, this.roomRubberText);
+        }
+        this.updateRoomRubberLine(opt);
+    }
+
+    /**
+     * Follows the pointer with the wall being drawn and shows its length.
+     * @param {Object} opt - The event object.
+     */
+    updateRoomRubberLine(opt) {
+        if (!this.roomRubberLine || this.roomPoints.length === 0) return;
+
+        const last = this.roomPoints[this.roomPoints.length - 1];
+        const point = this.getRoomPointer(opt);
+        const length = Math.hypot(point.x - last.x, point.y - last.y) / this.pixelsPerCm;
+        this.roomRubberLine.set({ x1: last.x, y1: last.y, x2: point.x, y2: point.y });
+        this.roomRubberText.set({
+            text: this.formatLength(length),
+            left: (last.x + point.x) / 2,
+            top: (last.y + point.y) / 2 - this.roomLabelOffset
+        });
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Closes the room being drawn and adds it to the canvas with its wall and area labels.
+     */
+    finishRoom() {
+        const points = this.roomPoints.slice();
+        this.cancelRoom();
+        if (points.length < 3) {
+            alert("Une pièce doit avoir au moins 3 angles.");
+            return;
+        }
+
+        const color = this.colorModule.getShapeColor();
+        const fillOption = this.getFillOption();
+        const room = new fabric.Polygon(points, {
+            fill: fillOption === 'filled' ? color : 'transparent',
+            stroke: color,
+            strokeWidth: 2,
+            hasControls: true,
+            hasBorders: true,
+            selectable: true,
+            roomPolygon: true
+        });
+        this.canvas.add(room);
+        this.addRoomMeasurements(room);
+        this.canvas.setActiveObject(room);
+        this.canvas.renderAll();
+        this.historyModule.enregistrerEtat();
+    }
+
+    /**
+     * Removes the room being drawn and leaves the room drawing mode.
+     */
+    cancelRoom() {
+        this.roomPreviewLines.forEach(line => this.canvas.remove(line));
+        if (this.roomRubberLine) this.canvas.remove(this.roomRubberLine, this.roomRubberText);
+        this.roomPreviewLines = [];
+        this.roomRubberLine = null;
+        this.roomRubberText = null;
+        this.roomPoints = [];
+
+        if (this.drawingMode === 'room') {
+            this.drawingMode = null;
+            this.canvas.selection = true;
+            this.canvas.skipTargetFind = false;
+            this.canvas.defaultCursor = 'default';
+        }
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Adds one length label per wall and an area label to a room polygon.
+     * @param {fabric.Polygon} room - The room polygon.
+     */
+    addRoomMeasurements(room) {
+        const wallTexts = room.points.map(() => this.createMeasurementText());
+        const areaText = this.createMeasurementText();
+        this.canvas.add(...wallTexts, areaText);
+
+        room.wallMeasurementTexts = wallTexts;
+        room.measurementText = areaText;
+        room.roomLabelIds = { area: areaText.id, walls: wallTexts.map(text => text.id) };
+
+        this.updateRoomMeasurements(room);
+        this.addRoomMeasurementListeners(room);
+    }
+
+    /**
+     * Returns the corners of a room polygon in canvas coordinates, after its move, scale and rotation.
+     * @param {fabric.Polygon} room - The room polygon.
+     * @returns {Array<fabric.Point>} - The corners.
+     */
+    getRoomCorners(room) {
+        const matrix = room.calcTransformMatrix();
+        return room.points.map(point => fabric.util.transformPoint(
+            new fabric.Point(point.x - room.pathOffset.x, point.y - room.pathOffset.y),
+            matrix
+        ));
+    }
+
+    /**
+     * Updates the wall length labels, placed outside each wall, and the area label of a room polygon.
+     * @param {fabric.Polygon} room - The room polygon.
+     */
+    updateRoomMeasurements(room) {
+        const corners = this.getRoomCorners(room);
+        const orientation = Math.sign(getPolygonSignedArea(corners)) || 1;
+
+        (room.wallMeasurementTexts || []).forEach((text, i) => {
+            if (!(text instanceof fabric.Text) || !corners[i]) return;
+            const start = corners[i];
+            const end = corners[(i + 1) % corners.length];
+            const length = Math.hypot(end.x - start.x, end.y - start.y);
+            const normalX = length ? ((end.y - start.y) / length) * orientation : 0;
+            const normalY = length ? (-(end.x - start.x) / length) * orientation : 0;
+            text.set({
+                text: this.formatLength(length / this.pixelsPerCm),
+                left: (start.x + end.x) / 2 + normalX * this.roomLabelOffset,
+                top: (start.y + end.y) / 2 + normalY * this.roomLabelOffset,
+                angle: 0 // Keep text horizontal
+            });
+            this.canvas.bringToFront(text);
+        });
+
+        if (room.measurementText instanceof fabric.Text) {
+            const areaM2 = Math.abs(getPolygonSignedArea(corners)) / (this.pixelsPerCm * this.pixelsPerCm) / 10000;
+            const centroid = getPolygonCentroid(corners);
+            room.measurementText.set({
+                text: `Surface : ${areaM2.toFixed(2)} m²`,
+                left: centroid.x,
+                top: centroid.y,
+                angle: 0
+            });
+            this.canvas.bringToFront(room.measurementText);
+        }
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Adds listeners keeping the labels of a room polygon on its walls, and removing them with the room.
+     * @param {fabric.Polygon} room - The room polygon.
+     */
+    addRoomMeasurementListeners(room) {
+        if (room.roomListeners) return;
+        const update = () => this.updateRoomMeasurements(room);
+        room.on('moving', update);
+        room.on('scaling', update);
+        room.on('rotating', update);
+        room.on('modified', update);
+        room.on('removed', () => {
+            const labels = (room.wallMeasurementTexts || []).concat(room.measurementText);
+            labels.filter(text => text instanceof fabric.Text).forEach(text => this.canvas.remove(text));
+        });
+        room.roomListeners = true;
+    }
+
+    /**
+     * Links shapes to their measurement labels again by id after the canvas was restored (JSON or SVG),
+     * so the labels follow the shapes again.
+     */
+    restoreShapeMeasurements() {
+        const objects = this.canvas.getObjects();
+        const findById = (id) => objects.find(obj => obj.id === id && obj instanceof fabric.Text) || null;
+
+        objects.forEach(obj => {
+            if (obj.roomPolygon) return;
+            if (obj.measurementTextId) {
+                const measurementText = findById(obj.measurementTextId);
+                if (!measurementText) return;
+                obj.measurementText = measurementText;
+                this.addShapeMeasurementListeners(obj);
+                this.updateShapeMeasurements(obj, measurementText);
+            } else if (obj.lengthMeasurementTextId) {
+                const lengthMeasurementText = findById(obj.lengthMeasurementTextId);
+                if (!lengthMeasurementText) return;
+                obj.set({ lengthMeasurementText, fixedHeightRectangle: true });
+                this.addFixedRectangleMeasurementListeners(obj);
+                this.updateFixedRectangleMeasurement(obj, lengthMeasurementText);
+            }
+        });
+    }
+
+    /**
+     * Links room polygons to their labels again by id after the canvas was restored from JSON.
+     */
+    restoreRoomPolygons() {
+        const objects = this.canvas.getObjects();
+        const findById = (id) => objects.find(obj => obj.id === id && obj instanceof fabric.Text) || null;
+
+        objects.forEach(obj => {
+            if (!obj.roomPolygon || !obj.roomLabelIds) return;
+            obj.measurementText = findById(obj.roomLabelIds.area);
+            obj.wallMeasurementTexts = (obj.roomLabelIds.walls || []).map(findById);
+            this.addRoomMeasurementListeners(obj);
+            this.updateRoomMeasurements(obj);
+        });
+    }
+
+    /**
+     * Sets up the "Add Table" button functionality.
+     */
+    setupAddTable() {
+        if (this.addTableBtn) {
+            this.addTableBtn.addEventListener('click', () => {
+                const rows = parseInt(prompt("Nombre de lignes ?", "3"), 10);
+                const cols = parseInt(prompt("Nombre de colonnes ?", "3"), 10);
+
+                if (!isNaN(rows) && !isNaN(cols) && rows > 0 && cols > 0) {
+                    this.addTable(rows, cols);
+                } else {
+                    alert("Veuillez entrer des valeurs valides pour les lignes et les colonnes.");
+                }
+            });
+        } else {
+            console.warn("Add Table button with ID 'add-table-btn' not found.");
+        }
+    }
+
+    /**
+     * Adds a table to the canvas.
+     * @param {number} rows - Number of rows.
+     * @param {number} cols - Number of columns.
+     */
+    addTable(rows = 3, cols = 3) {
+        const tableGroup = new fabric.Group([], {
+            selectable: true,
+            hasBorders: true,
+            hasControls: true,
+            left: 150,
+            top: 100
+        });
+
+        const cellWidth = 60;
+        const cellHeight = 30;
+
+        // Create the table
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                // Create a cell
+                const cell = new fabric.Rect({
+                    left: col * cellWidth,
+                    top: row * cellHeight,
+                    width: cellWidth,
+                    height: cellHeight,
+                    fill: 'transparent',
+                    stroke: 'black',
+                    strokeWidth: 1,
+                    selectable: false
+                });
+
+                // Create the cell text
+                const cellText = new fabric.Textbox('', {
+                    left: col * cellWidth + 5,
+                    top: row * cellHeight + 5,
+                    fontSize: 12,
+                    width: cellWidth - 10,
+                    height: cellHeight - 10,
+                    selectable: true,
+                    editable: true,
+                    textAlign: 'center'
+                });
+
+                // Add the cell and text to the group
+                tableGroup.addWithUpdate(cell);
+                tableGroup.addWithUpdate(cellText);
+            }
+        }
+
+        // Add the table group to the canvas
+        this.canvas.add(tableGroup);
+        this.canvas.setActiveObject(tableGroup);
+        this.canvas.renderAll();
+        this.historyModule.enregistrerEtat();
+    }
+}
+
+/**
+ * ScaleModule Class
+ * Manages the drawing scale (1:N), its calibration over an imported plan and the unit of displayed lengths.
+ */
+class ScaleModule {
+    /**
+     * Creates an instance of ScaleModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (owns pixelsPerCm and the label unit).
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     */
+    constructor(canvas, shapesModule, historyModule) {
+        this.canvas = canvas;
+        this.shapesModule = shapesModule;
+        this.historyModule = historyModule;
+
+        this.minCalibrationLength = 5; // Shortest calibration line accepted, in px
+        this.calibrating = false;
+        this.calibrationLine = null;
+        this.calibratedOption = null;
+
+        this.scaleSelect = document.getElementById('scale-select');
+        this.unitSelect = document.getElementById('unit-select');
+        this.calibrateBtn = document.getElementById('calibrate-scale');
+    }
+
+    /**
+     * Initializes the scale module by setting up event listeners.
+     */
+    init() {
+        this.setupScaleSelect();
+        this.setupUnitSelect();
+        this.setupCalibration();
+        this.canvas.on('canvas:restored', () => this.restoreScale());
+        this.canvas.drawingScale = { pixelsPerCm: this.shapesModule.pixelsPerCm, unit: this.shapesModule.unit };
+        this.syncControls();
+    }
+
+    /**
+     * Fills the scale select with DRAWING_SCALES and switches the scale on change.
+     */
+    setupScaleSelect() {
+        if (!this.scaleSelect) {
+            console.warn("Scale select with ID 'scale-select' not found.");
+            return;
+        }
+
+        this.scaleSelect.innerHTML = '';
+        DRAWING_SCALES.forEach(denominator => {
+            this.scaleSelect.appendChild(new Option(`1:${denominator}`, String(denominator)));
+        });
+        // Only shown while a calibrated scale is active
+        this.calibratedOption = new Option('', 'calibrated');
+        this.calibratedOption.hidden = true;
+        this.scaleSelect.appendChild(this.calibratedOption);
+
+        this.scaleSelect.addEventListener('change', () => {
+            const denominator = parseFloat(this.scaleSelect.value);
+            if (isNaN(denominator)) return;
+            this.applyScale(SCREEN_PIXELS_PER_CM / denominator, this.shapesModule.unit);
+            this.historyModule.enregistrerEtat();
+        });
+    }
+
+    /**
+     * Switches the unit of displayed lengths.
+     */
+    setupUnitSelect() {
+        if (!this.unitSelect) {
+            console.warn("Unit select with ID 'unit-select' not found.");
+            return;
+        }
+
+        this.unitSelect.addEventListener('change', () => {
+            this.applyScale(this.shapesModule.pixelsPerCm, this.unitSelect.value);
+            this.historyModule.enregistrerEtat();
+        });
+    }
+
+    /**
+     * Sets up the calibration button and the canvas events used to draw the calibration line.
+     */
+    setupCalibration() {
+        if (this.calibrateBtn) {
+            this.calibrateBtn.addEventListener('click', () => {
+                if (this.calibrating) {
+                    this.stopCalibration();
+                } else {
+                    this.startCalibration();
+                }
+            });
+        } else {
+            console.warn("Calibrate button with ID 'calibrate-scale' not found.");
+        }
+
+        this.canvas.on('mouse:down', (opt) => this.onMouseDown(opt));
+        this.canvas.on('mouse:move', (opt) => this.onMouseMove(opt));
+        this.canvas.on('mouse:up', () => this.onMouseUp());
+        this.canvas.on('tool:changed', () => {
+            if (this.calibrating) this.stopCalibration();
+        });
+    }
+
+    /**
+     * Enters calibration mode: the next line drawn on the canvas is measured.
+     */
+    startCalibration() {
+        this.canvas.fire('tool:changed', { tool: 'calibration' });
+        this.calibrating = true;
+        this.canvas.discardActiveObject();
+        this.canvas.selection = false;
+        this.canvas.skipTargetFind = true; // Draw over the plan photo without moving it
+        this.canvas.defaultCursor = 'crosshair';
+        if (this.calibrateBtn) this.calibrateBtn.classList.add('active');
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Leaves calibration mode and removes the calibration line.
+     */
+    stopCalibration() {
+        this.calibrating = false;
+        if (this.calibrationLine) {
+            this.canvas.remove(this.calibrationLine);
+            this.calibrationLine = null;
+        }
+        this.canvas.selection = true;
+        this.canvas.skipTargetFind = false;
+        this.canvas.defaultCursor = 'default';
+        if (this.calibrateBtn) this.calibrateBtn.classList.remove('active');
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Starts the calibration line.
+     * @param {Object} opt - The event object.
+     */
+    onMouseDown(opt) {
+        if (!this.calibrating) return;
+
+        const pointer = this.canvas.getPointer(opt.e);
+        this.calibrationLine = new fabric.Line([pointer.x, pointer.y, pointer.x, pointer.y], {
+            stroke: '#e53935',
+            strokeWidth: 2,
+            strokeDashArray: [6, 4],
+            selectable: false,
+            evented: false,
+            excludeFromExport: true
+        });
+        this.canvas.add(this.calibrationLine);
+    }
+
+    /**
+     * Follows the pointer with the end of the calibration line.
+     * @param {Object} opt - The event object.
+     */
+    onMouseMove(opt) {
+        if (!this.calibrating || !this.calibrationLine) return;
+
+        const pointer = this.canvas.getPointer(opt.e);
+        this.calibrationLine.set({ x2: pointer.x, y2: pointer.y });
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Asks for the real length of the calibration line and derives the scale from it.
+     */
+    onMouseUp() {
+        if (!this.calibrating || !this.calibrationLine) return;
+
+        const { x1, y1, x2, y2 } = this.calibrationLine;
+        const lengthPx = Math.hypot(x2 - x1, y2 - y1);
+        this.stopCalibration();
+
+        if (lengthPx < this.minCalibrationLength) {
+            alert("Ligne trop courte : tracez une ligne le long d'une cote connue du plan.");
+            return;
+        }
+
+        const unit = this.shapesModule.unit;
+        const realCm = parseLength(prompt(`Longueur réelle de la ligne tracée (en ${unit}, ex : 3.5 m ou 850 mm) ?`), unit);
+        if (!(realCm > 0)) {
+            alert("Longueur invalide, échelle inchangée.");
+            return;
+        }
+
+        this.applyScale(lengthPx / realCm, unit);
+        this.historyModule.enregistrerEtat();
+    }
+
+    /**
+     * Applies a drawing scale and unit: stores them on the canvas, rewrites the labels and notifies other modules.
+     * @param {number} pixelsPerCm - Canvas pixels per real cm.
+     * @param {string} unit - One of the LENGTH_UNITS keys.
+     */
+    applyScale(pixelsPerCm, unit) {
+        this.canvas.drawingScale = { pixelsPerCm, unit };
+        this.shapesModule.setScale(pixelsPerCm, unit);
+        this.syncControls();
+        this.canvas.fire('scale:changed', { pixelsPerCm, unit });
+    }
+
+    /**
+     * Applies the scale saved with a restored canvas (history state or loaded file).
+     */
+    restoreScale() {
+        const saved = this.canvas.drawingScale;
+        if (!saved || !(saved.pixelsPerCm > 0) || !LENGTH_UNITS[saved.unit]) return;
+        if (saved.pixelsPerCm === this.shapesModule.pixelsPerCm && saved.unit === this.shapesModule.unit) return;
+        this.applyScale(saved.pixelsPerCm, saved.unit);
+    }
+
+    /**
+     * Shows the current scale and unit in the controls and in every unit placeholder of the page.
+     */
+    syncControls() {
+        const denominator = getScaleDenominator(this.shapesModule.pixelsPerCm);
+        if (this.scaleSelect) {
+            const preset = DRAWING_SCALES.find(value => Math.abs(value - denominator) < 1e-6);
+            this.calibratedOption.hidden = preset !== undefined;
+            this.calibratedOption.textContent = `Calibrée (1:${Math.round(denominator)})`;
+            this.scaleSelect.value = preset !== undefined ? String(preset) : 'calibrated';
+        }
+        if (this.unitSelect) {
+            this.unitSelect.value = this.shapesModule.unit;
+        }
+        document.querySelectorAll('.length-unit').forEach(span => {
+            span.textContent = this.shapesModule.unit;
+        });
+    }
+}
+
+/**
+ * ElevationModule Class
+ * Manages wall elevations and the openings (doors, windows, niches) and fixture cut-outs placed on them.
+ */
+class ElevationModule {
+    /**
+     * Creates an instance of ElevationModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (measurements, scale and colours).
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     */
+    constructor(canvas, shapesModule, historyModule) {
+        this.canvas = canvas;
+        this.shapesModule = shapesModule;
+        this.historyModule = historyModule;
+
+        this.defaultWallCm = { widthCm: 300, heightCm: 250 };
+
+        this.addWallBtn = document.getElementById('add-wall-elevation');
+        this.openingSelect = document.getElementById('wall-opening-select');
+        this.addOpeningBtn = document.getElementById('add-wall-opening');
+    }
+
+    /**
+     * Initializes the elevation module by setting up event listeners.
+     */
+    init() {
+        this.setupAddWall();
+        this.setupAddOpening();
+        this.setupCanvasEvents();
+    }
+
+    /**
+     * Sets up the "Wall elevation" button.
+     */
+    setupAddWall() {
+        if (this.addWallBtn) {
+            this.addWallBtn.addEventListener('click', () => this.addWall());
+        } else {
+            console.warn("Wall elevation button with ID 'add-wall-elevation' not found.");
+        }
+    }
+
+    /**
+     * Fills the opening select with WALL_OPENINGS and sets up the "Add opening" button.
+     */
+    setupAddOpening() {
+        if (this.openingSelect) {
+            this.openingSelect.innerHTML = '';
+            Object.entries(WALL_OPENINGS).forEach(([type, opening]) => {
+                this.openingSelect.appendChild(new Option(opening.label, type));
+            });
+        } else {
+            console.warn("Opening select with ID 'wall-opening-select' not found.");
+        }
+
+        if (this.addOpeningBtn) {
+            this.addOpeningBtn.addEventListener('click', () => {
+                this.addOpening(this.openingSelect ? this.openingSelect.value : 'door');
+            });
+        } else {
+            console.warn("Add opening button with ID 'add-wall-opening' not found.");
+        }
+    }
+
+    /**
+     * Keeps the net area of the walls up to date while openings are moved, resized, added or removed.
+     */
+    setupCanvasEvents() {
+        const refreshIfOpening = (e) => {
+            if (e.target && e.target.wallOpening) {
+                this.refreshWalls();
+            }
+        };
+        ['object:moving', 'object:scaling', 'object:modified', 'object:added', 'object:removed'].forEach(eventName => {
+            this.canvas.on(eventName, refreshIfOpening);
+        });
+    }
+
+    /**
+     * Asks for a size "width x height" in the current unit.
+     * @param {string} question - The prompt text.
+     * @param {{widthCm: number, heightCm: number}} defaults - The default size in cm.
+     * @returns {{widthCm: number, heightCm: number}|null} - The size in cm, or null if cancelled or invalid.
+     */
+    promptSize(question, defaults) {
+        const unit = this.shapesModule.unit;
+        const { perCm } = LENGTH_UNITS[unit];
+        const answer = prompt(`${question} (largeur x hauteur, en ${unit})`,
+            `${parseFloat((defaults.widthCm * perCm).toFixed(3))}x${parseFloat((defaults.heightCm * perCm).toFixed(3))}`);
+        if (answer === null) return null;
+
+        const parts = answer.split(/\s*[xX×]\s*/);
+        const widthCm = parts.length === 2 ? parseLength(parts[0], unit) : null;
+        const heightCm = parts.length === 2 ? parseLength(parts[1], unit) : null;
+        if (!(widthCm > 0) || !(heightCm > 0)) {
+            alert("Dimensions invalides. Exemple : 300x250");
+            return null;
+        }
+        return { widthCm, heightCm };
+    }
+
+    /**
+     * Creates a rectangle whose measured size (stroke included, as in ShapesModule labels) is the given size in cm.
+     * @param {number} widthCm - The width in cm.
+     * @param {number} heightCm - The height in cm.
+     * @param {Object} options - Other rectangle options.
+     * @returns {fabric.Rect} - The rectangle.
+     */
+    createSizedRect(widthCm, heightCm, options) {
+        const pixelsPerCm = this.shapesModule.pixelsPerCm;
+        const strokeWidth = options.strokeWidth || 0;
+        return new fabric.Rect({
+            ...options,
+            width: Math.max(1, widthCm * pixelsPerCm - strokeWidth),
+            height: Math.max(1, heightCm * pixelsPerCm - strokeWidth),
+            hasControls: true,
+            hasBorders: true,
+            selectable: true
+        });
+    }
+
+    /**
+     * Adds a wall elevation of a typed width and height.
+     */
+    addWall() {
+        const size = this.promptSize("Dimensions du mur", this.defaultWallCm);
+        if (!size) return;
+
+        const color = this.shapesModule.colorModule.getShapeColor();
+        const fillOption = this.shapesModule.getFillOption();
+        const wall = this.createSizedRect(size.widthCm, size.heightCm, {
+            left: 100,
+            top: 100,
+            fill: fillOption === 'filled' ? color : 'transparent',
+            stroke: color,
+            strokeWidth: 2,
+            wallElevation: true
+        });
+        this.canvas.add(wall);
+        this.canvas.sendToBack(wall);
+        this.shapesModule.addShapeMeasurements(wall);
+        this.canvas.setActiveObject(wall);
+        this.canvas.renderAll();
+        this.historyModule.enregistrerEtat();
+    }
+
+    /**
+     * Returns the wall an opening is added to: the selected wall, or the one holding the selected object,
+     * or the last wall drawn.
+     * @returns {fabric.Rect|null} - The wall, or null if there is none.
+     */
+    getTargetWall() {
+        const walls = this.canvas.getObjects().filter(obj => obj.wallElevation);
+        const activeObject = this.canvas.getActiveObject();
+        if (activeObject && activeObject.wallElevation) return activeObject;
+        if (activeObject) {
+            const center = activeObject.getCenterPoint();
+            const holder = walls.find(wall => wall.containsPoint(center, null, true));
+            if (holder) return holder;
+        }
+        return walls[walls.length - 1] || null;
+    }
+
+    /**
+     * Adds an opening or fixture cut-out to a wall, centred horizontally at its usual height from the floor.
+     * @param {string} type - One of the WALL_OPENINGS keys.
+     */
+    addOpening(type) {
+        const opening = WALL_OPENINGS[type];
+        const wall = this.getTargetWall();
+        if (!opening) return;
+        if (!wall) {
+            alert("Ajoutez d'abord un mur en élévation.");
+            return;
+        }
+
+        const size = this.promptSize(`Dimensions : ${opening.label}`, opening);
+        if (!size) return;
+
+        const pixelsPerCm = this.shapesModule.pixelsPerCm;
+        const wallBox = wall.getBoundingRect(true, true);
+        const widthPx = size.widthCm * pixelsPerCm;
+        const heightPx = size.heightCm * pixelsPerCm;
+        const bottom = wallBox.top + wallBox.height - opening.fromFloorCm * pixelsPerCm;
+        const rect = this.createSizedRect(size.widthCm, size.heightCm, {
+            left: wallBox.left + (wallBox.width - widthPx) / 2,
+            top: Math.max(wallBox.top, bottom - heightPx),
+            fill: opening.fill,
+            stroke: '#555555',
+            strokeWidth: 2,
+            strokeDashArray: [6, 4],
+            wallOpening: type
+        });
+        this.canvas.add(rect);
+        this.shapesModule.addShapeMeasurements(rect);
+        this.canvas.setActiveObject(rect);
+        this.refreshWalls();
+        this.historyModule.enregistrerEtat();
+    }
+
+    /**
+     * Updates the labels (net area and tile counts) of every wall elevation.
+     */
+    refreshWalls() {
+        this.canvas.getObjects()
+            .filter(obj => obj.wallElevation)
+            .forEach(wall => this.shapesModule.refreshShapeMeasurements(wall));
+    }
+}
+
+/**
+ * AnnotationModule Class
+ * Draws annotations by clicking their points: straight lines, arrows, dimension lines labelled with
+ * their length, angle marks labelled in degrees and polylines. A tool stays on until another is chosen.
+ */
+class AnnotationModule {
+    /**
+     * Creates an instance of AnnotationModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ColorModule} colorModule - The ColorModule instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (scale and measurement labels).
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     */
+    constructor(canvas, colorModule, shapesModule, historyModule) {
+        this.canvas = canvas;
+        this.colorModule = colorModule;
+        this.shapesModule = shapesModule;
+        this.historyModule = historyModule;
+
+        this.tool = null; // One of the ANNOTATION_TYPES keys while annotating
+        this.points = []; // Points of the annotation being drawn
+        this.preview = null; // The annotation being drawn, following the pointer
+        this.previewText = null; // Its length or angle
+        this.snapAngle = 15; // Segments snap to multiples of this angle unless Shift is held
+        this.dragDistance = 5; // In screen px: a longer drag draws a line from press to release
+        this.strokeWidth = 2;
+        this.arrowHeadLength = 14;
+        this.tickLength = 12;
+
+        this.toolButtons = {
+            line: document.getElementById('line-tool'),
+            arrow: document.getElementById('arrow-tool'),
+            dimension: document.getElementById('dimension-tool'),
+            angle: document.getElementById('angle-tool'),
+            polyline: document.getElementById('polyline-tool')
+        };
+    }
+
+    /**
+     * Initializes the annotation module by setting up event listeners.
+     */
+    init() {
+        Object.entries(this.toolButtons).forEach(([tool, button]) => {
+            if (button) {
+                button.addEventListener('click', () => this.setTool(this.tool === tool ? null : tool));
+            } else {
+                console.warn(`Annotation tool button with ID '${tool}-tool' not found.`);
+            }
+        });
+
+        this.canvas.on('tool:changed', () => this.setTool(null));
+        this.canvas.on('mouse:down', (opt) => this.onMouseDown(opt));
+        this.canvas.on('mouse:move', (opt) => this.onMouseMove(opt));
+        this.canvas.on('mouse:up', (opt) => this.onMouseUp(opt));
+        this.canvas.on('mouse:dblclick', () => {
+            if (this.tool === 'polyline') this.finish();
+        });
+    }
+
+    /**
+     * Turns an annotation tool on, or all of them off.
+     * @param {string|null} tool - One of the ANNOTATION_TYPES keys, or null.
+     */
+    setTool(tool) {
+        if (!tool && !this.tool) return;
+        if (tool) this.canvas.fire('tool:changed', { tool });
+        this.cancel();
+        this.tool = tool;
+
+        if (tool) this.canvas.discardActiveObject();
+        this.canvas.selection = !tool;
+        this.canvas.skipTargetFind = !!tool; // Click over existing objects without selecting them
+        this.canvas.defaultCursor = tool ? 'crosshair' : 'default';
+        Object.entries(this.toolButtons).forEach(([key, button]) => {
+            if (button) button.classList.toggle('active', key === tool);
+        });
+        this.canvas.requestRenderAll();
+    }
+
+    /**
+     * Returns the pointer position, snapped to the other objects, then to the grid for the first point
+     * and to the segment angles from the previous point for the next ones.
+     * @param {Object} opt - The event object.
+     * @returns {{x: number, y: number}} - The point.
+     */
+    getPoint(opt) {
+        const last = this.points[this.points.length - 1];
+        if (!last || opt.e.shiftKey) {
+            return this.shapesModule.getSnappedPointer(opt);
+        }
+        const pointer = this.canvas.getPointer(opt.e);
+        const snapped = this.shapesModule.snapModule.snapPoint(pointer, false);
+        return snapped.snapped ? snapped : snapPointToAngle(last, pointer, this.snapAngle);
+    }
+
+    /**
+     * Adds a point to the annotation being drawn, and adds the annotation once it has all its points.
+     * @param {Object} opt - The event object.
+     */
+    onMouseDown(opt) {
+        if (!this.tool) return;
+        const point = this.getPoint(opt);
+        const last = this.points[this.points.length - 1];
+        // The second click of a double click lands on the last point
+        if (last && Math.hypot(point.x - last.x, point.y - last.y) < 1) return;
+
+        this.points.push(point);
+        if (this.points.length === ANNOTATION_TYPES[this.tool].points) {
+            this.finish();
+        } else {
+            this.updatePreview(point);
+        }
+    }
+
+    /**
+     * Follows the pointer with the annotation being drawn.
+     * @param {Object} opt - The event object.
+     */
+    onMouseMove(opt) {
+        if (!this.tool || this.points.length === 0) return;
+        this.updatePreview(this.getPoint(opt));
+    }
+
+    /**
+     * Lets two-point annotations be drawn by dragging as well as by two clicks.
+     * @param {Object} opt - The event object.
+     */
+    onMouseUp(opt) {
+        if (!this.tool || this.points.length !== 1 || ANNOTATION_TYPES[this.tool].points !== 2) return;
+        const point = this.getPoint(opt);
+        const [start] = this.points;
+        if (Math.hypot(point.x - start.x, point.y - start.y) * this.canvas.getZoom() > this.dragDistance) {
+            this.points.push(point);
+            this.finish();
+        }
+    }
+
+    /**
+     * Creates an annotation from its points.
+     * @param {string} tool - One of the ANNOTATION_TYPES keys.
+     * @param {Array<{x: number, y: number}>} points - The points; an angle mark with fewer than 3 is drawn as its sides.
+     * @returns {fabric.Object} - The annotation.
+     */
+    createAnnotation(tool, points) {
+        const color = this.colorModule.getShapeColor();
+        const style = {
+            stroke: color,
+            strokeWidth: this.strokeWidth,
+            fill: 'transparent',
+            strokeLineCap: 'round',
+            strokeLineJoin: 'round',
+            annotation: tool
+        };
+        const [start, end] = points;
+
+        switch (tool) {
+            case 'line':
+                return new fabric.Line([start.x, start.y, end.x, end.y], style);
+            case 'arrow':
+                return new fabric.Path(getArrowPathData(start, end, this.arrowHeadLength), { ...style, fill: color });
+            case 'dimension':
+                return new fabric.Path(getDimensionPathData(start, end, this.tickLength), style);
+            case 'angle':
+                if (points.length === 3) {
+                    return new fabric.Path(getAngleMarkPathData(points[0], points[1], points[2]), style);
+                }
+                return new fabric.Polyline(points.map(p => ({ x: p.x, y: p.y })), style);
+            default:
+                return new fabric.Polyline(points.map(p => ({ x: p.x, y: p.y })), style);
+        }
+    }
+
+    /**
+     * Redraws the annotation being drawn up to the pointer, with the length of its last segment
+     * or, for an angle mark, its angle.
+     * @param {{x: number, y: number}} pointer - The pointer position.
+     */
+    updatePreview(pointer) {
+        const points = this.points.concat(pointer);
+        if (this.preview) this.canvas.remove(this.preview);
+        this.preview = this.createAnnotation(this.tool, points);
+        this.preview.set({ selectable: false, evented: false, excludeFromExport: true });
+        this.canvas.add(this.preview);
+
+        if (!this.previewText) {
+            this.previewText = this.shapesModule.createMeasurementText();
+            this.previewText.set({ evented: false, excludeFromExport: true });
+            this.canvas.add(this.previewText);
+        }
+        const last = points[points.length - 2];
+        const text = this.tool === 'angle' && points.length === 3
+            ? `${parseFloat(getAngleDegrees(points[0], points[1], points[2]).toFixed(1))}°`
+            : this.shapesModule.formatLength(Math.hypot(pointer.x - last.x, pointer.y - last.y) / this.shapesModule.pixelsPerCm);
+        this.previewText.set({
+            text,
+            left: pointer.x,
+            top: pointer.y - this.shapesModule.roomLabelOffset * 2
+        });
+        this.canvas.bringToFront(this.previewText);
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Adds the annotation being drawn to the canvas; dimension lines and angle marks get their label.
+     */
+    finish() {
+        const tool = this.tool;
+        const points = this.points.slice();
+        this.cancel();
+        if (!tool || points.length < 2) return;
+
+        const annotation = this.createAnnotation(tool, points);
+        this.canvas.add(annotation);
+        if (tool === 'dimension' || tool === 'angle') {
+            const measurementText = this.shapesModule.createMeasurementText();
+            this.canvas.add(measurementText);
+            annotation.set({ measurementText, measurementTextId: measurementText.id });
+            this.shapesModule.addShapeMeasurementListeners(annotation);
+            this.shapesModule.updateShapeMeasurements(annotation, measurementText);
+        }
+        this.canvas.renderAll();
+        this.historyModule.enregistrerEtat();
+    }
+
+    /**
+     * Removes the annotation being drawn; the tool stays on.
+     */
+    cancel() {
+        if (this.preview) this.canvas.remove(this.preview);
+        if (this.previewText) this.canvas.remove(this.previewText);
+        this.preview = null;
+        this.previewText = null;
+        this.points = [];
+        this.canvas.requestRenderAll();
+    }
+}
+
+/**
+ * TextModule Class
+ * Manages adding and editing text on the canvas.
+ */
+class TextModule {
+    /**
+     * Creates an instance of TextModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     */
+    constructor(canvas, historyModule) {
+        this.canvas = canvas;
+        this.historyModule = historyModule;
+        this.textPropertiesMenu = document.getElementById('text-properties-menu');
+
+        // Text property controls
+        this.fontFamilySelect = document.getElementById('font-family');
+        this.fontSizeInput = document.getElementById('font-size');
+        this.fontWeightSelect = document.getElementById('font-weight');
+        this.textColorInput = document.getElementById('text-color');
+
+        // Currently selected text object
+        this.selectedText = null;
+    }
+
+    /**
+     * Initializes the text module by setting up event listeners.
+     */
+    init() {
+        this.setupAddTextButton();
+        this.setupTextSelection();
+        this.setupTextProperties();
+    }
+
+    /**
+     * Sets up the "Add Text" button functionality.
+     */
+    setupAddTextButton() {
+        const addTextBtn = document.getElementById('add-text-btn');
+        if (addTextBtn) {
+            addTextBtn.addEventListener('click', () => this.addText());
+        } else {
+            console.warn("Add Text button with ID 'add-text-btn' not found.");
+        }
+    }
+
+    /**
+     * Adds a new text object to the canvas.
+     */
+    addText() {
+        const text = new fabric.IText('Entrez votre texte', {
+            left: 150,
+            top: 100,
+            fontSize: 20,
+            fontFamily: 'Arial',
+            fill: '#000000',
+            editable: true,
+            selectable: true
+        });
+        this.canvas.add(text);
+        this.historyModule.enregistrerEtat();
+        this.canvas.setActiveObject(text);
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Sets up event listeners for text selection on the canvas.
+     */
+    setupTextSelection() {
+        this.canvas.on('selection:created', (e) => this.handleSelection(e));
+        this.canvas.on('selection:updated', (e) => this.handleSelection(e));
+        this.canvas.on('selection:cleared', () => this.hideTextPropertiesMenu());
+    }
+
+    /**
+     * Handles the selection of objects on the canvas.
+     * @param {Object} e - The event object.
+     */
+    handleSelection(e) {
+        const selected = e.selected[0];
+        if (selected && selected.type === 'i-text') {
+            this.selectedText = selected;
+            this.showTextPropertiesMenu(selected);
+        } else {
+            this.selectedText = null;
+            this.hideTextPropertiesMenu();
+        }
+    }
+
+    /**
+     * Displays the text properties menu and updates it with the selected text's properties.
+     * @param {fabric.IText} text - The selected text object.
+     */
+    showTextPropertiesMenu(text) {
+        if (this.textPropertiesMenu) {
+            this.textPropertiesMenu.style.display = 'flex';
+            this.updateTextPropertiesMenu(text);
+        }
+    }
+
+    /**
+     * Hides the text properties menu.
+     */
+    hideTextPropertiesMenu() {
+        if (this.textPropertiesMenu) {
+            this.textPropertiesMenu.style.display = 'none';
+        }
+    }
+
+    /**
+     * Updates the text properties menu with the selected text's properties.
+     * @param {fabric.IText} text - The selected text object.
+     */
+    updateTextPropertiesMenu(text) {
+        if (this.fontFamilySelect && this.fontSizeInput && this.fontWeightSelect && this.textColorInput) {
+            this.fontFamilySelect.value = text.fontFamily || 'Arial';
+            this.fontSizeInput.value = text.fontSize || 20;
+            this.fontWeightSelect.value = text.fontWeight || 'normal';
+            this.textColorInput.value = text.fill || '#000000';
+        }
+    }
+
+    /**
+     * Sets up event listeners for text property controls.
+     */
+    setupTextProperties() {
+        if (this.fontFamilySelect) {
+            this.fontFamilySelect.addEventListener('change', () => {
+                if (this.selectedText) {
+                    this.selectedText.set('fontFamily', this.fontFamilySelect.value);
+                    this.canvas.renderAll();
+                    this.historyModule.enregistrerEtat();
+                }
+            });
+        }
+
+        if (this.fontSizeInput) {
+            this.fontSizeInput.addEventListener('input', () => {
+                if (this.selectedText) {
+                    const size = parseInt(this.fontSizeInput.value, 10);
+                    if (!isNaN(size)) {
+                        this.selectedText.set('fontSize', size);
+                        this.canvas.renderAll();
+                        this.historyModule.enregistrerEtat();
+                    }
+                }
+            });
+        }
+
+        if (this.fontWeightSelect) {
+            this.fontWeightSelect.addEventListener('change', () => {
+                if (this.selectedText) {
+                    this.selectedText.set('fontWeight', this.fontWeightSelect.value);
+                    this.canvas.renderAll();
+                    this.historyModule.enregistrerEtat();
+                }
+            });
+        }
+
+        if (this.textColorInput) {
+            this.textColorInput.addEventListener('input', () => {
+                if (this.selectedText) {
+                    this.selectedText.set('fill', this.textColorInput.value);
+                    this.canvas.renderAll();
+                    this.historyModule.enregistrerEtat();
+                }
+            });
+        }
+    }
+}
+
+/**
+ * LayersModule Class
+ * Manages the named layers of the sheet and the layers panel: the objects from front to back,
+ * reordered by dragging, shown or hidden, locked, grouped and moved to another layer.
+ */
+class LayersModule {
+    /**
+     * Creates an instance of LayersModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (label links).
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     */
+    constructor(canvas, shapesModule, historyModule) {
+        this.canvas = canvas;
+        this.shapesModule = shapesModule;
+        this.historyModule = historyModule;
+
+        this.panelBtn = document.getElementById('layers-panel-btn');
+        this.panel = document.getElementById('layers-panel');
+        this.layerList = document.getElementById('layer-list');
+        this.objectList = document.getElementById('layer-object-list');
+        this.addLayerBtn = document.getElementById('add-layer-btn');
+        this.groupBtn = document.getElementById('group-btn');
+        this.ungroupBtn = document.getElementById('ungroup-btn');
+
+        this.renderPending = false;
+        this.draggedObject = null; // Object whose row is being dragged in the panel
+    }
+
+    /**
+     * Initializes the layers module by setting up the panel and the canvas events.
+     */
+    init() {
+        if (!this.canvas.layers) {
+            this.canvas.layers = getCanvasLayers(this.canvas);
+        }
+        this.canvas.on('canvas:restored', () => {
+            if (!this.canvas.layers) this.canvas.layers = getCanvasLayers(this.canvas);
+            this.applyLayers();
+        });
+
+        if (!this.panelBtn || !this.panel || !this.layerList || !this.objectList) {
+            console.warn("Layers panel elements with IDs 'layers-panel-btn', 'layers-panel', 'layer-list' and 'layer-object-list' not found.");
+            return;
+        }
+        this.panelBtn.addEventListener('click', () => {
+            this.panel.hidden = !this.panel.hidden;
+            this.renderPanel();
+        });
+        this.setupButtons();
+
+        ['object:added', 'object:removed', 'object:modified', 'selection:created', 'selection:updated', 'selection:cleared', 'history:changed']
+            .forEach(eventName => this.canvas.on(eventName, () => this.scheduleRender()));
+    }
+
+    /**
+     * Sets up the add layer, group and ungroup buttons.
+     */
+    setupButtons() {
+        if (this.addLayerBtn) {
+            this.addLayerBtn.addEventListener('click', () => this.addLayer());
+        }
+        if (this.groupBtn) {
+            this.groupBtn.addEventListener('click', () => this.groupSelection());
+        }
+        if (this.ungroupBtn) {
+            this.ungroupBtn.addEventListener('click', () => this.ungroupSelection());
+        }
+    }
+
+    /**
+     * Changes a layer of the sheet. The list is replaced, never changed in place: the history keeps the previous one.
+     * @param {string} id - The layer id.
+     * @param {Object} changes - The properties to change.
+     */
+    updateLayer(id, changes) {
+        this.canvas.layers = getCanvasLayers(this.canvas).map(layer => (layer.id === id ? { ...layer, ...changes } : layer));
+    }
+
+    /**
+     * Asks for the name of a new layer and adds it to the sheet.
+     */
+    addLayer() {
+        const name = prompt('Nom du nouveau calque :');
+        if (!name || !name.trim()) return;
+        this.canvas.layers = getCanvasLayers(this.canvas).concat({
+            id: createObjectId(),
+            name: name.trim(),
+            visible: true,
+            locked: false,
+            printed: true
+        });
+        this.historyModule.enregistrerEtat(`Ajouter le calque ${name.trim()}`);
+        this.renderPanel();
+    }
+
+    /**
+     * Shows, hides, locks and unlocks every object from its own state and the state of its layer.
+     * Measurement labels are shown only with their shape. Imported backgrounds keep their own lock.
+     */
+    applyLayers() {
+        const layers = getCanvasLayers(this.canvas);
+        const byId = new Map(layers.map(layer => [layer.id, layer]));
+        const objects = this.canvas.getObjects();
+        const owners = getLabelOwners(objects);
+        const layerOf = (obj) => byId.get(getObjectLayerId(obj, layers));
+        const isShown = (obj) => !obj.hidden && layerOf(obj).visible !== false
+            && (!owners.has(obj.id) || isShown(owners.get(obj.id)));
+
+        objects.forEach(obj => {
+            if (obj.excludeFromExport) return;
+            obj.visible = isShown(obj);
+            if (!obj.dxfBackground) {
+                this.setLocked(obj, Boolean(obj.locked || layerOf(obj).locked));
+            }
+        });
+
+        const active = this.canvas.getActiveObject();
+        if (active && !active.visible) {
+            this.canvas.discardActiveObject();
+        }
+        this.canvas.requestRenderAll();
+        this.scheduleRender();
+    }
+
+    /**
+     * Locks or unlocks an object: a locked object can still be selected, to be inspected and unlocked,
+     * but cannot be moved, resized or rotated.
+     * @param {fabric.Object} obj - The object.
+     * @param {boolean} locked - Whether it is locked.
+     */
+    setLocked(obj, locked) {
+        obj.set({
+            lockMovementX: locked,
+            lockMovementY: locked,
+            lockRotation: locked,
+            lockScalingX: locked,
+            lockScalingY: locked,
+            hasControls: !locked
+        });
+    }
+
+    /**
+     * Groups the selected objects, with the labels of the selected shapes so that they move together.
+     */
+    groupSelection() {
+        const selection = this.canvas.getActiveObject();
+        if (!selection || selection.type !== 'activeSelection') {
+            alert('Sélectionnez au moins deux objets à grouper.');
+            return;
+        }
+
+        const selected = new Set(selection.getObjects());
+        const labelIds = new Set(selection.getObjects().flatMap(obj => getLinkedLabelIds(obj)));
+        this.canvas.getObjects()
+            .filter(obj => labelIds.has(obj.id) && !selected.has(obj))
+            .forEach(label => selection.addWithUpdate(label));
+
+        const group = selection.toGroup();
+        group.set('id', createObjectId());
+        this.canvas.requestRenderAll();
+        this.historyModule.enregistrerEtat('Grouper');
+    }
+
+    /**
+     * Splits the selected group back into its objects, whose labels follow them again.
+     */
+    ungroupSelection() {
+        const group = this.canvas.getActiveObject();
+        if (!group || group.type !== 'group' || group.dxfBackground) {
+            alert('Sélectionnez un groupe à dégrouper.');
+            return;
+        }
+
+        group.toActiveSelection();
+        // Leaving the selection gives the objects back their canvas coordinates
+        this.canvas.discardActiveObject();
+        this.shapesModule.restoreShapeMeasurements();
+        this.shapesModule.restoreRoomPolygons();
+        this.canvas.requestRenderAll();
+        this.historyModule.enregistrerEtat('Dégrouper');
+    }
+
+    /**
+     * Renders the panel once the current burst of canvas events is over.
+     */
+    scheduleRender() {
+        if (this.renderPending || !this.panel || this.panel.hidden) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.renderPanel();
+        });
+    }
+
+    /**
+     * Lists the layers, then the objects from front to back; measurement labels follow their shape and are not listed.
+     */
+    renderPanel() {
+        if (!this.panel || this.panel.hidden) return;
+        const layers = getCanvasLayers(this.canvas);
+
+        this.layerList.innerHTML = '';
+        layers.forEach(layer => this.layerList.appendChild(this.createLayerItem(layer)));
+
+        const objects = this.canvas.getObjects().filter(obj => !obj.excludeFromExport);
+        const owners = getLabelOwners(objects);
+        const active = this.canvas.getActiveObject();
+        const selected = new Set(active ? (active.type === 'activeSelection' ? active.getObjects() : [active]) : []);
+
+        this.objectList.innerHTML = '';
+        objects.slice().reverse()
+            .filter(obj => !owners.has(obj.id))
+            .forEach(obj => this.objectList.appendChild(this.createObjectItem(obj, layers, selected.has(obj))));
+
+        if (this.ungroupBtn) this.ungroupBtn.disabled = !(active && active.type === 'group');
+        if (this.groupBtn) this.groupBtn.disabled = !(active && active.type === 'activeSelection');
+    }
+
+    /**
+     * Creates a toggle button of the panel.
+     * @param {string} icon - The button text.
+     * @param {string} title - The tooltip.
+     * @param {boolean} on - Whether the toggle is on.
+     * @param {Function} onClick - Called on click.
+     * @returns {HTMLButtonElement} - The button.
+     */
+    createToggle(icon, title, on, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'layer-toggle';
+        button.textContent = icon;
+        button.title = title;
+        button.classList.toggle('off', !on);
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Creates the row of a layer: its name (double-click to rename) and its visibility, lock and print toggles.
+     * @param {Object} layer - The layer.
+     * @returns {HTMLLIElement} - The row.
+     */
+    createLayerItem(layer) {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = layer.name;
+        name.title = 'Double-cliquez pour renommer';
+        name.addEventListener('dblclick', () => {
+            const newName = prompt('Nom du calque :', layer.name);
+            if (!newName || !newName.trim() || newName.trim() === layer.name) return;
+            this.updateLayer(layer.id, { name: newName.trim() });
+            this.historyModule.enregistrerEtat(`Renommer le calque ${newName.trim()}`);
+            this.renderPanel();
+        });
+        item.appendChild(name);
+
+        item.appendChild(this.createToggle('👁️', layer.visible !== false ? 'Masquer le calque' : 'Afficher le calque', layer.visible !== false, () => {
+            this.updateLayer(layer.id, { visible: layer.visible === false });
+            this.applyLayers();
+            this.historyModule.enregistrerEtat(`${layer.visible === false ? 'Afficher' : 'Masquer'} le calque ${layer.name}`);
+        }));
+        item.appendChild(this.createToggle('🔒', layer.locked ? 'Déverrouiller le calque' : 'Verrouiller le calque', Boolean(layer.locked), () => {
+            this.updateLayer(layer.id, { locked: !layer.locked });
+            this.applyLayers();
+            this.historyModule.enregistrerEtat(`${layer.locked ? 'Déverrouiller' : 'Verrouiller'} le calque ${layer.name}`);
+        }));
+        item.appendChild(this.createToggle('🖨️', layer.printed !== false ? "Exclure le calque de l'impression" : "Inclure le calque dans l'impression", layer.printed !== false, () => {
+            this.updateLayer(layer.id, { printed: layer.printed === false });
+            this.historyModule.enregistrerEtat(`${layer.printed === false ? 'Imprimer' : 'Ne pas imprimer'} le calque ${layer.name}`);
+            this.renderPanel();
+        }));
+        return item;
+    }
+
+    /**
+     * Creates the row of an object: its name (click to select, double-click to rename), its layer,
+     * its visibility and lock toggles; the row is dragged onto another one to move the object there.
+     * @param {fabric.Object} obj - The object.
+     * @param {Array<Object>} layers - The layers of the sheet.
+     * @param {boolean} selected - Whether the object is selected.
+     * @returns {HTMLLIElement} - The row.
+     */
+    createObjectItem(obj, layers, selected) {
+        const item = document.createElement('li');
+        item.draggable = true;
+        item.classList.toggle('selected', selected);
+        item.classList.toggle('hidden-object', !obj.visible);
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        name.textContent = getHistoryObjectName(obj);
+        name.title = 'Cliquez pour sélectionner, double-cliquez pour renommer';
+        name.addEventListener('click', () => {
+            if (!obj.visible || obj.selectable === false) return;
+            this.canvas.setActiveObject(obj);
+            this.canvas.requestRenderAll();
+            this.renderPanel();
+        });
+        name.addEventListener('dblclick', () => {
+            const newName = prompt("Nom de l'objet :", obj.name || '');
+            if (newName === null) return;
+            obj.name = newName.trim() || undefined;
+            this.historyModule.enregistrerEtat();
+            this.renderPanel();
+        });
+        item.appendChild(name);
+
+        const layerSelect = document.createElement('select');
+        layerSelect.title = 'Calque';
+        layers.forEach(layer => layerSelect.appendChild(new Option(layer.name, layer.id)));
+        layerSelect.value = getObjectLayerId(obj, layers);
+        layerSelect.addEventListener('change', () => {
+            obj.layer = layerSelect.value;
+            this.applyLayers();
+            this.historyModule.enregistrerEtat();
+        });
+        item.appendChild(layerSelect);
+
+        item.appendChild(this.createToggle('👁️', obj.hidden ? "Afficher l'objet" : "Masquer l'objet", !obj.hidden, () => {
+            obj.hidden = !obj.hidden || undefined;
+            this.applyLayers();
+            this.historyModule.enregistrerEtat();
+        }));
+        item.appendChild(this.createToggle('🔒', obj.locked ? "Déverrouiller l'objet" : "Verrouiller l'objet", Boolean(obj.locked), () => {
+            obj.locked = !obj.locked;
+            this.applyLayers();
+            this.canvas.fire('object:modified', { target: obj });
+            this.historyModule.enregistrerEtat();
+        }));
+
+        item.addEventListener('dragstart', (event) => {
+            this.draggedObject = obj;
+            event.dataTransfer.effectAllowed = 'move';
+        });
+        item.addEventListener('dragover', (event) => {
+            if (!this.draggedObject || this.draggedObject === obj) return;
+            event.preventDefault();
+            item.classList.add('drop-target');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+        item.addEventListener('drop', (event) => {
+            event.preventDefault();
+            item.classList.remove('drop-target');
+            this.moveObjectTo(this.draggedObject, obj);
+        });
+        item.addEventListener('dragend', () => {
+            this.draggedObject = null;
+        });
+        return item;
+    }
+
+    /**
+     * Moves an object to the place of another one in the drawing order, in front of it when it was behind and behind it otherwise.
+     * @param {?fabric.Object} obj - The dragged object.
+     * @param {fabric.Object} target - The object it was dropped on.
+     */
+    moveObjectTo(obj, target) {
+        if (!obj || obj === target) return;
+        this.canvas.moveTo(obj, this.canvas.getObjects().indexOf(target));
+        this.canvas.requestRenderAll();
+        this.historyModule.enregistrerEtat();
+        this.renderPanel();
+    }
+}
+
+/**
+ * InspectorModule Class
+ * Shows and edits the position, size, rotation, colours, opacity and lock of the selected object.
+ */
+class InspectorModule {
+    /**
+     * Creates an instance of InspectorModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (drawing scale, unit and labels).
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     * @param {LayersModule} layersModule - The LayersModule instance (locks).
+     */
+    constructor(canvas, shapesModule, historyModule, layersModule) {
+        this.canvas = canvas;
+        this.shapesModule = shapesModule;
+        this.historyModule = historyModule;
+        this.layersModule = layersModule;
+        this.panel = document.getElementById('object-inspector');
+
+        this.xInput = document.getElementById('inspector-x');
+        this.yInput = document.getElementById('inspector-y');
+        this.widthInput = document.getElementById('inspector-width');
+        this.heightInput = document.getElementById('inspector-height');
+        this.angleInput = document.getElementById('inspector-angle');
+        this.filledCheckbox = document.getElementById('inspector-filled');
+        this.fillInput = document.getElementById('inspector-fill');
+        this.strokeInput = document.getElementById('inspector-stroke');
+        this.opacityInput = document.getElementById('inspector-opacity');
+        this.lockCheckbox = document.getElementById('inspector-lock');
+
+        // Currently inspected object
+        this.selected = null;
+    }
+
+    /**
+     * Initializes the inspector module by setting up the selection events and the controls.
+     */
+    init() {
+        if (!this.panel) {
+            console.warn("Object inspector with ID 'object-inspector' not found.");
+            return;
+        }
+        this.setupSelection();
+        this.setupGeometryControls();
+        this.setupStyleControls();
+        this.canvas.on('canvas:restored', () => this.refresh());
+    }
+
+    /**
+     * Follows the selection and keeps the values up to date while the object is dragged.
+     */
+    setupSelection() {
+        const select = () => {
+            const active = this.canvas.getActiveObject();
+            this.selected = active && active.type !== 'activeSelection' ? active : null;
+            this.refresh();
+        };
+        this.canvas.on('selection:created', select);
+        this.canvas.on('selection:updated', select);
+        this.canvas.on('selection:cleared', select);
+
+        ['object:moving', 'object:scaling', 'object:rotating', 'object:modified'].forEach(eventName => {
+            this.canvas.on(eventName, (opt) => {
+                if (opt.target === this.selected) this.refresh();
+            });
+        });
+        this.canvas.on('scale:changed', () => this.refresh());
+    }
+
+    /**
+     * Sets up the position, size and rotation inputs; lengths are typed in the current unit.
+     */
+    setupGeometryControls() {
+        const readLength = (input) => parseLength(input.value, this.shapesModule.unit);
+
+        this.onChange(this.xInput, (obj) => {
+            const x = readLength(this.xInput);
+            if (x === null) return false;
+            obj.set('left', obj.left + x * this.shapesModule.pixelsPerCm - obj.getBoundingRect(true, true).left);
+        });
+        this.onChange(this.yInput, (obj) => {
+            const y = readLength(this.yInput);
+            if (y === null) return false;
+            obj.set('top', obj.top + y * this.shapesModule.pixelsPerCm - obj.getBoundingRect(true, true).top);
+        });
+        this.onChange(this.widthInput, (obj) => {
+            const width = readLength(this.widthInput);
+            if (!(width > 0) || !obj.getScaledWidth()) return false;
+            const scaleX = obj.scaleX * width * this.shapesModule.pixelsPerCm / obj.getScaledWidth();
+            // A circle keeps its shape
+            obj.set(obj.type === 'circle' ? { scaleX, scaleY: scaleX } : { scaleX });
+        });
+        this.onChange(this.heightInput, (obj) => {
+            const height = readLength(this.heightInput);
+            if (!(height > 0) || !obj.getScaledHeight()) return false;
+            const scaleY = obj.scaleY * height * this.shapesModule.pixelsPerCm / obj.getScaledHeight();
+            obj.set(obj.type === 'circle' ? { scaleX: scaleY, scaleY } : { scaleY });
+        });
+        this.onChange(this.angleInput, (obj) => {
+            const angle = parseFloat(this.angleInput.value);
+            if (isNaN(angle)) return false;
+            obj.rotate(((angle % 360) + 360) % 360);
+        });
+    }
+
+    /**
+     * Sets up the fill, stroke, opacity and lock controls.
+     */
+    setupStyleControls() {
+        this.onChange(this.filledCheckbox, (obj) => {
+            obj.set('fill', this.filledCheckbox.checked ? this.fillInput.value : 'transparent');
+        });
+        this.onChange(this.fillInput, (obj) => {
+            obj.set('fill', this.fillInput.value);
+        });
+        this.onChange(this.strokeInput, (obj) => {
+            obj.set('stroke', this.strokeInput.value);
+        });
+
+        if (this.opacityInput) {
+            // The slider previews on input; the history records the value it is released on
+            this.opacityInput.addEventListener('input', () => {
+                if (!this.selected) return;
+                this.selected.set('opacity', parseInt(this.opacityInput.value, 10) / 100);
+                this.canvas.requestRenderAll();
+            });
+            this.onChange(this.opacityInput, (obj) => {
+                obj.set('opacity', parseInt(this.opacityInput.value, 10) / 100);
+            });
+        }
+
+        this.onChange(this.lockCheckbox, (obj) => {
+            obj.locked = this.lockCheckbox.checked;
+            this.layersModule.applyLayers();
+        });
+    }
+
+    /**
+     * Applies a control to the inspected object when its value is committed, then updates the labels and the history.
+     * @param {?HTMLInputElement} input - The control.
+     * @param {function(fabric.Object): (boolean|undefined)} apply - Changes the object; returns false for an invalid value.
+     */
+    onChange(input, apply) {
+        if (!input) {
+            console.warn('Object inspector control not found.');
+            return;
+        }
+        input.addEventListener('change', () => {
+            const obj = this.selected;
+            if (!obj) return;
+            if (apply(obj) === false) {
+                this.refresh();
+                return;
+            }
+            obj.setCoords();
+            // Linked labels, wall nets and estimates follow the same events as a drag
+            obj.fire('modified');
+            this.canvas.fire('object:modified', { target: obj });
+            this.canvas.requestRenderAll();
+            this.historyModule.enregistrerEtat();
+            this.refresh();
+        });
+    }
+
+    /**
+     * Shows the values of the inspected object, or hides the panel when nothing or several objects are selected.
+     */
+    refresh() {
+        const obj = this.selected;
+        if (!obj || !this.canvas.getObjects().includes(obj)) {
+            this.selected = null;
+            this.panel.style.display = 'none';
+            return;
+        }
+        this.panel.style.display = 'flex';
+
+        const { perCm, decimals } = LENGTH_UNITS[this.shapesModule.unit];
+        const formatPixels = (pixels) => String(parseFloat((pixels / this.shapesModule.pixelsPerCm * perCm).toFixed(decimals)));
+        const box = obj.getBoundingRect(true, true);
+        const fill = this.getColorValue(obj.fill);
+
+        this.setValue(this.xInput, formatPixels(box.left));
+        this.setValue(this.yInput, formatPixels(box.top));
+        this.setValue(this.widthInput, formatPixels(Math.abs(obj.getScaledWidth())));
+        this.setValue(this.heightInput, formatPixels(Math.abs(obj.getScaledHeight())));
+        this.setValue(this.angleInput, String(parseFloat((obj.angle || 0).toFixed(1))));
+        this.setValue(this.fillInput, fill || '#ffffff');
+        this.setValue(this.strokeInput, this.getColorValue(obj.stroke) || '#000000');
+        this.setValue(this.opacityInput, String(Math.round((obj.opacity === undefined ? 1 : obj.opacity) * 100)));
+        if (this.filledCheckbox) this.filledCheckbox.checked = Boolean(fill);
+        if (this.lockCheckbox) this.lockCheckbox.checked = Boolean(obj.locked);
+
+        // A locked object (or an object of a locked layer) keeps its geometry; tile fills are changed from the tile controls
+        [this.xInput, this.yInput, this.widthInput, this.heightInput, this.angleInput].forEach(input => {
+            if (input) input.disabled = Boolean(obj.lockMovementX);
+        });
+        const patternFill = obj.fill && typeof obj.fill === 'object';
+        if (this.filledCheckbox) this.filledCheckbox.disabled = patternFill;
+        if (this.fillInput) this.fillInput.disabled = patternFill;
+    }
+
+    /**
+     * Writes a value in a control, unless the user is typing in it.
+     * @param {?HTMLInputElement} input - The control.
+     * @param {string} value - The value.
+     */
+    setValue(input, value) {
+        if (input && document.activeElement !== input) {
+            input.value = value;
+        }
+    }
+
+    /**
+     * Returns a colour as the value of a colour input.
+     * @param {*} color - A Fabric colour, a pattern or nothing.
+     * @returns {?string} - e.g. "#ff0000", or null for no colour or a pattern.
+     */
+    getColorValue(color) {
+        if (typeof color !== 'string' || !color || color === 'transparent') return null;
+        const parsed = new fabric.Color(color);
+        if (parsed.getAlpha() === 0) return null;
+        return `#${parsed.toHex().toLowerCase()}`;
+    }
+}
+
+/**
+ * CalculatorModule Class
+ * Manages the integrated calculator functionality.
+ */// Module de Gestion de la Calculatrice Intégrée
+class CalculatorModule {
+    /**
+     * Creates an instance of CalculatorModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (drawing scale and unit of the lengths).
+     */
+    constructor(canvas, shapesModule) {
+        this.canvas = canvas;
+        this.shapesModule = shapesModule;
+        this.calculatorCanvas = document.getElementById("calculator-canvas");
+        this.canvasCalcDisplay = document.getElementById("canvas-calc-display");
+        this.canvasCalcButtons = document.querySelectorAll("#calculator-canvas .calc-btn");
+        this.closeCanvasCalculatorBtn = document.getElementById("close-canvas-calculator");
+        this.unitLabel = document.getElementById("canvas-calc-unit");
+        this.widthBtn = document.getElementById("calc-width-btn");
+        this.heightBtn = document.getElementById("calc-height-btn");
+        this.unit = shapesModule.unit; // Unit of the lengths in the display
+    }
+
+    init() {
+        this.setupDrag();
+        this.setupButtons();
+        this.setupVisibility();
+        this.setupMeasures();
+    }
+
+    setupDrag() {
+        let isDragging = false;
+        let offsetX, offsetY;
+
+        const getPointerPosition = (e) => {
+            if (e.touches) {
+                return { x: e.touches[0].clientX, y: e.touches[0].clientY };
+            } else {
+                return { x: e.clientX, y: e.clientY };
+            }
+        };
+
+        const startDrag = (e) => {
+            isDragging = true;
+            const pointer = getPointerPosition(e);
+            const rect = this.calculatorCanvas.getBoundingClientRect();
+            offsetX = pointer.x - rect.left;
+            offsetY = pointer.y - rect.top;
+            this.calculatorCanvas.style.cursor = 'move';
+            e.preventDefault();
+        };
+
+        const drag = (e) => {
+            if (isDragging) {
+                const pointer = getPointerPosition(e);
+                // Calculer les nouvelles positions en tenant compte des limites de la fenêtre
+                let newLeft = pointer.x - offsetX;
+                let newTop = pointer.y - offsetY;
+
+                // Empêcher la calculatrice de sortir de l'écran
+                const windowWidth = window.innerWidth;
+                const windowHeight = window.innerHeight;
+                const calcWidth = this.calculatorCanvas.offsetWidth;
+                const calcHeight = this.calculatorCanvas.offsetHeight;
+
+                newLeft = Math.max(0, Math.min(newLeft, windowWidth - calcWidth));
+                newTop = Math.max(0, Math.min(newTop, windowHeight - calcHeight));
+
+                this.calculatorCanvas.style.left = `${newLeft}px`;
+                this.calculatorCanvas.style.top = `${newTop}px`;
+            }
+        };
+
+        const stopDrag = () => {
+            isDragging = false;
+            this.calculatorCanvas.style.cursor = 'default';
+        };
+
+        const calculatorHeader = this.calculatorCanvas.querySelector('h3');
+        if (calculatorHeader) {
+            calculatorHeader.addEventListener('mousedown', startDrag);
+            calculatorHeader.addEventListener('touchstart', startDrag);
+        } else {
+            console.warn("Le titre de la calculatrice est introuvable.");
+        }
+
+        document.addEventListener('mousemove', drag);
+        document.addEventListener('touchmove', drag);
+        document.addEventListener('mouseup', stopDrag);
+        document.addEventListener('touchend', stopDrag);
+    }
+
+    setupButtons() {
+        this.canvasCalcButtons.forEach(button => {
+            button.addEventListener("click", () => this.handleCalcButton(button.textContent));
+        });
+
+        if (this.closeCanvasCalculatorBtn) {
+            this.closeCanvasCalculatorBtn.addEventListener("click", () => this.hideCalculator());
+        } else {
+            console.warn("Le bouton 'Fermer' de la calculatrice est introuvable.");
+        }
+    }
+
+    setupVisibility() {
+        const showCalculatorBtn = document.getElementById("show-calculator");
+        if (showCalculatorBtn) {
+            showCalculatorBtn.addEventListener("click", () => this.showCalculator());
+        } else {
+            console.warn("Le bouton 'Calculatrice' avec l'ID 'show-calculator' est introuvable.");
+        }
+    }
+
+    /**
+     * Sets up the buttons inserting the real size of the selected object, and follows the unit of the drawing.
+     */
+    setupMeasures() {
+        if (!this.unitLabel || !this.widthBtn || !this.heightBtn) {
+            console.warn("Calculator measure controls with IDs 'canvas-calc-unit', 'calc-width-btn' and 'calc-height-btn' not found.");
+            return;
+        }
+        this.widthBtn.addEventListener("click", () => this.insertMeasure('width'));
+        this.heightBtn.addEventListener("click", () => this.insertMeasure('height'));
+        this.canvas.on('scale:changed', ({ unit }) => this.setUnit(unit));
+        this.unitLabel.textContent = this.unit;
+    }
+
+    /**
+     * Appends the real width or height of the selected object to the display, in the current unit.
+     * @param {string} dimension - 'width' or 'height'.
+     */
+    insertMeasure(dimension) {
+        const obj = this.canvas.getActiveObject();
+        if (!obj) {
+            alert("Aucun objet sélectionné !");
+            return;
+        }
+        const sizePx = dimension === 'width' ? obj.getScaledWidth() : obj.getScaledHeight();
+        const { perCm, decimals } = LENGTH_UNITS[this.unit] || LENGTH_UNITS.cm;
+        const value = parseFloat((Math.abs(sizePx) / this.shapesModule.pixelsPerCm * perCm).toFixed(decimals));
+        this.canvasCalcDisplay.value += String(value);
+    }
+
+    /**
+     * Changes the unit of the lengths, converting the number shown in the display.
+     * @param {string} unit - One of the LENGTH_UNITS keys.
+     */
+    setUnit(unit) {
+        if (!LENGTH_UNITS[unit] || unit === this.unit) return;
+        const cm = parseLength(this.canvasCalcDisplay.value, this.unit);
+        if (cm !== null) {
+            const { perCm, decimals } = LENGTH_UNITS[unit];
+            this.canvasCalcDisplay.value = String(parseFloat((cm * perCm).toFixed(decimals)));
+        }
+        this.unit = unit;
+        this.unitLabel.textContent = unit;
+    }
+
+    handleCalcButton(value) {
+        if (value === "C") {
+            this.canvasCalcDisplay.value = "";
+        } else if (value === "=") {
+            try {
+                // Utiliser une fonction sécurisée pour évaluer l'expression
+                this.canvasCalcDisplay.value = Function('"use strict";return (' + this.canvasCalcDisplay.value + ')')();
+            } catch {
+                this.canvasCalcDisplay.value = "Erreur";
+            }
+        } else {
+            this.canvasCalcDisplay.value += value;
+        }
+    }
+
+    showCalculator() {
+        if (this.calculatorCanvas) {
+            this.calculatorCanvas.style.display = 'block';
+            this.calculatorCanvas.style.zIndex = 9999;
+            // Positionner la calculatrice au centre si elle n'a pas encore été positionnée
+            if (!this.calculatorCanvas.style.left || !this.calculatorCanvas.style.top) {
+                const windowWidth = window.innerWidth;
+                const windowHeight = window.innerHeight;
+                const calcWidth = this.calculatorCanvas.offsetWidth;
+                const calcHeight = this.calculatorCanvas.offsetHeight;
+                this.calculatorCanvas.style.left = `${(windowWidth - calcWidth) / 2}px`;
+                this.calculatorCanvas.style.top = `${(windowHeight - calcHeight) / 2}px`;
+            }
+        } else {
+            console.warn("La calculatrice avec l'ID 'calculator-canvas' est introuvable.");
+        }
+    }
+
+    hideCalculator() {
+        if (this.calculatorCanvas) {
+            this.calculatorCanvas.style.display = 'none';
+        }
+    }
+}
+
+/**
+ * ProjectModule Class
+ * Manages the project: several named sheets, each with its own paper size, orientation and objects.
+ * The canvas always shows the active sheet; the other sheets are kept as canvas JSON.
+ */
+class ProjectModule {
+    /**
+     * Creates an instance of ProjectModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     */
+    constructor(canvas, historyModule) {
+        this.canvas = canvas;
+        this.historyModule = historyModule;
+
+        this.project = {
+            id: createObjectId(),
+            name: 'Projet',
+            client: '',
+            address: '',
+            date: new Date().toISOString().slice(0, 10),
+            sheets: [this.createSheet('Feuille 1', 'A4', 'portrait')],
+            activeSheetIndex: 0
+        };
+
+        this.projectInfoBtn = document.getElementById('project-info-btn');
+        this.sheetTabs = document.getElementById('sheet-tabs');
+        this.addSheetBtn = document.getElementById('add-sheet-btn');
+        this.paperSelect = document.getElementById('sheet-paper-select');
+        this.orientationSelect = document.getElementById('sheet-orientation-select');
+    }
+
+    /**
+     * Initializes the project module by setting up the sheet navigator.
+     */
+    init() {
+        this.setupProjectInfo();
+        this.setupAddSheet();
+        this.setupPaperControls();
+        this.applySheetSize(this.getActiveSheet());
+        this.renderNavigator();
+    }
+
+    /**
+     * Creates an empty sheet.
+     * @param {string} name - The sheet name.
+     * @param {string} paperSize - One of the PAPER_SIZES keys.
+     * @param {string} orientation - 'portrait' or 'landscape'.
+     * @returns {Object} - The sheet.
+     */
+    createSheet(name, paperSize, orientation) {
+        return { id: createObjectId(), name, paperSize, orientation, canvasJSON: null };
+    }
+
+    /**
+     * Returns the sheet shown on the canvas.
+     * @returns {Object} - The active sheet.
+     */
+    getActiveSheet() {
+        return this.project.sheets[this.project.activeSheetIndex];
+    }
+
+    /**
+     * Sets up the button editing the project metadata.
+     */
+    setupProjectInfo() {
+        if (this.projectInfoBtn) {
+            this.projectInfoBtn.addEventListener('click', () => this.editProjectInfo());
+        } else {
+            console.warn("Project info button with ID 'project-info-btn' not found.");
+        }
+    }
+
+    /**
+     * Asks for the project name, client, site address and date. Cancelling keeps the remaining values.
+     */
+    editProjectInfo() {
+        const fields = [
+            ['name', "Nom du projet ?"],
+            ['client', "Client ?"],
+            ['address', "Adresse du chantier ?"],
+            ['date', "Date du projet (AAAA-MM-JJ) ?"]
+        ];
+        for (const [key, question] of fields) {
+            const value = prompt(question, this.project[key]);
+            if (value === null) break;
+            this.project[key] = value.trim();
+        }
+        if (!this.project.name) this.project.name = 'Projet';
+        this.renderNavigator();
+    }
+
+    /**
+     * Sets up the "+" button adding a sheet.
+     */
+    setupAddSheet() {
+        if (this.addSheetBtn) {
+            this.addSheetBtn.addEventListener('click', () => this.addSheet());
+        } else {
+            console.warn("Add sheet button with ID 'add-sheet-btn' not found.");
+        }
+    }
+
+    /**
+     * Sets up the paper size and orientation selects of the active sheet.
+     */
+    setupPaperControls() {
+        if (!this.paperSelect || !this.orientationSelect) {
+            console.warn("Sheet paper controls with IDs 'sheet-paper-select' and 'sheet-orientation-select' not found.");
+            return;
+        }
+
+        this.paperSelect.innerHTML = '';
+        Object.keys(PAPER_SIZES).forEach(size => this.paperSelect.appendChild(new Option(size, size)));
+
+        const onChange = () => {
+            const sheet = this.getActiveSheet();
+            sheet.paperSize = this.paperSelect.value;
+            sheet.orientation = this.orientationSelect.value;
+            this.applySheetSize(sheet);
+        };
+        this.paperSelect.addEventListener('change', onChange);
+        this.orientationSelect.addEventListener('change', onChange);
+    }
+
+    /**
+     * Sizes the canvas to the sheet's paper at screen resolution (1 mm = 96 / 25.4 px).
+     * @param {Object} sheet - The sheet.
+     */
+    applySheetSize(sheet) {
+        const { widthMm, heightMm } = getPaperSizeMm(sheet.paperSize, sheet.orientation);
+        const pixelsPerMm = SCREEN_PIXELS_PER_CM / 10;
+        this.canvas.setDimensions({ width: Math.round(widthMm * pixelsPerMm), height: Math.round(heightMm * pixelsPerMm) });
+        this.canvas.renderAll();
+    }
+
+    /**
+     * Stores the canvas content in the active sheet.
+     */
+    saveActiveSheet() {
+        this.getActiveSheet().canvasJSON = this.canvas.toJSON(SERIALIZED_PROPERTIES);
+    }
+
+    /**
+     * Shows a sheet on the canvas and starts a fresh undo history for it.
+     * @param {Object} sheet - The sheet to show.
+     * @param {function(Array<string>)} [callback] - Called once the sheet is loaded, with the objects that could not be restored.
+     */
+    loadSheet(sheet, callback) {
+        this.canvas.discardActiveObject();
+        this.applySheetSize(sheet);
+        // Layers are read back from the sheet JSON; blank and older sheets get the default ones on restore
+        this.canvas.layers = undefined;
+        const problems = [];
+        const done = () => {
+            this.canvas.renderAll();
+            this.canvas.fire('canvas:restored');
+            this.historyModule.reset();
+            this.renderNavigator();
+            if (callback) callback(problems);
+        };
+
+        if (sheet.canvasJSON) {
+            this.canvas.loadFromJSON(sheet.canvasJSON, done, (data, obj, error) => {
+                if (error || !obj) {
+                    const source = data.src ? ` (${String(data.src).slice(0, 80)})` : '';
+                    problems.push(`Feuille « ${sheet.name} » : ${data.type}${source} n'a pas pu être chargé.`);
+                }
+            });
+        } else {
+            this.canvas.clear();
+            this.canvas.setBackgroundColor('white', done);
+        }
+    }
+
+    /**
+     * Switches to another sheet, keeping the content of the current one.
+     * @param {number} index - The index of the sheet to show.
+     */
+    switchSheet(index) {
+        if (index === this.project.activeSheetIndex || !this.project.sheets[index]) return;
+        this.saveActiveSheet();
+        this.project.activeSheetIndex = index;
+        this.loadSheet(this.getActiveSheet(), (problems) => {
+            if (problems.length > 0) alert(problems.join('\n'));
+        });
+    }
+
+    /**
+     * Adds a sheet with the paper of the current one and shows it.
+     */
+    addSheet() {
+        const name = prompt("Nom de la nouvelle feuille ?", `Feuille ${this.project.sheets.length + 1}`);
+        if (name === null) return;
+
+        const current = this.getActiveSheet();
+        this.saveActiveSheet();
+        this.project.sheets.push(this.createSheet(name.trim() || `Feuille ${this.project.sheets.length + 1}`, current.paperSize, current.orientation));
+        this.project.activeSheetIndex = this.project.sheets.length - 1;
+        this.loadSheet(this.getActiveSheet());
+    }
+
+    /**
+     * Renames a sheet.
+     * @param {number} index - The index of the sheet.
+     */
+    renameSheet(index) {
+        const sheet = this.project.sheets[index];
+        const name = prompt("Nouveau nom de la feuille ?", sheet.name);
+        if (name === null || !name.trim()) return;
+        sheet.name = name.trim();
+        this.renderNavigator();
+    }
+
+    /**
+     * Deletes a sheet after confirmation; the last sheet cannot be deleted.
+     * @param {number} index - The index of the sheet.
+     */
+    deleteSheet(index) {
+        if (this.project.sheets.length === 1) {
+            alert("Un projet doit garder au moins une feuille.");
+            return;
+        }
+        if (!confirm(`Supprimer la feuille « ${this.project.sheets[index].name} » et son contenu ?`)) return;
+
+        const wasActive = index === this.project.activeSheetIndex;
+        this.project.sheets.splice(index, 1);
+        if (wasActive) {
+            this.project.activeSheetIndex = Math.min(index, this.project.sheets.length - 1);
+            this.loadSheet(this.getActiveSheet());
+        } else {
+            if (index < this.project.activeSheetIndex) this.project.activeSheetIndex--;
+            this.renderNavigator();
+        }
+    }
+
+    /**
+     * Draws the sheet tabs and shows the paper of the active sheet.
+     */
+    renderNavigator() {
+        if (this.projectInfoBtn) {
+            const { name, client, address, date } = this.project;
+            this.projectInfoBtn.textContent = `🗂️ ${name}`;
+            this.projectInfoBtn.title = [client && `Client : ${client}`, address && `Adresse : ${address}`, date && `Date : ${date}`]
+                .filter(Boolean).join('\n') || 'Informations du projet';
+        }
+        if (this.paperSelect && this.orientationSelect) {
+            const sheet = this.getActiveSheet();
+            this.paperSelect.value = sheet.paperSize;
+            this.orientationSelect.value = sheet.orientation;
+        }
+        if (!this.sheetTabs) return;
+
+        this.sheetTabs.innerHTML = '';
+        this.project.sheets.forEach((sheet, index) => {
+            const tab = document.createElement('div');
+            tab.className = index === this.project.activeSheetIndex ? 'sheet-tab active' : 'sheet-tab';
+            tab.title = `${sheet.paperSize} ${sheet.orientation === 'landscape' ? 'paysage' : 'portrait'} - double-clic pour renommer`;
+
+            const name = document.createElement('span');
+            name.textContent = sheet.name;
+            tab.appendChild(name);
+            tab.addEventListener('click', () => this.switchSheet(index));
+            tab.addEventListener('dblclick', () => this.renameSheet(index));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'sheet-delete';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Supprimer la feuille';
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteSheet(index);
+            });
+            tab.appendChild(deleteBtn);
+
+            this.sheetTabs.appendChild(tab);
+        });
+    }
+
+    /**
+     * Returns the whole project, the active sheet included, as a ProjectFile for saving.
+     * @returns {ProjectFile} - The project file content.
+     */
+    toJSON() {
+        this.saveActiveSheet();
+        const { id, name, client, address, date } = this.project;
+        return {
+            format: PROJECT_FILE_FORMAT,
+            schemaVersion: PROJECT_SCHEMA_VERSION,
+            metadata: { id, name, client, address, date, savedAt: new Date().toISOString() },
+            activeSheetIndex: this.project.activeSheetIndex,
+            sheets: this.project.sheets.map(({ name, paperSize, orientation, canvasJSON }) => ({ name, paperSize, orientation, canvas: canvasJSON }))
+        };
+    }
+
+    /**
+     * Replaces the project with a loaded file of any version (see loadProjectFile).
+     * @param {Object} data - The parsed file content.
+     * @param {string} fileName - The file name, used to name single-canvas projects.
+     * @param {function({migratedFrom: number, problems: Array<string>})} [callback] - Called once the active sheet is shown,
+     *        with the version the file was saved with and everything that could not be restored.
+     * @throws {Error} - If the file cannot be read as a project.
+     */
+    loadProject(data, fileName, callback) {
+        const { project, migratedFrom, problems } = loadProjectFile(data, fileName, type => !!fabric.util.getKlass(type));
+
+        this.project = {
+            ...project,
+            sheets: project.sheets.map(sheet => ({
+                ...this.createSheet(sheet.name, sheet.paperSize, sheet.orientation),
+                canvasJSON: sheet.canvasJSON
+            }))
+        };
+        this.loadSheet(this.getActiveSheet(), (sheetProblems) => {
+            if (callback) callback({ migratedFrom, problems: problems.concat(sheetProblems) });
+        });
+    }
+}
+
+/**
+ * AutosaveModule Class
+ * Keeps a copy of the project in IndexedDB each time the history records a change, and every minute.
+ * Offers to restore unsaved work on startup and lists recent projects with a thumbnail.
+ */
+class AutosaveModule {
+    /**
+     * Creates an instance of AutosaveModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ProjectModule} projectModule - The ProjectModule instance.
+     * @param {HistoryModule} historyModule - The HistoryModule instance (the undo history of the active sheet is saved too).
+     */
+    constructor(canvas, projectModule, historyModule) {
+        this.canvas = canvas;
+        this.projectModule = projectModule;
+        this.historyModule = historyModule;
+
+        this.databaseName = 'canevas-autosave';
+        this.storeName = 'projects';
+        this.maxProjects = 20;
+        this.saveDelay = 2000; // After a change, in ms
+        this.saveInterval = 60000; // In ms
+        this.thumbnailWidth = 160;
+
+        this.database = null;
+        this.ready = false; // No autosave before the restore prompt was answered
+        this.dirty = false;
+
+        this.recentBtn = document.getElementById('open-recent-btn');
+        this.recentModal = document.getElementById('recent-projects-modal');
+        this.recentList = document.getElementById('recent-projects-list');
+        this.closeModalSpan = this.recentModal ? this.recentModal.querySelector('.close-modal') : null;
+    }
+
+    /**
+     * Initializes the autosave module: opens the database, offers to restore unsaved work, then starts saving.
+     */
+    init() {
+        this.setupRecentProjects();
+
+        if (!window.indexedDB) {
+            console.warn('IndexedDB is not available; autosave is disabled.');
+            return;
+        }
+
+        const scheduleSave = debounce(() => this.save(), this.saveDelay);
+        this.canvas.on('history:changed', () => {
+            this.dirty = true;
+            scheduleSave();
+        });
+        this.canvas.on('project:saved', () => this.markSaved());
+        setInterval(() => {
+            if (this.dirty) this.save();
+        }, this.saveInterval);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.dirty) this.save();
+        });
+
+        this.openDatabase()
+            .then(() => this.offerRestore())
+            .catch(error => console.warn('Autosave unavailable:', error))
+            .finally(() => { this.ready = true; });
+    }
+
+    /**
+     * Opens (and creates on first use) the autosave database.
+     * @returns {Promise<IDBDatabase>} - The database.
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Runs a request on the project store.
+     * @param {string} mode - 'readonly' or 'readwrite'.
+     * @param {function(IDBObjectStore): IDBRequest} action - Creates the request.
+     * @returns {Promise<*>} - The request result.
+     */
+    request(mode, action) {
+        return new Promise((resolve, reject) => {
+            if (!this.database) {
+                reject(new Error('database not open'));
+                return;
+            }
+            const store = this.database.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Returns the saved projects, most recent first.
+     * @returns {Promise<Array<Object>>} - The records: {id, name, client, savedAt, unsaved, thumbnail, file, history}.
+     */
+    getProjects() {
+        return this.request('readonly', store => store.getAll())
+            .then(records => records.sort((a, b) => b.savedAt.localeCompare(a.savedAt)));
+    }
+
+    /**
+     * Tells whether the project has anything worth saving.
+     * @param {ProjectFile} file - The project file.
+     * @returns {boolean} - True when a sheet holds objects.
+     */
+    hasContent(file) {
+        return file.sheets.some(sheet => sheet.canvas && sheet.canvas.objects && sheet.canvas.objects.length > 0);
+    }
+
+    /**
+     * Saves the current project, marked as not downloaded yet, and keeps the most recent projects only.
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (!this.ready || !this.database) return Promise.resolve();
+
+        const file = this.projectModule.toJSON();
+        if (!this.hasContent(file)) return Promise.resolve();
+        this.dirty = false;
+
+        const { project } = this.projectModule;
+        const record = {
+            id: project.id,
+            name: project.name,
+            client: project.client,
+            savedAt: file.metadata.savedAt,
+            unsaved: true,
+            thumbnail: this.createThumbnail(),
+            file,
+            history: this.historyModule.toJSON()
+        };
+        return this.request('readwrite', store => store.put(record))
+            .then(() => this.pruneProjects())
+            .catch(error => console.warn('Autosave failed:', error));
+    }
+
+    /**
+     * Deletes the oldest projects beyond maxProjects.
+     * @returns {Promise<void>}
+     */
+    pruneProjects() {
+        return this.getProjects().then(records => Promise.all(
+            records.slice(this.maxProjects).map(record => this.request('readwrite', store => store.delete(record.id)))
+        ));
+    }
+
+    /**
+     * Marks the current project as downloaded: it will not be offered for restore at the next startup.
+     */
+    markSaved() {
+        if (!this.database) return;
+        const id = this.projectModule.project.id;
+        this.save()
+            .then(() => this.request('readonly', store => store.get(id)))
+            .then(record => record && this.request('readwrite', store => store.put({ ...record, unsaved: false })))
+            .catch(error => console.warn('Autosave failed:', error));
+    }
+
+    /**
+     * Renders a small JPEG of the active sheet.
+     * @returns {string} - The thumbnail data URL.
+     */
+    createThumbnail() {
+        const viewportTransform = this.canvas.viewportTransform;
+        this.canvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+        try {
+            return this.canvas.toDataURL({ format: 'jpeg', quality: 0.6, multiplier: this.thumbnailWidth / this.canvas.getWidth() });
+        } finally {
+            this.canvas.viewportTransform = viewportTransform;
+        }
+    }
+
+    /**
+     * On startup, offers to restore the most recent project that was not downloaded after its last change.
+     * @returns {Promise<void>}
+     */
+    offerRestore() {
+        return this.getProjects().then(records => {
+            const record = records.find(r => r.unsaved);
+            if (!record) return;
+
+            const when = new Date(record.savedAt).toLocaleString('fr-FR');
+            if (confirm(`Un travail non enregistré a été trouvé : « ${record.name} » (${when}).\nLe restaurer ?`)) {
+                this.openProject(record);
+            } else {
+                // Stays in the recent projects, without asking again
+                return this.request('readwrite', store => store.put({ ...record, unsaved: false }));
+            }
+        });
+    }
+
+    /**
+     * Opens a saved project and reports what could not be restored.
+     * @param {Object} record - The saved project.
+     */
+    openProject(record) {
+        try {
+            this.projectModule.loadProject(record.file, `${record.name}.json`, ({ problems }) => {
+                // The history belongs to the active sheet, which was saved in the state of its current step
+                this.historyModule.restore(record.history);
+                if (problems.length > 0) {
+                    alert(`Éléments non restaurés (${problems.length}) :\n${problems.map(problem => `- ${problem}`).join('\n')}`);
+                }
+            });
+        } catch (error) {
+            console.error('Error:', error);
+            alert(`Impossible d'ouvrir « ${record.name} » : ${error.message}`);
+        }
+    }
+
+    /**
+     * Sets up the recent projects button and modal.
+     */
+    setupRecentProjects() {
+        if (!this.recentBtn || !this.recentModal || !this.recentList) {
+            console.warn("Recent projects elements with IDs 'open-recent-btn', 'recent-projects-modal' and 'recent-projects-list' not found.");
+            return;
+        }
+        this.recentBtn.addEventListener('click', () => this.showRecentProjects());
+        if (this.closeModalSpan) {
+            this.closeModalSpan.addEventListener('click', () => this.hideRecentProjects());
+        }
+        window.addEventListener('click', (event) => {
+            if (event.target === this.recentModal) this.hideRecentProjects();
+        });
+    }
+
+    /**
+     * Shows the recent projects, most recent first, with their thumbnail.
+     */
+    showRecentProjects() {
+        if (!this.database) {
+            alert("L'enregistrement automatique n'est pas disponible dans ce navigateur.");
+            return;
+        }
+
+        // Save the current project first so it appears up to date in the list
+        this.save().then(() => this.getProjects()).then(records => {
+            this.recentList.innerHTML = '';
+            if (records.length === 0) {
+                this.recentList.textContent = 'Aucun projet récent.';
+            }
+            records.forEach(record => this.recentList.appendChild(this.createRecentItem(record)));
+            this.recentModal.style.display = 'block';
+        }).catch(error => console.warn('Recent projects unavailable:', error));
+    }
+
+    /**
+     * Creates the list item of a recent project.
+     * @param {Object} record - The saved project.
+     * @returns {HTMLElement} - The item.
+     */
+    createRecentItem(record) {
+        const item = document.createElement('div');
+        item.className = 'recent-project';
+
+        const thumbnail = document.createElement('img');
+        thumbnail.src = record.thumbnail;
+        thumbnail.alt = record.name;
+        item.appendChild(thumbnail);
+
+        const info = document.createElement('div');
+        info.className = 'recent-project-info';
+        const name = document.createElement('strong');
+        name.textContent = record.name;
+        const details = document.createElement('span');
+        details.textContent = [record.client, new Date(record.savedAt).toLocaleString('fr-FR'), record.unsaved ? 'non téléchargé' : '']
+            .filter(Boolean).join(' - ');
+        info.append(name, details);
+        item.appendChild(info);
+
+        const openBtn = document.createElement('button');
+        openBtn.textContent = 'Ouvrir';
+        openBtn.addEventListener('click', () => {
+            this.hideRecentProjects();
+            this.openProject(record);
+        });
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Retirer de la liste';
+        deleteBtn.addEventListener('click', () => {
+            if (!confirm(`Retirer « ${record.name} » des projets récents ?`)) return;
+            this.request('readwrite', store => store.delete(record.id)).then(() => item.remove());
+        });
+        item.append(openBtn, deleteBtn);
+        return item;
+    }
+
+    /**
+     * Hides the recent projects modal.
+     */
+    hideRecentProjects() {
+        this.recentModal.style.display = 'none';
+    }
+}
+
+/**
+ * ImportExportModule Class
+ * Manages importing and exporting of canvas content.
+ */
+class ImportExportModule {
+    /**
+     * Creates an instance of ImportExportModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     * @param {ProjectModule} projectModule - The ProjectModule instance (the project saved and loaded as a whole).
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (drawing scale and unit of uploaded images).
+     */
+    constructor(canvas, historyModule, projectModule, shapesModule) {
+        this.canvas = canvas;
+        this.historyModule = historyModule;
+        this.projectModule = projectModule;
+        this.shapesModule = shapesModule;
+        this.nomFichierJSON = null;
+
+        // Import and Export elements
+        this.saveImgBtn = document.querySelector(".save-img");
+        this.uploadImageInput = document.getElementById("upload-image");
+        this.saveJSONBtn = document.getElementById("save-json");
+        this.loadJSONInput = document.getElementById("load-json");
+        this.loadJSONLabel = document.querySelector(".load-json-btn");
+        this.exportSVGBtn = document.getElementById('export-svg');
+        this.importSVGInput = document.getElementById('import-svg');
+        this.deleteObjectBtn = document.getElementById('delete-object');
+        this.deleteMeasurementBtn = document.getElementById('delete-measurement-text');
+        this.clearCanvasBtn = document.querySelector('.clear-canvas');
+
+        // Properties written in the SVG metadata; label links are added from the live labels
+        this.svgObjectProperties = SERIALIZED_PROPERTIES
+            .filter(key => key !== 'drawingScale')
+            .concat(['selectable', 'evented', 'hasControls', 'originX', 'originY', 'backgroundColor']);
+    }
+
+    /**
+     * Initializes the import/export module by setting up event listeners.
+     */
+    init() {
+        this.setupSaveImage();
+        this.setupUploadImage();
+        this.setupSaveJSON();
+        this.setupLoadJSON();
+        this.setupSVG();
+        this.setupDeleteObject();
+        this.setupDeleteMeasurementText();
+        this.setupClearCanvas();
+    }
+
+    /**
+     * Sets up the "Save as Image" functionality.
+     */
+    setupSaveImage() {
+        if (this.saveImgBtn) {
+            this.saveImgBtn.addEventListener("click", () => this.saveAsImage());
+        } else {
+            console.warn("Save Image button with class 'save-img' not found.");
+        }
+    }
+
+    /**
+     * Saves the canvas content as a PNG image.
+     */
+    saveAsImage() {
+        const dataURL = this.canvas.toDataURL({
+            format: 'png',
+            multiplier: 2
+        });
+        const link = document.createElement("a");
+        link.href = dataURL;
+        link.download = `canvas_${Date.now()}.png`;
+        link.click();
+    }
+
+    /**
+     * Sets up the "Upload Image" functionality.
+     */
+    setupUploadImage() {
+        if (this.uploadImageInput) {
+            this.uploadImageInput.addEventListener("change", (e) => this.uploadImage(e));
+        } else {
+            console.warn("Upload Image input with ID 'upload-image' not found.");
+        }
+    }
+
+    /**
+     * Uploads an image to the canvas at the real width typed by the user, on the drawing scale.
+     * Without a width, the image fits the sheet so that it can be calibrated afterwards.
+     * @param {Event} e - The change event.
+     */
+    uploadImage(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            fabric.Image.fromURL(event.target.result, (img) => {
+                if (!img.width || !img.height) return;
+                const unit = this.shapesModule.unit;
+                const answer = prompt(`Largeur réelle de l'image (en ${unit}, ex : 4.2 m) ? Laissez vide pour l'ajuster à la feuille.`, '');
+                const widthCm = answer && answer.trim() ? parseLength(answer, unit) : null;
+                if (answer && answer.trim() && !(widthCm > 0)) {
+                    alert("Largeur invalide : l'image est ajustée à la feuille.");
+                }
+
+                const margin = 100; // Position of the image from the top left corner of the sheet, in px
+                const scale = widthCm > 0
+                    ? (widthCm * this.shapesModule.pixelsPerCm) / img.width
+                    : Math.min((this.canvas.getWidth() - 2 * margin) / img.width, (this.canvas.getHeight() - 2 * margin) / img.height, 1);
+                img.set({
+                    left: margin,
+                    top: margin,
+                    scaleX: scale,
+                    scaleY: scale,
+                    selectable: true,
+                    hasBorders: true,
+                    hasControls: true
+                });
+                this.canvas.add(img);
+                this.canvas.renderAll();
+                this.historyModule.enregistrerEtat();
+            }, { crossOrigin: 'anonymous' });
+        };
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Sets up the "Save as JSON" functionality.
+     */
+    setupSaveJSON() {
+        if (this.saveJSONBtn) {
+            this.saveJSONBtn.addEventListener("click", () => this.saveAsJSON());
+        } else {
+            console.warn("Save JSON button with ID 'save-json' not found.");
+        }
+    }
+
+    /**
+     * Saves the whole project (every sheet) as a JSON file.
+     */
+    saveAsJSON() {
+        const projectJSON = JSON.stringify(this.projectModule.toJSON());
+        const blob = new Blob([projectJSON], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = this.nomFichierJSON ? this.nomFichierJSON : `canvas_${Date.now()}.json`;
+        link.click();
+        this.canvas.fire('project:saved');
+
+        alert(this.nomFichierJSON ? `Modifications enregistrées dans ${this.nomFichierJSON}` : "Nouveau fichier JSON créé !");
+    }
+
+    /**
+     * Sets up the "Export SVG" and "Import SVG" functionality.
+     */
+    setupSVG() {
+        if (this.exportSVGBtn) {
+            this.exportSVGBtn.addEventListener('click', () => this.exportSVG());
+        } else {
+            console.warn("Export SVG button with ID 'export-svg' not found.");
+        }
+        if (this.importSVGInput) {
+            this.importSVGInput.addEventListener('change', (e) => this.importSVG(e));
+        } else {
+            console.warn("Import SVG input with ID 'import-svg' not found.");
+        }
+    }
+
+    /**
+     * Returns the canevas metadata written on an object's SVG element, so an import restores it with live measurements.
+     * @param {fabric.Object} obj - The canvas object.
+     * @returns {Object} - The type and custom properties of the object.
+     */
+    getSVGMetadata(obj) {
+        const props = {};
+        this.svgObjectProperties.forEach(key => {
+            if (obj[key] !== undefined) props[key] = obj[key];
+        });
+        // Links are taken from the live labels, which also covers shapes drawn before labels had ids
+        if (obj.measurementText instanceof fabric.Text && !obj.roomPolygon) props.measurementTextId = obj.measurementText.id;
+        if (obj.lengthMeasurementText instanceof fabric.Text) props.lengthMeasurementTextId = obj.lengthMeasurementText.id;
+        if (obj.type === 'textbox') props.width = obj.width;
+        // Masks are not read back by Fabric; the eraser is restored from its JSON
+        const eraser = obj.clipPath && obj.clipPath.inverted ? obj.clipPath.toObject() : undefined;
+        return { type: obj.type, props, eraser };
+    }
+
+    /**
+     * Saves the active sheet as an SVG file. Each object's element carries its canevas metadata.
+     */
+    exportSVG() {
+        const objects = this.canvas.getObjects();
+        objects.forEach(obj => {
+            if (!obj.id) obj.id = createObjectId();
+        });
+
+        const viewportTransform = this.canvas.viewportTransform;
+        this.canvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+        let svgText;
+        try {
+            svgText = this.canvas.toSVG();
+        } finally {
+            this.canvas.viewportTransform = viewportTransform;
+        }
+
+        const svgDocument = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+        const svg = svgDocument.documentElement;
+        applySvgPatternTransforms(svg, objects);
+        applySvgEraserMasks(svg, objects);
+        if (this.canvas.drawingScale) {
+            svg.setAttribute('data-canevas-scale', JSON.stringify(this.canvas.drawingScale));
+        }
+        objects.forEach(obj => {
+            const element = Array.from(svg.children).find(child => child.getAttribute('id') === obj.id);
+            if (element) {
+                element.setAttribute(SVG_METADATA_ATTRIBUTE, JSON.stringify(this.getSVGMetadata(obj)));
+            }
+        });
+        // Objects are written as groups; a rectangle at the root is the canvas background
+        svg.querySelectorAll(':scope > rect').forEach(rect => rect.setAttribute('data-canevas-background', 'true'));
+
+        const blob = new Blob([new XMLSerializer().serializeToString(svgDocument)], { type: 'image/svg+xml' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.projectModule.getActiveSheet().name || 'canvas'}.svg`;
+        link.click();
+    }
+
+    /**
+     * Imports an SVG file into the active sheet. Objects exported by this app get back their type,
+     * properties and label links; other drawings are added as one group.
+     * @param {Event} e - The change event.
+     */
+    importSVG(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const sources = new Map(); // Parsed object -> element holding its metadata
+            const backgrounds = new Set();
+            fabric.loadSVGFromString(event.target.result, (parsedObjects, options) => {
+                const objects = (parsedObjects || []).filter(obj => obj && !backgrounds.has(obj));
+                if (objects.length === 0) {
+                    alert(`Aucun élément lisible dans ${file.name}.`);
+                    return;
+                }
+
+                const erasers = new Map();
+                const restored = this.restoreSVGObjects(objects, sources, erasers);
+                const foreign = objects.filter(obj => !sources.has(obj));
+                if (foreign.length > 0) {
+                    restored.push(fabric.util.groupSVGElements(foreign, options));
+                }
+
+                fabric.util.enlivenObjects(Array.from(erasers.values()), (clipPaths) => {
+                    Array.from(erasers.keys()).forEach((obj, index) => {
+                        if (clipPaths[index]) obj.set({ clipPath: clipPaths[index], dirty: true });
+                    });
+                    restored.forEach(obj => this.canvas.add(obj));
+                    this.canvas.fire('canvas:restored');
+                    this.canvas.renderAll();
+                    this.historyModule.enregistrerEtat();
+                });
+            }, (element, object) => {
+                if (element.getAttribute('data-canevas-background')) {
+                    backgrounds.add(object);
+                    return;
+                }
+                const source = element.closest ? element.closest(`[${SVG_METADATA_ATTRIBUTE}]`) : null;
+                if (source) sources.set(object, source);
+            });
+        };
+        reader.readAsText(file);
+        e.target.value = ''; // Allow importing the same file again
+    }
+
+    /**
+     * Rebuilds the objects exported by this app from their SVG parts and metadata.
+     * Ids get new values so a drawing can be imported twice; label links follow the new ids.
+     * @param {Array<fabric.Object>} objects - The parsed SVG objects, in document order.
+     * @param {Map<fabric.Object, Element>} sources - The element holding the metadata of each parsed object.
+     * @param {Map<fabric.Object, Object>} erasers - Filled with the eraser JSON of each restored object that had one.
+     * @returns {Array<fabric.Object>} - The restored objects.
+     */
+    restoreSVGObjects(objects, sources, erasers) {
+        const parts = new Map(); // Metadata element -> parsed objects
+        objects.forEach(obj => {
+            const source = sources.get(obj);
+            if (!source) return;
+            if (!parts.has(source)) parts.set(source, []);
+            parts.get(source).push(obj);
+        });
+
+        const entries = [];
+        parts.forEach((group, source) => {
+            try {
+                entries.push({ meta: JSON.parse(source.getAttribute(SVG_METADATA_ATTRIBUTE)), group });
+            } catch (error) {
+                console.warn('Invalid SVG metadata:', error);
+                group.forEach(obj => sources.delete(obj));
+            }
+        });
+
+        const idMap = new Map();
+        entries.forEach(({ meta }) => {
+            if (meta.props && meta.props.id) idMap.set(meta.props.id, createObjectId());
+        });
+
+        return entries.map(({ meta, group }) => {
+            const props = { ...meta.props };
+            if (props.id) props.id = idMap.get(props.id);
+            remapLinkedLabelIds(props, idMap);
+            const obj = this.restoreSVGObject(meta.type, props, group);
+            if (meta.eraser) erasers.set(obj, meta.eraser);
+            return obj;
+        });
+    }
+
+    /**
+     * Rebuilds one object from its SVG parts.
+     * @param {string} type - The Fabric type of the exported object.
+     * @param {Object} props - The custom properties to restore.
+     * @param {Array<fabric.Object>} parts - The parsed SVG objects of the exported object.
+     * @returns {fabric.Object} - The restored object.
+     */
+    restoreSVGObject(type, props, parts) {
+        // Pattern fills are not read back by Fabric; tile fills are rebuilt from tileFill on canvas:restored
+        parts.forEach(part => {
+            if (typeof part.fill === 'string' && part.fill.startsWith('url(')) part.set('fill', 'transparent');
+        });
+
+        const isText = type === 'text' || type === 'i-text' || type === 'textbox';
+        let obj;
+        if (isText) {
+            // A text background is written as a rectangle next to the text; backgroundColor restores it
+            obj = parts.find(part => part.type === 'text') || parts[0];
+            if ((type === 'i-text' || type === 'textbox') && obj.type === 'text') {
+                const options = obj.toObject();
+                delete options.type;
+                obj = type === 'textbox' ? new fabric.Textbox(obj.text, options) : new fabric.IText(obj.text, options);
+            }
+        } else if (type === 'group' || parts.length > 1) {
+            parts.forEach(part => { part.id = undefined; });
+            obj = new fabric.Group(parts);
+        } else {
+            obj = parts[0];
+        }
+
+        // Changing the origin must not move the object
+        const center = obj.getCenterPoint();
+        obj.set(props);
+        obj.setPositionByOrigin(center, 'center', 'center');
+        obj.setCoords();
+        return obj;
+    }
+
+    /**
+     * Sets up the "Load JSON" functionality.
+     */
+    setupLoadJSON() {
+        if (this.loadJSONInput && this.loadJSONLabel) {
+            this.loadJSONLabel.addEventListener('click', () => this.loadJSONInput.click());
+            this.loadJSONInput.addEventListener("change", (e) => this.loadFromJSON(e));
+        } else {
+            console.warn("Load JSON input or label not found.");
+        }
+    }
+
+    /**
+     * Loads a project (or a single-canvas file saved by older versions) from a JSON file.
+     * @param {Event} e - The change event.
+     */
+    loadFromJSON(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const data = JSON.parse(event.target.result);
+                this.projectModule.loadProject(data, file.name, ({ migratedFrom, problems }) => {
+                    this.nomFichierJSON = file.name;
+                    const messages = ["Le projet a été chargé avec succès !"];
+                    if (migratedFrom < PROJECT_SCHEMA_VERSION) {
+                        messages.push(`Ancien format (version ${migratedFrom}) converti ; il sera enregistré au format ${PROJECT_SCHEMA_VERSION}.`);
+                    }
+                    if (problems.length > 0) {
+                        console.warn('Project load report:', problems);
+                        messages.push(`Éléments non restaurés (${problems.length}) :`, ...problems.map(problem => `- ${problem}`));
+                    }
+                    alert(messages.join('\n'));
+                });
+            } catch (error) {
+                console.error('Error:', error);
+                alert(`Impossible de charger ${file.name} : ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = ''; // Allow loading the same file again
+    }
+
+    /**
+     * Sets up the "Delete Selected Object" functionality.
+     */
+    setupDeleteObject() {
+        if (this.deleteObjectBtn) {
+            this.deleteObjectBtn.addEventListener("click", () => this.deleteSelectedObject());
+        } else {
+            console.warn("Delete Object button with ID 'delete-object' not found.");
+        }
+    }
+
+    /**
+     * Deletes the selected objects (every member of a multi-selection) and their labels from the canvas.
+     */
+    deleteSelectedObject() {
+        if (removeSelectedObjects(this.canvas) > 0) {
+            this.historyModule.enregistrerEtat();
+        } else {
+            alert("Aucun objet sélectionné !");
+        }
+    }
+
+    /**
+     * Sets up the "Delete Measurement Text" functionality.
+     */
+    setupDeleteMeasurementText() {
+        if (this.deleteMeasurementBtn) {
+            this.deleteMeasurementBtn.addEventListener("click", () => this.deleteMeasurementText());
+        } else {
+            console.warn("Delete Measurement Text button with ID 'delete-measurement-text' not found.");
+        }
+    }
+
+    /**
+     * Deletes the measurement text associated with the selected object.
+     */
+    deleteMeasurementText() {
+        const activeObject = this.canvas.getActiveObject();
+        if (activeObject) {
+            const associatedText = activeObject.measurementText || activeObject.lengthMeasurementText;
+            if (associatedText) {
+                this.canvas.remove(associatedText);
+                if (activeObject.measurementText) {
+                    delete activeObject.measurementText;
+                }
+                if (activeObject.lengthMeasurementText) {
+                    delete activeObject.lengthMeasurementText;
+                }
+                this.canvas.renderAll();
+                this.historyModule.enregistrerEtat();
+            } else {
+                alert("Aucun texte de mesure associé à cet objet !");
+            }
+        } else {
+            alert("Aucun objet sélectionné !");
+        }
+    }
+
+    /**
+     * Sets up the "Clear Canvas" functionality.
+     */
+    setupClearCanvas() {
+        if (this.clearCanvasBtn) {
+            this.clearCanvasBtn.addEventListener('click', () => {
+                if (confirm('Êtes-vous sûr de vouloir effacer le canevas ?')) {
+                    this.canvas.clear();
+                    // Reset background color if necessary
+                    this.canvas.setBackgroundColor('white', this.canvas.renderAll.bind(this.canvas));
+                    this.historyModule.enregistrerEtat();
+                }
+            });
+        } else {
+            console.warn("Clear Canvas button with class 'clear-canvas' not found.");
+        }
+    }
+}
+
 /**
- * HistoryModule Class
- * Manages the undo and redo functionality for the canvas.
+ * PrintPreviewModule Class
+ * Manages printing the active sheet at true scale on A4, A3 or A2 paper, split across pages when it does not fit.
  */
-class HistoryModule {
+class PrintPreviewModule {
     /**
-     * Creates an instance of HistoryModule.
+     * Creates an instance of PrintPreviewModule.
      * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
-     * @param {number} limit - The maximum number of history states to keep.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (drawing scale).
+     * @param {ProjectModule} projectModule - The ProjectModule instance (paper of the active sheet).
      */
-    constructor(canvas, limit = 50) {
+    constructor(canvas, shapesModule, projectModule) {
         this.canvas = canvas;
-        this.history = [];
-        this.currentIndex = -1;
-        this.limit = limit;
+        this.shapesModule = shapesModule;
+        this.projectModule = projectModule;
+        this.printPreviewBtn = document.getElementById('print-preview-btn');
 
-        // Reference to undo and redo buttons
-        this.undoBtn = document.getElementById('annuler-btn');
-        this.redoBtn = document.getElementById('rétablir-btn');
+        this.marginMm = 10;
+        this.overlapMm = 10;
+        this.previewPageWidth = 180; // Width of a page in the preview, in px
+        this.pages = null; // Last rendered layout and page images
 
-        this.updateButtons();
+        // Check if elements exist
+        if (this.printPreviewBtn) {
+            this.printPreviewModal = document.getElementById('print-preview-modal');
+            if (this.printPreviewModal) {
+                this.closeModalSpan = this.printPreviewModal.querySelector('.close-modal');
+                this.previewPages = document.getElementById('print-pages');
+                this.printSummary = document.getElementById('print-summary');
+                this.paperSelect = document.getElementById('print-paper-select');
+                this.orientationSelect = document.getElementById('print-orientation-select');
+                this.printBtn = document.getElementById('print-btn');
+            }
+        }
+    }
+
+    /**
+     * Initializes the print preview module by setting up event listeners.
+     */
+    init() {
+        if (!this.printPreviewBtn || !this.printPreviewModal || !this.previewPages) {
+            console.warn("Required elements for print preview not found.");
+            return;
+        }
+        this.setupPrintPreview();
+        this.setupPaperControls();
+        this.setupModalClose();
+        this.setupPrint();
+    }
+
+    /**
+     * Sets up the "Print Preview" button functionality.
+     */
+    setupPrintPreview() {
+        this.printPreviewBtn.addEventListener('click', () => this.showPreview());
+    }
+
+    /**
+     * Sets up the paper size and orientation selects of the preview.
+     */
+    setupPaperControls() {
+        if (!this.paperSelect || !this.orientationSelect) {
+            console.warn("Print paper controls with IDs 'print-paper-select' and 'print-orientation-select' not found.");
+            return;
+        }
+
+        this.paperSelect.innerHTML = '';
+        Object.keys(PAPER_SIZES).forEach(size => this.paperSelect.appendChild(new Option(size, size)));
+        this.paperSelect.addEventListener('change', () => this.renderPreview());
+        this.orientationSelect.addEventListener('change', () => this.renderPreview());
+    }
+
+    /**
+     * Displays the print preview modal with every page, on the paper of the active sheet.
+     */
+    showPreview() {
+        if (this.paperSelect && this.orientationSelect) {
+            const sheet = this.projectModule.getActiveSheet();
+            this.paperSelect.value = sheet.paperSize;
+            this.orientationSelect.value = sheet.orientation;
+        }
+        this.renderPreview();
+        this.printPreviewModal.style.display = 'block';
+    }
+
+    /**
+     * Returns the chosen paper and the pages needed to print the drawing at the drawing scale.
+     * A canvas pixel is printed at screen size (96 dpi), which keeps the drawing scale on paper.
+     * @returns {{paperSize: string, orientation: string, paper: Object, pages: Array<Object>, bounds: Object, mmPerPixel: number}} - The layout.
+     */
+    getPrintLayout() {
+        const paperSize = this.paperSelect ? this.paperSelect.value : 'A4';
+        const orientation = this.orientationSelect ? this.orientationSelect.value : 'portrait';
+        const paper = getPaperSizeMm(paperSize, orientation);
+        const mmPerPixel = 10 / SCREEN_PIXELS_PER_CM;
+        const bounds = getCanvasContentBounds(this.canvas);
+        const pages = getPrintPages(
+            bounds.width * mmPerPixel,
+            bounds.height * mmPerPixel,
+            paper.widthMm - 2 * this.marginMm,
+            paper.heightMm - 2 * this.marginMm,
+            this.overlapMm
+        );
+        return { paperSize, orientation, paper, pages, bounds, mmPerPixel };
     }
 
     /**
-     * Records the current state of the canvas.
+     * Renders the part of the canvas printed on each page, ignoring the current zoom and pan.
+     * @param {Object} layout - The layout returned by getPrintLayout.
+     * @returns {Array<string>} - One PNG data URL per page.
      */
-    enregistrerEtat() {
-        // Truncate history if we're not at the end
-        if (this.currentIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.currentIndex + 1);
+    renderPageImages(layout) {
+        this.canvas.discardActiveObject();
+        const viewportTransform = this.canvas.viewportTransform;
+        this.canvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+        try {
+            return layout.pages.map(page => this.canvas.toDataURL({
+                format: 'png',
+                multiplier: 2,
+                left: layout.bounds.left + page.xMm / layout.mmPerPixel,
+                top: layout.bounds.top + page.yMm / layout.mmPerPixel,
+                width: page.widthMm / layout.mmPerPixel,
+                height: page.heightMm / layout.mmPerPixel
+            }));
+        } finally {
+            this.canvas.viewportTransform = viewportTransform;
+            this.canvas.renderAll();
         }
+    }
 
-        // Add new state
-        const canvasState = JSON.stringify(this.canvas.toJSON(['measurementText', 'lengthMeasurementText']));
-        this.history.push(canvasState);
-
-        // Enforce history limit
-        if (this.history.length > this.limit) {
-            this.history.shift();
-        } else {
-            this.currentIndex++;
+    /**
+     * Lays out the pages for the chosen paper and shows them in the modal, in their assembly order.
+     */
+    renderPreview() {
+        const showUnprinted = hideUnprintedObjects(this.canvas);
+        let layout;
+        let images;
+        try {
+            layout = this.getPrintLayout();
+            images = this.renderPageImages(layout);
+        } finally {
+            showUnprinted();
+            this.canvas.requestRenderAll();
         }
+        this.pages = { layout, images };
+
+        const pxPerMm = this.previewPageWidth / layout.paper.widthMm;
+        const toLength = (mm) => `${(mm * pxPerMm).toFixed(2)}px`;
+        this.previewPages.style.gridTemplateColumns = `repeat(${layout.pages[0].cols}, auto)`;
+        this.previewPages.innerHTML = layout.pages.map((page, index) => this.buildPageHTML(layout, page, images[index], index, toLength)).join('');
+
+        if (this.printSummary) {
+            const count = layout.pages.length;
+            this.printSummary.textContent = `${count} page${count > 1 ? 's' : ''} ${layout.paperSize} ${layout.orientation === 'landscape' ? 'paysage' : 'portrait'}`
+                + ` - ${this.getScaleLabel()}`
+                + (count > 1 ? ` - recouvrement de ${this.overlapMm} mm entre les pointillés` : '');
+        }
+    }
 
-        this.updateButtons();
+    /**
+     * Returns the drawing scale as printed on the pages.
+     * @returns {string} - E.g. "Échelle 1:50".
+     */
+    getScaleLabel() {
+        const denominator = getScaleDenominator(this.shapesModule.pixelsPerCm);
+        return `Échelle 1:${Math.round(denominator * 10) / 10}`;
     }
 
     /**
-     * Undoes the last action.
+     * Builds the markup of one page: the drawing part, the overlap marks shared with neighbouring pages and a page label.
+     * @param {Object} layout - The layout returned by getPrintLayout.
+     * @param {Object} page - The page.
+     * @param {string} image - The page's drawing part, as a data URL.
+     * @param {number} index - The index of the page.
+     * @param {Function} toLength - Converts mm to a CSS length (real mm when printing, px in the preview).
+     * @returns {string} - The page markup.
      */
-    annuler() {
-        if (this.currentIndex > 0) {
-            this.currentIndex--;
-            this.loadState();
-            this.updateButtons();
-        }
+    buildPageHTML(layout, page, image, index, toLength) {
+        const margin = this.marginMm;
+        const overlap = this.overlapMm;
+        const box = (x, y, width, height, style) =>
+            `<div style="position:absolute;left:${toLength(x)};top:${toLength(y)};width:${toLength(width)};height:${toLength(height)};${style}"></div>`;
+        const vertical = 'border-left:1px dashed #e53935;';
+        const horizontal = 'border-top:1px dashed #e53935;';
+
+        const marks = [];
+        if (page.col > 0) marks.push(box(margin + overlap, margin, 0, page.heightMm, vertical));
+        if (page.col < page.cols - 1) marks.push(box(margin + page.widthMm - overlap, margin, 0, page.heightMm, vertical));
+        if (page.row > 0) marks.push(box(margin, margin + overlap, page.widthMm, 0, horizontal));
+        if (page.row < page.rows - 1) marks.push(box(margin, margin + page.heightMm - overlap, page.widthMm, 0, horizontal));
+
+        const label = `Page ${index + 1}/${layout.pages.length} (ligne ${page.row + 1}, colonne ${page.col + 1}) - ${this.getScaleLabel()}`;
+
+        return `<div class="print-page" style="position:relative;overflow:hidden;background:#fff;width:${toLength(layout.paper.widthMm)};height:${toLength(layout.paper.heightMm)};">`
+            + `<img src="${image}" alt="" style="position:absolute;left:${toLength(margin)};top:${toLength(margin)};width:${toLength(page.widthMm)};height:${toLength(page.heightMm)};">`
+            + marks.join('')
+            + `<div style="position:absolute;left:${toLength(margin)};top:${toLength(margin + page.heightMm + 2)};font:${toLength(3)} sans-serif;color:#555;white-space:nowrap;">${label}</div>`
+            + '</div>';
     }
 
     /**
-     * Redoes the previously undone action.
+     * Sets up the functionality to close the modal when clicking the close button or outside the modal.
      */
-    retablir() {
-        if (this.currentIndex < this.history.length - 1) {
-            this.currentIndex++;
-            this.loadState();
-            this.updateButtons();
+    setupModalClose() {
+        if (this.closeModalSpan) {
+            this.closeModalSpan.addEventListener('click', () => this.hidePreview());
         }
+
+        window.addEventListener('click', (event) => {
+            if (event.target === this.printPreviewModal) {
+                this.hidePreview();
+            }
+        });
     }
 
     /**
-     * Loads a specific state of the canvas.
+     * Tells whether the print preview modal is shown.
+     * @returns {boolean}
      */
-    loadState() {
-        const state = this.history[this.currentIndex];
-        this.canvas.loadFromJSON(state, () => {
-            this.canvas.renderAll();
-            // Re-establish associations between shapes and measurement texts
-            this.reestablishAssociations();
-        });
+    isPreviewOpen() {
+        return Boolean(this.printPreviewModal && this.printPreviewModal.style.display === 'block');
     }
 
     /**
-     * Updates the state of the undo and redo buttons.
+     * Hides the print preview modal.
      */
-    updateButtons() {
-        if (this.undoBtn) {
-            this.undoBtn.disabled = this.currentIndex <= 0;
+    hidePreview() {
+        if (this.printPreviewModal) {
+            this.printPreviewModal.style.display = 'none';
         }
-        if (this.redoBtn) {
-            this.redoBtn.disabled = this.currentIndex >= this.history.length - 1;
+    }
+
+    /**
+     * Sets up the print button functionality within the modal.
+     */
+    setupPrint() {
+        if (this.printBtn) {
+            this.printBtn.addEventListener('click', () => this.printCanvas());
+        } else {
+            console.warn("Print button with ID 'print-btn' not found.");
         }
     }
 
     /**
-     * Re-establishes associations between shapes and their measurement texts after loading from JSON.
+     * Opens the print dialog with the previewed pages, sized in real mm so the drawing keeps its scale.
      */
-    reestablishAssociations() {
-        this.canvas.getObjects().forEach(obj => {
-            if (obj.type === 'rect' || obj.type === 'circle' || obj.type === 'triangle') {
-                if (obj.measurementText) {
-                    const measurementText = this.canvas.getObjects().find(text => text.id === obj.measurementText.id);
-                    if (measurementText) {
-                        obj.measurementText = measurementText;
-                    }
+    printCanvas() {
+        if (!this.pages) this.renderPreview();
+        const { layout, images } = this.pages;
+        const toLength = (mm) => `${mm}mm`;
+
+        const printWindow = window.open('', 'PrintWindow', 'width=800,height=600');
+        if (!printWindow) {
+            alert("La fenêtre d'impression a été bloquée par le navigateur.");
+            return;
+        }
+        printWindow.document.write('<html><head><title>Impression du Canevas</title>');
+        printWindow.document.write(`
+            <style>
+                @page {
+                    size: ${layout.paper.widthMm}mm ${layout.paper.heightMm}mm;
+                    margin: 0;
                 }
-                if (obj.lengthMeasurementText) {
-                    const lengthMeasurementText = this.canvas.getObjects().find(text => text.id === obj.lengthMeasurementText.id);
-                    if (lengthMeasurementText) {
-                        obj.lengthMeasurementText = lengthMeasurementText;
-                    }
+                body {
+                    margin: 0;
                 }
-            }
+                .print-page {
+                    page-break-after: always;
+                }
+                .print-page:last-child {
+                    page-break-after: auto;
+                }
+            </style>
+        `);
+        printWindow.document.write('</head><body>');
+        printWindow.document.write(layout.pages.map((page, index) => this.buildPageHTML(layout, page, images[index], index, toLength)).join(''));
+        printWindow.document.write('</body></html>');
+        printWindow.document.close();
+
+        // Print once every page image is decoded
+        const pageImages = Array.from(printWindow.document.images);
+        Promise.all(pageImages.map(img => img.complete ? Promise.resolve() : new Promise(resolve => {
+            img.onload = img.onerror = resolve;
+        }))).then(() => {
+            printWindow.focus();
+            printWindow.print();
         });
     }
 }
 
 /**
- * ColorModule Class
- * Manages color selection and application for brushes and shapes.
+ * PdfExportModule Class
+ * Exports the project as a vector PDF (jsPDF + svg2pdf.js): one or more pages per sheet, each with a title block.
+ * Shapes, measurement labels and text stay vectors; photos are resampled to the chosen resolution.
  */
-class ColorModule {
+class PdfExportModule {
     /**
-     * Creates an instance of ColorModule.
+     * Creates an instance of PdfExportModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ProjectModule} projectModule - The ProjectModule instance (sheets and project name).
+     * @param {TileFillModule} tileFillModule - The TileFillModule instance (tile patterns of the other sheets).
      */
-    constructor() {
-        this.selectedColorBtn = null;
-        this.selectedShapeColor = "#000000"; // Default color
-        this.colorPicker = document.getElementById('color-picker');
-        this.shapeColorPicker = document.getElementById('shape-color-picker');
-        this.colorOptions = document.querySelectorAll('.colors .option:not(:last-child)');
+    constructor(canvas, projectModule, tileFillModule) {
+        this.canvas = canvas;
+        this.projectModule = projectModule;
+        this.tileFillModule = tileFillModule;
+
+        this.exportBtn = document.getElementById('export-pdf');
+        this.dpiSelect = document.getElementById('pdf-dpi-select');
+
+        this.logoSrc = 'images/ceramicalogocarre.png';
+        this.marginMm = 10;
+        this.titleBlock = { widthMm: 110, heightMm: 24, gapMm: 4 };
+        this.jpegQuality = 0.85;
     }
 
     /**
-     * Initializes the color module by setting up event listeners.
+     * Initializes the PDF export module by setting up the export button.
      */
     init() {
-        this.setupCustomColorPicker();
-        this.setupShapeColorPicker();
-        this.setupColorSelection();
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', () => this.exportPDF());
+        } else {
+            console.warn("PDF export button with ID 'export-pdf' not found.");
+        }
     }
 
     /**
-     * Sets up the custom color picker for brushes.
+     * Builds the PDF of every sheet and downloads it.
      */
-    setupCustomColorPicker() {
-        if (this.colorPicker) {
-            this.colorPicker.addEventListener('change', (e) => {
-                if (this.selectedColorBtn) {
-                    this.selectedColorBtn.classList.remove("selected");
+    async exportPDF() {
+        if (!window.jspdf || !window.jspdf.jsPDF || !window.jspdf.jsPDF.API.svg) {
+            alert("La bibliothèque PDF n'est pas chargée. Vérifiez votre connexion Internet.");
+            return;
+        }
+
+        const dpi = this.dpiSelect ? parseInt(this.dpiSelect.value, 10) : 150;
+        const { project } = this.projectModule;
+        this.projectModule.saveActiveSheet();
+        this.exportBtn.disabled = true;
+
+        try {
+            const logo = await this.loadImage(this.logoSrc).catch(() => null);
+            let doc = null;
+
+            for (let index = 0; index < project.sheets.length; index++) {
+                const sheet = project.sheets[index];
+                const isActive = index === project.activeSheetIndex;
+                const sheetCanvas = isActive ? this.canvas : await this.loadSheetCanvas(sheet);
+
+                try {
+                    const paper = getPaperSizeMm(sheet.paperSize, sheet.orientation);
+                    const format = [paper.widthMm, paper.heightMm];
+                    const orientation = sheet.orientation === 'landscape' ? 'l' : 'p';
+                    const scale = (sheetCanvas.drawingScale && sheetCanvas.drawingScale.pixelsPerCm) || SCREEN_PIXELS_PER_CM;
+                    const { svg, bounds, pages } = await this.prepareSheet(sheetCanvas, paper, dpi);
+
+                    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+                        if (doc) {
+                            doc.addPage(format, orientation);
+                        } else {
+                            doc = new window.jspdf.jsPDF({ unit: 'mm', format, orientation });
+                        }
+                        await this.drawPage(doc, svg, bounds, pages[pageIndex]);
+                        this.drawTitleBlock(doc, paper, logo, {
+                            sheetName: sheet.name,
+                            scale,
+                            page: pages.length > 1 ? `${pageIndex + 1}/${pages.length}` : ''
+                        });
+                    }
+                } finally {
+                    if (!isActive) sheetCanvas.dispose();
                 }
-                this.colorPicker.parentElement.style.backgroundColor = e.target.value;
-                this.colorPicker.parentElement.classList.add("selected");
-                this.selectedColorBtn = this.colorPicker.parentElement;
-            });
-        } else {
-            console.warn("Custom color picker with ID 'color-picker' not found.");
+            }
+
+            doc.save(`${project.name || 'projet'}.pdf`);
+        } catch (error) {
+            console.error('Error:', error);
+            alert("Erreur lors de la création du PDF.");
+        } finally {
+            this.exportBtn.disabled = false;
+            this.canvas.renderAll();
         }
     }
 
     /**
-     * Sets up the shape color picker.
+     * Loads a sheet that is not on screen into an off-screen canvas, with its tile fills.
+     * @param {Object} sheet - The sheet.
+     * @returns {Promise<fabric.StaticCanvas>} - The loaded canvas.
      */
-    setupShapeColorPicker() {
-        if (this.shapeColorPicker) {
-            this.shapeColorPicker.addEventListener('change', (e) => {
-                this.selectedShapeColor = e.target.value;
-            });
-        } else {
-            console.warn("Shape color picker with ID 'shape-color-picker' not found.");
-        }
+    async loadSheetCanvas(sheet) {
+        const { widthMm, heightMm } = getPaperSizeMm(sheet.paperSize, sheet.orientation);
+        const pixelsPerMm = SCREEN_PIXELS_PER_CM / 10;
+        const sheetCanvas = new fabric.StaticCanvas(null, {
+            width: Math.round(widthMm * pixelsPerMm),
+            height: Math.round(heightMm * pixelsPerMm)
+        });
+        if (!sheet.canvasJSON) return sheetCanvas;
+
+        await new Promise(resolve => sheetCanvas.loadFromJSON(sheet.canvasJSON, resolve));
+        await this.restoreTileFills(sheetCanvas);
+        return sheetCanvas;
     }
 
     /**
-     * Sets up event listeners for color option selection.
+     * Rebuilds the tile patterns of an off-screen sheet, which are saved as a plain placeholder colour.
+     * @param {fabric.StaticCanvas} sheetCanvas - The canvas holding the sheet.
+     * @returns {Promise<void>} - Resolves once every tile photo is loaded; an unreadable photo keeps the placeholder.
      */
-    setupColorSelection() {
-        this.colorOptions.forEach(option => {
-            option.addEventListener('click', () => {
-                if (this.selectedColorBtn) {
-                    this.selectedColorBtn.classList.remove("selected");
+    restoreTileFills(sheetCanvas) {
+        const pixelsPerCm = (sheetCanvas.drawingScale && sheetCanvas.drawingScale.pixelsPerCm) || SCREEN_PIXELS_PER_CM;
+        const shapes = sheetCanvas.getObjects().filter(obj => obj.tileFill);
+        return Promise.all(shapes.map(shape => new Promise(resolve => {
+            this.tileFillModule.loadImage(shape.tileFill.src, (image) => {
+                if (image) {
+                    shape.set('fill', new fabric.Pattern({
+                        source: this.tileFillModule.createTileSource(image, shape.tileFill, pixelsPerCm),
+                        repeat: 'repeat'
+                    }));
+                    this.tileFillModule.updatePatternTransform(shape, pixelsPerCm);
                 }
-                option.classList.add("selected");
-                this.selectedColorBtn = option;
+                resolve();
             });
-        });
+        })));
     }
 
     /**
-     * Retrieves the current brush color.
-     * @returns {string} - The current brush color in RGB or HEX.
+     * Converts a sheet to SVG and splits its drawing across the pages of its paper, above the title block.
+     * @param {fabric.StaticCanvas} sheetCanvas - The canvas holding the sheet.
+     * @param {{widthMm: number, heightMm: number}} paper - The sheet's paper.
+     * @param {number} dpi - The resolution of embedded photos.
+     * @returns {Promise<{svg: SVGSVGElement, bounds: Object, pages: Array<Object>}>} - The SVG, the printed area and the pages.
      */
-    getBrushColor() {
-        if (this.selectedColorBtn && !this.selectedColorBtn.contains(this.colorPicker)) {
-            return window.getComputedStyle(this.selectedColorBtn).getPropertyValue("background-color");
-        } else if (this.colorPicker) {
-            return this.colorPicker.value || "#000000";
-        }
-        return "#000000"; // Fallback color
-    }
+    async prepareSheet(sheetCanvas, paper, dpi) {
+        // Layers left out of print are left out of the PDF
+        const unprinted = getUnprintedObjects(sheetCanvas).filter(obj => !obj.excludeFromExport);
+        unprinted.forEach(obj => { obj.excludeFromExport = true; });
+        const showUnprinted = hideUnprintedObjects(sheetCanvas);
+        try {
+            const viewportTransform = sheetCanvas.viewportTransform;
+            sheetCanvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+            let svgText;
+            try {
+                svgText = sheetCanvas.toSVG();
+            } finally {
+                sheetCanvas.viewportTransform = viewportTransform;
+            }
 
-    /**
-     * Retrieves the current shape color.
-     * @returns {string} - The current shape color in HEX.
-     */
-    getShapeColor() {
-        return this.selectedShapeColor;
+            const svg = new DOMParser().parseFromString(svgText, 'image/svg+xml').documentElement;
+            applySvgPatternTransforms(svg, sheetCanvas.getObjects());
+            this.rasterizeErasedObjects(svg, sheetCanvas.getObjects(), dpi);
+            svg.querySelectorAll('[font-family]').forEach(el => el.setAttribute('font-family', 'helvetica'));
+            await this.resampleImages(svg, dpi);
+
+            const mmPerPixel = 10 / SCREEN_PIXELS_PER_CM;
+            const bounds = getCanvasContentBounds(sheetCanvas);
+            const pages = getPrintPages(
+                bounds.width * mmPerPixel,
+                bounds.height * mmPerPixel,
+                paper.widthMm - 2 * this.marginMm,
+                paper.heightMm - 2 * this.marginMm - this.titleBlock.heightMm - this.titleBlock.gapMm,
+                0
+            );
+            return { svg, bounds, pages };
+        } finally {
+            showUnprinted();
+            unprinted.forEach(obj => { obj.excludeFromExport = false; });
+        }
     }
-}
 
-/**
- * BrushModule Class
- * Manages brush and eraser tools on the canvas.
- */
-class BrushModule {
     /**
-     * Creates an instance of BrushModule.
-     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
-     * @param {ColorModule} colorModule - The ColorModule instance.
+     * The PDF converter ignores the masks of erased objects: each erased object is drawn as a transparent PNG instead.
+     * @param {SVGSVGElement} svg - The sheet SVG.
+     * @param {Array<fabric.Object>} objects - The sheet objects.
+     * @param {number} dpi - The target resolution.
      */
-    constructor(canvas, colorModule) {
-        this.canvas = canvas;
-        this.colorModule = colorModule;
-        this.sizeSlider = document.querySelector("#size-slider");
-        this.brushBtn = document.getElementById('brush');
-        this.eraserBtn = document.getElementById('eraser');
+    rasterizeErasedObjects(svg, objects, dpi) {
+        objects.forEach(obj => {
+            if (!obj.clipPath || !obj.clipPath.inverted) return;
+            const element = Array.from(svg.children).find(child => child.getAttribute('id') === obj.id);
+            if (!element) return;
+
+            const bounds = obj.getBoundingRect(true, true);
+            const image = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'image');
+            image.setAttribute('x', bounds.left);
+            image.setAttribute('y', bounds.top);
+            image.setAttribute('width', bounds.width);
+            image.setAttribute('height', bounds.height);
+            image.setAttribute('preserveAspectRatio', 'none');
+            image.setAttribute('xlink:href', obj.toDataURL({ format: 'png', multiplier: dpi / 96 }));
+            image.setAttribute('data-canevas-erased', 'true');
+            element.parentNode.replaceChild(image, element);
+        });
     }
 
     /**
-     * Initializes the brush module by setting up event listeners.
+     * Replaces every embedded image by a JPEG at the chosen resolution for its printed size. Images are never enlarged.
+     * @param {SVGSVGElement} svg - The sheet SVG.
+     * @param {number} dpi - The target resolution.
      */
-    init() {
-        this.setupBrush();
-        this.setupEraser();
-        this.setupSizeSlider();
-        this.setupMouseUp();
-    }
+    async resampleImages(svg, dpi) {
+        // Erased objects are already at the right resolution and must stay transparent
+        const images = Array.from(svg.querySelectorAll('image:not([data-canevas-erased])'));
+        for (const image of images) {
+            const href = image.getAttribute('xlink:href') || image.getAttribute('href');
+            if (!href) continue;
+
+            // Printed size in canvas pixels (printed at 96 dpi): the image size times the scale of its transforms
+            let scale = 1;
+            for (let el = image; el && el !== svg; el = el.parentNode) {
+                scale *= getSvgTransformScale(el.getAttribute('transform') || el.getAttribute('patternTransform'));
+            }
+            const printedWidth = parseFloat(image.getAttribute('width')) * scale;
+            const printedHeight = parseFloat(image.getAttribute('height')) * scale;
+            if (!(printedWidth > 0 && printedHeight > 0)) continue;
 
-    /**
-     * Sets up the brush tool.
-     */
-    setupBrush() {
-        if (this.brushBtn) {
-            this.brushBtn.addEventListener('click', () => {
-                this.canvas.isDrawingMode = true;
-                this.canvas.selection = false;
-                this.canvas.freeDrawingBrush.color = this.colorModule.getBrushColor();
-                this.canvas.freeDrawingBrush.width = parseInt(this.sizeSlider.value, 10) || 5;
-            });
-        } else {
-            console.warn("Brush button with ID 'brush' not found.");
+            try {
+                const element = await this.loadImage(href);
+                const ratio = Math.min(1, (printedWidth * dpi / 96) / element.naturalWidth);
+                const resampled = document.createElement('canvas');
+                resampled.width = Math.max(1, Math.round(element.naturalWidth * ratio));
+                resampled.height = Math.max(1, Math.round(element.naturalHeight * ratio));
+                const ctx = resampled.getContext('2d');
+                ctx.fillStyle = '#fff';
+                ctx.fillRect(0, 0, resampled.width, resampled.height);
+                ctx.drawImage(element, 0, 0, resampled.width, resampled.height);
+                image.setAttribute('xlink:href', resampled.toDataURL('image/jpeg', this.jpegQuality));
+                image.removeAttribute('href');
+            } catch (error) {
+                console.warn(`Image not embedded in the PDF: ${href.slice(0, 60)}`, error);
+                image.parentNode.removeChild(image);
+            }
         }
     }
 
     /**
-     * Sets up the eraser tool.
+     * Draws one page of the sheet drawing, clipped to the drawing area of the page.
+     * @param {jsPDF} doc - The PDF document.
+     * @param {SVGSVGElement} svg - The sheet SVG.
+     * @param {Object} bounds - The printed area of the sheet, in canvas pixels.
+     * @param {Object} page - The page, in drawing mm.
      */
-    setupEraser() {
-        if (this.eraserBtn) {
-            this.eraserBtn.addEventListener('click', () => {
-                this.canvas.isDrawingMode = true;
-                this.canvas.freeDrawingBrush.color = "white";
-                this.canvas.freeDrawingBrush.width = parseInt(this.sizeSlider.value, 10) || 5;
-            });
-        } else {
-            console.warn("Eraser button with ID 'eraser' not found.");
-        }
+    async drawPage(doc, svg, bounds, page) {
+        const mmPerPixel = 10 / SCREEN_PIXELS_PER_CM;
+        const left = bounds.left + page.xMm / mmPerPixel;
+        const top = bounds.top + page.yMm / mmPerPixel;
+        svg.setAttribute('viewBox', `${left} ${top} ${page.widthMm / mmPerPixel} ${page.heightMm / mmPerPixel}`);
+
+        doc.saveGraphicsState();
+        doc.rect(this.marginMm, this.marginMm, page.widthMm, page.heightMm, null);
+        doc.clip();
+        doc.discardPath();
+        await doc.svg(svg, { x: this.marginMm, y: this.marginMm, width: page.widthMm, height: page.heightMm });
+        doc.restoreGraphicsState();
     }
 
     /**
-     * Sets up the size slider for brush and eraser tools.
+     * Draws the title block in the bottom right corner: logo, project, sheet, date and scale.
+     * @param {jsPDF} doc - The PDF document.
+     * @param {{widthMm: number, heightMm: number}} paper - The page paper.
+     * @param {HTMLImageElement|null} logo - The company logo.
+     * @param {{sheetName: string, scale: number, page: string}} info - The sheet details.
      */
-    setupSizeSlider() {
-        if (this.sizeSlider) {
-            this.sizeSlider.addEventListener('input', (e) => {
-                const size = parseInt(e.target.value, 10);
-                if (!isNaN(size)) {
-                    if (this.canvas.isDrawingMode) {
-                        this.canvas.freeDrawingBrush.width = size;
-                    }
-                }
-            });
-        } else {
-            console.warn("Size slider with ID 'size-slider' not found.");
+    drawTitleBlock(doc, paper, logo, info) {
+        const { widthMm, heightMm } = this.titleBlock;
+        const x = paper.widthMm - this.marginMm - widthMm;
+        const y = paper.heightMm - this.marginMm - heightMm;
+        const { project } = this.projectModule;
+
+        doc.setDrawColor(0);
+        doc.setLineWidth(0.3);
+        doc.rect(x, y, widthMm, heightMm);
+        doc.line(x + heightMm, y, x + heightMm, y + heightMm);
+        if (logo) {
+            doc.addImage(logo, 'PNG', x + 2, y + 2, heightMm - 4, heightMm - 4);
         }
+
+        const textX = x + heightMm + 3;
+        doc.setTextColor(0);
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(11);
+        doc.text(project.name || 'Projet', textX, y + 6);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text(`Feuille : ${info.sheetName}${info.page ? ` (page ${info.page})` : ''}`, textX, y + 12);
+        doc.text(`Date : ${new Date().toLocaleDateString('fr-FR')}`, textX, y + 17);
+        doc.text(`Échelle : 1:${Math.round(getScaleDenominator(info.scale))}`, textX, y + 22);
     }
 
     /**
-     * Disables drawing mode when the mouse is released.
+     * Loads an image.
+     * @param {string} src - The image URL or data URL.
+     * @returns {Promise<HTMLImageElement>} - The loaded image.
      */
-    setupMouseUp() {
-        this.canvas.on('mouse:up', () => {
-            this.canvas.isDrawingMode = false;
-            this.canvas.selection = true;
-            this.canvas.freeDrawingBrush.color = this.colorModule.getBrushColor();
-            this.canvas.freeDrawingBrush.width = parseInt(this.sizeSlider.value, 10) || 5;
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Impossible de charger ${src.slice(0, 60)}`));
+            img.src = src;
         });
     }
 }
 
 /**
- * ShapesModule Class
- * Manages the drawing and manipulation of shapes on the canvas.
+ * DxfModule Class
+ * Exchanges plans with architects as DXF: exports the active sheet in mm with one layer per object kind,
+ * and imports DXF geometry as locked background layers to tile over.
  */
-class ShapesModule {
+class DxfModule {
     /**
-     * Creates an instance of ShapesModule.
+     * Creates an instance of DxfModule.
      * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
-     * @param {ColorModule} colorModule - The ColorModule instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (drawing scale).
      * @param {HistoryModule} historyModule - The HistoryModule instance.
+     * @param {ProjectModule} projectModule - The ProjectModule instance (sheet name of the export).
      */
-    constructor(canvas, colorModule, historyModule) {
+    constructor(canvas, shapesModule, historyModule, projectModule) {
         this.canvas = canvas;
-        this.colorModule = colorModule;
+        this.shapesModule = shapesModule;
         this.historyModule = historyModule;
-
-        this.pixelsPerCm = 37.7952755906; // Approximation for pixel to cm conversion
-        this.drawingMode = null;
-        this.currentlyDrawing = false;
-        this.tempShape = null;
-        this.startX = 0;
-        this.startY = 0;
-
-        this.shapeButtons = {
-            rectangle: document.getElementById('rectangle'),
-            rectangleFixedHeight: document.getElementById('rectangle-fixed-height'),
-            circle: document.getElementById('circle'),
-            triangle: document.getElementById('triangle')
+        this.projectModule = projectModule;
+
+        this.exportBtn = document.getElementById('export-dxf');
+        this.importInput = document.getElementById('import-dxf');
+
+        // Export layers by object kind, with their ACI colour
+        this.layers = {
+            rooms: { name: 'PIECES', color: 5 },
+            walls: { name: 'MURS', color: 7 },
+            openings: { name: 'OUVERTURES', color: 4 },
+            tiles: { name: 'CARRELAGE', color: 3 },
+            joints: { name: 'JOINTS', color: 8 },
+            fixtures: { name: 'EQUIPEMENTS', color: 6 },
+            shapes: { name: 'FORMES', color: 7 },
+            drawing: { name: 'DESSIN', color: 1 },
+            dimensions: { name: 'COTES', color: 2 },
+            texts: { name: 'TEXTES', color: 7 }
         };
-
-        this.addTableBtn = document.getElementById('add-table-btn');
+        this.circleSegments = 64; // Ellipses and arcs are written as polylines
+        this.curveSegments = 8; // Segments per curve of a path
+        this.backgroundStroke = '#607d8b';
     }
 
     /**
-     * Initializes the shapes module by setting up event listeners.
+     * Initializes the DXF module by setting up the export and import controls.
      */
     init() {
-        this.setupShapeButtons();
-        this.setupAddTable();
-        this.setupCanvasEvents();
-    }
-
-    /**
-     * Sets up event listeners for shape buttons.
-     */
-    setupShapeButtons() {
-        if (this.shapeButtons.rectangle) {
-            this.shapeButtons.rectangle.addEventListener('click', () => this.setDrawingMode('rectangle'));
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', () => this.exportDXF());
         } else {
-            console.warn("Rectangle button with ID 'rectangle' not found.");
-        }
-
-        if (this.shapeButtons.rectangleFixedHeight) {
-            this.shapeButtons.rectangleFixedHeight.addEventListener('click', () => this.setDrawingMode('rectangle-fixed-height'));
-        } else {
-            console.warn("Rectangle Fixed Height button with ID 'rectangle-fixed-height' not found.");
-        }
-
-        if (this.shapeButtons.circle) {
-            this.shapeButtons.circle.addEventListener('click', () => this.addCircle());
-        } else {
-            console.warn("Circle button with ID 'circle' not found.");
+            console.warn("Export DXF button with ID 'export-dxf' not found.");
         }
-
-        if (this.shapeButtons.triangle) {
-            this.shapeButtons.triangle.addEventListener('click', () => this.addTriangle());
+        if (this.importInput) {
+            this.importInput.addEventListener('change', (e) => this.importDXF(e));
         } else {
-            console.warn("Triangle button with ID 'triangle' not found.");
+            console.warn("Import DXF input with ID 'import-dxf' not found.");
         }
+
+        // Locking is not serialized by Fabric; lock imported backgrounds again after a restore
+        this.canvas.on('canvas:restored', () => this.lockBackgrounds());
     }
 
     /**
-     * Sets the current drawing mode.
-     * @param {string} mode - The drawing mode ('rectangle', 'rectangle-fixed-height', etc.).
+     * Converts a canvas point to DXF mm (y up, origin at the bottom of the sheet).
+     * @param {{x: number, y: number}} point - The canvas point.
+     * @returns {{x: number, y: number}} - The point in mm.
      */
-    setDrawingMode(mode) {
-        this.drawingMode = mode;
-        console.log(`Drawing mode set to: ${mode}`);
+    toMm(point) {
+        const mmPerPixel = 10 / this.shapesModule.pixelsPerCm;
+        return { x: point.x * mmPerPixel, y: (this.canvas.getHeight() - point.y) * mmPerPixel };
     }
 
     /**
-     * Sets up canvas event listeners for drawing shapes.
+     * Converts a DXF point in mm to canvas pixels.
+     * @param {number} x - X in mm.
+     * @param {number} y - Y in mm (up).
+     * @param {{minX: number, maxY: number}} origin - The top left corner of the imported drawing, in mm.
+     * @returns {{x: number, y: number}} - The canvas point.
      */
-    setupCanvasEvents() {
-        this.canvas.on('mouse:down', (opt) => this.onMouseDown(opt));
-        this.canvas.on('mouse:move', (opt) => this.onMouseMove(opt));
-        this.canvas.on('mouse:up', (opt) => this.onMouseUp(opt));
+    toCanvas(x, y, origin) {
+        const pixelsPerMm = this.shapesModule.pixelsPerCm / 10;
+        const margin = 20;
+        return { x: margin + (x - origin.minX) * pixelsPerMm, y: margin + (origin.maxY - y) * pixelsPerMm };
     }
 
     /**
-     * Handles the mouse down event on the canvas.
-     * @param {Object} opt - The event object.
+     * Returns the export layer of an object.
+     * @param {fabric.Object} obj - The canvas object.
+     * @param {Set<fabric.Object>} labels - The measurement labels linked to shapes.
+     * @returns {string} - The layer name.
      */
-    onMouseDown(opt) {
-        if (!this.drawingMode) return;
+    getLayer(obj, labels) {
+        if (obj.dxfBackground) return obj.dxfBackground.layer;
+        if (obj.roomPolygon) return this.layers.rooms.name;
+        if (obj.wallElevation) return this.layers.walls.name;
+        if (obj.wallOpening) return this.layers.openings.name;
+        if (obj.fixtureSymbol) return this.layers.fixtures.name;
+        if (obj.fixedHeightRectangle) return this.layers.joints.name;
+        if (obj.tileFill) return this.layers.tiles.name;
+        if (obj instanceof fabric.Text) return labels.has(obj) ? this.layers.dimensions.name : this.layers.texts.name;
+        if (obj.annotation === 'dimension' || obj.annotation === 'angle') return this.layers.dimensions.name;
+        if (obj.annotation || obj.type === 'path') return this.layers.drawing.name;
+        return this.layers.shapes.name;
+    }
 
-        const pointer = this.canvas.getPointer(opt.e);
-        this.startX = pointer.x;
-        this.startY = pointer.y;
-        this.currentlyDrawing = true;
+    /**
+     * Exports the active sheet as a DXF file in mm.
+     */
+    exportDXF() {
+        const labels = new Set();
+        this.canvas.getObjects().forEach(obj => {
+            [obj.measurementText, obj.lengthMeasurementText, ...(obj.wallMeasurementTexts || [])]
+                .filter(text => text instanceof fabric.Text)
+                .forEach(text => labels.add(text));
+        });
 
-        const color = this.colorModule.getShapeColor();
-        const fillOption = this.getFillOption();
+        const entities = [];
+        let skipped = 0;
+        this.canvas.getObjects().forEach(obj => {
+            if (!obj.visible) return;
+            const layer = this.getLayer(obj, labels);
+            const before = entities.length;
+            this.addEntities(obj, layer, entities);
+            if (entities.length === before && obj.type === 'image') skipped++;
+        });
 
-        if (this.drawingMode === 'rectangle') {
-            this.tempShape = new fabric.Rect({
-                left: this.startX,
-                top: this.startY,
-                fill: fillOption === 'filled' ? color : 'transparent',
-                stroke: color,
-                strokeWidth: 2,
-                width: 0,
-                height: 0,
-                hasControls: true,
-                hasBorders: true,
-                selectable: true
-            });
-            this.canvas.add(this.tempShape);
+        const usedLayers = new Set(entities.map(entity => entity.layer));
+        const layers = Object.values(this.layers).filter(layer => usedLayers.has(layer.name));
+        usedLayers.forEach(name => {
+            if (!layers.some(layer => layer.name === name)) layers.push({ name, color: 7 });
+        });
 
-            // Create measurement text
-            const measurementText = new fabric.Text('', {
-                fontSize: 14,
-                fill: 'black',
-                selectable: false,
-                originX: 'center',
-                originY: 'center',
-                backgroundColor: 'rgba(255, 255, 255, 0.7)',
-                stroke: 'black',
-                strokeWidth: 0.5
-            });
-            this.canvas.add(measurementText);
-            this.tempShape.measurementText = measurementText;
-        } else if (this.drawingMode === 'rectangle-fixed-height') {
-            const fixedHeight = 0.3 * this.pixelsPerCm; // 0.3 cm in pixels
-            this.tempShape = new fabric.Rect({
-                left: this.startX,
-                top: this.startY,
-                fill: 'transparent',
-                stroke: color,
-                strokeWidth: 2,
-                width: 0,
-                height: fixedHeight,
-                hasControls: true,
-                hasBorders: true,
-                selectable: true,
-                fixedHeightRectangle: true
-            });
-            this.canvas.add(this.tempShape);
+        const blob = new Blob([writeDxf(layers, entities)], { type: 'application/dxf' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.projectModule.getActiveSheet().name || 'plan'}.dxf`;
+        link.click();
 
-            // Create length measurement text
-            const lengthMeasurementText = new fabric.Text('', {
-                fontSize: 14,
-                fill: 'black',
-                selectable: false,
-                originX: 'center',
-                originY: 'center',
-                backgroundColor: 'rgba(255, 255, 255, 0.7)',
-                stroke: 'black',
-                strokeWidth: 0.5
-            });
-            this.canvas.add(lengthMeasurementText);
-            this.tempShape.lengthMeasurementText = lengthMeasurementText;
+        if (skipped > 0) {
+            alert(`${skipped} image(s) non exportée(s) : le DXF ne contient que la géométrie et les textes.`);
         }
     }
 
     /**
-     * Handles the mouse move event on the canvas.
-     * @param {Object} opt - The event object.
+     * Adds the DXF entities of an object (and of the objects of a group).
+     * @param {fabric.Object} obj - The canvas object.
+     * @param {string} layer - The layer name.
+     * @param {Array<Object>} entities - The entities being written.
      */
-    onMouseMove(opt) {
-        if (!this.currentlyDrawing || !this.tempShape) return;
-
-        const pointer = this.canvas.getPointer(opt.e);
-        const width = pointer.x - this.startX;
-        const height = pointer.y - this.startY;
-
-        if (this.drawingMode === 'rectangle') {
-            this.tempShape.set({ width: width, height: height });
-            this.canvas.renderAll();
-            this.updateShapeMeasurements(this.tempShape, this.tempShape.measurementText);
-        } else if (this.drawingMode === 'rectangle-fixed-height') {
-            this.tempShape.set({ width: width });
-            this.canvas.renderAll();
-            this.updateFixedRectangleMeasurement(this.tempShape, this.tempShape.lengthMeasurementText);
+    addEntities(obj, layer, entities) {
+        const matrix = obj.calcTransformMatrix();
+        const toMm = (x, y) => this.toMm(fabric.util.transformPoint(new fabric.Point(x, y), matrix));
+        const w = obj.width / 2;
+        const h = obj.height / 2;
+
+        switch (obj.type) {
+            case 'group':
+                obj.getObjects().forEach(child => this.addEntities(child, layer, entities));
+                break;
+            case 'rect':
+                entities.push({ type: 'POLYLINE', layer, closed: true, points: [toMm(-w, -h), toMm(w, -h), toMm(w, h), toMm(-w, h)] });
+                break;
+            case 'triangle':
+                entities.push({ type: 'POLYLINE', layer, closed: true, points: [toMm(-w, h), toMm(0, -h), toMm(w, h)] });
+                break;
+            case 'polygon':
+            case 'polyline':
+                entities.push({
+                    type: 'POLYLINE', layer, closed: obj.type === 'polygon',
+                    points: obj.points.map(p => toMm(p.x - obj.pathOffset.x, p.y - obj.pathOffset.y))
+                });
+                break;
+            case 'line': {
+                const { x1, y1, x2, y2 } = obj.calcLinePoints();
+                const start = toMm(x1, y1);
+                const end = toMm(x2, y2);
+                entities.push({ type: 'LINE', layer, x1: start.x, y1: start.y, x2: end.x, y2: end.y });
+                break;
+            }
+            case 'circle':
+            case 'ellipse': {
+                const rx = obj.type === 'circle' ? obj.radius : obj.rx;
+                const ry = obj.type === 'circle' ? obj.radius : obj.ry;
+                const scale = obj.getObjectScaling();
+                if (rx * scale.scaleX === ry * scale.scaleY) {
+                    const center = toMm(0, 0);
+                    entities.push({ type: 'CIRCLE', layer, x: center.x, y: center.y, r: rx * scale.scaleX * 10 / this.shapesModule.pixelsPerCm });
+                } else {
+                    const points = Array.from({ length: this.circleSegments }, (_, i) => {
+                        const a = (i / this.circleSegments) * Math.PI * 2;
+                        return toMm(rx * Math.cos(a), ry * Math.sin(a));
+                    });
+                    entities.push({ type: 'POLYLINE', layer, closed: true, points });
+                }
+                break;
+            }
+            case 'path': {
+                // One polyline per sub-path (arrow heads, dimension ticks); curves are sampled
+                const toPathMm = (x, y) => toMm(x - obj.pathOffset.x, y - obj.pathOffset.y);
+                const polylines = [];
+                let current = null;
+                obj.path.forEach(command => {
+                    if (command[0] === 'Z' && current) current.closed = true;
+                    if (command.length < 3) return;
+                    const x = command[command.length - 2];
+                    const y = command[command.length - 1];
+                    if (command[0] === 'M' || !current) {
+                        current = { points: [], last: { x, y }, closed: false };
+                        polylines.push(current);
+                    } else if (command[0] === 'C' || command[0] === 'Q') {
+                        const controls = [current.last];
+                        for (let i = 1; i < command.length; i += 2) controls.push({ x: command[i], y: command[i + 1] });
+                        for (let step = 1; step < this.curveSegments; step++) {
+                            const point = getBezierPoint(controls, step / this.curveSegments);
+                            current.points.push(toPathMm(point.x, point.y));
+                        }
+                    }
+                    current.points.push(toPathMm(x, y));
+                    current.last = { x, y };
+                });
+                polylines
+                    .filter(polyline => polyline.points.length > 1)
+                    .forEach(({ points, closed }) => entities.push({ type: 'POLYLINE', layer, closed, points }));
+                break;
+            }
+            case 'text':
+            case 'i-text':
+            case 'textbox': {
+                const scale = obj.getObjectScaling();
+                const lineHeight = obj.fontSize * obj.lineHeight;
+                obj.textLines.forEach((line, i) => {
+                    if (!line.trim()) return;
+                    const baseline = toMm(-w, -h + lineHeight * i + obj.fontSize);
+                    entities.push({
+                        type: 'TEXT', layer, x: baseline.x, y: baseline.y, text: line,
+                        height: obj.fontSize * 0.7 * scale.scaleY * 10 / this.shapesModule.pixelsPerCm, // Cap height
+                        rotation: -obj.angle
+                    });
+                });
+                break;
+            }
         }
     }
 
     /**
-     * Handles the mouse up event on the canvas.
-     * @param {Object} opt - The event object.
+     * Imports a DXF file into the active sheet as one locked background group per DXF layer.
+     * @param {Event} e - The change event.
      */
-    onMouseUp(opt) {
-        if (!this.currentlyDrawing) return;
-        this.currentlyDrawing = false;
-        this.drawingMode = null; // Reset drawing mode
+    importDXF(e) {
+        const file = e.target.files[0];
+        if (!file) return;
 
-        if (this.tempShape) {
-            if (this.tempShape.fixedHeightRectangle) {
-                this.addFixedRectangleMeasurementListeners(this.tempShape);
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            let result;
+            try {
+                result = parseDxf(event.target.result);
+            } catch (error) {
+                alert(`Impossible de lire ${file.name} : ${error.message}`);
+                return;
+            }
+            if (result.entities.length === 0) {
+                alert(`Aucune entité LINE, LWPOLYLINE, CIRCLE, ARC ou TEXT dans ${file.name}.`);
+                return;
+            }
+
+            try {
+                this.addBackgroundLayers(result.entities, file.name);
+            } catch (error) {
+                console.error('Error:', error);
+                alert(`Impossible d'importer ${file.name} : ${error.message}`);
+                return;
+            }
+
+            const skipped = Object.entries(result.skipped).map(([type, count]) => `${type} (${count})`);
+            if (skipped.length > 0) {
+                alert(`Entités non importées : ${skipped.join(', ')}.`);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = ''; // Allow importing the same file again
+    }
+
+    /**
+     * Creates the background groups of the imported entities, scaled with the drawing scale.
+     * @param {Array<Object>} entities - The DXF entities in mm.
+     * @param {string} fileName - The DXF file name.
+     */
+    addBackgroundLayers(entities, fileName) {
+        // A loop rather than Math.min(...xs): large plans have more coordinates than a call can take arguments
+        const origin = { minX: Infinity, maxY: -Infinity };
+        const extend = (x, y) => {
+            origin.minX = Math.min(origin.minX, x);
+            origin.maxY = Math.max(origin.maxY, y);
+        };
+        entities.forEach(entity => {
+            if (entity.type === 'LINE') {
+                extend(entity.x1, entity.y1);
+                extend(entity.x2, entity.y2);
+            } else if (entity.type === 'POLYLINE') {
+                entity.points.forEach(p => extend(p.x, p.y));
+            } else if (entity.type === 'CIRCLE' || entity.type === 'ARC') {
+                extend(entity.x - entity.r, entity.y + entity.r);
             } else {
-                this.addShapeMeasurementListeners(this.tempShape);
+                extend(entity.x, entity.y + entity.height);
             }
-            this.historyModule.enregistrerEtat();
-            this.tempShape = null;
-        }
+        });
+
+        const byLayer = new Map();
+        entities.forEach(entity => {
+            const obj = this.createBackgroundObject(entity, origin);
+            if (!obj) return;
+            if (!byLayer.has(entity.layer)) byLayer.set(entity.layer, []);
+            byLayer.get(entity.layer).push(obj);
+        });
+
+        byLayer.forEach((objects, layer) => {
+            const group = new fabric.Group(objects, {
+                id: createObjectId(),
+                dxfBackground: { layer, file: fileName }
+            });
+            this.canvas.add(group);
+            this.lockBackground(group);
+        });
+        this.canvas.renderAll();
+        this.historyModule.enregistrerEtat();
     }
 
     /**
-     * Retrieves the current fill option for shapes.
-     * @returns {string} - 'filled' or 'empty'.
+     * Creates the Fabric object of a DXF entity.
+     * @param {Object} entity - The DXF entity in mm.
+     * @param {{minX: number, maxY: number}} origin - The top left corner of the imported drawing, in mm.
+     * @returns {fabric.Object|null} - The object.
      */
-    getFillOption() {
-        const filledRadio = document.querySelector('input[name="shape-fill"]:checked');
-        if (filledRadio) {
-            return filledRadio.value === 'filled' ? 'filled' : 'empty';
+    createBackgroundObject(entity, origin) {
+        const pixelsPerMm = this.shapesModule.pixelsPerCm / 10;
+        const style = { stroke: this.backgroundStroke, strokeWidth: 1, fill: 'transparent', objectCaching: false };
+
+        switch (entity.type) {
+            case 'LINE': {
+                const start = this.toCanvas(entity.x1, entity.y1, origin);
+                const end = this.toCanvas(entity.x2, entity.y2, origin);
+                return new fabric.Line([start.x, start.y, end.x, end.y], style);
+            }
+            case 'POLYLINE': {
+                const points = entity.points.map(p => this.toCanvas(p.x, p.y, origin));
+                return entity.closed ? new fabric.Polygon(points, style) : new fabric.Polyline(points, style);
+            }
+            case 'CIRCLE': {
+                const center = this.toCanvas(entity.x, entity.y, origin);
+                const radius = entity.r * pixelsPerMm;
+                return new fabric.Circle({ ...style, radius, left: center.x - radius, top: center.y - radius });
+            }
+            case 'ARC': {
+                // DXF arcs turn counter-clockwise with y up, which stays counter-clockwise on screen (sweep flag 0)
+                const sweep = ((entity.endAngle - entity.startAngle) % 360 + 360) % 360 || 360;
+                const pointAt = (angle) => this.toCanvas(
+                    entity.x + entity.r * Math.cos(angle * Math.PI / 180),
+                    entity.y + entity.r * Math.sin(angle * Math.PI / 180),
+                    origin
+                );
+                const radius = entity.r * pixelsPerMm;
+                const start = pointAt(entity.startAngle);
+                const middle = pointAt(entity.startAngle + sweep / 2);
+                const end = pointAt(entity.startAngle + sweep);
+                // Two half arcs, so full circles and arcs over 180° are drawn too
+                return new fabric.Path(
+                    `M ${start.x} ${start.y} A ${radius} ${radius} 0 0 0 ${middle.x} ${middle.y} A ${radius} ${radius} 0 0 0 ${end.x} ${end.y}`,
+                    style
+                );
+            }
+            case 'TEXT': {
+                if (!entity.text) return null;
+                const position = this.toCanvas(entity.x, entity.y, origin);
+                return new fabric.Text(entity.text, {
+                    left: position.x,
+                    top: position.y,
+                    originY: 'bottom',
+                    angle: -entity.rotation,
+                    fontSize: entity.height * pixelsPerMm / 0.7, // DXF height is the cap height
+                    fill: this.backgroundStroke,
+                    fontFamily: 'sans-serif'
+                });
+            }
+            default:
+                return null;
         }
-        return 'filled'; // Default value
     }
 
     /**
-     * Adds a circle to the canvas.
+     * Locks an imported background: it cannot be selected or moved, clicks go through it and it stays at the back.
+     * @param {fabric.Group} group - The background group.
      */
-    addCircle() {
-        const color = this.colorModule.getShapeColor();
-        const fillOption = this.getFillOption();
-        const circle = new fabric.Circle({
-            radius: 50,
-            left: 150,
-            top: 100,
-            fill: fillOption === 'filled' ? color : 'transparent',
-            stroke: color,
-            strokeWidth: 2,
-            hasControls: true,
-            hasBorders: true,
-            selectable: true
+    lockBackground(group) {
+        group.set({
+            selectable: false,
+            evented: false,
+            hasControls: false,
+            lockMovementX: true,
+            lockMovementY: true
         });
-        this.canvas.add(circle);
-        this.historyModule.enregistrerEtat();
-        this.addShapeMeasurements(circle);
+        this.canvas.sendToBack(group);
     }
 
     /**
-     * Adds a triangle to the canvas.
+     * Locks every imported background of the canvas again.
      */
-    addTriangle() {
-        const color = this.colorModule.getShapeColor();
-        const fillOption = this.getFillOption();
-        const triangle = new fabric.Triangle({
-            width: 100,
-            height: 100,
-            left: 150,
-            top: 100,
-            fill: fillOption === 'filled' ? color : 'transparent',
-            stroke: color,
-            strokeWidth: 2,
-            hasControls: true,
-            hasBorders: true,
-            selectable: true
-        });
-        this.canvas.add(triangle);
-        this.historyModule.enregistrerEtat();
-        this.addShapeMeasurements(triangle);
+    lockBackgrounds() {
+        this.canvas.getObjects()
+            .filter(obj => obj.dxfBackground)
+            .forEach(obj => this.lockBackground(obj));
     }
+}
 
+/**
+ * DuplicateModule Class
+ * Manages duplicating, deleting, copying, pasting, repeating and nudging the selected objects; their labels always follow.
+ */
+class DuplicateModule {
     /**
-     * Adds measurement texts to a shape.
-     * @param {fabric.Object} shape - The shape object.
+     * Creates an instance of DuplicateModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (drawing scale and unit).
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
      */
-    addShapeMeasurements(shape) {
-        // Do not add measurements for fixed height rectangles
-        if (shape.fixedHeightRectangle) return;
-
-        const measurementText = new fabric.Text('', {
-            fontSize: 14,
-            fill: 'black',
-            selectable: false,
-            originX: 'center',
-            originY: 'center',
-            backgroundColor: 'rgba(255, 255, 255, 0.7)',
-            stroke: 'black',
-            strokeWidth: 0.5
-        });
-        this.canvas.add(measurementText);
-        this.historyModule.enregistrerEtat();
-        this.updateShapeMeasurements(shape, measurementText);
-
-        shape.measurementText = measurementText;
+    constructor(canvas, shapesModule, historyModule) {
+        this.canvas = canvas;
+        this.shapesModule = shapesModule;
+        this.historyModule = historyModule;
+        this.duplicateBtn = this.createDuplicateButton();
 
-        this.addShapeMeasurementListeners(shape);
+        this.copyBtn = document.getElementById('copy-btn');
+        this.pasteBtn = document.getElementById('paste-btn');
+        this.arrayBtn = document.getElementById('array-btn');
+        this.arrayCountInput = document.getElementById('array-count');
+        this.arrayStepXInput = document.getElementById('array-step-x');
+        this.arrayStepYInput = document.getElementById('array-step-y');
+
+        this.duplicateOffset = 30; // Shift of a duplicate or of a paste on the sheet it was copied from, in px
+        this.clipboard = null; // Last copy, for browsers that refuse to read the clipboard
+        this.lastPaste = { text: null, count: 0 }; // Repeated pastes are shifted a little more each time
+        this.recordNudge = debounce(() => this.historyModule.enregistrerEtat(), 400); // Nudges in a row make one step
     }
 
     /**
-     * Updates the measurement text for a shape.
-     * @param {fabric.Object} shape - The shape object.
-     * @param {fabric.Text} measurementText - The measurement text object.
+     * Initializes the duplicate module by setting up event listeners.
      */
-    updateShapeMeasurements(shape, measurementText) {
-        if (!measurementText) return;
-
-        let measurements = '';
-        if (shape.type === 'rect') {
-            const width = (shape.getScaledWidth() / this.pixelsPerCm).toFixed(2);
-            const height = (shape.getScaledHeight() / this.pixelsPerCm).toFixed(2);
-            measurements = `L: ${width} cm, H: ${height} cm`;
-        } else if (shape.type === 'circle') {
-            const radius = (shape.radius * shape.scaleX / this.pixelsPerCm).toFixed(2);
-            const diameter = (2 * shape.radius * shape.scaleX / this.pixelsPerCm).toFixed(2);
-            measurements = `R: ${radius} cm, D: ${diameter} cm`;
-        } else if (shape.type === 'triangle') {
-            const a = (shape.width * shape.scaleX / this.pixelsPerCm).toFixed(2);
-            const b = (shape.height * shape.scaleY / this.pixelsPerCm).toFixed(2);
-            const c = (Math.sqrt(Math.pow(shape.width, 2) + Math.pow(shape.height, 2)) * shape.scaleX / this.pixelsPerCm).toFixed(2);
-            measurements = `Côtés: A: ${a} cm, B: ${b} cm, C: ${c} cm`;
-        }
-        measurementText.set({
-            text: measurements,
-            left: shape.left + shape.getScaledWidth() / 2,
-            top: shape.top - 20,
-            angle: 0 // Keep text horizontal
-        });
-        this.canvas.bringToFront(measurementText);
-        this.canvas.renderAll();
+    init() {
+        this.setupEvents();
+        this.setupClipboard();
+        this.setupArray();
     }
 
     /**
-     * Adds listeners to a fixed height rectangle for updating measurements.
-     * @param {fabric.Rect} shape - The fixed height rectangle.
+     * Creates the duplicate button and appends it to the body.
+     * @returns {HTMLElement} - The duplicate button element.
      */
-    addFixedRectangleMeasurementListeners(shape) {
-        const measurementText = shape.lengthMeasurementText;
-        shape.on('modified', () => {
-            this.updateFixedRectangleMeasurement(shape, measurementText);
-        });
-        shape.on('scaling', () => {
-            this.updateFixedRectangleMeasurement(shape, measurementText);
-        });
-        shape.on('moving', () => {
-            this.updateFixedRectangleMeasurement(shape, measurementText);
-        });
-        shape.on('removed', () => {
-            this.canvas.remove(measurementText);
-        });
+    createDuplicateButton() {
+        const btn = document.createElement('button');
+        btn.innerHTML = '+';
+        btn.classList.add('duplicate-btn');
+        document.body.appendChild(btn);
+        btn.style.display = 'none';
+        return btn;
     }
 
     /**
-     * Updates the measurement text for a fixed height rectangle.
-     * @param {fabric.Rect} shape - The fixed height rectangle.
-     * @param {fabric.Text} measurementText - The length measurement text object.
+     * Sets up event listeners for duplication and object selection.
      */
-    updateFixedRectangleMeasurement(shape, measurementText) {
-        if (!measurementText) return;
+    setupEvents() {
+        this.duplicateBtn.addEventListener('click', () => this.duplicateObject());
 
-        const width = (shape.getScaledWidth() / this.pixelsPerCm).toFixed(2);
-        measurementText.set({
-            text: `L: ${width} cm`,
-            left: shape.left + shape.getScaledWidth() / 2,
-            top: shape.top - 20,
-            angle: 0 // Keep text horizontal
-        });
-        this.canvas.bringToFront(measurementText);
-        this.canvas.renderAll();
+        this.canvas.on('selection:created', () => this.showDuplicateButton());
+        this.canvas.on('selection:updated', () => this.showDuplicateButton());
+        this.canvas.on('selection:cleared', () => this.hideDuplicateButton());
     }
 
     /**
-     * Adds event listeners to a shape for updating measurements on modifications.
-     * @param {fabric.Object} shape - The shape object.
+     * Copies, cuts and pastes through the system clipboard, so that objects go from one tab to another.
+     * Ctrl+C, Ctrl+X and Ctrl+V use the browser's copy, cut and paste events; the buttons and remapped shortcuts use the clipboard API.
      */
-    addShapeMeasurementListeners(shape) {
-        const measurementText = shape.measurementText;
-        shape.on('modified', () => {
-            this.updateShapeMeasurements(shape, measurementText);
-        });
-        shape.on('scaling', () => {
-            this.updateShapeMeasurements(shape, measurementText);
+    setupClipboard() {
+        document.addEventListener('copy', (event) => {
+            if (isTypingText(event, this.canvas) || !this.canvas.getActiveObject()) return;
+            event.clipboardData.setData('text/plain', this.copySelection());
+            event.preventDefault();
         });
-        shape.on('moving', () => {
-            this.updateShapeMeasurements(shape, measurementText);
+        document.addEventListener('cut', (event) => {
+            if (isTypingText(event, this.canvas) || !this.canvas.getActiveObject()) return;
+            event.clipboardData.setData('text/plain', this.copySelection());
+            event.preventDefault();
+            if (removeSelectedObjects(this.canvas) > 0) {
+                this.historyModule.enregistrerEtat('Couper');
+            }
         });
-        shape.on('removed', () => {
-            this.canvas.remove(measurementText);
+        document.addEventListener('paste', (event) => {
+            if (isTypingText(event, this.canvas)) return;
+            if (this.pasteText(event.clipboardData.getData('text/plain'))) {
+                event.preventDefault();
+            }
         });
-    }
-
-    /**
-     * Sets up the "Add Table" button functionality.
-     */
-    setupAddTable() {
-        if (this.addTableBtn) {
-            this.addTableBtn.addEventListener('click', () => {
-                const rows = parseInt(prompt("Nombre de lignes ?", "3"), 10);
-                const cols = parseInt(prompt("Nombre de colonnes ?", "3"), 10);
 
-                if (!isNaN(rows) && !isNaN(cols) && rows > 0 && cols > 0) {
-                    this.addTable(rows, cols);
-                } else {
-                    alert("Veuillez entrer des valeurs valides pour les lignes et les colonnes.");
+        if (this.copyBtn) {
+            this.copyBtn.addEventListener('click', () => {
+                if (!this.canvas.getActiveObject()) {
+                    alert("Aucun objet sélectionné !");
+                    return;
                 }
+                this.copyToClipboard();
             });
         } else {
-            console.warn("Add Table button with ID 'add-table-btn' not found.");
+            console.warn("Copy button with ID 'copy-btn' not found.");
+        }
+
+        if (this.pasteBtn) {
+            this.pasteBtn.addEventListener('click', () => this.pasteFromClipboard());
+        } else {
+            console.warn("Paste button with ID 'paste-btn' not found.");
         }
     }
 
     /**
-     * Adds a table to the canvas.
-     * @param {number} rows - Number of rows.
-     * @param {number} cols - Number of columns.
+     * Sets up the button repeating the selection.
      */
-    addTable(rows = 3, cols = 3) {
-        const tableGroup = new fabric.Group([], {
-            selectable: true,
-            hasBorders: true,
-            hasControls: true,
-            left: 150,
-            top: 100
-        });
-
-        const cellWidth = 60;
-        const cellHeight = 30;
-
-        // Create the table
-        for (let row = 0; row < rows; row++) {
-            for (let col = 0; col < cols; col++) {
-                // Create a cell
-                const cell = new fabric.Rect({
-                    left: col * cellWidth,
-                    top: row * cellHeight,
-                    width: cellWidth,
-                    height: cellHeight,
-                    fill: 'transparent',
-                    stroke: 'black',
-                    strokeWidth: 1,
-                    selectable: false
-                });
-
-                // Create the cell text
-                const cellText = new fabric.Textbox('', {
-                    left: col * cellWidth + 5,
-                    top: row * cellHeight + 5,
-                    fontSize: 12,
-                    width: cellWidth - 10,
-                    height: cellHeight - 10,
-                    selectable: true,
-                    editable: true,
-                    textAlign: 'center'
-                });
-
-                // Add the cell and text to the group
-                tableGroup.addWithUpdate(cell);
-                tableGroup.addWithUpdate(cellText);
-            }
+    setupArray() {
+        if (!this.arrayBtn || !this.arrayCountInput || !this.arrayStepXInput || !this.arrayStepYInput) {
+            console.warn("Array controls with IDs 'array-btn', 'array-count', 'array-step-x' and 'array-step-y' not found.");
+            return;
         }
-
-        // Add the table group to the canvas
-        this.canvas.add(tableGroup);
-        this.canvas.setActiveObject(tableGroup);
-        this.canvas.renderAll();
-        this.historyModule.enregistrerEtat();
+        this.arrayBtn.addEventListener('click', () => this.repeatSelection());
     }
-}
 
-/**
- * TextModule Class
- * Manages adding and editing text on the canvas.
- */
-class TextModule {
     /**
-     * Creates an instance of TextModule.
-     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
-     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     * Shows the duplicate button near the selected object.
      */
-    constructor(canvas, historyModule) {
-        this.canvas = canvas;
-        this.historyModule = historyModule;
-        this.textPropertiesMenu = document.getElementById('text-properties-menu');
+    showDuplicateButton() {
+        const activeObject = this.canvas.getActiveObject();
+        if (activeObject) {
+            // Calculate absolute position
+            const canvasRect = this.canvas.upperCanvasEl.getBoundingClientRect();
+            const objBoundingRect = activeObject.getBoundingRect();
+            const objLeft = objBoundingRect.left + objBoundingRect.width / 2 + canvasRect.left;
+            const objTop = objBoundingRect.top - 10 + canvasRect.top; // Adjust as needed
 
-        // Text property controls
-        this.fontFamilySelect = document.getElementById('font-family');
-        this.fontSizeInput = document.getElementById('font-size');
-        this.fontWeightSelect = document.getElementById('font-weight');
-        this.textColorInput = document.getElementById('text-color');
+            // Position the button
+            this.duplicateBtn.style.left = `${objLeft}px`;
+            this.duplicateBtn.style.top = `${objTop}px`;
+            this.duplicateBtn.style.display = 'block';
+        }
+    }
 
-        // Currently selected text object
-        this.selectedText = null;
+    /**
+     * Hides the duplicate button.
+     */
+    hideDuplicateButton() {
+        this.duplicateBtn.style.display = 'none';
     }
 
     /**
-     * Initializes the text module by setting up event listeners.
+     * Serializes the selected objects and their labels, in canvas coordinates and drawing order.
+     * @returns {Array<Object>} - The serialized objects, empty when nothing is selected.
      */
-    init() {
-        this.setupAddTextButton();
-        this.setupTextSelection();
-        this.setupTextProperties();
+    serializeSelection() {
+        const objects = getSelectedObjects(this.canvas);
+        if (objects.length === 0) return [];
+
+        // Members of a multi-selection have coordinates relative to it until it is left
+        this.canvas.discardActiveObject();
+        const order = this.canvas.getObjects();
+        const json = objects.concat(getLinkedLabels(this.canvas, objects))
+            .sort((a, b) => order.indexOf(a) - order.indexOf(b))
+            .map(obj => this.historyModule.serializeObject(obj));
+        this.selectObjects(objects);
+        return json;
     }
 
     /**
-     * Sets up the "Add Text" button functionality.
+     * Selects objects: one object, or a multi-selection of several. Labels are left out.
+     * @param {Array<fabric.Object>} objects - The objects.
      */
-    setupAddTextButton() {
-        const addTextBtn = document.getElementById('add-text-btn');
-        if (addTextBtn) {
-            addTextBtn.addEventListener('click', () => this.addText());
-        } else {
-            console.warn("Add Text button with ID 'add-text-btn' not found.");
+    selectObjects(objects) {
+        const selectable = objects.filter(obj => obj.selectable !== false && obj.visible);
+        this.canvas.discardActiveObject();
+        if (selectable.length === 1) {
+            this.canvas.setActiveObject(selectable[0]);
+        } else if (selectable.length > 1) {
+            this.canvas.setActiveObject(new fabric.ActiveSelection(selectable, { canvas: this.canvas }));
         }
+        this.canvas.requestRenderAll();
     }
 
     /**
-     * Adds a new text object to the canvas.
+     * Adds copies made by copyObjectsJSON, links their labels and selects them.
+     * @param {Array<Object>} copies - The serialized copies.
+     * @param {string} label - The name of the step in the history.
+     * @returns {Promise<Array<fabric.Object>>} - The added objects.
      */
-    addText() {
-        const text = new fabric.IText('Entrez votre texte', {
-            left: 150,
-            top: 100,
-            fontSize: 20,
-            fontFamily: 'Arial',
-            fill: '#000000',
-            editable: true,
-            selectable: true
+    addCopies(copies, label) {
+        return new Promise(resolve => {
+            fabric.util.enlivenObjects(copies, (objects) => {
+                const added = objects.filter(Boolean);
+                added.forEach(obj => this.canvas.add(obj));
+                // Labels are linked to the copies, tile fills, locks and layers rebuilt, as after any restore
+                this.canvas.fire('canvas:restored');
+                this.selectObjects(added);
+                this.historyModule.enregistrerEtat(label);
+                resolve(added);
+            });
         });
-        this.canvas.add(text);
-        this.historyModule.enregistrerEtat();
-        this.canvas.setActiveObject(text);
-        this.canvas.renderAll();
     }
 
     /**
-     * Sets up event listeners for text selection on the canvas.
+     * Duplicates the selected objects (every member of a multi-selection) with their labels.
      */
-    setupTextSelection() {
-        this.canvas.on('selection:created', (e) => this.handleSelection(e));
-        this.canvas.on('selection:updated', (e) => this.handleSelection(e));
-        this.canvas.on('selection:cleared', () => this.hideTextPropertiesMenu());
+    duplicateObject() {
+        const json = this.serializeSelection();
+        if (json.length > 0) {
+            this.addCopies(copyObjectsJSON(json, this.duplicateOffset, this.duplicateOffset), 'Dupliquer');
+        }
+        this.hideDuplicateButton();
     }
 
     /**
-     * Handles the selection of objects on the canvas.
-     * @param {Object} e - The event object.
+     * Deletes the selected objects (every member of a multi-selection) and their labels from the canvas.
      */
-    handleSelection(e) {
-        const selected = e.selected[0];
-        if (selected && selected.type === 'i-text') {
-            this.selectedText = selected;
-            this.showTextPropertiesMenu(selected);
-        } else {
-            this.selectedText = null;
-            this.hideTextPropertiesMenu();
+    deleteSelectedObject() {
+        if (removeSelectedObjects(this.canvas) > 0) {
+            this.historyModule.enregistrerEtat();
         }
     }
 
     /**
-     * Displays the text properties menu and updates it with the selected text's properties.
-     * @param {fabric.IText} text - The selected text object.
+     * Returns the selection as clipboard text, and keeps it for the paste button.
+     * @returns {string} - The clipboard text.
      */
-    showTextPropertiesMenu(text) {
-        if (this.textPropertiesMenu) {
-            this.textPropertiesMenu.style.display = 'flex';
-            this.updateTextPropertiesMenu(text);
-        }
+    copySelection() {
+        this.clipboard = JSON.stringify({
+            format: CLIPBOARD_FORMAT,
+            pixelsPerCm: this.shapesModule.pixelsPerCm,
+            objects: this.serializeSelection()
+        });
+        return this.clipboard;
     }
 
     /**
-     * Hides the text properties menu.
+     * Copies the selection to the system clipboard through the clipboard API.
      */
-    hideTextPropertiesMenu() {
-        if (this.textPropertiesMenu) {
-            this.textPropertiesMenu.style.display = 'none';
-        }
+    copyToClipboard() {
+        if (!this.canvas.getActiveObject()) return;
+        const text = this.copySelection();
+        if (navigator.clipboard) navigator.clipboard.writeText(text).catch(() => {});
     }
 
     /**
-     * Updates the text properties menu with the selected text's properties.
-     * @param {fabric.IText} text - The selected text object.
+     * Copies the selection to the system clipboard through the clipboard API, then deletes it.
      */
-    updateTextPropertiesMenu(text) {
-        if (this.fontFamilySelect && this.fontSizeInput && this.fontWeightSelect && this.textColorInput) {
-            this.fontFamilySelect.value = text.fontFamily || 'Arial';
-            this.fontSizeInput.value = text.fontSize || 20;
-            this.fontWeightSelect.value = text.fontWeight || 'normal';
-            this.textColorInput.value = text.fill || '#000000';
+    cutToClipboard() {
+        if (!this.canvas.getActiveObject()) return;
+        this.copyToClipboard();
+        if (removeSelectedObjects(this.canvas) > 0) {
+            this.historyModule.enregistrerEtat('Couper');
         }
     }
 
     /**
-     * Sets up event listeners for text property controls.
+     * Pastes the system clipboard read through the clipboard API, or the last copy when it cannot be read.
      */
-    setupTextProperties() {
-        if (this.fontFamilySelect) {
-            this.fontFamilySelect.addEventListener('change', () => {
-                if (this.selectedText) {
-                    this.selectedText.set('fontFamily', this.fontFamilySelect.value);
-                    this.canvas.renderAll();
-                    this.historyModule.enregistrerEtat();
-                }
-            });
+    pasteFromClipboard() {
+        const read = navigator.clipboard ? navigator.clipboard.readText() : Promise.reject();
+        read.then(text => this.pasteText(text) || this.pasteText(this.clipboard))
+            .catch(() => this.pasteText(this.clipboard));
+    }
+
+    /**
+     * Pastes objects copied from this tab or another one, at their real size on the current drawing scale.
+     * A paste on the sheet the objects come from is shifted so that it does not hide them.
+     * @param {?string} text - The clipboard text.
+     * @returns {boolean} - Whether the text held copied objects.
+     */
+    pasteText(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return false;
+        }
+        if (!data || data.format !== CLIPBOARD_FORMAT || !Array.isArray(data.objects) || data.objects.length === 0) {
+            return false;
         }
 
-        if (this.fontSizeInput) {
-            this.fontSizeInput.addEventListener('input', () => {
-                if (this.selectedText) {
-                    const size = parseInt(this.fontSizeInput.value, 10);
-                    if (!isNaN(size)) {
-                        this.selectedText.set('fontSize', size);
-                        this.canvas.renderAll();
-                        this.historyModule.enregistrerEtat();
-                    }
-                }
-            });
+        this.lastPaste = text === this.lastPaste.text ? { text, count: this.lastPaste.count + 1 } : { text, count: 1 };
+        const ids = new Set(this.canvas.getObjects().map(obj => obj.id));
+        const shift = data.objects.some(json => ids.has(json.id)) ? this.lastPaste.count * this.duplicateOffset : 0;
+        const scale = data.pixelsPerCm > 0 ? this.shapesModule.pixelsPerCm / data.pixelsPerCm : 1;
+        this.addCopies(copyObjectsJSON(data.objects, shift, shift, scale), 'Coller');
+        return true;
+    }
+
+    /**
+     * Repeats the selection a number of times, each copy shifted by the typed step from the previous one.
+     */
+    repeatSelection() {
+        const count = parseInt(this.arrayCountInput.value, 10);
+        const stepX = parseLength(this.arrayStepXInput.value || '0', this.shapesModule.unit);
+        const stepY = parseLength(this.arrayStepYInput.value || '0', this.shapesModule.unit);
+        if (!(count > 0) || stepX === null || stepY === null) {
+            alert('Indiquez un nombre de copies et un décalage valides.');
+            return;
         }
 
-        if (this.fontWeightSelect) {
-            this.fontWeightSelect.addEventListener('change', () => {
-                if (this.selectedText) {
-                    this.selectedText.set('fontWeight', this.fontWeightSelect.value);
-                    this.canvas.renderAll();
-                    this.historyModule.enregistrerEtat();
-                }
-            });
+        const json = this.serializeSelection();
+        if (json.length === 0) {
+            alert("Aucun objet sélectionné !");
+            return;
         }
+        const dx = stepX * this.shapesModule.pixelsPerCm;
+        const dy = stepY * this.shapesModule.pixelsPerCm;
+        let copies = [];
+        for (let i = 1; i <= count; i++) {
+            copies = copies.concat(copyObjectsJSON(json, i * dx, i * dy));
+        }
+        this.addCopies(copies, `Répéter ${count} fois`);
+    }
 
-        if (this.textColorInput) {
-            this.textColorInput.addEventListener('input', () => {
-                if (this.selectedText) {
-                    this.selectedText.set('fill', this.textColorInput.value);
-                    this.canvas.renderAll();
-                    this.historyModule.enregistrerEtat();
-                }
+    /**
+     * Moves the selected objects and their labels by a real distance; locked objects stay.
+     * @param {number} dxCm - The horizontal distance in cm.
+     * @param {number} dyCm - The vertical distance in cm.
+     */
+    nudgeSelection(dxCm, dyCm) {
+        const objects = getSelectedObjects(this.canvas).filter(obj => !obj.lockMovementX);
+        if (objects.length === 0) return;
+
+        // Members of a multi-selection are moved in canvas coordinates, then selected again
+        const selected = getSelectedObjects(this.canvas);
+        this.canvas.discardActiveObject();
+        objects.forEach(obj => {
+            obj.set({
+                left: obj.left + dxCm * this.shapesModule.pixelsPerCm,
+                top: obj.top + dyCm * this.shapesModule.pixelsPerCm
             });
-        }
+            obj.setCoords();
+            // Measurements and labels follow their object on 'modified'
+            obj.fire('modified');
+            this.canvas.fire('object:modified', { target: obj });
+        });
+        this.selectObjects(selected);
+        this.recordNudge();
     }
 }
 
 /**
- * CalculatorModule Class
- * Manages the integrated calculator functionality.
- */// Module de Gestion de la Calculatrice Intégrée
-class CalculatorModule {
-    constructor() {
-        this.calculatorCanvas = document.getElementById("calculator-canvas");
-        this.canvasCalcDisplay = document.getElementById("canvas-calc-display");
-        this.canvasCalcButtons = document.querySelectorAll("#calculator-canvas .calc-btn");
-        this.closeCanvasCalculatorBtn = document.getElementById("close-canvas-calculator");
+ * TileFillModule Class
+ * Fills rectangles with a repeating catalog tile photo at the tile's real size.
+ */
+class TileFillModule {
+    /**
+     * Creates an instance of TileFillModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (provides pixelsPerCm).
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     */
+    constructor(canvas, shapesModule, historyModule) {
+        this.canvas = canvas;
+        this.shapesModule = shapesModule;
+        this.historyModule = historyModule;
+
+        this.maxSourceSize = 1024; // Longest side of the pattern source canvas, in px
+        this.maxJointSourceSize = 2048; // Hard limit when enlarging the source to keep thin joints visible
+        this.placeholderFill = '#d9d9d9'; // Fill written to JSON instead of the pattern bitmap
+        this.imageCache = new Map();
+
+        // Joint and laying settings used for new tile fills
+        this.layout = {
+            jointMm: 3,
+            jointColor: '#bfbfbf',
+            pattern: 'straight',
+            rotation: 0,
+            offsetXCm: 0,
+            offsetYCm: 0
+        };
+        this.layoutControls = [
+            { key: 'jointMm', element: document.getElementById('joint-width-select'), parse: parseFloat },
+            { key: 'jointColor', element: document.getElementById('joint-color-picker'), parse: String },
+            { key: 'pattern', element: document.getElementById('tile-pattern-select'), parse: String },
+            { key: 'rotation', element: document.getElementById('tile-rotation-input'), parse: parseFloat },
+            { key: 'offsetXCm', element: document.getElementById('tile-offset-x-input'), unit: true },
+            { key: 'offsetYCm', element: document.getElementById('tile-offset-y-input'), unit: true }
+        ];
+        this.patternSelect = document.getElementById('tile-pattern-select');
+        this.patternNote = document.getElementById('tile-pattern-note');
     }
 
+    /**
+     * Initializes the tile fill module by setting up event listeners.
+     */
     init() {
-        this.setupDrag();
-        this.setupButtons();
-        this.setupVisibility();
+        this.populatePatternSelect();
+        this.setupLayoutControls();
+        this.canvas.on('canvas:restored', () => this.restoreTileFills());
+        this.canvas.on('scale:changed', () => {
+            this.restoreTileFills();
+            this.syncLayoutControls(this.canvas.getActiveObject());
+        });
+        this.canvas.on('selection:created', (e) => this.syncLayoutControls(e.selected[0]));
+        this.canvas.on('selection:updated', (e) => this.syncLayoutControls(e.selected[0]));
+        this.canvas.on('selection:cleared', () => this.showPatternNote(null));
     }
 
-    setupDrag() {
-        let isDragging = false;
-        let offsetX, offsetY;
+    /**
+     * Fills the laying pattern select with TILE_PATTERNS.
+     */
+    populatePatternSelect() {
+        if (!this.patternSelect) return;
+        this.patternSelect.innerHTML = '';
+        Object.entries(TILE_PATTERNS).forEach(([value, label]) => {
+            this.patternSelect.appendChild(new Option(label, value));
+        });
+    }
 
-        const getPointerPosition = (e) => {
-            if (e.touches) {
-                return { x: e.touches[0].clientX, y: e.touches[0].clientY };
-            } else {
-                return { x: e.clientX, y: e.clientY };
+    /**
+     * Returns the value shown in a layout control; lengths are shown in the current unit.
+     * @param {Object} control - The layout control.
+     * @returns {string} - The input value.
+     */
+    formatControlValue(control) {
+        const value = this.layout[control.key];
+        if (!control.unit) return String(value);
+        const { perCm, decimals } = LENGTH_UNITS[this.shapesModule.unit];
+        return String(parseFloat((value * perCm).toFixed(decimals)));
+    }
+
+    /**
+     * Sets up the joint and laying controls: each change becomes the default and updates the selected tiled shape.
+     */
+    setupLayoutControls() {
+        this.layoutControls.forEach((control) => {
+            const { key, element, parse, unit } = control;
+            if (!element) {
+                console.warn(`Tile layout control for '${key}' not found.`);
+                return;
             }
-        };
+            element.value = this.formatControlValue(control);
+            element.addEventListener('change', () => {
+                const value = unit ? parseLength(element.value, this.shapesModule.unit) : parse(element.value);
+                if (value === null || (typeof value === 'number' && isNaN(value))) return;
+
+                this.layout[key] = value;
+                if (key === 'jointMm') {
+                    this.shapesModule.jointWidthMm = value;
+                }
+                this.updateSelectedLayout();
+            });
+        });
+    }
 
-        const startDrag = (e) => {
-            isDragging = true;
-            const pointer = getPointerPosition(e);
-            const rect = this.calculatorCanvas.getBoundingClientRect();
-            offsetX = pointer.x - rect.left;
-            offsetY = pointer.y - rect.top;
-            this.calculatorCanvas.style.cursor = 'move';
-            e.preventDefault();
-        };
+    /**
+     * Shows the layout of a selected tiled shape in the controls (or just refreshes them for other objects).
+     * @param {fabric.Object} obj - The selected object.
+     */
+    syncLayoutControls(obj) {
+        this.layoutControls.forEach((control) => {
+            if (obj && obj.tileFill && obj.tileFill[control.key] !== undefined) {
+                this.layout[control.key] = obj.tileFill[control.key];
+            }
+            if (control.element) control.element.value = this.formatControlValue(control);
+        });
+        // The joint tool draws the width the control shows
+        this.shapesModule.jointWidthMm = this.layout.jointMm;
+        this.showPatternNote(obj);
+    }
 
-        const drag = (e) => {
-            if (isDragging) {
-                const pointer = getPointerPosition(e);
-                // Calculer les nouvelles positions en tenant compte des limites de la fenêtre
-                let newLeft = pointer.x - offsetX;
-                let newTop = pointer.y - offsetY;
+    /**
+     * Shows under the laying controls how the selected tiled shape's pattern changes its tiles, if it does.
+     * @param {fabric.Object} obj - The selected object.
+     */
+    showPatternNote(obj) {
+        if (!this.patternNote) return;
+        const note = obj && obj.tileFill ? describeTileLayoutFit(getTileLayout(obj.tileFill), this.shapesModule.unit) : null;
+        this.patternNote.textContent = note || '';
+        this.patternNote.hidden = !note;
+    }
 
-                // Empêcher la calculatrice de sortir de l'écran
-                const windowWidth = window.innerWidth;
-                const windowHeight = window.innerHeight;
-                const calcWidth = this.calculatorCanvas.offsetWidth;
-                const calcHeight = this.calculatorCanvas.offsetHeight;
+    /**
+     * Applies the current joint and laying settings to the selected tiled shape.
+     */
+    updateSelectedLayout() {
+        const activeObject = this.canvas.getActiveObject();
+        if (!activeObject || !activeObject.tileFill) return;
 
-                newLeft = Math.max(0, Math.min(newLeft, windowWidth - calcWidth));
-                newTop = Math.max(0, Math.min(newTop, windowHeight - calcHeight));
+        Object.assign(activeObject.tileFill, this.layout);
+        this.showPatternNote(activeObject);
+        this.renderTileFill(activeObject, () => {
+            this.historyModule.enregistrerEtat();
+        });
+    }
 
-                this.calculatorCanvas.style.left = `${newLeft}px`;
-                this.calculatorCanvas.style.top = `${newTop}px`;
+    /**
+     * Checks whether an object can receive a tile fill.
+     * @param {fabric.Object} obj - The object to check.
+     * @returns {boolean} - True for regular rectangles and wall elevations, false for joints and wall openings.
+     */
+    canReceiveTileFill(obj) {
+        return !!obj && obj.type === 'rect' && !obj.fixedHeightRectangle && !obj.wallOpening;
+    }
+
+    /**
+     * Applies a catalog tile as a tiled fill to a rectangle.
+     * @param {fabric.Rect} shape - The rectangle to fill.
+     * @param {CatalogTile} tile - The catalog tile.
+     */
+    applyTileFill(shape, tile) {
+        let dimensions = tile.width_cm ? { widthCm: tile.width_cm, heightCm: tile.height_cm } : null;
+        if (!dimensions) {
+            dimensions = parseTileDimensions(prompt("Dimensions du carreau en cm (ex : 60x120) ?", "60x120"));
+            if (!dimensions) {
+                alert("Dimensions du carreau invalides.");
+                return;
             }
-        };
+        }
 
-        const stopDrag = () => {
-            isDragging = false;
-            this.calculatorCanvas.style.cursor = 'default';
+        shape.tileFill = {
+            src: tile.src,
+            sku: tile.sku,
+            name: tile.name,
+            widthCm: dimensions.widthCm,
+            heightCm: dimensions.heightCm,
+            ...this.layout
         };
+        this.showPatternNote(shape);
 
-        const calculatorHeader = this.calculatorCanvas.querySelector('h3');
-        if (calculatorHeader) {
-            calculatorHeader.addEventListener('mousedown', startDrag);
-            calculatorHeader.addEventListener('touchstart', startDrag);
-        } else {
-            console.warn("Le titre de la calculatrice est introuvable.");
-        }
-
-        document.addEventListener('mousemove', drag);
-        document.addEventListener('touchmove', drag);
-        document.addEventListener('mouseup', stopDrag);
-        document.addEventListener('touchend', stopDrag);
+        this.renderTileFill(shape, () => {
+            this.historyModule.enregistrerEtat();
+        });
     }
 
-    setupButtons() {
-        this.canvasCalcButtons.forEach(button => {
-            button.addEventListener("click", () => this.handleCalcButton(button.textContent));
-        });
+    /**
+     * Builds the pattern for a shape's tileFill and attaches the scaling listeners.
+     * @param {fabric.Rect} shape - The shape with a tileFill description.
+     * @param {Function} [callback] - Called once the pattern is applied.
+     */
+    renderTileFill(shape, callback) {
+        this.loadImage(shape.tileFill.src, (image) => {
+            if (!image) {
+                alert(`Impossible de charger la photo du carreau : ${shape.tileFill.src}`);
+                return;
+            }
 
-        if (this.closeCanvasCalculatorBtn) {
-            this.closeCanvasCalculatorBtn.addEventListener("click", () => this.hideCalculator());
-        } else {
-            console.warn("Le bouton 'Fermer' de la calculatrice est introuvable.");
-        }
+            const pattern = new fabric.Pattern({
+                source: this.createTileSource(image, shape.tileFill),
+                repeat: 'repeat'
+            });
+            // Keep the bitmap out of JSON; the pattern is rebuilt from tileFill on restore
+            pattern.toObject = () => this.placeholderFill;
+
+            shape.set('fill', pattern);
+            this.updatePatternTransform(shape);
+            this.addTileFillListeners(shape);
+            this.shapesModule.refreshShapeMeasurements(shape);
+            this.canvas.renderAll();
+
+            if (callback) callback();
+        });
     }
 
-    setupVisibility() {
-        const showCalculatorBtn = document.getElementById("show-calculator");
-        if (showCalculatorBtn) {
-            showCalculatorBtn.addEventListener("click", () => this.showCalculator());
-        } else {
-            console.warn("Le bouton 'Calculatrice' avec l'ID 'show-calculator' est introuvable.");
+    /**
+     * Draws one repeat cell of the laying pattern, joints included, into an offscreen canvas used as the pattern source.
+     * @param {HTMLImageElement} image - The tile photo.
+     * @param {Object} tileFill - The tile description.
+     * @param {number} [pixelsPerCm] - The drawing scale of the sheet, the active one by default.
+     * @returns {HTMLCanvasElement} - The pattern source canvas.
+     */
+    createTileSource(image, tileFill, pixelsPerCm = this.shapesModule.pixelsPerCm) {
+        const layout = getTileLayout(tileFill);
+        const { cellWidth, cellHeight } = layout;
+        const jointCm = (tileFill.jointMm || 0) / 10;
+        const largestSide = Math.max(cellWidth, cellHeight);
+        let sourcePxPerCm = Math.min(pixelsPerCm, this.maxSourceSize / largestSide);
+        if (jointCm > 0 && jointCm * sourcePxPerCm < 1) {
+            // Thin joints must stay at least one pixel wide once the cell is downsampled
+            sourcePxPerCm = Math.min(1 / jointCm, this.maxJointSourceSize / largestSide);
         }
-    }
 
-    handleCalcButton(value) {
-        if (value === "C") {
-            this.canvasCalcDisplay.value = "";
-        } else if (value === "=") {
-            try {
-                // Utiliser une fonction sécurisée pour évaluer l'expression
-                this.canvasCalcDisplay.value = Function('"use strict";return (' + this.canvasCalcDisplay.value + ')')();
-            } catch {
-                this.canvasCalcDisplay.value = "Erreur";
+        const source = document.createElement('canvas');
+        source.width = Math.max(1, Math.round(cellWidth * sourcePxPerCm));
+        source.height = Math.max(1, Math.round(cellHeight * sourcePxPerCm));
+        const ctx = source.getContext('2d');
+        ctx.fillStyle = tileFill.jointColor || this.layout.jointColor;
+        ctx.fillRect(0, 0, source.width, source.height);
+
+        // Tiles crossing the cell border are drawn again on the opposite side so the cell repeats seamlessly
+        const scaleX = source.width / cellWidth;
+        const scaleY = source.height / cellHeight;
+        const tileBox = getPointsBoundingBox([].concat(...layout.placements.map(placement => getPlacementCorners(placement))));
+        for (let column = Math.ceil(-tileBox.maxX / cellWidth); column <= Math.floor((cellWidth - tileBox.minX) / cellWidth); column++) {
+            for (let row = Math.ceil(-tileBox.maxY / cellHeight); row <= Math.floor((cellHeight - tileBox.minY) / cellHeight); row++) {
+                layout.placements.forEach(({ p0, u, v }) => {
+                    ctx.setTransform(scaleX, 0, 0, scaleY, 0, 0);
+                    ctx.transform(
+                        u[0] / image.width, u[1] / image.width,
+                        v[0] / image.height, v[1] / image.height,
+                        p0[0] + column * cellWidth, p0[1] + row * cellHeight
+                    );
+                    ctx.drawImage(image, 0, 0);
+                });
             }
-        } else {
-            this.canvasCalcDisplay.value += value;
         }
+        return source;
     }
 
-    showCalculator() {
-        if (this.calculatorCanvas) {
-            this.calculatorCanvas.style.display = 'block';
-            this.calculatorCanvas.style.zIndex = 9999;
-            // Positionner la calculatrice au centre si elle n'a pas encore été positionnée
-            if (!this.calculatorCanvas.style.left || !this.calculatorCanvas.style.top) {
-                const windowWidth = window.innerWidth;
-                const windowHeight = window.innerHeight;
-                const calcWidth = this.calculatorCanvas.offsetWidth;
-                const calcHeight = this.calculatorCanvas.offsetHeight;
-                this.calculatorCanvas.style.left = `${(windowWidth - calcWidth) / 2}px`;
-                this.calculatorCanvas.style.top = `${(windowHeight - calcHeight) / 2}px`;
+    /**
+     * Scales, rotates and offsets the pattern so tiles keep their real size in cm whatever the shape's scale.
+     * @param {fabric.Rect} shape - The tiled shape.
+     * @param {number} [pixelsPerCm] - The drawing scale of the sheet, the active one by default.
+     */
+    updatePatternTransform(shape, pixelsPerCm = this.shapesModule.pixelsPerCm) {
+        const pattern = shape.fill;
+        if (!shape.tileFill || !(pattern instanceof fabric.Pattern)) return;
+
+        const layout = getTileLayout(shape.tileFill);
+        const scaleX = (layout.cellWidth * pixelsPerCm) / pattern.source.width;
+        const scaleY = (layout.cellHeight * pixelsPerCm) / pattern.source.height;
+        const rad = layout.rotation * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+
+        // Cell pixels -> cm -> rotated around the start point, then undo the shape's own scale
+        pattern.patternTransform = [
+            (cos * scaleX) / shape.scaleX,
+            (sin * scaleX) / shape.scaleY,
+            (-sin * scaleY) / shape.scaleX,
+            (cos * scaleY) / shape.scaleY,
+            (layout.offsetX * pixelsPerCm) / shape.scaleX,
+            (layout.offsetY * pixelsPerCm) / shape.scaleY
+        ];
+        shape.dirty = true;
+    }
+
+    /**
+     * Adds listeners keeping the tile size constant while the shape is scaled.
+     * @param {fabric.Rect} shape - The tiled shape.
+     */
+    addTileFillListeners(shape) {
+        if (shape.tileFillListeners) return;
+        const update = () => this.updatePatternTransform(shape);
+        shape.on('scaling', update);
+        shape.on('modified', update);
+        shape.tileFillListeners = true;
+    }
+
+    /**
+     * Rebuilds the patterns of every tiled shape after the canvas was loaded from JSON or the drawing scale changed.
+     */
+    restoreTileFills() {
+        this.canvas.getObjects().forEach(obj => {
+            if (obj.tileFill) {
+                this.renderTileFill(obj);
             }
-        } else {
-            console.warn("La calculatrice avec l'ID 'calculator-canvas' est introuvable.");
-        }
+        });
     }
 
-    hideCalculator() {
-        if (this.calculatorCanvas) {
-            this.calculatorCanvas.style.display = 'none';
+    /**
+     * Loads an image once and caches it.
+     * @param {string} src - The image URL.
+     * @param {Function} callback - Receives the loaded image, or null on error.
+     */
+    loadImage(src, callback) {
+        if (this.imageCache.has(src)) {
+            callback(this.imageCache.get(src));
+            return;
         }
+        fabric.util.loadImage(src, (img, isError) => {
+            if (isError || !img) {
+                callback(null);
+                return;
+            }
+            this.imageCache.set(src, img);
+            callback(img);
+        }, null, 'anonymous');
     }
 }
 
 /**
- * ImportExportModule Class
- * Manages importing and exporting of canvas content.
+ * PhotoPaletteModule Class
+ * Manages the photo palette and image insertion.
  */
-class ImportExportModule {
+class PhotoPaletteModule {
+    /**
+     * Creates an instance of PhotoPaletteModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     * @param {TileFillModule} tileFillModule - The TileFillModule instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (provides pixelsPerCm).
+     */
+    constructor(canvas, historyModule, tileFillModule, shapesModule) {
+        this.canvas = canvas;
+        this.historyModule = historyModule;
+        this.tileFillModule = tileFillModule;
+        this.shapesModule = shapesModule;
+        this.photoPaletteModal = document.getElementById('photo-palette-modal');
+        this.openPaletteBtn = document.getElementById('open-photo-palette-btn');
+        this.closePaletteSpan = this.photoPaletteModal ? this.photoPaletteModal.querySelector('.close-modal') : null;
+        this.photoGallery = document.getElementById('photo-gallery');
+        this.photoSearchInput = document.getElementById('photo-search');
+        this.catalogReport = document.getElementById('catalog-report');
+        this.photos = []; // Array to store loaded photos
+    }
+
+    /**
+     * Initializes the photo palette module by setting up event listeners and loading photos.
+     */
+    init() {
+        this.setupOpenPalette();
+        this.setupClosePalette();
+        this.loadPhotos();
+        this.setupSearch();
+    }
+
+    /**
+     * Sets up the "Open Photo Palette" button functionality.
+     */
+    setupOpenPalette() {
+        if (this.openPaletteBtn) {
+            this.openPaletteBtn.addEventListener('click', () => {
+                this.photoPaletteModal.style.display = 'block';
+            });
+        } else {
+            console.warn("Open Photo Palette button with ID 'open-photo-palette-btn' not found.");
+        }
+    }
+
+    /**
+     * Sets up the functionality to close the photo palette modal.
+     */
+    setupClosePalette() {
+        if (this.closePaletteSpan) {
+            this.closePaletteSpan.addEventListener('click', () => this.hidePalette());
+        } else {
+            console.warn("Close button for photo palette modal not found.");
+        }
+
+        window.addEventListener('click', (event) => {
+            if (event.target === this.photoPaletteModal) {
+                this.hidePalette();
+            }
+        });
+    }
+
     /**
-     * Creates an instance of ImportExportModule.
-     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
-     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     * Tells whether the photo palette modal is shown.
+     * @returns {boolean}
      */
-    constructor(canvas, historyModule) {
-        this.canvas = canvas;
-        this.historyModule = historyModule;
-        this.nomFichierJSON = null;
+    isPaletteOpen() {
+        return Boolean(this.photoPaletteModal && this.photoPaletteModal.style.display === 'block');
+    }
 
-        // Import and Export elements
-        this.saveImgBtn = document.querySelector(".save-img");
-        this.uploadImageInput = document.getElementById("upload-image");
-        this.saveJSONBtn = document.getElementById("save-json");
-        this.loadJSONInput = document.getElementById("load-json");
-        this.loadJSONLabel = document.querySelector(".load-json-btn");
-        this.deleteObjectBtn = document.getElementById('delete-object');
-        this.deleteMeasurementBtn = document.getElementById('delete-measurement-text');
-        this.clearCanvasBtn = document.querySelector('.clear-canvas');
+    /**
+     * Hides the photo palette modal.
+     */
+    hidePalette() {
+        if (this.photoPaletteModal) {
+            this.photoPaletteModal.style.display = 'none';
+        }
     }
 
     /**
-     * Initializes the import/export module by setting up event listeners.
+     * Loads the tile catalog from `merged.json`, migrating legacy files and validating every entry.
      */
-    init() {
-        this.setupSaveImage();
-        this.setupUploadImage();
-        this.setupSaveJSON();
-        this.setupLoadJSON();
-        this.setupDeleteObject();
-        this.setupDeleteMeasurementText();
-        this.setupClearCanvas();
+    async loadPhotos() {
+        try {
+            const response = await fetch('merged.json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            const catalog = loadTileCatalog(data);
+            this.photos = catalog.tiles;
+            this.displayPhotos(this.photos);
+            this.displayCatalogReport(catalog);
+        } catch (error) {
+            console.error('Error:', error);
+            alert(`Impossible de charger le catalogue merged.json : ${error.message}`);
+        }
     }
 
     /**
-     * Sets up the "Save as Image" functionality.
+     * Reports the rejected and incomplete catalog entries in the palette and the console.
+     * @param {Object} catalog - The result of loadTileCatalog.
      */
-    setupSaveImage() {
-        if (this.saveImgBtn) {
-            this.saveImgBtn.addEventListener("click", () => this.saveAsImage());
-        } else {
-            console.warn("Save Image button with class 'save-img' not found.");
+    displayCatalogReport(catalog) {
+        if (catalog.migrated) {
+            console.warn('merged.json uses the legacy {src, alt} format; entries were migrated on load.');
         }
+        if (catalog.invalid.length) {
+            console.warn('Rejected catalog entries:', catalog.invalid);
+        }
+        if (!this.catalogReport) {
+            console.warn("Catalog report with ID 'catalog-report' not found.");
+            return;
+        }
+
+        const addSection = (entries, title, open) => {
+            if (!entries.length) return;
+            const details = document.createElement('details');
+            details.open = open;
+            const summary = document.createElement('summary');
+            summary.textContent = `${entries.length} ${title}`;
+            const list = document.createElement('ul');
+            entries.forEach(entry => {
+                const item = document.createElement('li');
+                item.textContent = `#${entry.index} ${entry.label} : ${entry.problems.join(', ')}`;
+                list.appendChild(item);
+            });
+            details.append(summary, list);
+            this.catalogReport.appendChild(details);
+        };
+
+        this.catalogReport.innerHTML = '';
+        addSection(catalog.invalid, 'entrée(s) rejetée(s)', true);
+        addSection(catalog.incomplete, 'entrée(s) incomplète(s)', false);
+        this.catalogReport.style.display = this.catalogReport.childElementCount ? 'block' : 'none';
     }
 
     /**
-     * Saves the canvas content as a PNG image.
+     * Displays photos in the photo gallery.
+     * @param {Array<CatalogTile>} photos - Array of catalog tiles.
      */
-    saveAsImage() {
-        const dataURL = this.canvas.toDataURL({
-            format: 'png',
-            multiplier: 2
+    displayPhotos(photos) {
+        if (!this.photoGallery) {
+            console.warn("Photo gallery with ID 'photo-gallery' not found.");
+            return;
+        }
+        this.photoGallery.innerHTML = ''; // Clear the gallery before displaying new photos
+        photos.forEach(photo => {
+            const img = document.createElement('img');
+            img.src = photo.src;
+            img.alt = photo.name;
+            img.title = photo.width_cm ? `${photo.name} (${photo.width_cm} x ${photo.height_cm} cm)` : photo.name;
+            img.style.width = '100px'; // Adjust as needed
+            img.style.height = '100px'; // Make square for consistency
+            img.style.objectFit = 'cover';
+            img.style.margin = '5px';
+            img.style.cursor = 'pointer';
+            img.addEventListener('click', () => this.selectPhoto(photo));
+            this.photoGallery.appendChild(img);
         });
-        const link = document.createElement("a");
-        link.href = dataURL;
-        link.download = `canvas_${Date.now()}.png`;
-        link.click();
     }
 
     /**
-     * Sets up the "Upload Image" functionality.
+     * Applies the chosen photo as a tiled fill when a rectangle is selected, otherwise adds it to the canvas.
+     * @param {CatalogTile} photo - The catalog tile.
      */
-    setupUploadImage() {
-        if (this.uploadImageInput) {
-            this.uploadImageInput.addEventListener("change", (e) => this.uploadImage(e));
+    selectPhoto(photo) {
+        const activeObject = this.canvas.getActiveObject();
+        if (this.tileFillModule && this.tileFillModule.canReceiveTileFill(activeObject)) {
+            this.tileFillModule.applyTileFill(activeObject, photo);
+            this.photoPaletteModal.style.display = 'none';
         } else {
-            console.warn("Upload Image input with ID 'upload-image' not found.");
+            this.addPhotoToCanvas(photo);
         }
     }
 
     /**
-     * Uploads an image to the canvas.
-     * @param {Event} e - The change event.
+     * Adds a photo to the canvas, at its real size on the drawing scale when the tile dimensions are known.
+     * @param {CatalogTile} photo - The catalog tile.
      */
-    uploadImage(e) {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            fabric.Image.fromURL(event.target.result, (img) => {
-                img.set({
-                    left: 150,
-                    top: 100,
-                    scaleX: 0.5,
-                    scaleY: 0.5,
-                    selectable: true,
-                    hasBorders: true,
-                    hasControls: true
-                });
-                this.canvas.add(img);
-                this.canvas.renderAll();
-                this.historyModule.enregistrerEtat();
-            }, { crossOrigin: 'anonymous' });
-        };
-        reader.readAsDataURL(file);
+    addPhotoToCanvas(photo) {
+        fabric.Image.fromURL(photo.src, (img) => {
+            const pixelsPerCm = this.shapesModule.pixelsPerCm;
+            const hasSize = photo.width_cm && photo.height_cm && img.width && img.height;
+            img.set({
+                left: 100,
+                top: 100,
+                scaleX: hasSize ? (photo.width_cm * pixelsPerCm) / img.width : 0.5,
+                scaleY: hasSize ? (photo.height_cm * pixelsPerCm) / img.height : 0.5,
+                selectable: true,
+                hasBorders: true,
+                hasControls: true
+            });
+            this.canvas.add(img);
+            this.canvas.renderAll();
+            this.historyModule.enregistrerEtat();
+            this.photoPaletteModal.style.display = 'none'; // Close the palette after adding
+        }, {
+            crossOrigin: 'anonymous',
+        });
     }
 
     /**
-     * Sets up the "Save as JSON" functionality.
+     * Sets up the search functionality within the photo palette.
      */
-    setupSaveJSON() {
-        if (this.saveJSONBtn) {
-            this.saveJSONBtn.addEventListener("click", () => this.saveAsJSON());
+    setupSearch() {
+        if (this.photoSearchInput) {
+            this.photoSearchInput.addEventListener('input', debounce((e) => {
+                const query = e.target.value.toLowerCase();
+                const filteredPhotos = this.photos.filter(photo => {
+                    const searchText = [photo.name, photo.sku, photo.collection, photo.finish].join(' ').toLowerCase();
+                    return searchText.includes(query);
+                });
+                this.displayPhotos(filteredPhotos);
+            }, 300));
         } else {
-            console.warn("Save JSON button with ID 'save-json' not found.");
+            console.warn("Photo search input with ID 'photo-search' not found.");
         }
     }
+}
 
+/**
+ * FixtureLibraryModule Class
+ * Manages the library of sanitary fixtures read from the 3D models in images/ and inserts them as plan symbols.
+ */
+class FixtureLibraryModule {
     /**
-     * Saves the canvas content as a JSON file.
+     * Creates an instance of FixtureLibraryModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (provides pixelsPerCm and the label unit).
+     * @param {HistoryModule} historyModule - The HistoryModule instance.
      */
-    saveAsJSON() {
-        const canvasJSON = JSON.stringify(this.canvas.toJSON(['measurementText', 'lengthMeasurementText']));
-        const blob = new Blob([canvasJSON], { type: 'application/json' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = this.nomFichierJSON ? this.nomFichierJSON : `canvas_${Date.now()}.json`;
-        link.click();
+    constructor(canvas, shapesModule, historyModule) {
+        this.canvas = canvas;
+        this.shapesModule = shapesModule;
+        this.historyModule = historyModule;
 
-        alert(this.nomFichierJSON ? `Modifications enregistrées dans ${this.nomFichierJSON}` : "Nouveau fichier JSON créé !");
+        this.dimensionsCache = new Map(); // Model src -> promise of its dimensions in cm
+        this.meshCache = new Map(); // Model src -> promise of its simplified mesh in fixture space
+        this.meshCells = 18; // Grid cells along the longest side of a simplified mesh, a few hundred triangles
+        this.symbolStroke = '#333333';
+
+        this.libraryModal = document.getElementById('fixture-library-modal');
+        this.openLibraryBtn = document.getElementById('open-fixture-library-btn');
+        this.closeLibrarySpan = this.libraryModal ? this.libraryModal.querySelector('.close-modal') : null;
+        this.viewSelect = document.getElementById('fixture-view-select');
+        this.fixtureList = document.getElementById('fixture-list');
     }
 
     /**
-     * Sets up the "Load JSON" functionality.
+     * Initializes the fixture library module by setting up event listeners.
      */
-    setupLoadJSON() {
-        if (this.loadJSONInput && this.loadJSONLabel) {
-            this.loadJSONLabel.addEventListener('click', () => this.loadJSONInput.click());
-            this.loadJSONInput.addEventListener("change", (e) => this.loadFromJSON(e));
-        } else {
-            console.warn("Load JSON input or label not found.");
+    init() {
+        if (!this.libraryModal || !this.fixtureList) {
+            console.warn("Fixture library modal with ID 'fixture-library-modal' not found.");
+            return;
         }
+        this.setupOpenLibrary();
+        this.setupCloseLibrary();
+        this.displayFixtures();
     }
 
     /**
-     * Loads canvas content from a JSON file.
-     * @param {Event} e - The change event.
+     * Sets up the "Fixtures" button, which also reads the model sizes on first opening.
      */
-    loadFromJSON(e) {
-        const file = e.target.files[0];
-        if (!file) return;
-
-        this.nomFichierJSON = file.name;
-
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            const json = event.target.result;
-            this.canvas.loadFromJSON(json, () => {
-                this.canvas.renderAll();
-                alert("Le canevas a été chargé avec succès !");
-                this.historyModule.enregistrerEtat();
+    setupOpenLibrary() {
+        if (this.openLibraryBtn) {
+            this.openLibraryBtn.addEventListener('click', () => {
+                this.libraryModal.style.display = 'block';
+                this.displayFixtureSizes();
             });
-        };
-        reader.readAsText(file);
+        } else {
+            console.warn("Open fixture library button with ID 'open-fixture-library-btn' not found.");
+        }
     }
 
     /**
-     * Sets up the "Delete Selected Object" functionality.
+     * Sets up the functionality to close the fixture library modal.
      */
-    setupDeleteObject() {
-        if (this.deleteObjectBtn) {
-            this.deleteObjectBtn.addEventListener("click", () => this.deleteSelectedObject());
-        } else {
-            console.warn("Delete Object button with ID 'delete-object' not found.");
+    setupCloseLibrary() {
+        if (this.closeLibrarySpan) {
+            this.closeLibrarySpan.addEventListener('click', () => {
+                this.libraryModal.style.display = 'none';
+            });
         }
+
+        window.addEventListener('click', (event) => {
+            if (event.target === this.libraryModal) {
+                this.libraryModal.style.display = 'none';
+            }
+        });
     }
 
     /**
-     * Deletes the currently selected object from the canvas.
+     * Lists the FIXTURE_MODELS in the library.
      */
-    deleteSelectedObject() {
-        const activeObject = this.canvas.getActiveObject();
-        if (activeObject) {
-            // Remove associated measurement texts if present
-            const associatedText = activeObject.measurementText || activeObject.lengthMeasurementText;
-            if (associatedText) {
-                this.canvas.remove(associatedText);
+    displayFixtures() {
+        this.fixtureList.innerHTML = '';
+        FIXTURE_MODELS.forEach(model => {
+            const item = document.createElement('button');
+            item.className = 'fixture-item';
+            item.dataset.src = model.src;
+
+            const name = document.createElement('span');
+            name.textContent = model.name;
+            const size = document.createElement('span');
+            size.className = 'fixture-size';
+            item.append(name, size);
+
+            if (model.unsupported) {
+                item.disabled = true;
+                size.textContent = model.unsupported;
+            } else {
+                // How the real size is known, so that a wrong guess can be spotted
+                const dimensionNames = { widthCm: 'la largeur', depthCm: 'la profondeur', heightCm: 'la hauteur' };
+                item.title = model.calibration
+                    ? `Taille calibrée sur ${dimensionNames[model.calibration.dimension]} de ${model.calibration.cm} cm`
+                    : `Modèle en ${model.unit}`;
+                item.addEventListener('click', () => this.insertFixture(model));
             }
-            this.canvas.remove(activeObject);
-            this.canvas.renderAll();
-            this.historyModule.enregistrerEtat();
-        } else {
-            alert("Aucun objet sélectionné !");
-        }
+            this.fixtureList.appendChild(item);
+        });
     }
 
     /**
-     * Sets up the "Delete Measurement Text" functionality.
+     * Shows the real size of every fixture next to its name.
      */
-    setupDeleteMeasurementText() {
-        if (this.deleteMeasurementBtn) {
-            this.deleteMeasurementBtn.addEventListener("click", () => this.deleteMeasurementText());
-        } else {
-            console.warn("Delete Measurement Text button with ID 'delete-measurement-text' not found.");
-        }
+    displayFixtureSizes() {
+        FIXTURE_MODELS.forEach(async (model) => {
+            const item = this.fixtureList.querySelector(`[data-src="${model.src}"] .fixture-size`);
+            if (!item || model.unsupported) return;
+            try {
+                const { widthCm, depthCm, heightCm } = await this.loadFixtureDimensions(model);
+                const format = (cm) => this.shapesModule.formatLength(cm);
+                item.textContent = `L ${format(widthCm)} × P ${format(depthCm)} × H ${format(heightCm)}`;
+            } catch (error) {
+                item.textContent = 'modèle illisible';
+            }
+        });
     }
 
     /**
-     * Deletes the measurement text associated with the selected object.
+     * Reads a model file and returns the fixture's dimensions; each model is read once.
+     * @param {Object} model - The FIXTURE_MODELS entry.
+     * @returns {Promise<{widthCm: number, depthCm: number, heightCm: number}>} - The dimensions in cm.
      */
-    deleteMeasurementText() {
-        const activeObject = this.canvas.getActiveObject();
-        if (activeObject) {
-            const associatedText = activeObject.measurementText || activeObject.lengthMeasurementText;
-            if (associatedText) {
-                this.canvas.remove(associatedText);
-                if (activeObject.measurementText) {
-                    delete activeObject.measurementText;
+    loadFixtureDimensions(model) {
+        if (!this.dimensionsCache.has(model.src)) {
+            const load = async () => {
+                const response = await fetch(model.src);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
                 }
-                if (activeObject.lengthMeasurementText) {
-                    delete activeObject.lengthMeasurementText;
+                const extension = model.src.split('.').pop().toLowerCase();
+                let box;
+                if (extension === 'glb') {
+                    box = parseGlbBoundingBox(await response.arrayBuffer());
+                } else if (extension === 'obj') {
+                    box = parseObjBoundingBox(await response.text());
+                } else if (extension === 'stl') {
+                    box = parseStlBoundingBox(await response.arrayBuffer());
+                } else {
+                    throw new Error(`format .${extension} non pris en charge`);
                 }
-                this.canvas.renderAll();
-                this.historyModule.enregistrerEtat();
-            } else {
-                alert("Aucun texte de mesure associé à cet objet !");
-            }
-        } else {
-            alert("Aucun objet sélectionné !");
+                return getFixtureDimensions(box, model);
+            };
+            const promise = load();
+            // Let a failed read be retried on the next click
+            promise.catch(() => this.dimensionsCache.delete(model.src));
+            this.dimensionsCache.set(model.src, promise);
         }
+        return this.dimensionsCache.get(model.src);
     }
 
     /**
-     * Sets up the "Clear Canvas" functionality.
+     * Reads a model file and returns its simplified mesh in fixture space, for the 3D preview; each model is read once.
+     * @param {Object} model - The FIXTURE_MODELS entry.
+     * @returns {Promise<Mesh>} - The mesh in cm, as laid out by getFixtureMesh.
      */
-    setupClearCanvas() {
-        if (this.clearCanvasBtn) {
-            this.clearCanvasBtn.addEventListener('click', () => {
-                if (confirm('Êtes-vous sûr de vouloir effacer le canevas ?')) {
-                    this.canvas.clear();
-                    // Reset background color if necessary
-                    this.canvas.setBackgroundColor('white', this.canvas.renderAll.bind(this.canvas));
-                    this.historyModule.enregistrerEtat();
+    loadFixtureMesh(model) {
+        if (!this.meshCache.has(model.src)) {
+            const load = async () => {
+                const response = await fetch(model.src);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
                 }
-            });
-        } else {
-            console.warn("Clear Canvas button with class 'clear-canvas' not found.");
+                const extension = model.src.split('.').pop().toLowerCase();
+                let mesh;
+                if (extension === 'glb') {
+                    mesh = parseGlbMesh(await response.arrayBuffer());
+                } else if (extension === 'obj') {
+                    mesh = parseObjMesh(await response.text());
+                } else if (extension === 'stl') {
+                    mesh = parseStlMesh(await response.arrayBuffer());
+                } else {
+                    throw new Error(`format .${extension} non pris en charge`);
+                }
+                if (mesh.triangles.length === 0) {
+                    throw new Error("aucun triangle dans le modèle");
+                }
+                return simplifyMesh(getFixtureMesh(mesh, model), this.meshCells);
+            };
+            const promise = load();
+            promise.catch(() => this.meshCache.delete(model.src));
+            this.meshCache.set(model.src, promise);
+        }
+        return this.meshCache.get(model.src);
+    }
+
+    /**
+     * Adds a fixture symbol, in the chosen view, at its real size on the drawing scale.
+     * @param {Object} model - The FIXTURE_MODELS entry.
+     */
+    async insertFixture(model) {
+        try {
+            const dimensions = await this.loadFixtureDimensions(model);
+            const view = this.viewSelect ? this.viewSelect.value : 'top';
+            const symbol = this.createFixtureSymbol(model, dimensions, view);
+            this.canvas.add(symbol);
+            this.canvas.setActiveObject(symbol);
+            this.canvas.renderAll();
+            this.historyModule.enregistrerEtat();
+            this.libraryModal.style.display = 'none';
+        } catch (error) {
+            console.error('Error:', error);
+            alert(`Impossible de lire le modèle ${model.src} : ${error.message}`);
+        }
+    }
+
+    /**
+     * Builds the outline symbol of a fixture: its bounding box in the chosen view, with the usual plan marks inside.
+     * @param {Object} model - The FIXTURE_MODELS entry.
+     * @param {{widthCm: number, depthCm: number, heightCm: number}} dimensions - The fixture dimensions in cm.
+     * @param {string} view - 'top' for plans, 'front' for wall elevations.
+     * @returns {fabric.Group} - The symbol, scalable and rotatable like any other object.
+     */
+    createFixtureSymbol(model, dimensions, view) {
+        const pixelsPerCm = this.shapesModule.pixelsPerCm;
+        const width = dimensions.widthCm * pixelsPerCm;
+        const height = (view === 'front' ? dimensions.heightCm : dimensions.depthCm) * pixelsPerCm;
+        const style = { fill: 'transparent', stroke: this.symbolStroke, strokeWidth: 1, strokeUniform: true };
+
+        const outline = new fabric.Rect({
+            ...style,
+            left: 0,
+            top: 0,
+            width: Math.max(1, width - style.strokeWidth),
+            height: Math.max(1, height - style.strokeWidth),
+            fill: 'rgba(255, 255, 255, 0.8)'
+        });
+        const marks = this.getFixtureMarks(model.kind, view, width, height).map(mark => {
+            if (mark.type === 'ellipse') {
+                return new fabric.Ellipse({ ...style, originX: 'center', originY: 'center', left: mark.x, top: mark.y, rx: mark.rx, ry: mark.ry });
+            }
+            if (mark.type === 'line') {
+                return new fabric.Line(mark.points, style);
+            }
+            return new fabric.Rect({ ...style, left: mark.x, top: mark.y, width: mark.width, height: mark.height });
+        });
+
+        return new fabric.Group([outline, ...marks], {
+            left: 100,
+            top: 100,
+            hasControls: true,
+            hasBorders: true,
+            selectable: true,
+            fixtureSymbol: { name: model.name, src: model.src, view, ...dimensions }
+        });
+    }
+
+    /**
+     * Returns the marks drawn inside a fixture outline (tank and bowl of a WC, basin of a washbasin...).
+     * @param {string} kind - The fixture kind.
+     * @param {string} view - 'top' or 'front'.
+     * @param {number} width - The outline width in px.
+     * @param {number} height - The outline height in px.
+     * @returns {Array<Object>} - Rectangles {x, y, width, height}, ellipses {type: 'ellipse', x, y, rx, ry}
+     * and lines {type: 'line', points}.
+     */
+    getFixtureMarks(kind, view, width, height) {
+        const line = (y) => ({ type: 'line', points: [0, y * height, width, y * height] });
+        if (view === 'front') {
+            if (kind === 'toilet') return [line(0.4)];
+            if (kind === 'washbasin' || kind === 'bidet' || kind === 'toilet-bidet') return [line(0.2)];
+            if (kind === 'sofa') return [line(0.55)];
+            return [];
+        }
+
+        if (kind === 'toilet') {
+            return [
+                { x: 0.1 * width, y: 0, width: 0.8 * width, height: 0.25 * height },
+                { type: 'ellipse', x: 0.5 * width, y: 0.62 * height, rx: 0.38 * width, ry: 0.33 * height }
+            ];
+        }
+        if (kind === 'washbasin') {
+            return [{ type: 'ellipse', x: 0.5 * width, y: 0.55 * height, rx: 0.38 * width, ry: 0.33 * height }];
         }
+        if (kind === 'bidet') {
+            return [{ type: 'ellipse', x: 0.5 * width, y: 0.5 * height, rx: 0.42 * width, ry: 0.4 * height }];
+        }
+        if (kind === 'toilet-bidet') {
+            // WC on the left, bidet on the right
+            return [
+                { x: 0.05 * width, y: 0, width: 0.3 * width, height: 0.2 * height },
+                { type: 'ellipse', x: 0.2 * width, y: 0.6 * height, rx: 0.15 * width, ry: 0.35 * height },
+                { type: 'ellipse', x: 0.8 * width, y: 0.55 * height, rx: 0.15 * width, ry: 0.35 * height }
+            ];
+        }
+        if (kind === 'sofa') {
+            return [
+                { x: 0, y: 0, width, height: 0.25 * height },
+                { x: 0, y: 0.25 * height, width: 0.12 * width, height: 0.75 * height },
+                { x: 0.88 * width, y: 0.25 * height, width: 0.12 * width, height: 0.75 * height }
+            ];
+        }
+        return [
+            { type: 'line', points: [0, 0, width, height] },
+            { type: 'line', points: [width, 0, 0, height] }
+        ];
     }
 }
 
 /**
- * PrintPreviewModule Class
- * Manages the print preview functionality.
+ * Room3DPreviewModule Class
+ * Shows the drawn room in 3D: floors and extruded walls with their tiles and grout, and the fixtures placed on the plan.
+ * Rendering is done in software on a 2D canvas (textured triangles drawn back to front), so no GPU is needed.
  */
-class PrintPreviewModule {
+class Room3DPreviewModule {
     /**
-     * Creates an instance of PrintPreviewModule.
+     * Creates an instance of Room3DPreviewModule.
      * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance (scale, unit and room geometry).
+     * @param {TileFillModule} tileFillModule - The TileFillModule instance (tile photos and pattern sources).
+     * @param {FixtureLibraryModule} fixtureLibraryModule - The FixtureLibraryModule instance (fixture meshes).
      */
-    constructor(canvas) {
+    constructor(canvas, shapesModule, tileFillModule, fixtureLibraryModule) {
         this.canvas = canvas;
-        this.printPreviewBtn = document.getElementById('print-preview-btn');
+        this.shapesModule = shapesModule;
+        this.tileFillModule = tileFillModule;
+        this.fixtureLibraryModule = fixtureLibraryModule;
+
+        this.defaultWallHeightCm = 250;
+        this.maxTexturePxPerCm = 4;
+        this.maxTextureSize = 1024; // Longest side of a surface texture, in px
+        this.fieldOfView = 50; // Vertical field of view, in degrees
+        this.nearPlane = 1; // cm
+        this.cmPerSegment = 40; // Surfaces are cut into segments of about this size to limit texture distortion
+        this.lightDirection = [0.42, 0, 0.91];
+        this.wallFitTolerance = 0.05; // A wall elevation is applied to a room wall whose length matches within 5 %
+
+        this.scene = null;
+        this.camera = { yaw: -0.6, pitch: 0.55, distance: 0, minDistance: 0, maxDistance: 0, target: [0, 0, 0] };
+        this.renderRequested = false;
+        this.hammer = null;
 
-        // Check if elements exist
-        if (this.printPreviewBtn) {
-            this.printPreviewModal = document.getElementById('print-preview-modal');
-            if (this.printPreviewModal) {
-                this.closeModalSpan = this.printPreviewModal.querySelector('.close-modal');
-                this.previewImage = document.getElementById('preview-image');
-                this.printBtn = document.getElementById('print-btn');
-            }
-        }
+        this.previewModal = document.getElementById('preview-3d-modal');
+        this.showPreviewBtn = document.getElementById('show-3d-preview');
+        this.closePreviewSpan = this.previewModal ? this.previewModal.querySelector('.close-modal') : null;
+        this.viewCanvas = document.getElementById('preview-3d-canvas');
+        this.wallHeightInput = document.getElementById('preview-3d-wall-height');
     }
 
     /**
-     * Initializes the print preview module by setting up event listeners.
+     * Initializes the 3D preview module by setting up event listeners.
      */
     init() {
-        if (!this.printPreviewBtn || !this.printPreviewModal) {
-            console.warn("Required elements for print preview not found.");
+        if (!this.previewModal || !this.viewCanvas) {
+            console.warn("3D preview modal with ID 'preview-3d-modal' not found.");
             return;
         }
-        this.setupPrintPreview();
-        this.setupModalClose();
-        this.setupPrint();
+        this.setupVisibility();
+        this.setupOrbitControls();
+        this.setupTouchGestures();
+        this.setupWallHeight();
     }
 
     /**
-     * Sets up the "Print Preview" button functionality.
+     * Sets up the buttons opening and closing the preview.
      */
-    setupPrintPreview() {
-        this.printPreviewBtn.addEventListener('click', () => this.showPreview());
+    setupVisibility() {
+        if (this.showPreviewBtn) {
+            this.showPreviewBtn.addEventListener('click', () => this.showPreview());
+        } else {
+            console.warn("3D preview button with ID 'show-3d-preview' not found.");
+        }
+
+        if (this.closePreviewSpan) {
+            this.closePreviewSpan.addEventListener('click', () => {
+                this.previewModal.style.display = 'none';
+            });
+        }
     }
 
     /**
-     * Displays the print preview modal with the current canvas image.
+     * Orbits with a mouse drag and zooms with the mouse wheel.
      */
-    showPreview() {
-        const dataURL = this.canvas.toDataURL({
-            format: 'png',
-            multiplier: 2
+    setupOrbitControls() {
+        let lastPointer = null;
+        this.viewCanvas.addEventListener('mousedown', (e) => {
+            lastPointer = { x: e.clientX, y: e.clientY };
         });
-        if (this.previewImage) {
-            this.previewImage.src = dataURL;
-            this.printPreviewModal.style.display = 'block';
-            this.previewImage.onload = () => {
-                this.printPreviewModal.style.display = 'block';
-            };
-        }
+        window.addEventListener('mousemove', (e) => {
+            if (!lastPointer) return;
+            this.orbit(e.clientX - lastPointer.x, e.clientY - lastPointer.y);
+            lastPointer = { x: e.clientX, y: e.clientY };
+        });
+        window.addEventListener('mouseup', () => {
+            lastPointer = null;
+        });
+        this.viewCanvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoom(e.deltaY > 0 ? 1.1 : 1 / 1.1);
+        }, { passive: false });
     }
 
     /**
-     * Sets up the functionality to close the modal when clicking the close button or outside the modal.
+     * Orbits with a one-finger pan and zooms with a pinch, using Hammer.js on touch input only.
      */
-    setupModalClose() {
-        if (this.closeModalSpan) {
-            this.closeModalSpan.addEventListener('click', () => this.hidePreview());
+    setupTouchGestures() {
+        if (typeof Hammer === 'undefined') {
+            console.warn("Hammer.js not loaded, 3D preview touch gestures disabled.");
+            return;
         }
 
-        window.addEventListener('click', (event) => {
-            if (event.target === this.printPreviewModal) {
-                this.hidePreview();
-            }
+        this.hammer = new Hammer.Manager(this.viewCanvas, { inputClass: Hammer.TouchInput });
+        const pan = new Hammer.Pan({ direction: Hammer.DIRECTION_ALL, threshold: 0 });
+        const pinch = new Hammer.Pinch();
+        pinch.recognizeWith(pan);
+        this.hammer.add([pan, pinch]);
+
+        let lastDelta = { x: 0, y: 0 };
+        let startDistance = 0;
+        this.hammer.on('panstart', () => {
+            lastDelta = { x: 0, y: 0 };
         });
+        this.hammer.on('panmove', (ev) => {
+            if (ev.pointers.length > 1) return;
+            this.orbit(ev.deltaX - lastDelta.x, ev.deltaY - lastDelta.y);
+            lastDelta = { x: ev.deltaX, y: ev.deltaY };
+        });
+        this.hammer.on('pinchstart', () => {
+            startDistance = this.camera.distance;
+        });
+        this.hammer.on('pinchmove', (ev) => {
+            this.camera.distance = Math.max(this.camera.minDistance, Math.min(this.camera.maxDistance, startDistance / ev.scale));
+            this.requestRender();
+        });
+    }
 
-        // Allow closing with the Esc key
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && this.printPreviewModal.style.display === 'block') {
-                this.hidePreview();
-            }
+    /**
+     * Rebuilds the walls when their default height changes.
+     */
+    setupWallHeight() {
+        if (!this.wallHeightInput) return;
+        this.wallHeightInput.addEventListener('change', () => {
+            if (this.previewModal.style.display === 'block') this.showPreview();
         });
     }
 
     /**
-     * Hides the print preview modal.
+     * Opens the preview and builds the scene from the current canvas.
      */
-    hidePreview() {
-        if (this.printPreviewModal) {
-            this.printPreviewModal.style.display = 'none';
+    async showPreview() {
+        this.previewModal.style.display = 'block';
+        this.viewCanvas.width = this.viewCanvas.clientWidth || 800;
+        this.viewCanvas.height = this.viewCanvas.clientHeight || 500;
+
+        try {
+            this.scene = await this.buildScene();
+            this.resetCamera();
+            this.requestRender();
+        } catch (error) {
+            this.previewModal.style.display = 'none';
+            alert(error.message);
         }
     }
 
     /**
-     * Sets up the print button functionality within the modal.
+     * Returns the default wall height typed in the preview (cm unless another unit is typed).
+     * @returns {number} - The wall height in cm.
      */
-    setupPrint() {
-        if (this.printBtn) {
-            this.printBtn.addEventListener('click', () => this.printCanvas());
-        } else {
-            console.warn("Print button with ID 'print-btn' not found.");
-        }
+    getDefaultWallHeight() {
+        const heightCm = this.wallHeightInput ? parseLength(this.wallHeightInput.value, 'cm') : null;
+        return heightCm > 0 ? heightCm : this.defaultWallHeightCm;
     }
 
     /**
-     * Initiates the print dialog with the canvas image.
+     * Converts a canvas point into plan coordinates [x, z] in cm.
+     * @param {{x: number, y: number}} point - The canvas point.
+     * @returns {Array<number>} - The plan point.
      */
-    printCanvas() {
-        if (!this.previewImage) return;
+    toPlan(point) {
+        return [point.x / this.shapesModule.pixelsPerCm, point.y / this.shapesModule.pixelsPerCm];
+    }
 
-        const dataURL = this.canvas.toDataURL({
-            format: 'png',
-            multiplier: 2
-        });
+    /**
+     * Returns the plain colour of a shape, or a default when it is hollow or tiled.
+     * @param {fabric.Object} shape - The shape.
+     * @param {string} fallback - The default colour.
+     * @returns {string} - The colour.
+     */
+    getShapeColor(shape, fallback) {
+        return typeof shape.fill === 'string' && shape.fill !== 'transparent' ? shape.fill : fallback;
+    }
 
-        const printWindow = window.open('', 'PrintWindow', 'width=800,height=600');
-        printWindow.document.write('<html><head><title>Impression du Canevas</title>');
-        printWindow.document.write(`
-            <style>
-                @media print {
-                    img {
-                        max-width: 100%;
-                        height: auto;
-                        page-break-inside: avoid;
-                    }
-                    body {
-                        margin: 0;
-                    }
+    /**
+     * Builds the scene from the canvas: room polygons give floors and walls, rectangles give tiled floors,
+     * wall elevations dress the room walls of the same length and top-view fixture symbols become their 3D model,
+     * or a box when the model cannot be read.
+     * @returns {Promise<Object>} - The scene: floors, walls, fixture meshes, boxes and bounds.
+     * @throws {Error} - If there is nothing to show.
+     */
+    async buildScene() {
+        const objects = this.canvas.getObjects();
+        const rooms = objects.filter(obj => obj.roomPolygon);
+        const floorRects = objects.filter(obj => obj.type === 'rect' && !obj.wallElevation && !obj.wallOpening && !obj.fixedHeightRectangle);
+        const elevations = objects.filter(obj => obj.wallElevation);
+        const fixtures = objects.filter(obj => obj.fixtureSymbol && obj.fixtureSymbol.view === 'top');
+
+        const outlines = rooms.map(room => ({
+            corners: this.shapesModule.getRoomCorners(room).map(point => this.toPlan(point)),
+            color: this.getShapeColor(room, '#eeeeee')
+        }));
+        if (outlines.length === 0 && floorRects.length > 0) {
+            // Without a room polygon, the walls go around the floor rectangles
+            const box = getPointsBoundingBox([].concat(...floorRects.map(rect => this.getRectCorners(rect))));
+            outlines.push({
+                corners: [[box.minX, box.minY], [box.maxX, box.minY], [box.maxX, box.maxY], [box.minX, box.maxY]],
+                color: '#eeeeee'
+            });
+        }
+        if (outlines.length === 0) {
+            throw new Error("Dessinez une pièce (🏠) ou un rectangle de sol pour afficher la vue 3D.");
+        }
+
+        const floors = await Promise.all(floorRects.map(async rect => {
+            const corners = this.getRectCorners(rect);
+            const widthCm = Math.hypot(corners[1][0] - corners[0][0], corners[1][1] - corners[0][1]);
+            const heightCm = Math.hypot(corners[3][0] - corners[0][0], corners[3][1] - corners[0][1]);
+            return {
+                corners,
+                texture: await this.createShapeTexture(rect, widthCm, heightCm, []),
+                color: this.getShapeColor(rect, '#dddddd')
+            };
+        }));
+
+        const unusedElevations = elevations.slice();
+        const walls = [];
+        for (const outline of outlines) {
+            const orientation = Math.sign(getPolygonSignedArea(outline.corners.map(([x, y]) => ({ x, y })))) || 1;
+            for (let i = 0; i < outline.corners.length; i++) {
+                // Seen from inside the room, the wall runs from "left" to "right"
+                const start = outline.corners[i];
+                const end = outline.corners[(i + 1) % outline.corners.length];
+                const [left, right] = orientation > 0 ? [start, end] : [end, start];
+                const lengthCm = Math.hypot(end[0] - start[0], end[1] - start[1]);
+                if (lengthCm < 1) continue;
+
+                const elevation = unusedElevations.find(wall =>
+                    Math.abs(this.shapesModule.getShapeSizeCm(wall).widthCm - lengthCm) <= lengthCm * this.wallFitTolerance);
+                let heightCm = this.getDefaultWallHeight();
+                let texture = null;
+                let color = '#f4f1ea';
+                if (elevation) {
+                    unusedElevations.splice(unusedElevations.indexOf(elevation), 1);
+                    heightCm = this.shapesModule.getShapeSizeCm(elevation).heightCm;
+                    texture = await this.createShapeTexture(elevation, lengthCm, heightCm, this.shapesModule.getWallHolesCm(elevation));
+                    color = this.getShapeColor(elevation, color);
                 }
-            </style>
-        `);
-        printWindow.document.write('</head><body>');
-        printWindow.document.write(`<img src="${dataURL}" alt="Aperçu du Canevas">`);
-        printWindow.document.write('</body></html>');
-        printWindow.document.close();
-        printWindow.focus();
-        printWindow.print();
+                walls.push({
+                    left,
+                    right,
+                    heightCm,
+                    inward: [-(end[1] - start[1]) * orientation / lengthCm, (end[0] - start[0]) * orientation / lengthCm],
+                    texture,
+                    color
+                });
+            }
+        }
+
+        const boxes = [];
+        const meshes = [];
+        for (const fixture of fixtures) {
+            fixture.setCoords();
+            const { tl, tr, br, bl } = fixture.aCoords;
+            const corners = [tl, tr, br, bl].map(point => this.toPlan(point));
+            const mesh = await this.loadFixtureMesh(fixture.fixtureSymbol);
+            if (mesh) {
+                meshes.push(this.placeFixtureMesh(mesh, corners, fixture.fixtureSymbol));
+            } else {
+                boxes.push({ corners, heightCm: fixture.fixtureSymbol.heightCm });
+            }
+        }
+
+        const planPoints = [].concat(...outlines.map(outline => outline.corners), ...floors.map(floor => floor.corners));
+        const bounds = getPointsBoundingBox(planPoints);
+        const topCm = Math.max(...walls.map(wall => wall.heightCm), ...fixtures.map(fixture => fixture.fixtureSymbol.heightCm), 1);
+        return { outlines, floors, walls, meshes, boxes, bounds, topCm };
     }
-}
 
-/**
- * DuplicateModule Class
- * Manages the duplication of objects on the canvas.
- */
-class DuplicateModule {
     /**
-     * Creates an instance of DuplicateModule.
-     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
-     * @param {HistoryModule} historyModule - The HistoryModule instance.
+     * Returns the simplified mesh of the model behind a fixture symbol.
+     * @param {Object} symbol - The fixtureSymbol property of the symbol.
+     * @returns {Promise<Mesh|null>} - The mesh in fixture space, or null when the model is unknown or unreadable.
      */
-    constructor(canvas, historyModule) {
-        this.canvas = canvas;
-        this.historyModule = historyModule;
-        this.duplicateBtn = this.createDuplicateButton();
+    async loadFixtureMesh(symbol) {
+        const model = FIXTURE_MODELS.find(entry => entry.src === symbol.src && !entry.unsupported);
+        if (!model || !this.fixtureLibraryModule) return null;
+        try {
+            return await this.fixtureLibraryModule.loadFixtureMesh(model);
+        } catch (error) {
+            console.warn(`3D model ${symbol.src} could not be read, shown as a box:`, error);
+            return null;
+        }
     }
 
     /**
-     * Initializes the duplicate module by setting up event listeners.
+     * Lays a fixture mesh on the plan over its symbol, following the symbol's position, rotation, size and flips.
+     * @param {Mesh} mesh - The mesh in fixture space.
+     * @param {Array<Array<number>>} corners - The symbol corners in plan cm: top-left, top-right, bottom-right, bottom-left.
+     * @param {Object} symbol - The fixtureSymbol property of the symbol (model dimensions in cm).
+     * @returns {Mesh} - The mesh in scene coordinates.
      */
-    init() {
-        this.setupEvents();
+    placeFixtureMesh(mesh, corners, symbol) {
+        const [tl, tr, , bl] = corners;
+        const across = [(tr[0] - tl[0]) / symbol.widthCm, (tr[1] - tl[1]) / symbol.widthCm];
+        const back = [(bl[0] - tl[0]) / symbol.depthCm, (bl[1] - tl[1]) / symbol.depthCm];
+        const positions = mesh.positions.map(([x, y, z]) => [
+            tl[0] + x * across[0] + z * back[0],
+            y,
+            tl[1] + x * across[1] + z * back[1]
+        ]);
+        return { positions, triangles: mesh.triangles };
     }
 
     /**
-     * Creates the duplicate button and appends it to the body.
-     * @returns {HTMLElement} - The duplicate button element.
+     * Returns the corners of a rectangle in plan cm (top-left, top-right, bottom-right, bottom-left), rotation included.
+     * @param {fabric.Rect} rect - The rectangle.
+     * @returns {Array<Array<number>>} - The corners.
      */
-    createDuplicateButton() {
-        const btn = document.createElement('button');
-        btn.innerHTML = '+';
-        btn.classList.add('duplicate-btn');
-        document.body.appendChild(btn);
-        btn.style.display = 'none';
-        return btn;
+    getRectCorners(rect) {
+        rect.setCoords();
+        const { tl, tr, br, bl } = rect.aCoords;
+        return [tl, tr, br, bl].map(point => this.toPlan(point));
     }
 
     /**
-     * Sets up event listeners for duplication and object selection.
+     * Draws the texture of a surface: its plain colour, its tiles and grout at real size, and its openings.
+     * @param {fabric.Rect} shape - The shape dressing the surface.
+     * @param {number} widthCm - The surface width in cm.
+     * @param {number} heightCm - The surface height in cm.
+     * @param {Array<Object>} openings - Openings in cm from the top-left corner, with their fill colour.
+     * @returns {Promise<HTMLCanvasElement|null>} - The texture, or null for a plain surface.
      */
-    setupEvents() {
-        this.duplicateBtn.addEventListener('click', () => this.duplicateObject());
-
-        this.canvas.on('selection:created', () => this.showDuplicateButton());
-        this.canvas.on('selection:updated', () => this.showDuplicateButton());
-        this.canvas.on('selection:cleared', () => this.hideDuplicateButton());
+    async createShapeTexture(shape, widthCm, heightCm, openings) {
+        if (!shape.tileFill && openings.length === 0) return null;
+
+        const pxPerCm = Math.min(this.maxTexturePxPerCm, this.maxTextureSize / Math.max(widthCm, heightCm));
+        const texture = document.createElement('canvas');
+        texture.width = Math.max(1, Math.round(widthCm * pxPerCm));
+        texture.height = Math.max(1, Math.round(heightCm * pxPerCm));
+        const ctx = texture.getContext('2d');
+        ctx.fillStyle = this.getShapeColor(shape, '#f4f1ea');
+        ctx.fillRect(0, 0, texture.width, texture.height);
+
+        const image = shape.tileFill ? await new Promise(resolve => this.tileFillModule.loadImage(shape.tileFill.src, resolve)) : null;
+        if (image) {
+            const source = this.tileFillModule.createTileSource(image, shape.tileFill);
+            const layout = getTileLayout(shape.tileFill);
+            const pattern = ctx.createPattern(source, 'repeat');
+            pattern.setTransform(new DOMMatrix()
+                .scale(pxPerCm)
+                .translate(layout.offsetX, layout.offsetY)
+                .rotate(layout.rotation)
+                .scale(layout.cellWidth / source.width, layout.cellHeight / source.height));
+            ctx.fillStyle = pattern;
+            ctx.fillRect(0, 0, texture.width, texture.height);
+        }
 
-        // Delete object with the Delete key
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Delete') {
-                this.deleteSelectedObject();
-            }
+        openings.forEach(opening => {
+            ctx.fillStyle = typeof opening.fill === 'string' ? opening.fill : '#ffffff';
+            ctx.strokeStyle = '#999999';
+            ctx.fillRect(opening.left * pxPerCm, opening.top * pxPerCm, opening.width * pxPerCm, opening.height * pxPerCm);
+            ctx.strokeRect(opening.left * pxPerCm, opening.top * pxPerCm, opening.width * pxPerCm, opening.height * pxPerCm);
         });
+        return texture;
     }
 
     /**
-     * Shows the duplicate button near the selected object.
+     * Frames the whole scene.
      */
-    showDuplicateButton() {
-        const activeObject = this.canvas.getActiveObject();
-        if (activeObject) {
-            // Calculate absolute position
-            const canvasRect = this.canvas.upperCanvasEl.getBoundingClientRect();
-            const objBoundingRect = activeObject.getBoundingRect();
-            const objLeft = objBoundingRect.left + objBoundingRect.width / 2 + canvasRect.left;
-            const objTop = objBoundingRect.top - 10 + canvasRect.top; // Adjust as needed
+    resetCamera() {
+        const { bounds, topCm } = this.scene;
+        const radius = Math.max(Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, topCm) / 2, 50);
+        this.camera.target = [(bounds.minX + bounds.maxX) / 2, topCm / 3, (bounds.minY + bounds.maxY) / 2];
+        // The camera stays outside the room so every point is in front of it
+        this.camera.minDistance = radius * 1.2;
+        this.camera.maxDistance = radius * 6;
+        this.camera.distance = radius * 2.4;
+    }
 
-            // Position the button
-            this.duplicateBtn.style.left = `${objLeft}px`;
-            this.duplicateBtn.style.top = `${objTop}px`;
-            this.duplicateBtn.style.display = 'block';
-        }
+    /**
+     * Turns the camera around the room.
+     * @param {number} dx - Horizontal drag in px.
+     * @param {number} dy - Vertical drag in px.
+     */
+    orbit(dx, dy) {
+        if (!this.scene) return;
+        this.camera.yaw -= dx * 0.01;
+        this.camera.pitch = Math.max(0.05, Math.min(Math.PI / 2 - 0.01, this.camera.pitch + dy * 0.01));
+        this.requestRender();
     }
 
     /**
-     * Hides the duplicate button.
+     * Moves the camera closer or further.
+     * @param {number} factor - Distance multiplier.
      */
-    hideDuplicateButton() {
-        this.duplicateBtn.style.display = 'none';
+    zoom(factor) {
+        if (!this.scene) return;
+        this.camera.distance = Math.max(this.camera.minDistance, Math.min(this.camera.maxDistance, this.camera.distance * factor));
+        this.requestRender();
     }
 
     /**
-     * Duplicates the selected object on the canvas.
+     * Renders on the next animation frame, once per frame.
      */
-    duplicateObject() {
-        const activeObject = this.canvas.getActiveObject();
-        if (activeObject) {
-            activeObject.clone((clonedObj) => {
-                clonedObj.set({
-                    left: activeObject.left + 30,
-                    top: activeObject.top + 30,
-                    evented: true
-                });
-                this.canvas.add(clonedObj);
-                this.canvas.setActiveObject(clonedObj);
-
-                // Clone associated measurement texts
-                if (clonedObj.measurementText) {
-                    clonedObj.measurementText.clone((clonedText) => {
-                        clonedText.set({
-                            left: clonedObj.left + clonedObj.getScaledWidth() / 2,
-                            top: clonedObj.top - 20,
-                            angle: 0
-                        });
-                        this.canvas.add(clonedText);
-                        clonedObj.measurementText = clonedText;
-                    });
-                }
+    requestRender() {
+        if (this.renderRequested) return;
+        this.renderRequested = true;
+        requestAnimationFrame(() => {
+            this.renderRequested = false;
+            this.render();
+        });
+    }
 
-                if (clonedObj.lengthMeasurementText) {
-                    clonedObj.lengthMeasurementText.clone((clonedText) => {
-                        clonedText.set({
-                            left: clonedObj.left + clonedObj.getScaledWidth() / 2,
-                            top: clonedObj.top - 20,
-                            angle: 0
-                        });
-                        this.canvas.add(clonedText);
-                        clonedObj.lengthMeasurementText = clonedText;
-                    });
-                }
+    /**
+     * Returns the camera position and axes.
+     * @returns {Object} - eye, right, up and forward vectors.
+     */
+    getCameraBasis() {
+        const { yaw, pitch, distance, target } = this.camera;
+        const eye = [
+            target[0] + distance * Math.cos(pitch) * Math.sin(yaw),
+            target[1] + distance * Math.sin(pitch),
+            target[2] + distance * Math.cos(pitch) * Math.cos(yaw)
+        ];
+        const forward = normalizeVector3(target.map((value, i) => value - eye[i]));
+        const right = normalizeVector3(crossVectors3(forward, [0, 1, 0]));
+        const up = crossVectors3(right, forward);
+        return { eye, right, up, forward };
+    }
 
-                this.canvas.renderAll();
-                this.historyModule.enregistrerEtat();
+    /**
+     * Draws the scene: floors first, then walls and fixture faces sorted from back to front.
+     */
+    render() {
+        if (!this.scene) return;
+
+        const ctx = this.viewCanvas.getContext('2d');
+        const { width, height } = this.viewCanvas;
+        const basis = this.getCameraBasis();
+        const focal = height / (2 * Math.tan((this.fieldOfView * Math.PI / 180) / 2));
+        const project = (point) => {
+            const d = point.map((value, i) => value - basis.eye[i]);
+            const depth = dotVectors3(d, basis.forward);
+            if (depth < this.nearPlane) return null;
+            return [width / 2 + (dotVectors3(d, basis.right) * focal) / depth, height / 2 - (dotVectors3(d, basis.up) * focal) / depth, depth];
+        };
+        const isFacing = (normal, point) => dotVectors3(normal, point.map((value, i) => basis.eye[i] - value)) > 0;
+        const shadeFor = (normal) => 0.05 + 0.25 * (1 - Math.max(0, dotVectors3(normal, this.lightDirection)));
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#dfe7ef';
+        ctx.fillRect(0, 0, width, height);
+
+        // Floors lie under everything else
+        this.scene.outlines.forEach(outline => {
+            const points = outline.corners.map(([x, z]) => project([x, 0, z]));
+            if (points.some(point => !point)) return;
+            ctx.beginPath();
+            points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+            ctx.fillStyle = outline.color;
+            ctx.fill();
+        });
+        this.scene.floors.forEach(floor => {
+            const [tl, tr, br, bl] = floor.corners.map(([x, z]) => [x, 0.2, z]);
+            this.getQuadTriangles([tl, tr, br, bl], floor.texture, floor.color, 0, project)
+                .forEach(triangle => this.drawTriangle(ctx, triangle));
+        });
+
+        const triangles = [];
+        this.scene.walls.forEach(wall => {
+            const normal = [wall.inward[0], 0, wall.inward[1]];
+            const topLeft = [wall.left[0], wall.heightCm, wall.left[1]];
+            if (!isFacing(normal, topLeft)) return; // Walls between the camera and the room are left out
+            const corners = [topLeft, [wall.right[0], wall.heightCm, wall.right[1]], [wall.right[0], 0, wall.right[1]], [wall.left[0], 0, wall.left[1]]];
+            triangles.push(...this.getQuadTriangles(corners, wall.texture, wall.color, shadeFor(normal), project));
+        });
+        this.scene.boxes.forEach(box => {
+            const top = box.corners.map(([x, z]) => [x, box.heightCm, z]);
+            const bottom = box.corners.map(([x, z]) => [x, 0, z]);
+            const orientation = Math.sign(getPolygonSignedArea(box.corners.map(([x, y]) => ({ x, y })))) || 1;
+            box.corners.forEach((corner, i) => {
+                const next = (i + 1) % 4;
+                const length = Math.hypot(box.corners[next][0] - corner[0], box.corners[next][1] - corner[1]) || 1;
+                const normal = [(box.corners[next][1] - corner[1]) * orientation / length, 0, -(box.corners[next][0] - corner[0]) * orientation / length];
+                if (!isFacing(normal, top[i])) return;
+                triangles.push(...this.getQuadTriangles([top[i], top[next], bottom[next], bottom[i]], null, '#fafafa', shadeFor(normal), project));
             });
-        }
-        this.hideDuplicateButton();
+            if (isFacing([0, 1, 0], top[0])) {
+                triangles.push(...this.getQuadTriangles(top, null, '#ffffff', 0.02, project));
+            }
+        });
+        this.scene.meshes.forEach(mesh => {
+            const screen = mesh.positions.map(project);
+            mesh.triangles.forEach(([a, b, c]) => {
+                if (!screen[a] || !screen[b] || !screen[c]) return;
+                const [pa, pb, pc] = [mesh.positions[a], mesh.positions[b], mesh.positions[c]];
+                let normal = normalizeVector3(crossVectors3(pb.map((value, i) => value - pa[i]), pc.map((value, i) => value - pa[i])));
+                // Windings are not reliable once a mesh is simplified, so every face is lit from the side it is seen
+                if (!isFacing(normal, pa)) normal = normal.map(value => -value);
+                triangles.push({
+                    screen: [screen[a], screen[b], screen[c]],
+                    depth: (screen[a][2] + screen[b][2] + screen[c][2]) / 3,
+                    texture: null,
+                    color: '#fafafa',
+                    shade: shadeFor(normal)
+                });
+            });
+        });
+
+        triangles.sort((a, b) => b.depth - a.depth);
+        triangles.forEach(triangle => this.drawTriangle(ctx, triangle));
     }
 
     /**
-     * Deletes the selected object from the canvas.
+     * Cuts a quad into projected triangles, finer for larger surfaces to keep textures straight in perspective.
+     * @param {Array<Array<number>>} corners - The 3D corners: top-left, top-right, bottom-right, bottom-left of the texture.
+     * @param {HTMLCanvasElement|null} texture - The texture, or null for a plain colour.
+     * @param {string} color - The plain colour.
+     * @param {number} shade - Darkening from 0 to 1.
+     * @param {Function} project - Projects a 3D point on the screen, or returns null behind the camera.
+     * @returns {Array<Object>} - The triangles.
      */
-    deleteSelectedObject() {
-        const activeObject = this.canvas.getActiveObject();
-        if (activeObject) {
-            const associatedText = activeObject.measurementText || activeObject.lengthMeasurementText;
-            if (associatedText) {
-                this.canvas.remove(associatedText);
+    getQuadTriangles(corners, texture, color, shade, project) {
+        const [tl, tr, br, bl] = corners;
+        const lengthU = Math.hypot(...tr.map((value, i) => value - tl[i]));
+        const lengthV = Math.hypot(...bl.map((value, i) => value - tl[i]));
+        const columns = Math.max(1, Math.min(12, Math.ceil(lengthU / this.cmPerSegment)));
+        const rows = Math.max(1, Math.min(12, Math.ceil(lengthV / this.cmPerSegment)));
+        const textureWidth = texture ? texture.width : 1;
+        const textureHeight = texture ? texture.height : 1;
+
+        const grid = [];
+        for (let row = 0; row <= rows; row++) {
+            for (let column = 0; column <= columns; column++) {
+                const u = column / columns;
+                const v = row / rows;
+                const point = tl.map((value, i) =>
+                    (1 - u) * (1 - v) * value + u * (1 - v) * tr[i] + u * v * br[i] + (1 - u) * v * bl[i]);
+                grid.push({ screen: project(point), uv: [u * textureWidth, v * textureHeight] });
             }
-            this.canvas.remove(activeObject);
-            this.canvas.renderAll();
-            this.historyModule.enregistrerEtat();
+        }
+
+        const triangles = [];
+        const at = (row, column) => grid[row * (columns + 1) + column];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                [
+                    [at(row, column), at(row, column + 1), at(row + 1, column + 1)],
+                    [at(row, column), at(row + 1, column + 1), at(row + 1, column)]
+                ].forEach(vertices => {
+                    if (vertices.some(vertex => !vertex.screen)) return;
+                    triangles.push({
+                        screen: vertices.map(vertex => vertex.screen),
+                        uv: vertices.map(vertex => vertex.uv),
+                        depth: vertices.reduce((sum, vertex) => sum + vertex.screen[2], 0) / 3,
+                        texture,
+                        color,
+                        shade
+                    });
+                });
+            }
+        }
+        return triangles;
+    }
+
+    /**
+     * Draws one triangle, textured or plain, then darkens it by its shade.
+     * @param {CanvasRenderingContext2D} ctx - The preview context.
+     * @param {Object} triangle - The triangle from getQuadTriangles.
+     */
+    drawTriangle(ctx, triangle) {
+        // Grow the triangle slightly so neighbouring triangles overlap instead of leaving hairline gaps
+        const cx = (triangle.screen[0][0] + triangle.screen[1][0] + triangle.screen[2][0]) / 3;
+        const cy = (triangle.screen[0][1] + triangle.screen[1][1] + triangle.screen[2][1]) / 3;
+        const path = triangle.screen.map(([x, y]) => {
+            const length = Math.hypot(x - cx, y - cy) || 1;
+            return [x + ((x - cx) / length) * 0.6, y + ((y - cy) / length) * 0.6];
+        });
+        const tracePath = () => {
+            ctx.beginPath();
+            ctx.moveTo(path[0][0], path[0][1]);
+            ctx.lineTo(path[1][0], path[1][1]);
+            ctx.lineTo(path[2][0], path[2][1]);
+            ctx.closePath();
+        };
+
+        const transform = triangle.texture ? getTriangleAffineTransform(triangle.uv, triangle.screen) : null;
+        if (transform) {
+            ctx.save();
+            tracePath();
+            ctx.clip();
+            ctx.transform(...transform);
+            ctx.drawImage(triangle.texture, 0, 0);
+            ctx.restore();
+        } else {
+            tracePath();
+            ctx.fillStyle = triangle.color;
+            ctx.fill();
+        }
+
+        if (triangle.shade > 0) {
+            tracePath();
+            ctx.fillStyle = `rgba(0, 0, 0, ${triangle.shade})`;
+            ctx.fill();
         }
     }
 }
 
 /**
- * PhotoPaletteModule Class
- * Manages the photo palette and image insertion.
+ * TileEstimateModule Class
+ * Shows a live tile quantity and cost estimate for the selected rectangle.
  */
-class PhotoPaletteModule {
+class TileEstimateModule {
     /**
-     * Creates an instance of PhotoPaletteModule.
+     * Creates an instance of TileEstimateModule.
      * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     * @param {ShapesModule} shapesModule - The ShapesModule instance.
+     * @param {PhotoPaletteModule} photoPaletteModule - The PhotoPaletteModule instance (provides the catalog).
      * @param {HistoryModule} historyModule - The HistoryModule instance.
      */
-    constructor(canvas, historyModule) {
+    constructor(canvas, shapesModule, photoPaletteModule, historyModule) {
         this.canvas = canvas;
-        this.historyModule = historyModule;
-        this.photoPaletteModal = document.getElementById('photo-palette-modal');
-        this.openPaletteBtn = document.getElementById('open-photo-palette-btn');
-        this.closePaletteSpan = this.photoPaletteModal ? this.photoPaletteModal.querySelector('.close-modal') : null;
-        this.photoGallery = document.getElementById('photo-gallery');
-        this.photoSearchInput = document.getElementById('photo-search');
-        this.photos = []; // Array to store loaded photos
-    }
-
-    /**
-     * Initializes the photo palette module by setting up event listeners and loading photos.
-     */
-    init() {
-        this.setupOpenPalette();
-        this.setupClosePalette();
-        this.loadPhotos();
-        this.setupSearch();
+        this.shapesModule = shapesModule;
+        this.photoPaletteModule = photoPaletteModule;
+        this.historyModule = historyModule;
+
+        this.defaultWastePercent = 10;
+        this.shape = null; // Rectangle currently estimated
+
+        this.panel = document.getElementById('estimate-panel');
+        this.showPanelBtn = document.getElementById('show-estimate');
+        this.closePanelSpan = this.panel ? this.panel.querySelector('.close-modal') : null;
+        this.shapeInfo = document.getElementById('estimate-shape-info');
+        this.tileSelect = document.getElementById('estimate-tile-select');
+        this.wasteInput = document.getElementById('estimate-waste');
+        this.m2PerBoxInput = document.getElementById('estimate-m2-per-box');
+        this.priceInput = document.getElementById('estimate-price');
+        this.results = document.getElementById('estimate-results');
     }
 
     /**
-     * Sets up the "Open Photo Palette" button functionality.
+     * Initializes the estimate module by setting up event listeners.
      */
-    setupOpenPalette() {
-        if (this.openPaletteBtn) {
-            this.openPaletteBtn.addEventListener('click', () => {
-                this.photoPaletteModal.style.display = 'block';
-            });
-        } else {
-            console.warn("Open Photo Palette button with ID 'open-photo-palette-btn' not found.");
+    init() {
+        if (!this.panel) {
+            console.warn("Estimate panel with ID 'estimate-panel' not found.");
+            return;
         }
+        this.setupVisibility();
+        this.setupInputs();
+        this.setupCanvasEvents();
     }
 
     /**
-     * Sets up the functionality to close the photo palette modal.
+     * Sets up the buttons showing and hiding the estimate panel.
      */
-    setupClosePalette() {
-        if (this.closePaletteSpan) {
-            this.closePaletteSpan.addEventListener('click', () => {
-                this.photoPaletteModal.style.display = 'none';
+    setupVisibility() {
+        if (this.showPanelBtn) {
+            this.showPanelBtn.addEventListener('click', () => {
+                this.panel.style.display = 'block';
+                this.setShape(this.canvas.getActiveObject());
             });
         } else {
-            console.warn("Close button for photo palette modal not found.");
+            console.warn("Show estimate button with ID 'show-estimate' not found.");
         }
 
-        window.addEventListener('click', (event) => {
-            if (event.target === this.photoPaletteModal) {
-                this.photoPaletteModal.style.display = 'none';
-            }
+        if (this.closePanelSpan) {
+            this.closePanelSpan.addEventListener('click', () => {
+                this.panel.style.display = 'none';
+            });
+        }
+    }
+
+    /**
+     * Sets up the estimate inputs: every change is stored on the shape and refreshes the results.
+     */
+    setupInputs() {
+        [this.tileSelect, this.wasteInput, this.m2PerBoxInput, this.priceInput].forEach(input => {
+            if (!input) return;
+            input.addEventListener('input', () => this.onInputChange(false));
+            input.addEventListener('change', () => this.onInputChange(true));
         });
+    }
+
+    /**
+     * Refreshes the estimate on selection changes, while the estimated shape is modified or scaled and when the drawing scale changes.
+     */
+    setupCanvasEvents() {
+        this.canvas.on('selection:created', (e) => this.setShape(e.selected[0]));
+        this.canvas.on('selection:updated', (e) => this.setShape(e.selected[0]));
+        this.canvas.on('selection:cleared', () => this.setShape(null));
 
-        // Allow closing with the Esc key
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && this.photoPaletteModal.style.display === 'block') {
-                this.photoPaletteModal.style.display = 'none';
+        const refreshIfEstimated = (e) => {
+            if (e.target === this.shape || (e.target && e.target.wallOpening)) {
+                this.refresh();
             }
+        };
+        this.canvas.on('object:scaling', refreshIfEstimated);
+        this.canvas.on('object:modified', refreshIfEstimated);
+        this.canvas.on('object:removed', refreshIfEstimated);
+        this.canvas.on('scale:changed', () => this.refresh());
+    }
+
+    /**
+     * Sets the rectangle to estimate and fills the inputs with its stored settings.
+     * @param {fabric.Object|null} shape - The selected object.
+     */
+    setShape(shape) {
+        this.shape = shape && shape.type === 'rect' && !shape.fixedHeightRectangle ? shape : null;
+        if (this.panel.style.display !== 'block') return;
+
+        this.populateTileSelect();
+        const settings = this.getSettings();
+        if (this.tileSelect) this.tileSelect.value = settings.sku || '';
+        if (this.wasteInput) this.wasteInput.value = settings.wastePercent;
+        if (this.m2PerBoxInput) this.m2PerBoxInput.value = settings.m2PerBox != null ? settings.m2PerBox : '';
+        if (this.priceInput) this.priceInput.value = settings.priceM2 != null ? settings.priceM2 : '';
+        this.refresh();
+    }
+
+    /**
+     * Returns the catalog tiles that have known dimensions.
+     * @returns {Array<CatalogTile>} - The tiles usable for an estimate.
+     */
+    getCatalogTiles() {
+        return (this.photoPaletteModule.photos || []).filter(tile => tile.width_cm && tile.height_cm);
+    }
+
+    /**
+     * Fills the tile select with the catalog references.
+     */
+    populateTileSelect() {
+        if (!this.tileSelect) return;
+        const tiles = this.getCatalogTiles();
+        if (this.tileSelect.options.length === tiles.length + 1) return;
+
+        this.tileSelect.innerHTML = '';
+        this.tileSelect.appendChild(new Option('— Choisir un carreau —', ''));
+        tiles.forEach(tile => {
+            this.tileSelect.appendChild(new Option(`${tile.name} (${tile.width_cm} x ${tile.height_cm} cm)`, tile.sku));
         });
     }
 
     /**
-     * Loads photos from a JSON file (`merged.json`).
+     * Returns the estimate settings of the current shape, defaulting to its tile fill and the catalog values.
+     * @returns {{sku: string|null, wastePercent: number, m2PerBox: number|null, priceM2: number|null}} - The settings.
      */
-    async loadPhotos() {
-        try {
-            const response = await fetch('merged.json'); // Ensure this file exists and is correctly structured
-            if (!response.ok) {
-                throw new Error('Error loading JSON file');
-            }
-            const data = await response.json();
-            this.photos = data; // Your JSON should be an array of objects with at least the 'src' property
-            this.displayPhotos(this.photos);
-        } catch (error) {
-            console.error('Error:', error);
-            alert('Unable to load the photo palette.');
+    getSettings() {
+        const stored = (this.shape && this.shape.tileEstimate) || {};
+        const sku = stored.sku || (this.shape && this.shape.tileFill ? this.shape.tileFill.sku : null);
+        const tile = this.findTile(sku);
+        return {
+            sku: sku,
+            wastePercent: stored.wastePercent != null ? stored.wastePercent : this.defaultWastePercent,
+            m2PerBox: stored.m2PerBox != null ? stored.m2PerBox : (tile ? tile.m2_per_box : null),
+            priceM2: stored.priceM2 != null ? stored.priceM2 : (tile ? tile.price_m2 : null)
+        };
+    }
+
+    /**
+     * Finds a catalog tile by SKU.
+     * @param {string|null} sku - The tile reference.
+     * @returns {CatalogTile|undefined} - The tile.
+     */
+    findTile(sku) {
+        return sku ? this.getCatalogTiles().find(tile => tile.sku === sku) : undefined;
+    }
+
+    /**
+     * Stores the edited settings on the shape and refreshes the estimate.
+     * @param {boolean} commit - Whether to record the change in the history.
+     */
+    onInputChange(commit) {
+        if (!this.shape) return;
+
+        const previousSku = this.getSettings().sku;
+        const readNumber = (input) => {
+            const value = input ? parseFloat(input.value) : NaN;
+            return isNaN(value) ? null : value;
+        };
+        const sku = this.tileSelect && this.tileSelect.value ? this.tileSelect.value : null;
+        const skuChanged = sku !== previousSku;
+        const tile = this.findTile(sku);
+
+        this.shape.tileEstimate = {
+            sku: sku,
+            wastePercent: readNumber(this.wasteInput),
+            // A new reference brings its own catalog packaging and price
+            m2PerBox: skuChanged ? (tile ? tile.m2_per_box : null) : readNumber(this.m2PerBoxInput),
+            priceM2: skuChanged ? (tile ? tile.price_m2 : null) : readNumber(this.priceInput)
+        };
+        if (skuChanged) {
+            this.setShape(this.shape);
+        } else {
+            this.refresh();
+        }
+        if (commit) {
+            this.historyModule.enregistrerEtat();
         }
     }
 
     /**
-     * Displays photos in the photo gallery.
-     * @param {Array} photos - Array of photo objects.
+     * Recomputes and displays the estimate for the current shape.
      */
-    displayPhotos(photos) {
-        if (!this.photoGallery) {
-            console.warn("Photo gallery with ID 'photo-gallery' not found.");
+    refresh() {
+        if (!this.results || this.panel.style.display !== 'block') return;
+
+        if (!this.shape) {
+            this.shapeInfo.textContent = 'Sélectionnez un rectangle pour estimer le carrelage.';
+            this.results.innerHTML = '';
             return;
         }
-        this.photoGallery.innerHTML = ''; // Clear the gallery before displaying new photos
-        photos.forEach(photo => {
-            const img = document.createElement('img');
-            img.src = photo.src; // Use 'src' as in your JSON
-            img.alt = photo.alt || 'Photo';
-            img.title = photo.alt || 'Photo';
-            img.style.width = '100px'; // Adjust as needed
-            img.style.height = '100px'; // Make square for consistency
-            img.style.objectFit = 'cover';
-            img.style.margin = '5px';
-            img.style.cursor = 'pointer';
-            img.addEventListener('click', () => this.addPhotoToCanvas(photo.src));
-            this.photoGallery.appendChild(img);
+
+        const { widthCm, heightCm } = this.shapesModule.getShapeSizeCm(this.shape);
+        this.shapeInfo.textContent = `Surface : ${this.shapesModule.formatLength(widthCm)} x ${this.shapesModule.formatLength(heightCm)}`;
+
+        const holes = this.shape.wallElevation ? this.shapesModule.getWallHolesCm(this.shape) : [];
+        const settings = this.getSettings();
+        const tile = this.findTile(settings.sku);
+        if (!tile) {
+            this.results.innerHTML = '';
+            this.addResultRow('Surface', `${((widthCm * heightCm - getRectanglesUnionArea(holes)) / 10000).toFixed(2)} m²`);
+            this.addResultRow('Carreau', 'aucun carreau choisi');
+            return;
+        }
+
+        const layout = this.getLayout(tile);
+        const estimate = computeTileEstimate({
+            widthCm,
+            heightCm,
+            layout,
+            holes,
+            wastePercent: settings.wastePercent,
+            m2PerBox: settings.m2PerBox,
+            priceM2: settings.priceM2
         });
+
+        this.results.innerHTML = '';
+        this.addResultRow('Surface', `${estimate.surfaceM2.toFixed(2)} m²`);
+        if (holes.length) {
+            this.addResultRow(`Ouvertures déduites (${holes.length})`, `${estimate.openingsM2.toFixed(2)} m²`);
+        }
+        const fit = describeTileLayoutFit(layout, this.shapesModule.unit);
+        if (fit) this.addResultRow('Pose', fit);
+        this.addResultRow('Carreaux entiers', estimate.wholeTiles);
+        this.addResultRow('Carreaux coupés', estimate.cutTiles);
+        this.addResultRow(`Carreaux à commander (+${settings.wastePercent || 0} %)`, estimate.tilesToOrder);
+        this.addResultRow('Boîtes', estimate.boxes !== null ? `${estimate.boxes} (${estimate.orderedM2.toFixed(2)} m²)` : 'm² par boîte inconnu');
+        this.addResultRow('Prix total', estimate.totalPrice !== null ? estimate.totalPrice.toFixed(2) : 'prix au m² inconnu');
     }
 
     /**
-     * Adds a photo to the canvas.
-     * @param {string} src - The source URL of the photo.
+     * Returns the layout to estimate: the shape's own joints and pattern when the estimated tile is the one laid on it,
+     * otherwise a straight grid without joints.
+     * @param {CatalogTile} tile - The estimated tile.
+     * @returns {Object} - The tile layout.
      */
-    addPhotoToCanvas(src) {
-        fabric.Image.fromURL(src, (img) => {
-            img.set({
-                left: 100,
-                top: 100,
-                scaleX: 0.5,
-                scaleY: 0.5,
-                selectable: true,
-                hasBorders: true,
-                hasControls: true
-            });
-            this.canvas.add(img);
-            this.canvas.renderAll();
-            this.historyModule.enregistrerEtat();
-            this.photoPaletteModal.style.display = 'none'; // Close the palette after adding
-        }, {
-            crossOrigin: 'anonymous',
-        });
+    getLayout(tile) {
+        const tileFill = this.shape.tileFill;
+        if (tileFill && tileFill.sku === tile.sku) {
+            return getTileLayout(tileFill);
+        }
+        return getTileLayout({ widthCm: tile.width_cm, heightCm: tile.height_cm });
     }
 
     /**
-     * Sets up the search functionality within the photo palette.
+     * Appends a row to the results table.
+     * @param {string} label - The row label.
+     * @param {string|number} value - The row value.
      */
-    setupSearch() {
-        if (this.photoSearchInput) {
-            this.photoSearchInput.addEventListener('input', debounce((e) => {
-                const query = e.target.value.toLowerCase();
-                const filteredPhotos = this.photos.filter(photo => {
-                    const altText = (photo.alt || '').toLowerCase();
-                    return altText.includes(query);
-                });
-                this.displayPhotos(filteredPhotos);
-            }, 300));
-        } else {
-            console.warn("Photo search input with ID 'photo-search' not found.");
-        }
+    addResultRow(label, value) {
+        const row = this.results.insertRow();
+        row.insertCell().textContent = label;
+        row.insertCell().textContent = value;
     }
 }
 
@@ -1902,6 +10341,299 @@ class TouchModule {
     }
 }
 
+/**
+ * ShortcutModule Class
+ * Keeps the keyboard shortcuts of the application, lets the user remap them and lists them in a cheat sheet opened with "?".
+ */
+class ShortcutModule {
+    /**
+     * Creates an instance of ShortcutModule.
+     * @param {fabric.Canvas} canvas - The Fabric.js canvas instance.
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.shortcutsBtn = document.getElementById('shortcuts-btn');
+        this.overlay = document.getElementById('shortcuts-overlay');
+        this.shortcutsList = document.getElementById('shortcuts-list');
+        this.resetBtn = document.getElementById('shortcuts-reset-btn');
+
+        this.shortcuts = new Map(); // Action → { label, group, defaultKeys, keys, repeat, when, handler }, in cheat sheet order
+        this.overrides = this.loadOverrides(); // Action → keys chosen by the user
+        this.rebinding = null; // Action waiting for its new key
+    }
+
+    /**
+     * Initializes the shortcut module by listening to the keyboard and setting up the cheat sheet.
+     */
+    init() {
+        this.register('help', { group: 'Aide', label: 'Afficher ou fermer cette liste', keys: ['?'] }, () => this.toggleOverlay());
+        // Listen before the modules, so that a key being remapped reaches no one else
+        document.addEventListener('keydown', (event) => this.onKeyDown(event), true);
+        this.setupOverlay();
+    }
+
+    /**
+     * Registers an action triggered from the keyboard. Keys remapped by the user replace the default ones.
+     * @param {string} action - The identifier of the action, under which a remapping is stored.
+     * @param {Object} options - The description of the shortcut.
+     * @param {string} options.group - The heading of the action in the cheat sheet.
+     * @param {string} options.label - What the action does.
+     * @param {Array<string>} options.keys - The default shortcuts, as returned by getShortcutCombo.
+     * @param {boolean} [options.repeat=false] - Whether holding the keys down repeats the action.
+     * @param {function(): boolean} [options.when] - Whether the action applies now; when it does not, the keys are left to the page.
+     * @param {function(KeyboardEvent)} handler - The action.
+     */
+    register(action, { group, label, keys, repeat = false, when = null }, handler) {
+        this.shortcuts.set(action, {
+            group,
+            label,
+            defaultKeys: keys,
+            keys: this.overrides[action] || keys,
+            repeat,
+            when,
+            handler
+        });
+    }
+
+    /**
+     * Returns the action a shortcut triggers.
+     * @param {string} combo - The shortcut.
+     * @returns {?string} - The action, or null when the shortcut is free.
+     */
+    getAction(combo) {
+        for (const [action, shortcut] of this.shortcuts) {
+            if (shortcut.keys.includes(combo)) return action;
+        }
+        return null;
+    }
+
+    /**
+     * Runs the action of a key press, unless a text is being typed.
+     * @param {KeyboardEvent} event - The key press.
+     */
+    onKeyDown(event) {
+        if (this.rebinding) {
+            this.captureShortcut(event);
+            return;
+        }
+
+        const combo = getShortcutCombo(event);
+        if (!combo) return;
+        const action = this.getAction(combo);
+
+        // While the cheat sheet is open, the keys only close it
+        if (this.isOverlayOpen()) {
+            if (combo === 'Escape' || action === 'help') {
+                event.preventDefault();
+                this.hideOverlay();
+            }
+            return;
+        }
+
+        if (!action || isTypingText(event, this.canvas)) return;
+        if (BROWSER_CLIPBOARD_SHORTCUTS[combo] === action) return;
+        const shortcut = this.shortcuts.get(action);
+        if (shortcut.when && !shortcut.when()) return;
+        event.preventDefault();
+        if (event.repeat && !shortcut.repeat) return;
+        shortcut.handler(event);
+    }
+
+    /**
+     * Gives the action being remapped the keys just pressed; Escape cancels.
+     * The keys are taken off any other action that used them.
+     * @param {KeyboardEvent} event - The key press.
+     */
+    captureShortcut(event) {
+        const combo = getShortcutCombo(event);
+        if (!combo) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const action = this.rebinding;
+        this.rebinding = null;
+        if (combo !== 'Escape') {
+            const previous = this.getAction(combo);
+            if (previous && previous !== action) {
+                this.setKeys(previous, this.shortcuts.get(previous).keys.filter(key => key !== combo));
+            }
+            this.setKeys(action, [combo]);
+            this.saveOverrides();
+        }
+        this.renderList();
+    }
+
+    /**
+     * Changes the keys of an action, remembering them when they differ from the default ones.
+     * @param {string} action - The action.
+     * @param {Array<string>} keys - The new shortcuts.
+     */
+    setKeys(action, keys) {
+        const shortcut = this.shortcuts.get(action);
+        shortcut.keys = keys;
+        if (keys.join() === shortcut.defaultKeys.join()) {
+            delete this.overrides[action];
+        } else {
+            this.overrides[action] = keys;
+        }
+    }
+
+    /**
+     * Puts every shortcut back to its default keys.
+     */
+    resetShortcuts() {
+        this.shortcuts.forEach(shortcut => {
+            shortcut.keys = shortcut.defaultKeys;
+        });
+        this.overrides = {};
+        this.saveOverrides();
+        this.renderList();
+    }
+
+    /**
+     * Reads the remapped shortcuts from the local storage.
+     * @returns {Object<string, Array<string>>} - The keys of each remapped action; empty when none were saved.
+     */
+    loadOverrides() {
+        try {
+            const overrides = JSON.parse(localStorage.getItem(SHORTCUTS_STORAGE_KEY)) || {};
+            return Object.fromEntries(Object.entries(overrides)
+                .filter(([, keys]) => Array.isArray(keys) && keys.every(key => typeof key === 'string')));
+        } catch (error) {
+            console.warn('Remapped shortcuts could not be read:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Writes the remapped shortcuts to the local storage.
+     */
+    saveOverrides() {
+        try {
+            localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(this.overrides));
+        } catch (error) {
+            console.warn('Remapped shortcuts could not be saved:', error);
+        }
+    }
+
+    /**
+     * Sets up the cheat sheet: its button, the reset button and closing it.
+     */
+    setupOverlay() {
+        if (!this.overlay || !this.shortcutsList) {
+            console.warn("Shortcuts overlay with IDs 'shortcuts-overlay' and 'shortcuts-list' not found.");
+            return;
+        }
+
+        if (this.shortcutsBtn) {
+            this.shortcutsBtn.addEventListener('click', () => this.showOverlay());
+        } else {
+            console.warn("Shortcuts button with ID 'shortcuts-btn' not found.");
+        }
+
+        if (this.resetBtn) {
+            this.resetBtn.addEventListener('click', () => this.resetShortcuts());
+        } else {
+            console.warn("Reset shortcuts button with ID 'shortcuts-reset-btn' not found.");
+        }
+
+        const closeModalSpan = this.overlay.querySelector('.close-modal');
+        if (closeModalSpan) {
+            closeModalSpan.addEventListener('click', () => this.hideOverlay());
+        }
+        window.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.hideOverlay();
+        });
+    }
+
+    /**
+     * Returns whether the cheat sheet is shown.
+     * @returns {boolean} - True when it is open.
+     */
+    isOverlayOpen() {
+        return Boolean(this.overlay) && this.overlay.style.display === 'block';
+    }
+
+    /**
+     * Shows the cheat sheet.
+     */
+    showOverlay() {
+        if (!this.overlay) return;
+        this.renderList();
+        this.overlay.style.display = 'block';
+    }
+
+    /**
+     * Hides the cheat sheet, dropping a remapping in progress.
+     */
+    hideOverlay() {
+        if (!this.overlay) return;
+        this.rebinding = null;
+        this.overlay.style.display = 'none';
+    }
+
+    /**
+     * Shows the cheat sheet, or hides it when it is open.
+     */
+    toggleOverlay() {
+        if (this.isOverlayOpen()) {
+            this.hideOverlay();
+        } else {
+            this.showOverlay();
+        }
+    }
+
+    /**
+     * Lists the shortcuts by group; clicking the keys of an action waits for its new keys.
+     */
+    renderList() {
+        if (!this.shortcutsList) return;
+        this.shortcutsList.innerHTML = '';
+
+        const groups = new Map();
+        this.shortcuts.forEach((shortcut, action) => {
+            if (!groups.has(shortcut.group)) groups.set(shortcut.group, []);
+            groups.get(shortcut.group).push([action, shortcut]);
+        });
+
+        groups.forEach((shortcuts, group) => {
+            const heading = document.createElement('h4');
+            heading.textContent = group;
+            this.shortcutsList.appendChild(heading);
+
+            const table = document.createElement('table');
+            shortcuts.forEach(([action, shortcut]) => {
+                const row = table.insertRow();
+                row.insertCell().textContent = shortcut.label;
+
+                const button = document.createElement('button');
+                button.className = 'shortcut-keys';
+                button.title = 'Changer le raccourci';
+                if (this.rebinding === action) {
+                    button.textContent = 'Appuyez sur les touches…';
+                    button.classList.add('active');
+                } else if (shortcut.keys.length === 0) {
+                    button.textContent = 'Aucun';
+                } else {
+                    shortcut.keys.forEach((combo, index) => {
+                        if (index > 0) button.appendChild(document.createTextNode(' ou '));
+                        const kbd = document.createElement('kbd');
+                        kbd.textContent = formatShortcut(combo);
+                        button.appendChild(kbd);
+                    });
+                }
+                button.addEventListener('click', () => {
+                    this.rebinding = this.rebinding === action ? null : action;
+                    button.blur();
+                    this.renderList();
+                });
+                row.insertCell().appendChild(button);
+            });
+            this.shortcutsList.appendChild(table);
+        });
+    }
+}
+
 /**
  * App Class
  * The main application class that initializes and manages all modules.
@@ -1917,15 +10649,30 @@ class App {
         // Initialize modules
         this.historyModule = new HistoryModule(canvas);
         this.colorModule = new ColorModule();
-        this.brushModule = new BrushModule(canvas, this.colorModule);
-        this.shapesModule = new ShapesModule(canvas, this.colorModule, this.historyModule);
+        this.brushModule = new BrushModule(canvas, this.colorModule, this.historyModule);
+        this.snapModule = new SnapModule(canvas);
+        this.shapesModule = new ShapesModule(canvas, this.colorModule, this.historyModule, this.snapModule);
+        this.scaleModule = new ScaleModule(canvas, this.shapesModule, this.historyModule);
+        this.elevationModule = new ElevationModule(canvas, this.shapesModule, this.historyModule);
+        this.annotationModule = new AnnotationModule(canvas, this.colorModule, this.shapesModule, this.historyModule);
         this.textModule = new TextModule(canvas, this.historyModule);
-        this.calculatorModule = new CalculatorModule();
-        this.importExportModule = new ImportExportModule(canvas, this.historyModule);
-        this.printPreviewModule = new PrintPreviewModule(canvas);
-        this.duplicateModule = new DuplicateModule(canvas, this.historyModule);
-        this.photoPaletteModule = new PhotoPaletteModule(canvas, this.historyModule);
+        this.layersModule = new LayersModule(canvas, this.shapesModule, this.historyModule);
+        this.inspectorModule = new InspectorModule(canvas, this.shapesModule, this.historyModule, this.layersModule);
+        this.calculatorModule = new CalculatorModule(canvas, this.shapesModule);
+        this.projectModule = new ProjectModule(canvas, this.historyModule);
+        this.importExportModule = new ImportExportModule(canvas, this.historyModule, this.projectModule, this.shapesModule);
+        this.printPreviewModule = new PrintPreviewModule(canvas, this.shapesModule, this.projectModule);
+        this.dxfModule = new DxfModule(canvas, this.shapesModule, this.historyModule, this.projectModule);
+        this.duplicateModule = new DuplicateModule(canvas, this.shapesModule, this.historyModule);
+        this.tileFillModule = new TileFillModule(canvas, this.shapesModule, this.historyModule);
+        this.pdfExportModule = new PdfExportModule(canvas, this.projectModule, this.tileFillModule);
+        this.photoPaletteModule = new PhotoPaletteModule(canvas, this.historyModule, this.tileFillModule, this.shapesModule);
+        this.fixtureLibraryModule = new FixtureLibraryModule(canvas, this.shapesModule, this.historyModule);
+        this.room3DPreviewModule = new Room3DPreviewModule(canvas, this.shapesModule, this.tileFillModule, this.fixtureLibraryModule);
+        this.tileEstimateModule = new TileEstimateModule(canvas, this.shapesModule, this.photoPaletteModule, this.historyModule);
         this.touchModule = new TouchModule(canvas, this.historyModule);
+        this.autosaveModule = new AutosaveModule(canvas, this.projectModule, this.historyModule);
+        this.shortcutModule = new ShortcutModule(canvas);
     }
 
     /**
@@ -1933,16 +10680,32 @@ class App {
      */
     init() {
         // Initialize all modules
+        this.historyModule.init();
         this.colorModule.init();
         this.brushModule.init();
+        this.snapModule.init();
         this.shapesModule.init();
+        this.scaleModule.init();
+        this.elevationModule.init();
+        this.annotationModule.init();
         this.textModule.init();
+        this.layersModule.init();
+        this.inspectorModule.init();
         this.calculatorModule.init();
+        this.projectModule.init();
         this.importExportModule.init();
         this.printPreviewModule.init();
+        this.pdfExportModule.init();
+        this.dxfModule.init();
         this.duplicateModule.init();
+        this.tileFillModule.init();
         this.photoPaletteModule.init();
+        this.fixtureLibraryModule.init();
+        this.room3DPreviewModule.init();
+        this.tileEstimateModule.init();
         this.touchModule.init();
+        this.shortcutModule.init();
+        this.setupShortcuts();
 
         // Set up undo and redo buttons
         const undoBtn = this.historyModule.undoBtn;
@@ -1970,6 +10733,114 @@ class App {
 
         // Record the initial state
         this.historyModule.enregistrerEtat();
+
+        // Autosave starts last: it may offer to restore unsaved work
+        this.autosaveModule.init();
+    }
+
+    /**
+     * Registers the keyboard shortcuts of the modules.
+     */
+    setupShortcuts() {
+        const shortcuts = this.shortcutModule;
+
+        shortcuts.register('rectangle', { group: 'Outils', label: 'Rectangle', keys: ['r'] },
+            () => this.shapesModule.setDrawingMode('rectangle'));
+        shortcuts.register('circle', { group: 'Outils', label: 'Cercle', keys: ['c'] },
+            () => this.shapesModule.addCircle());
+        shortcuts.register('brush', { group: 'Outils', label: 'Pinceau', keys: ['b'] },
+            () => this.brushModule.activate('brush'));
+        shortcuts.register('text', { group: 'Outils', label: 'Texte', keys: ['t'] },
+            () => this.textModule.addText());
+        shortcuts.register('finish', {
+            group: 'Outils',
+            label: 'Terminer la polyligne ou la pièce',
+            keys: ['Enter'],
+            when: () => this.annotationModule.tool === 'polyline' || this.shapesModule.drawingMode === 'room'
+        }, () => {
+            if (this.annotationModule.tool === 'polyline') {
+                this.annotationModule.finish();
+            } else {
+                this.shapesModule.finishRoom();
+            }
+        });
+        shortcuts.register('cancel', {
+            group: 'Outils',
+            label: "Fermer la fenêtre ou quitter l'outil en cours",
+            keys: ['Escape'],
+            when: () => Boolean(this.getCancelAction())
+        }, () => this.getCancelAction()());
+
+        shortcuts.register('undo', { group: 'Édition', label: 'Annuler', keys: ['Ctrl+z'], repeat: true },
+            () => this.historyModule.annuler());
+        shortcuts.register('redo', { group: 'Édition', label: 'Rétablir', keys: ['Ctrl+y', 'Ctrl+Shift+z'], repeat: true },
+            () => this.historyModule.retablir());
+        shortcuts.register('copy', { group: 'Édition', label: 'Copier', keys: ['Ctrl+c'] },
+            () => this.duplicateModule.copyToClipboard());
+        shortcuts.register('cut', { group: 'Édition', label: 'Couper', keys: ['Ctrl+x'] },
+            () => this.duplicateModule.cutToClipboard());
+        shortcuts.register('paste', { group: 'Édition', label: 'Coller', keys: ['Ctrl+v'] },
+            () => this.duplicateModule.pasteFromClipboard());
+        shortcuts.register('duplicate', { group: 'Édition', label: 'Dupliquer', keys: ['Ctrl+d'] },
+            () => this.duplicateModule.duplicateObject());
+        // Without a selection, Delete and the arrows are left to the page, e.g. to scroll the panels
+        const hasSelection = () => getSelectedObjects(this.canvas).length > 0;
+        shortcuts.register('delete', { group: 'Édition', label: 'Supprimer', keys: ['Delete', 'Backspace'], when: hasSelection },
+            () => this.duplicateModule.deleteSelectedObject());
+
+        const directions = [
+            ['left', 'à gauche', 'ArrowLeft', -1, 0],
+            ['right', 'à droite', 'ArrowRight', 1, 0],
+            ['up', 'en haut', 'ArrowUp', 0, -1],
+            ['down', 'en bas', 'ArrowDown', 0, 1]
+        ];
+        directions.forEach(([name, label, key, dx, dy]) => {
+            shortcuts.register(`nudge-${name}`, { group: 'Déplacement', label: `1 mm ${label}`, keys: [key], repeat: true, when: hasSelection },
+                () => this.duplicateModule.nudgeSelection(dx * 0.1, dy * 0.1));
+        });
+        directions.forEach(([name, label, key, dx, dy]) => {
+            shortcuts.register(`nudge-${name}-cm`, { group: 'Déplacement', label: `1 cm ${label}`, keys: [`Shift+${key}`], repeat: true, when: hasSelection },
+                () => this.duplicateModule.nudgeSelection(dx, dy));
+        });
+
+        shortcuts.register('zoom-in', { group: 'Affichage', label: 'Zoom avant', keys: ['+', '='], repeat: true },
+            () => this.zoomBy(1.2));
+        shortcuts.register('zoom-out', { group: 'Affichage', label: 'Zoom arrière', keys: ['-'], repeat: true },
+            () => this.zoomBy(1 / 1.2));
+        shortcuts.register('reset-view', { group: 'Affichage', label: 'Réinitialiser la vue', keys: ['0'] },
+            () => this.resetView());
+
+        shortcuts.register('save', { group: 'Fichier', label: 'Enregistrer le projet', keys: ['Ctrl+s'] },
+            () => this.importExportModule.saveAsJSON());
+    }
+
+    /**
+     * Returns what Escape closes or cancels: an open window first, then the tool in use.
+     * @returns {?function()} - The action, or null when there is nothing to close.
+     */
+    getCancelAction() {
+        if (this.printPreviewModule.isPreviewOpen()) return () => this.printPreviewModule.hidePreview();
+        if (this.photoPaletteModule.isPaletteOpen()) return () => this.photoPaletteModule.hidePalette();
+
+        const annotations = this.annotationModule;
+        if (annotations.tool) {
+            // The annotation being drawn is dropped first, then the tool is left
+            return () => (annotations.points.length > 0 ? annotations.cancel() : annotations.setTool(null));
+        }
+        if (this.shapesModule.drawingMode === 'room') return () => this.shapesModule.cancelRoom();
+        if (this.brushModule.mode) return () => this.brushModule.deactivate();
+        return null;
+    }
+
+    /**
+     * Zooms the canvas around its centre, within the limits of the pinch zoom.
+     * @param {number} factor - The zoom ratio, above 1 to zoom in.
+     */
+    zoomBy(factor) {
+        const zoom = Math.max(0.5, Math.min(this.canvas.getZoom() * factor, 3));
+        const center = new fabric.Point(this.canvas.getWidth() / 2, this.canvas.getHeight() / 2);
+        this.canvas.zoomToPoint(center, zoom);
+        this.canvas.requestRenderAll();
     }
 
     /**
@@ -1987,22 +10858,11 @@ class App {
  * Initialization of the Application Once the DOM is Loaded
  */
 document.addEventListener('DOMContentLoaded', () => {
-    const drawingBoard = document.querySelector('.drawing-board');
-    const canvasElement = document.getElementById('canvas');
-
+    // The canvas is sized to the paper of the active sheet by ProjectModule
     const canvas = new fabric.Canvas('canvas', {
         isDrawingMode: false,
         backgroundColor: 'white',
-        allowTouchScrolling: true,
-        width: drawingBoard.clientWidth,
-        height: 2244 // Height equivalent to 20 A4 pages; consider making this dynamic
-    });
-
-    // Adjust canvas width on window resize
-    window.addEventListener('resize', () => {
-        const newWidth = drawingBoard.clientWidth;
-        canvas.setWidth(newWidth);
-        canvas.renderAll();
+        allowTouchScrolling: true
     });
 
     // Initialize the application